@@ -0,0 +1,198 @@
+// ============================================================================
+// content-formats.js — Markdown and YAML content files
+// ============================================================================
+//
+// Topic folders can be written as JS modules (content.js / examples.js /
+// quiz.js) or as plain files, which need no escaping:
+//
+//   topic.yaml                name, slug, description, estimated_time, order_index
+//   lessons/01-intro.md       front matter + Markdown lesson body
+//   examples.yaml | examples/<lesson-slug>.md
+//   quiz.yaml     | quiz/<lesson-slug>.md
+//
+// Every format parses into the same objects the JS modules export, so the
+// validator and the sync never see the difference.
+// ============================================================================
+
+import yaml from 'js-yaml';
+
+// Lesson front matter uses `difficulty`; the model calls it difficulty_level
+const LESSON_FIELD_ALIASES = { difficulty: 'difficulty_level' };
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w#+.-]*)/;
+
+// A closing fence is a bare run of the opening character, at least as long
+const closesFence = (line, marker) => {
+  const run = line.trim();
+  return run.length >= marker.length && run === marker[0].repeat(run.length);
+};
+
+export function parseYaml(text) {
+  return yaml.load(text) ?? {};
+}
+
+export function dumpYaml(value) {
+  return yaml.dump(value, { lineWidth: -1, noRefs: true });
+}
+
+const parseMapping = (lines) => {
+  const data = parseYaml(lines.join('\n'));
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('front matter must be a YAML mapping');
+  }
+  return data;
+};
+
+// A single leading `---` front matter block; the rest of the file is the body
+export function parseFrontMatter(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const end = lines.indexOf('---', 1);
+  if (lines[0] !== '---' || end === -1) {
+    throw new Error('expected a --- front matter block at the top of the file');
+  }
+  return { data: parseMapping(lines.slice(1, end)), body: lines.slice(end + 1).join('\n') };
+}
+
+// Split a file into [{ data, body }] items. Each item is a `---` front matter
+// block followed by a Markdown body that runs until the next `---` line
+// outside a code fence (so use *** for horizontal rules).
+export function parseFrontMatterItems(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const items = [];
+  let current = null;
+  let inFrontMatter = false;
+  let fence = null;
+
+  for (const line of lines) {
+    if (inFrontMatter) {
+      if (line === '---') {
+        inFrontMatter = false;
+      } else {
+        current.frontMatter.push(line);
+      }
+      continue;
+    }
+
+    if (fence) {
+      if (closesFence(line, fence)) fence = null;
+    } else {
+      fence = line.match(FENCE)?.[1] ?? null;
+    }
+
+    if (line === '---' && !fence) {
+      current = { frontMatter: [], body: [] };
+      items.push(current);
+      inFrontMatter = true;
+      continue;
+    }
+
+    if (!current) {
+      if (line.trim()) throw new Error('expected a --- front matter block at the top of the file');
+      continue;
+    }
+    current.body.push(line);
+  }
+
+  if (inFrontMatter) throw new Error('front matter block is never closed with ---');
+
+  return items.map(({ frontMatter, body }) => ({ data: parseMapping(frontMatter), body: body.join('\n') }));
+}
+
+// Pull the first fenced code block out of a Markdown body
+function splitCodeBlock(body) {
+  const lines = body.split('\n');
+  const start = lines.findIndex(line => FENCE.test(line));
+  if (start === -1) return null;
+
+  const [, marker, language] = lines[start].match(FENCE);
+  let end = start + 1;
+  while (end < lines.length && !closesFence(lines[end], marker)) end++;
+
+  return {
+    before: lines.slice(0, start).join('\n').trim(),
+    language: language || null,
+    code: lines.slice(start + 1, end).join('\n'),
+    after: lines.slice(end + 1).join('\n').trim(),
+  };
+}
+
+// Split a body into its intro and `### Heading` sections (keyed in lowercase)
+function splitSections(body) {
+  const sections = { '': [] };
+  let current = '';
+  let fence = null;
+  for (const line of body.split('\n')) {
+    if (fence) {
+      if (closesFence(line, fence)) fence = null;
+    } else {
+      fence = line.match(FENCE)?.[1] ?? null;
+    }
+
+    const heading = !fence && line.match(/^###\s+(.+?)\s*$/);
+    if (heading) {
+      current = heading[1].toLowerCase();
+      sections[current] = [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+  return Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n').trim()]));
+}
+
+// ── Lessons ──────────────────────────────────────────────────────────────
+// `01-intro-to-x.md` → order_index 1, slug "intro-to-x", unless the front
+// matter says otherwise. Everything after the front matter line is the
+// content, byte for byte.
+export function parseLessonMarkdown(text, fileName) {
+  const { data, body } = parseFrontMatter(text);
+  const lesson = {};
+  for (const [field, value] of Object.entries(data)) {
+    lesson[LESSON_FIELD_ALIASES[field] ?? field] = value;
+  }
+
+  const [, prefix, name] = fileName.replace(/\.md$/, '').match(/^(?:(\d+)-)?(.*)$/);
+  lesson.slug ??= name;
+  if (prefix) lesson.order_index ??= parseInt(prefix, 10);
+  lesson.content = body;
+  return lesson;
+}
+
+export function formatLessonMarkdown(lesson) {
+  const { content, difficulty_level, ...fields } = lesson;
+  const data = { ...fields };
+  if (difficulty_level !== undefined) data.difficulty = difficulty_level;
+  return `---\n${dumpYaml(data)}---\n${content}`;
+}
+
+// ── Examples ─────────────────────────────────────────────────────────────
+// Each item: front matter (title, order_index, is_interactive, ...), then
+// the description, one fenced code block (its info string is the language),
+// and the explanation.
+export function parseExamplesMarkdown(text) {
+  return parseFrontMatterItems(text).map(({ data, body }, index) => {
+    const block = splitCodeBlock(body);
+    const example = { order_index: index + 1, ...data };
+    if (block) {
+      example.code ??= block.code;
+      example.language ??= block.language;
+      if (block.before) example.description ??= block.before;
+      if (block.after) example.explanation ??= block.after;
+    }
+    return example;
+  });
+}
+
+// ── Quiz questions ───────────────────────────────────────────────────────
+// Each item: front matter (key, question_type, options, correct_answer, ...),
+// then the question text, and optional `### Starter code` (a fenced block)
+// and `### Explanation` sections.
+export function parseQuizMarkdown(text) {
+  return parseFrontMatterItems(text).map(({ data, body }, index) => {
+    const sections = splitSections(body);
+    const question = { question_type: 'multiple_choice', order_index: index + 1, ...data };
+    if (sections['']) question.question_text ??= sections[''];
+    if (sections.explanation) question.explanation ??= sections.explanation;
+    if (sections['starter code']) question.starter_code ??= splitCodeBlock(sections['starter code'])?.code;
+    return question;
+  });
+}
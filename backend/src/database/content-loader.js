@@ -0,0 +1,219 @@
+// ============================================================================
+// content-loader.js — Reads the data/ folder into plain objects
+// ============================================================================
+//
+// Layout:  data/{category}/{difficulty}/{topic}/
+//
+// A topic folder is written either as JS modules:
+//
+//   content.js   exports { topic, lessons }
+//   examples.js  exports default { 'lesson-slug': [example, ...] }
+//   quiz.js      exports default { 'lesson-slug': [question, ...] }
+//
+// or as YAML and Markdown files (see content-formats.js):
+//
+//   topic.yaml, lessons/*.md
+//   examples.yaml or examples/<lesson-slug>.md
+//   quiz.yaml     or quiz/<lesson-slug>.md
+//
+// Examples and quizzes may use any of their formats with either kind of topic.
+// ============================================================================
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseYaml, parseLessonMarkdown, parseExamplesMarkdown, parseQuizMarkdown } from './content-formats.js';
+
+// Files that mark a folder as a topic folder
+const TOPIC_FILES = ['content.js', 'topic.yaml', 'topic.yml'];
+
+// Where a topic's examples or quiz can come from, in order of preference
+const LESSON_MAP_SOURCES = {
+  examples: ['examples.js', 'examples.yaml', 'examples.yml', 'examples/'],
+  quiz: ['quiz.js', 'quiz.yaml', 'quiz.yml', 'quiz/'],
+};
+
+const MARKDOWN_PARSERS = { examples: parseExamplesMarkdown, quiz: parseQuizMarkdown };
+
+export const DATA_ROOT = fileURLToPath(new URL('./data', import.meta.url));
+
+// Categories are fixed; topic folders live under one of these slugs
+export const CATEGORIES = [
+  { slug: 'architecture', name: 'Software Architecture', description: 'Master system design from simple applications to complex distributed systems', icon: '🏗️', order_index: 1 },
+  { slug: 'backend', name: 'Backend Development', description: 'Learn OOP, design patterns, and backend development in C#, Java, Python, or Node.js', icon: '💻', order_index: 2 },
+  { slug: 'frontend', name: 'Frontend Development', description: 'Build modern user interfaces with React, hooks, and advanced patterns', icon: '🎨', order_index: 3 },
+];
+
+const exists = (path) => stat(path).then(() => true, () => false);
+
+// ── Recursively find topic folders ───────────────────────────────────────
+async function findTopicFolders(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const folders = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const fullPath = join(dir, entry.name);
+
+    const markers = await Promise.all(TOPIC_FILES.map(file => exists(join(fullPath, file))));
+    if (markers.some(Boolean)) {
+      folders.push(fullPath);
+    } else {
+      // Not a topic folder — recurse deeper
+      folders.push(...(await findTopicFolders(fullPath)));
+    }
+  }
+
+  return folders.sort();
+}
+
+// ── Import a data module ─────────────────────────────────────────────────
+// A missing file is fine (returns null); a file that fails to import is
+// reported in `errors`, so a typo never silently drops its content.
+async function importModule(filePath, file, errors) {
+  if (!(await exists(filePath))) return null;
+
+  try {
+    const mod = await import(pathToFileURL(filePath).href);
+    return mod.default ?? mod;
+  } catch (error) {
+    errors.push({ file, path: null, message: `cannot be imported: ${error.message}` });
+    return null;
+  }
+}
+
+// ── Read and parse a YAML or Markdown file ───────────────────────────────
+async function parseFile(filePath, file, parse, errors) {
+  try {
+    return parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    errors.push({ file, path: null, message: `cannot be parsed: ${error.message}` });
+    return null;
+  }
+}
+
+async function markdownFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries.filter(entry => entry.isFile() && entry.name.endsWith('.md')).map(entry => entry.name).sort();
+}
+
+// ── Topic and lessons ────────────────────────────────────────────────────
+// Returns { topic, lessons } and fills in files.content / files.lessons
+async function loadTopic(folderPath, rel, files, errors) {
+  const [jsFile, ...yamlFiles] = TOPIC_FILES;
+
+  if (await exists(join(folderPath, jsFile))) {
+    files.content = `${rel}/${jsFile}`;
+    return importModule(join(folderPath, jsFile), files.content, errors);
+  }
+
+  for (const file of yamlFiles) {
+    if (!(await exists(join(folderPath, file)))) continue;
+    files.content = `${rel}/${file}`;
+
+    const topic = await parseFile(join(folderPath, file), files.content, parseYaml, errors);
+    const lessonsDir = join(folderPath, 'lessons');
+    const lessons = [];
+    files.lessons = [];
+
+    if (await exists(lessonsDir)) {
+      for (const name of await markdownFiles(lessonsDir)) {
+        const lessonFile = `${rel}/lessons/${name}`;
+        const lesson = await parseFile(join(lessonsDir, name), lessonFile, text => parseLessonMarkdown(text, name), errors);
+        if (lesson) {
+          lessons.push(lesson);
+          files.lessons.push(lessonFile);
+        }
+      }
+    }
+
+    return topic && { topic, lessons };
+  }
+
+  return null;
+}
+
+// ── Examples or quiz: { 'lesson-slug': [...] } ───────────────────────────
+// Fills in files[kind] (the source) and, for a Markdown folder,
+// files.bySlug[kind] (the file for each lesson).
+async function loadLessonMap(folderPath, rel, kind, files, errors) {
+  const sources = [];
+  for (const source of LESSON_MAP_SOURCES[kind]) {
+    if (await exists(join(folderPath, source))) sources.push(source);
+  }
+
+  files[kind] = `${rel}/${sources[0] ?? LESSON_MAP_SOURCES[kind][0]}`;
+  if (sources.length === 0) return {};
+  if (sources.length > 1) {
+    errors.push({ file: files[kind], path: null, message: `${kind} are defined more than once (${sources.join(', ')}); keep one` });
+  }
+
+  const [source] = sources;
+  const sourcePath = join(folderPath, source);
+
+  if (source.endsWith('.js')) {
+    return await importModule(sourcePath, files[kind], errors) || {};
+  }
+  if (!source.endsWith('/')) {
+    return await parseFile(sourcePath, files[kind], parseYaml, errors) || {};
+  }
+
+  const map = {};
+  files.bySlug[kind] = {};
+  for (const name of await markdownFiles(sourcePath)) {
+    const slug = name.replace(/\.md$/, '');
+    const file = `${rel}/${source}${name}`;
+    const items = await parseFile(join(sourcePath, name), file, MARKDOWN_PARSERS[kind], errors);
+    if (items) {
+      map[slug] = items;
+      files.bySlug[kind][slug] = file;
+    }
+  }
+  return map;
+}
+
+// Load every topic folder. Folders that cannot be used are reported in
+// `skipped`, and files that fail to load in `errors` ({ file, path, message }).
+export async function loadContent(dataRoot = DATA_ROOT) {
+  const topics = [];
+  const skipped = [];
+  const errors = [];
+
+  for (const folderPath of await findTopicFolders(dataRoot)) {
+    const rel = relative(dataRoot, folderPath).replace(/\\/g, '/');
+    const [categorySlug, difficulty] = rel.split('/');
+    const files = { bySlug: {} };
+
+    if (!CATEGORIES.some(category => category.slug === categorySlug)) {
+      skipped.push({ path: rel, reason: `category "${categorySlug}" not found` });
+      continue;
+    }
+
+    const contentMod = await loadTopic(folderPath, rel, files, errors);
+    const contentFile = files.content.slice(rel.length + 1);
+    if (!contentMod) {
+      skipped.push({ path: rel, reason: `${contentFile} could not be loaded` });
+      continue;
+    }
+
+    // { topic, lessons }, from content.js named exports or topic.yaml + lessons/
+    const { topic, lessons } = contentMod;
+    if (!topic || !lessons) {
+      skipped.push({ path: rel, reason: `${contentFile} missing topic/lessons` });
+      continue;
+    }
+
+    topics.push({
+      path: rel,
+      files,
+      categorySlug,
+      difficulty,
+      topic,
+      lessons,
+      examples: await loadLessonMap(folderPath, rel, 'examples', files, errors),
+      quiz: await loadLessonMap(folderPath, rel, 'quiz', files, errors),
+    });
+  }
+
+  return { categories: CATEGORIES, topics, skipped, errors };
+}
@@ -0,0 +1,101 @@
+// ============================================================================
+// content-pack.js — Export and import content packs from the command line
+// ============================================================================
+//
+// Usage:
+//   npm run content-pack -- export --category backend [--format zip] [--out file]
+//   npm run content-pack -- export --topic react-router --out react-router.zip
+//   npm run content-pack -- import pack.zip [--on-conflict skip|overwrite|rename] [--dry-run]
+//
+// --format defaults to the --out extension (json when writing to stdout).
+// ============================================================================
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { readFile, writeFile } from 'node:fs/promises';
+import pool from '../config/database.js';
+import { CONFLICT_STRATEGIES, PACK_FORMATS, exportPack, importPack, serializePack } from '../services/content-pack.service.js';
+import { formatIssue } from './content-validator.js';
+import { printReport } from './sync-report.js';
+import { invalidateContent } from '../services/cache.service.js';
+
+// Mistakes in the arguments are reported without a stack trace
+const usageError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const RESOLUTION_ICONS = { created: '➕', overwritten: '✏️ ', renamed: '🔀', skipped: '⏭️ ' };
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, files: [] };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--')) options[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = rest[++i];
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+async function runExport({ category, topic, format, out }) {
+  if (!category === !topic) throw usageError('Pass exactly one of --category or --topic');
+  format ||= out?.endsWith('.zip') ? 'zip' : 'json';
+  if (!PACK_FORMATS.includes(format)) throw usageError(`--format must be one of: ${PACK_FORMATS.join(', ')}`);
+
+  const pack = await exportPack({ category, topic });
+  const bytes = serializePack(pack, format);
+
+  if (!out) {
+    process.stdout.write(bytes);
+    return;
+  }
+  await writeFile(out, bytes);
+
+  const { counts } = pack.manifest;
+  console.log(`  📦  Wrote ${out}: ${counts.topics} topic(s), ${counts.lessons} lesson(s), ${counts.code_examples} example(s), ${counts.quiz_questions} question(s)`);
+}
+
+async function runImport({ files: [file], onConflict = 'skip', dryRun = false }) {
+  if (!file) throw usageError('Pass the pack file to import');
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw usageError(`--on-conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+  }
+
+  const report = await importPack(await readFile(file), { onConflict, dryRun });
+  if (!dryRun) await invalidateContent();
+
+  for (const { slug, action, importedAs } of report.topicsResolved) {
+    console.log(`  ${RESOLUTION_ICONS[action]}  ${action.padEnd(12)} ${slug}${importedAs ? ` → ${importedAs}` : ''}`);
+  }
+  console.log('');
+  printReport(report, dryRun);
+  console.log(dryRun ? '  🔍  Dry run: nothing was written' : '  🎉  Import complete!');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    if (options.command === 'export') {
+      await runExport(options);
+    } else if (options.command === 'import') {
+      await runImport(options);
+    } else {
+      throw usageError('Usage: content-pack export --category <slug> | --topic <slug> [--format json|zip] [--out file]\n' +
+        '       content-pack import <file> [--on-conflict skip|overwrite|rename] [--dry-run]');
+    }
+  } catch (error) {
+    console.error(`\n  ❌  ${error.message}`);
+    for (const detail of error.details || []) {
+      console.error(`      ${formatIssue(detail)}`);
+    }
+    if (!error.status) console.error(error.stack);
+    throw error;
+  } finally {
+    await pool.end();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(() => process.exit(1));
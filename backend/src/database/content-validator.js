@@ -0,0 +1,331 @@
+// ============================================================================
+// content-validator.js — Schema and consistency checks for data/ folders
+// ============================================================================
+//
+// validateContent(loaded) takes the result of loadContent() and returns
+// { errors, warnings }, each a list of { file, path, message }.
+// `path` points inside the file, e.g. "router-setup-basics[2].correct_answer".
+// ============================================================================
+
+import { QUESTION_TYPES, answerKeyError } from '../services/question-types.service.js';
+import { REVEAL_POLICIES, SCORING_POLICIES } from '../services/quiz-policy.service.js';
+import { MAX_PREREQUISITES } from '../services/prerequisite.service.js';
+
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+export const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Languages the code viewer can highlight
+export const LANGUAGES = [
+  'javascript', 'typescript', 'jsx', 'tsx', 'python', 'java', 'csharp', 'go', 'rust',
+  'sql', 'bash', 'shell', 'powershell', 'dockerfile', 'yaml', 'json', 'hcl', 'xml',
+  'html', 'css', 'scss', 'graphql', 'markdown', 'plaintext',
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// A lesson prerequisite: "topic-slug/lesson-slug"
+const LESSON_REFERENCE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*\/[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Field schemas. `json` fields may be given as a JSON string (the data files
+// often use JSON.stringify) and are checked after parsing.
+export const SCHEMAS = {
+  topic: {
+    name: { type: 'string', required: true, maxLength: 200 },
+    slug: { type: 'string', required: true, maxLength: 200, pattern: SLUG_PATTERN },
+    description: { type: 'string' },
+    estimated_time: { type: 'integer', min: 0 },
+    order_index: { type: 'integer', required: true, min: 0 },
+    icon: { type: 'string', maxLength: 100 },
+    mastery_threshold: { type: 'integer', min: 1, max: 100 },
+  },
+  lesson: {
+    title: { type: 'string', required: true, maxLength: 300 },
+    slug: { type: 'string', required: true, maxLength: 300, pattern: SLUG_PATTERN },
+    content: { type: 'string', required: true, markdown: true },
+    summary: { type: 'string', markdown: true },
+    difficulty_level: { type: 'string', enum: DIFFICULTY_LEVELS },
+    estimated_time: { type: 'integer', min: 0 },
+    order_index: { type: 'integer', required: true, min: 0 },
+    key_points: { type: 'array', items: 'string' },
+    quiz_max_attempts: { type: 'integer', min: 1 },
+    quiz_reveal_answers: { type: 'string', enum: REVEAL_POLICIES },
+    quiz_scoring: { type: 'string', enum: SCORING_POLICIES },
+    prerequisites: { type: 'array', items: 'string' },
+  },
+  example: {
+    title: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string' },
+    language: { type: 'string', required: true, enum: LANGUAGES },
+    code: { type: 'string', required: true },
+    explanation: { type: 'string', markdown: true },
+    order_index: { type: 'integer', required: true, min: 0 },
+    is_interactive: { type: 'boolean' },
+  },
+  question: {
+    key: { type: 'string', required: true, maxLength: 100, pattern: SLUG_PATTERN },
+    question_text: { type: 'string', required: true },
+    question_type: { type: 'string', required: true, enum: QUESTION_TYPES },
+    options: { type: 'array', items: 'string', json: true },
+    correct_answer: { type: 'string', required: true },
+    answer_key: { type: ['array', 'object'], json: true },
+    starter_code: { type: 'string' },
+    test_cases: { type: 'array', items: 'object', json: true },
+    explanation: { type: 'string', markdown: true },
+    difficulty: { type: 'string', enum: QUESTION_DIFFICULTIES },
+    points: { type: 'integer', min: 0 },
+    order_index: { type: 'integer', required: true, min: 0 },
+  },
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Opening ``` or ~~~ fences without a matching close. Returns the 1-based
+// line of the first unclosed fence, or null.
+export function unclosedFenceLine(markdown) {
+  let open = null;
+  markdown.split('\n').forEach((line, index) => {
+    const fence = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (!fence) return;
+    if (!open) {
+      open = { marker: fence[1], line: index + 1 };
+    } else if (fence[1][0] === open.marker[0] && fence[1].length >= open.marker.length && line.trim() === fence[1]) {
+      open = null;
+    }
+  });
+  return open?.line ?? null;
+}
+
+// Check one object against a schema; returns the object with JSON fields parsed
+function checkFields(schema, value, report, file, path) {
+  if (typeOf(value) !== 'object' || value === null) {
+    report.error(file, path, 'must be an object');
+    return null;
+  }
+
+  const parsed = { ...value };
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldPath = `${path}.${field}`;
+    let fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) report.error(file, fieldPath, 'is required');
+      continue;
+    }
+
+    if (rule.json && typeof fieldValue === 'string') {
+      try {
+        fieldValue = JSON.parse(fieldValue);
+        parsed[field] = fieldValue;
+      } catch {
+        report.error(file, fieldPath, 'is not valid JSON');
+        continue;
+      }
+    }
+
+    const actual = typeOf(fieldValue);
+    const types = [rule.type].flat();
+    if (!types.includes(actual)) {
+      const expected = types.map(type => type === 'integer' ? 'an integer' : `a ${type}`).join(' or ');
+      report.error(file, fieldPath, `must be ${expected}, got ${actual}`);
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      if (rule.required && !fieldValue.trim()) report.error(file, fieldPath, 'must not be empty');
+      if (rule.maxLength && fieldValue.length > rule.maxLength) {
+        report.error(file, fieldPath, `must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(fieldValue)) {
+        report.error(file, fieldPath, `"${fieldValue}" must be lowercase words joined by hyphens`);
+      }
+      if (rule.enum && !rule.enum.includes(fieldValue)) {
+        report.error(file, fieldPath, `unknown value "${fieldValue}" (expected one of: ${rule.enum.join(', ')})`);
+      }
+      if (rule.markdown) {
+        const line = unclosedFenceLine(fieldValue);
+        if (line) report.error(file, fieldPath, `code fence opened on line ${line} is never closed`);
+      }
+    }
+
+    if (rule.type === 'integer' && rule.min !== undefined && fieldValue < rule.min) {
+      report.error(file, fieldPath, `must be at least ${rule.min}`);
+    }
+
+    if (rule.type === 'integer' && rule.max !== undefined && fieldValue > rule.max) {
+      report.error(file, fieldPath, `must be at most ${rule.max}`);
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      fieldValue.forEach((item, index) => {
+        const itemType = typeOf(item);
+        if (itemType !== rule.items && !(rule.items === 'object' && itemType === 'object' && item !== null)) {
+          report.error(file, `${fieldPath}[${index}]`, `must be a ${rule.items}`);
+        }
+      });
+    }
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!schema[field]) {
+      report.warn(file, `${path}.${field}`, 'unknown field (typo?)');
+    }
+  }
+
+  return parsed;
+}
+
+// Report values that appear more than once, e.g. two lessons with one slug.
+// `locate(index)` returns the [file, path] of an item.
+function checkUnique(items, field, report, locate) {
+  const seen = new Map();
+  items.forEach((item, index) => {
+    const value = item?.[field];
+    if (value === undefined || value === null) return;
+    if (seen.has(value)) {
+      const [file, path] = locate(index);
+      const [otherFile, otherPath] = locate(seen.get(value));
+      const other = otherFile === file ? otherPath : otherFile;
+      report.error(file, `${path}.${field}`, `duplicate ${field} "${value}" (also used by ${other})`);
+    } else {
+      seen.set(value, index);
+    }
+  });
+}
+
+// Lesson prerequisites are "topic-slug/lesson-slug" references. Ones that
+// point outside the loaded content only warn: they may name a lesson that
+// exists in the database, and are left out when it does not.
+function checkPrerequisiteReferences(topics, report) {
+  const known = new Set(topics.flatMap(entry =>
+    Array.isArray(entry.lessons) ? entry.lessons.map(lesson => `${entry.topic?.slug}/${lesson?.slug}`) : []
+  ));
+
+  for (const entry of topics) {
+    if (!Array.isArray(entry.lessons)) continue;
+    entry.lessons.forEach((lesson, index) => {
+      const references = lesson?.prerequisites;
+      if (!Array.isArray(references)) return;
+
+      const [file, path] = entry.files.lessons
+        ? [entry.files.lessons[index], 'lesson.prerequisites']
+        : [entry.files.content, `lessons[${index}].prerequisites`];
+      const self = `${entry.topic?.slug}/${lesson.slug}`;
+
+      if (references.length > MAX_PREREQUISITES) {
+        report.error(file, path, `a lesson has at most ${MAX_PREREQUISITES} prerequisites`);
+      }
+      references.forEach((reference, i) => {
+        if (typeof reference !== 'string') return;
+        if (!LESSON_REFERENCE_PATTERN.test(reference)) {
+          report.error(file, `${path}[${i}]`, `"${reference}" must be "topic-slug/lesson-slug"`);
+        } else if (reference === self) {
+          report.error(file, `${path}[${i}]`, 'a lesson cannot be its own prerequisite');
+        } else if (references.indexOf(reference) !== i) {
+          report.error(file, `${path}[${i}]`, `"${reference}" is listed twice`);
+        } else if (!known.has(reference)) {
+          report.warn(file, `${path}[${i}]`, `no lesson "${reference}" here; it must already exist in the database`);
+        }
+      });
+    });
+  }
+}
+
+// Check a { 'lesson-slug': [items] } map of examples or quiz questions.
+// `files` maps a lesson slug to its Markdown file, if it has one.
+function checkLessonMap(map, schema, lessonSlugs, report, source, files = {}, checkItem) {
+  if (typeOf(map) !== 'object' || map === null) {
+    report.error(source, null, 'must be an object keyed by lesson slug');
+    return;
+  }
+
+  for (const [lessonSlug, items] of Object.entries(map)) {
+    const file = files[lessonSlug] ?? source;
+    if (!lessonSlugs.has(lessonSlug)) {
+      report.error(file, lessonSlug, `no lesson with slug "${lessonSlug}" in this topic`);
+    }
+    if (!Array.isArray(items)) {
+      report.error(file, lessonSlug, 'must be an array');
+      continue;
+    }
+
+    const pathOf = (index) => `${lessonSlug}[${index}]`;
+    const locate = (index) => [file, pathOf(index)];
+    items.forEach((item, index) => {
+      const parsed = checkFields(schema, item, report, file, pathOf(index));
+      if (parsed && checkItem) checkItem(parsed, file, pathOf(index));
+    });
+    checkUnique(items, 'order_index', report, locate);
+    if (schema === SCHEMAS.question) checkUnique(items, 'key', report, locate);
+    if (schema === SCHEMAS.example) checkUnique(items, 'title', report, locate);
+  }
+}
+
+export function validateContent({ topics, skipped = [], errors: loadErrors = [] }) {
+  const errors = [...loadErrors];
+  const warnings = [];
+  const report = {
+    error: (file, path, message) => errors.push({ file, path, message }),
+    warn: (file, path, message) => warnings.push({ file, path, message }),
+  };
+
+  for (const { path, reason } of skipped) {
+    report.error(path, null, reason);
+  }
+
+  for (const entry of topics) {
+    const { files } = entry;
+
+    if (!DIFFICULTY_LEVELS.includes(entry.difficulty)) {
+      report.error(entry.path, null, `difficulty folder "${entry.difficulty}" must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    checkFields(SCHEMAS.topic, entry.topic, report, files.content, 'topic');
+
+    if (!Array.isArray(entry.lessons)) {
+      report.error(files.content, 'lessons', 'must be an array');
+      continue;
+    }
+
+    // Markdown lessons live in one file each; JS lessons share content.js
+    const locateLesson = (index) => files.lessons
+      ? [files.lessons[index], 'lesson']
+      : [files.content, `lessons[${index}]`];
+    entry.lessons.forEach((lesson, index) => checkFields(SCHEMAS.lesson, lesson, report, ...locateLesson(index)));
+    checkUnique(entry.lessons, 'slug', report, locateLesson);
+    checkUnique(entry.lessons, 'order_index', report, locateLesson);
+
+    const lessonSlugs = new Set(entry.lessons.map(lesson => lesson?.slug));
+
+    checkLessonMap(entry.examples, SCHEMAS.example, lessonSlugs, report, files.examples, files.bySlug?.examples);
+    checkLessonMap(entry.quiz, SCHEMAS.question, lessonSlugs, report, files.quiz, files.bySlug?.quiz, (question, file, path) => {
+      const keyError = answerKeyError(question);
+      if (keyError) report.error(file, path, keyError);
+    });
+  }
+
+  checkPrerequisiteReferences(topics, report);
+
+  // Topic slugs are unique across the whole data folder
+  const topicPaths = new Map();
+  for (const entry of topics) {
+    const slug = entry.topic?.slug;
+    if (!slug) continue;
+    if (topicPaths.has(slug)) {
+      report.error(entry.files.content, 'topic.slug', `duplicate topic slug "${slug}" (also used by ${topicPaths.get(slug)})`);
+    } else {
+      topicPaths.set(slug, entry.files.content);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// "file: path: message" lines for printing
+export function formatIssue({ file, path, message }) {
+  return [file, path, message].filter(Boolean).join(': ');
+}
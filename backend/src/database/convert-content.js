@@ -0,0 +1,121 @@
+// ============================================================================
+// convert-content.js — Turn JS topic folders into YAML + Markdown files
+// ============================================================================
+//
+// content.js   → topic.yaml + lessons/NN-<slug>.md
+// examples.js  → examples.yaml
+// quiz.js      → quiz.yaml
+//
+// Each folder is parsed back and compared with the JS modules before anything
+// is written; the JS files are removed once the new files are in place.
+//
+// Usage:  npm run convert-content                     every JS topic folder
+//         npm run convert-content -- backend/intermediate/nodejs-basics
+//         npm run convert-content -- --dry-run        check only, write nothing
+// ============================================================================
+
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { loadContent, DATA_ROOT } from './content-loader.js';
+import { dumpYaml, parseYaml, formatLessonMarkdown, parseLessonMarkdown } from './content-formats.js';
+
+const jsonValue = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+// options and test_cases are often JSON strings in quiz.js; YAML gets lists
+const normalizeQuiz = (quiz) => Object.fromEntries(Object.entries(quiz).map(([slug, questions]) => [
+  slug,
+  questions.map(question => ({
+    ...question,
+    ...(question.options !== undefined && { options: jsonValue(question.options) }),
+    ...(question.test_cases !== undefined && { test_cases: jsonValue(question.test_cases) }),
+  })),
+]));
+
+// JSON with sorted keys, for comparing parsed files with the originals
+const canonical = (value) => JSON.stringify(value, (_, v) =>
+  v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(key => [key, v[key]]))
+    : v
+);
+
+const lessonFileName = (lesson) => `${String(lesson.order_index).padStart(2, '0')}-${lesson.slug}.md`;
+
+// Build the new files for one topic: [{ name, text }]
+function convertTopic(entry) {
+  const quiz = normalizeQuiz(entry.quiz);
+  const files = [{ name: 'topic.yaml', text: dumpYaml(entry.topic) }];
+
+  for (const lesson of entry.lessons) {
+    const name = join('lessons', lessonFileName(lesson));
+    const text = formatLessonMarkdown(lesson);
+    if (canonical(parseLessonMarkdown(text, lessonFileName(lesson))) !== canonical(lesson)) {
+      throw new Error(`${name} does not read back the same as content.js`);
+    }
+    files.push({ name, text });
+  }
+
+  for (const [name, map] of [['examples.yaml', entry.examples], ['quiz.yaml', quiz]]) {
+    if (Object.keys(map).length === 0) continue;
+    const text = dumpYaml(map);
+    if (canonical(parseYaml(text)) !== canonical(map)) {
+      throw new Error(`${name} does not read back the same as the JS module`);
+    }
+    files.push({ name, text });
+  }
+
+  return files;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const only = args.filter(arg => !arg.startsWith('--'));
+
+  const content = await loadContent();
+  if (content.errors.length > 0) {
+    content.errors.forEach(({ file, message }) => console.error(`  ❌  ${file}: ${message}`));
+    return false;
+  }
+
+  const targets = content.topics.filter(entry =>
+    entry.files.content.endsWith('/content.js') && (only.length === 0 || only.includes(entry.path))
+  );
+  const unknown = only.filter(path => !content.topics.some(entry => entry.path === path));
+  for (const path of unknown) {
+    console.error(`  ❌  ${path}: not a topic folder under data/`);
+  }
+
+  let failed = unknown.length > 0;
+  for (const entry of targets) {
+    try {
+      const files = convertTopic(entry);
+      if (!dryRun) {
+        const folder = join(DATA_ROOT, entry.path);
+        await mkdir(join(folder, 'lessons'), { recursive: true });
+        for (const { name, text } of files) {
+          await writeFile(join(folder, name), text);
+        }
+        for (const file of ['content.js', 'examples.js', 'quiz.js']) {
+          await rm(join(folder, file), { force: true });
+        }
+      }
+      console.log(`  ✅  ${entry.path} (${files.length} file(s))`);
+    } catch (error) {
+      failed = true;
+      console.error(`  ❌  ${entry.path}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(dryRun
+    ? `  🔍  Dry run: ${targets.length} folder(s) checked, nothing was written`
+    : `  Converted ${targets.length} folder(s)`);
+  return !failed;
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,7 @@
 const quiz = {
   "cloud-native-patterns": [
     {
+      key: "kubernetes-difference-between-liveness",
       question_text:
         "In Kubernetes, what is the primary difference between a liveness probe and a readiness probe?",
       question_type: "multiple_choice",
@@ -18,6 +19,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "according-12-factor-app",
       question_text:
         "According to the 12-Factor App methodology, where should application configuration (database URLs, API keys) be stored?",
       question_type: "multiple_choice",
@@ -35,6 +37,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "strangler-fig-pattern-cloud",
       question_text:
         "What is the Strangler Fig pattern in cloud architecture?",
       question_type: "multiple_choice",
@@ -52,6 +55,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "accurately-describes-terraform-s",
       question_text:
         "Which of the following accurately describes Terraform's plan-apply workflow?",
       question_type: "multiple_choice",
@@ -69,6 +73,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "cold-start-serverless-computing",
       question_text:
         "What is a 'cold start' in serverless computing, and which strategy most effectively mitigates it?",
       question_type: "multiple_choice",
@@ -86,6 +91,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "cloud-vpc-architecture-purpose",
       question_text:
         "In a cloud VPC architecture, what is the purpose of placing application servers in a private subnet with a NAT gateway?",
       question_type: "multiple_choice",
@@ -103,6 +109,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "cloud-cost-optimization-strategy",
       question_text:
         "Which cloud cost optimization strategy offers the highest potential savings but requires workloads to be fault-tolerant?",
       question_type: "multiple_choice",
@@ -120,6 +127,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "sidecar-pattern-cloud-architecture",
       question_text:
         "What does the Sidecar pattern in cloud architecture achieve, and how is it typically implemented in Kubernetes?",
       question_type: "multiple_choice",
@@ -5,6 +5,7 @@
 const quiz = {
   'microservices-fundamentals': [
     {
+      key: "reason-database-per-service",
       question_text: "What is the primary reason for the 'database-per-service' pattern in microservices?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -19,6 +20,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "not-use-microservices",
       question_text: "When should you NOT use microservices?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "domain-driven-design-bounded",
       question_text: "In Domain-Driven Design, what is a Bounded Context?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -47,6 +50,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "bff-backend-frontend-pattern",
       question_text: "What is the BFF (Backend for Frontend) pattern?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -61,6 +65,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-blue-green",
       question_text: "What is the key difference between blue-green and canary deployment strategies?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -78,6 +83,7 @@ const quiz = {
 
   'service-communication-resilience': [
     {
+      key: "asynchronous-communication-preferred-over",
       question_text: "Why is asynchronous communication preferred over synchronous for event-driven workflows?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -92,6 +98,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "difference-between-rabbitmq-apache",
       question_text: "What is the main difference between RabbitMQ and Apache Kafka?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -106,6 +113,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "three-states-circuit-breaker",
       question_text: "What are the three states of a circuit breaker, and what does each do?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -120,6 +128,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "retry-logic-include-exponential",
       question_text: "Why should retry logic include exponential backoff WITH jitter?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -134,6 +143,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "bulkhead-pattern-protect-against",
       question_text: "What does the bulkhead pattern protect against, and how does it work?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -1,6 +1,7 @@
 const quiz = {
   "owasp-top-10-secure-coding": [
     {
+      key: "owasp-top-10-2021",
       question_text:
         "Which OWASP Top 10 (2021) category addresses vulnerabilities where users can act outside their intended permissions, such as accessing another user's data by modifying a URL parameter?",
       question_type: "multiple_choice",
@@ -17,6 +18,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "defense-against-sql-injection",
       question_text:
         "What is the PRIMARY defense against SQL injection attacks?",
       question_type: "multiple_choice",
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "password-hashing-algorithm-recommended",
       question_text:
         "Which password hashing algorithm is recommended as the strongest choice for new applications, having won the Password Hashing Competition?",
       question_type: "multiple_choice",
@@ -49,6 +52,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "context-secure-authentication-login",
       question_text:
         "In the context of secure authentication, why should a login endpoint return the SAME error message whether the email doesn't exist or the password is wrong?",
       question_type: "multiple_choice",
@@ -66,6 +70,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "content-security-policy-csp",
       question_text:
         "What does the Content-Security-Policy (CSP) header primarily protect against?",
       question_type: "multiple_choice",
@@ -83,6 +88,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "security-principle-states-every",
       question_text:
         "Which security principle states that every user, process, or service should operate with the minimum set of permissions required to perform its function?",
       question_type: "multiple_choice",
@@ -99,6 +105,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "developer-stores-api-keys",
       question_text:
         "A developer stores API keys directly in their source code repository. Which security practice does this violate, and what is the recommended alternative?",
       question_type: "multiple_choice",
@@ -116,6 +123,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "difference-between-sast-static",
       question_text:
         "What is the key difference between SAST (Static Application Security Testing) and DAST (Dynamic Application Security Testing)?",
       question_type: "multiple_choice",
@@ -8,6 +8,7 @@ const quiz = {
   // ─────────────────────────────────────────────────────────────────────────
   "restful-api-design": [
     {
+      key: "six-rest-constraints-violated",
       question_text:
         "Which of the six REST constraints is violated when a server stores user session data in memory (e.g., an in-memory cart object), and what is the practical consequence?",
       question_type: "multiple_choice",
@@ -25,6 +26,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "client-sends-put-api",
       question_text:
         "A client sends `PUT /api/v1/users/123` with `{ \"name\": \"Alice\", \"email\": \"alice@example.com\" }`, but the user resource also has `role`, `avatar_url`, and `bio` fields. What happens to the omitted fields, and how does this differ from PATCH?",
       question_type: "multiple_choice",
@@ -42,6 +44,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "api-returns-403-forbidden",
       question_text:
         "An API returns `403 Forbidden` when a regular user tries to access `GET /api/v1/admin/reports`. A colleague argues it should return `404 Not Found` instead. Who is correct, and why?",
       question_type: "multiple_choice",
@@ -59,6 +62,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "api-s-product-listing",
       question_text:
         "Your API's product listing endpoint uses offset-based pagination (`?page=500&per_page=20`). Users report that deep pages (page 500+) load extremely slowly on a table with 2 million rows. What is the root cause, and what pagination strategy would you recommend instead?",
       question_type: "multiple_choice",
@@ -76,6 +80,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "payment-api-receives-post",
       question_text:
         "A payment API receives a `POST /api/v1/charges` request. The server successfully creates the charge and debits the customer's card, but the response is lost due to a network timeout. The client retries the exact same request. Without any idempotency mechanism, what happens, and how do you prevent it?",
       question_type: "multiple_choice",
@@ -93,6 +98,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "api-currently-returns-flat",
       question_text:
         "Your API currently returns flat product data. A colleague proposes adding HATEOAS links to the response like `{ _links: { self: '/products/123', reviews: '/products/123/reviews', category: '/categories/5' } }`. Another colleague argues this is unnecessary complexity. When does HATEOAS provide real value, and when is it overkill?",
       question_type: "multiple_choice",
@@ -110,6 +116,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "re-designing-new-api",
       question_text:
         "You're designing a new API for a startup building a mobile app and a web dashboard. The mobile app needs only 3 fields from the User resource (name, avatar, last_seen), while the web dashboard needs 15+ fields including full activity history. A team member suggests GraphQL. Another prefers REST with sparse fieldsets. What are the trade-offs?",
       question_type: "multiple_choice",
@@ -127,6 +134,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "api-returns-error-invalid",
       question_text:
         "Your API returns the following error for an invalid registration request:\n\n```json\n{ \"error\": \"Something went wrong\" }\n```\n\nWhat are ALL the problems with this error response, and what should it look like according to RFC 7807?",
       question_type: "multiple_choice",
@@ -8,6 +8,7 @@ const quiz = {
   // ─────────────────────────────────────────────────────────────────────────
   "what-is-software-architecture": [
     {
+      key: "distinguishes-architectural-decision-design",
       question_text:
         "What distinguishes an 'architectural' decision from a 'design' decision, and why does this distinction matter in practice?",
       question_type: "multiple_choice",
@@ -25,6 +26,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "strict-layered-n-tier",
       question_text:
         "In a strict layered (N-tier) architecture, what is the core communication rule, and what problem does violating it cause?",
       question_type: "multiple_choice",
@@ -42,6 +44,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "hexagonal-architecture-ports-adapters",
       question_text:
         "What is the Hexagonal Architecture (Ports & Adapters) pattern, and how does it differ from traditional layered architecture in terms of dependency direction?",
       question_type: "multiple_choice",
@@ -59,6 +62,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "quality-attributes-non-functional",
       question_text:
         "How do quality attributes (non-functional requirements) create trade-offs in architecture decisions? Give an example of two quality attributes that are inherently in tension.",
       question_type: "multiple_choice",
@@ -76,6 +80,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "c4-model-architecture-documentation",
       question_text:
         "What is the C4 model for architecture documentation, what are its four levels, and how do you decide which level to use for a given audience?",
       question_type: "multiple_choice",
@@ -99,6 +104,7 @@ const quiz = {
   // ─────────────────────────────────────────────────────────────────────────
   "architecture-decision-records": [
     {
+      key: "purpose-architecture-decision-record",
       question_text:
         "What is the primary purpose of an Architecture Decision Record (ADR), and what key sections must it contain to be effective?",
       question_type: "multiple_choice",
@@ -116,6 +122,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "happens-architectural-decision-needs",
       question_text:
         "What happens when an architectural decision needs to change? How does the ADR lifecycle handle superseded decisions, and why should old ADRs never be deleted or edited?",
       question_type: "multiple_choice",
@@ -133,6 +140,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-nygard-adr",
       question_text:
         "What is the difference between the Nygard ADR format and MADR (Markdown Any Decision Record), and when would you choose one over the other?",
       question_type: "multiple_choice",
@@ -150,6 +158,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "where-adrs-stored-advantages",
       question_text:
         "Where should ADRs be stored, and what are the advantages of keeping them in the code repository versus a separate documentation system (Confluence, Notion, Google Docs)?",
       question_type: "multiple_choice",
@@ -167,6 +176,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "common-pitfalls-teams-encounter",
       question_text:
         "What are the most common pitfalls teams encounter when adopting ADRs, and how do you avoid each one?",
       question_type: "multiple_choice",
@@ -1,6 +1,7 @@
 const quiz = {
   "design-url-shortener": [
     {
+      key: "need-generate-100-million",
       question_text:
         "You need to generate 100 million unique short URLs per day with zero collisions and minimal latency per write. Which URL generation strategy is most appropriate?",
       question_type: "multiple_choice",
@@ -18,6 +19,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "url-shortener-uses-302",
       question_text:
         "Your URL shortener uses 302 (Temporary) redirects instead of 301 (Permanent) redirects. A product manager asks why this increases server load. What is the correct explanation?",
       question_type: "multiple_choice",
@@ -35,6 +37,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "url-shortener-handles-116",
       question_text:
         "Your URL shortener handles 116,000 read requests per second. You implement a Redis cache with LRU eviction. After analysis, you find that 20% of URLs account for 80% of traffic. How much cache memory do you need to achieve an ~80% hit rate?",
       question_type: "multiple_choice",
@@ -52,6 +55,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "re-designing-database-partitioning",
       question_text:
         "You're designing the database partitioning strategy for a URL shortener storing 182 billion URL records across multiple shards. Which partitioning approach minimizes hotspots and supports efficient single-key lookups?",
       question_type: "multiple_choice",
@@ -69,6 +73,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "url-shortener-s-kgs",
       question_text:
         "Your URL shortener's KGS (Key Generation Service) pre-generates keys in a database with two tables: 'free_keys' and 'used_keys'. During a deployment, an application server crashes before using all its allocated keys. What should happen to the allocated but unused keys?",
       question_type: "multiple_choice",
@@ -88,6 +93,7 @@ const quiz = {
   ],
   "design-chat-system": [
     {
+      key: "re-designing-chat-system",
       question_text:
         "You're designing a chat system that must support 500 million concurrent users with real-time message delivery under 100ms. Which communication protocol should you choose for the primary chat connection?",
       question_type: "multiple_choice",
@@ -105,6 +111,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "chat-system-user-sends",
       question_text:
         "In your chat system, a user sends a message to a group with 300 members. Using fan-out-on-write, this creates 299 write operations. Your system architect proposes a hybrid approach. What is the recommended strategy?",
       question_type: "multiple_choice",
@@ -122,6 +129,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "chat-system-uses-heartbeat",
       question_text:
         "Your chat system uses a heartbeat-based presence service. A user's phone loses network connectivity abruptly (no graceful disconnect). How does the system detect that the user is offline?",
       question_type: "multiple_choice",
@@ -139,6 +147,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "chat-system-needs-generate",
       question_text:
         "Your chat system needs to generate message IDs that are globally unique, time-sortable, and can be generated independently by thousands of servers without coordination. Which approach is best?",
       question_type: "multiple_choice",
@@ -156,6 +165,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "chat-system-supports-end",
       question_text:
         "Your chat system supports end-to-end encryption (E2EE). A user reports that push notifications show 'You have a new message' instead of the actual message preview. The PM asks you to show message previews in notifications. What is your response?",
       question_type: "multiple_choice",
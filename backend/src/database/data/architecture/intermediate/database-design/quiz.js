@@ -5,6 +5,7 @@
 const quiz = {
   'normalization-schema-design': [
     {
+      key: "three-types-anomalies-normalization",
       question_text: "What are the three types of anomalies that normalization prevents?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -19,6 +20,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "table-has-composite-student",
       question_text: "A table has a composite primary key (student_id, course_id). The column 'student_name' depends only on student_id. Which normal form does this violate?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "given-table-users-id",
       question_text: "Given a table: users(id, name, zip_code, city, state) — where city and state are determined by zip_code — which normal form is violated and why?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -47,6 +50,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "denormalization-appropriate-design-choice",
       question_text: "When is denormalization an appropriate design choice?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -61,6 +65,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "model-many-many-m",
       question_text: "How do you model a many-to-many (M:N) relationship between 'users' and 'roles' in a relational database?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -75,6 +80,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "difference-between-single-table",
       question_text: "What is the key difference between Single Table Inheritance (STI) and Class Table Inheritance?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -89,6 +95,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "choose-uuids-over-auto",
       question_text: "When should you choose UUIDs over auto-incrementing SERIAL IDs as primary keys?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -103,6 +110,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "purpose-soft-deletes-typically",
       question_text: "What is the purpose of soft deletes, and how are they typically implemented in PostgreSQL?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -117,6 +125,7 @@ const quiz = {
       order_index: 8,
     },
     {
+      key: "postgresql-data-type-use",
       question_text: "Which PostgreSQL data type should you use for storing monetary values, and why?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -131,6 +140,7 @@ const quiz = {
       order_index: 9,
     },
     {
+      key: "delete-cascade-foreign-constraint",
       question_text: "What does ON DELETE CASCADE do on a foreign key constraint?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -147,6 +157,7 @@ const quiz = {
   ],
   'indexing-query-optimization': [
     {
+      key: "b-tree-index-find",
       question_text: "How does a B-tree index find a row in a table with 10 million rows?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -161,6 +172,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "given-composite-index-create",
       question_text: "Given the composite index CREATE INDEX idx ON orders(user_id, status, created_at), which query can use this index?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -175,6 +187,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "covering-index-performance-benefit",
       question_text: "What is a covering index, and what performance benefit does it provide?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -189,6 +202,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "see-explain-analyze-output",
       question_text: "You see this in EXPLAIN ANALYZE output:\n\n```\nSeq Scan on orders (actual rows=20000)\n  Filter: (status = 'delivered')\n  Rows Removed by Filter: 80000\n```\n\nWhat does this tell you?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -203,6 +217,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "n-1-query-problem",
       question_text: "What is the N+1 query problem, and how do you fix it?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -217,6 +232,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "avoid-using-select-production",
       question_text: "Why should you avoid using SELECT * in production queries?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -231,6 +247,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "use-exists-instead-subqueries",
       question_text: "When should you use EXISTS instead of IN for subqueries?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -245,6 +262,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "materialized-view-use-one",
       question_text: "What is a materialized view, and when should you use one?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -259,6 +277,7 @@ const quiz = {
       order_index: 8,
     },
     {
+      key: "purpose-partial-index-postgresql",
       question_text: "What is the purpose of a partial index in PostgreSQL?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -273,6 +292,7 @@ const quiz = {
       order_index: 9,
     },
     {
+      key: "partitioning-strategy-time-series",
       question_text: "Which partitioning strategy is best for time-series data like event logs?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -8,6 +8,7 @@ const quiz = {
   // ─────────────────────────────────────────────────────────────────────────
   "caching-strategies": [
     {
+      key: "service-uses-cache-aside",
       question_text:
         "A service uses cache-aside (lazy loading) to cache user profiles in Redis with a 1-hour TTL. After a user updates their profile, other users still see the old data for up to an hour. What is the best fix, and why is TTL alone insufficient?",
       question_type: "multiple_choice",
@@ -25,6 +26,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "popular-e-commerce-site",
       question_text:
         "A popular e-commerce site caches its homepage product list in Redis with a 5-minute TTL. At exactly the TTL boundary, hundreds of simultaneous requests find the cache empty and all hit the database at once, causing a brief outage. What is this problem called, and what are two effective solutions?",
       question_type: "multiple_choice",
@@ -42,6 +44,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "re-designing-caching-layer",
       question_text:
         "You're designing the caching layer for an API. Static product images should be cached for 1 year, the product listing API should be cached by CDNs for 5 minutes and browsers for 1 minute, and user-specific cart data should never be cached by CDNs. What Cache-Control headers would you set for each?",
       question_type: "multiple_choice",
@@ -59,6 +62,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "redis-instance-configured-2gb",
       question_text:
         "Your Redis instance is configured with 2GB maxmemory and the 'allkeys-lru' eviction policy. A team member suggests switching to 'volatile-lru'. What is the difference, and when would you choose each?",
       question_type: "multiple_choice",
@@ -76,6 +80,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "application-has-4-cache",
       question_text:
         "An application has 4 cache layers: browser, CDN, application (in-process Map), and Redis. A request for product data flows through all layers. In what order are they checked, and what happens at each layer on a full cache miss?",
       question_type: "multiple_choice",
@@ -99,6 +104,7 @@ const quiz = {
   // ─────────────────────────────────────────────────────────────────────────
   "load-balancing-horizontal-scaling": [
     {
+      key: "system-uses-3-cache",
       question_text:
         "Your system uses 3 cache servers with modular hashing (key.hashCode() % 3) to distribute cache keys. When you add a 4th server, nearly all cached data becomes inaccessible, causing a massive spike in database load. What went wrong, and what hashing strategy prevents this?",
       question_type: "multiple_choice",
@@ -116,6 +122,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "team-deploys-node-js",
       question_text:
         "A team deploys their Node.js API across 5 identical servers behind a round-robin load balancer. Users report that their shopping cart randomly appears empty. What is the root cause, and how should the team fix it?",
       question_type: "multiple_choice",
@@ -133,6 +140,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "need-choose-load-balancing",
       question_text:
         "You need to choose a load balancing algorithm for an API gateway that routes to backend microservices. Some endpoints (image processing) take 5 seconds, while others (health checks) take 5 milliseconds. Which algorithm is best, and why are the alternatives worse?",
       question_type: "multiple_choice",
@@ -150,6 +158,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "postgresql-database-handles-10",
       question_text:
         "Your PostgreSQL primary database handles 10,000 reads/second and 500 writes/second. Reads are becoming slow. You add two read replicas, but a developer reports that users sometimes see stale data immediately after updating their profile. What causes this, and what is the best solution?",
       question_type: "multiple_choice",
@@ -167,6 +176,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "kubernetes-deployment-runs-3",
       question_text:
         "Your Kubernetes deployment runs 3 pods of an API server. The Horizontal Pod Autoscaler (HPA) is configured to scale based on CPU utilization with a target of 70%. Traffic surges at 9 AM, but by the time new pods are ready (90 seconds), the existing pods are already overwhelmed. How do you prevent this?",
       question_type: "multiple_choice",
@@ -5,6 +5,7 @@
 export default {
   'clean-architecture-principles': [
     {
+      key: "dependency-rule-clean-architecture",
       question_text: "What is the Dependency Rule in Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -19,6 +20,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "layer-clean-architecture-contains",
       question_text: "Which layer in Clean Architecture contains the enterprise-wide business rules and is the LEAST likely to change?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -33,6 +35,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "clean-architecture-where-concrete",
       question_text: "In Clean Architecture, where should a concrete PostgreSQL database implementation (e.g., PostgresUserRepository) be placed?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -47,6 +50,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "port-clean-architecture-hexagonal",
       question_text: "What is a 'Port' in Clean Architecture / Hexagonal Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -61,6 +65,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "solid-principle-directly-embodied",
       question_text: "Which SOLID principle is MOST directly embodied by the Dependency Rule in Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -75,6 +80,7 @@ export default {
       order_index: 5,
     },
     {
+      key: "difference-between-driving-adapter",
       question_text: "What is the difference between a 'driving adapter' and a 'driven adapter' in Hexagonal/Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -89,6 +95,7 @@ export default {
       order_index: 6,
     },
     {
+      key: "developer-puts-sql-queries",
       question_text: "A developer puts SQL queries directly inside a Use Case class. Which Clean Architecture principle does this violate?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -106,6 +113,7 @@ export default {
 
   'implementing-clean-architecture-nodejs': [
     {
+      key: "composition-root-clean-architecture",
       question_text: "What is the 'Composition Root' in a Clean Architecture Node.js application?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -120,6 +128,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "node-js-clean-architecture",
       question_text: "In a Node.js Clean Architecture project, which folder should have ZERO imports from any other application folder?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -134,6 +143,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "purpose-mapper-clean-architecture",
       question_text: "What is the primary purpose of a Mapper in Clean Architecture (e.g., OrderMapper)?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -148,6 +158,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "domain-errors-e-g",
       question_text: "How should domain errors (e.g., DomainError, ValidationError) be translated into HTTP responses in Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -162,6 +173,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "testing-use-case-clean",
       question_text: "When testing a Use Case in Clean Architecture, what should you use instead of the real PostgreSQL database?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -176,6 +188,7 @@ export default {
       order_index: 5,
     },
     {
+      key: "correct-dependency-direction-clean",
       question_text: "What is the correct dependency direction in a Clean Architecture Node.js project?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -190,6 +203,7 @@ export default {
       order_index: 6,
     },
     {
+      key: "developer-wants-add-graphql",
       question_text: "A developer wants to add GraphQL support to an existing Clean Architecture REST API. What is the minimum set of changes required?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -204,6 +218,7 @@ export default {
       order_index: 7,
     },
     {
+      key: "constructor-injection-preferred-over",
       question_text: "Why is constructor injection preferred over a Service Locator pattern in Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -218,6 +233,7 @@ export default {
       order_index: 8,
     },
     {
+      key: "value-object-clean-architecture",
       question_text: "What is a Value Object in Clean Architecture, and how does it differ from an Entity?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -232,6 +248,7 @@ export default {
       order_index: 9,
     },
     {
+      key: "not-use-clean-architecture",
       question_text: "When should you NOT use Clean Architecture?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -5,6 +5,7 @@
 export default {
   'ddd-strategic-patterns': [
     {
+      key: "purpose-ubiquitous-language-ddd",
       question_text: "What is the primary purpose of Ubiquitous Language in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -19,6 +20,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "problem-bounded-contexts-solve",
       question_text: "What problem do Bounded Contexts solve in a large domain model?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -33,6 +35,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "use-anti-corruption-layer",
       question_text: "When should you use an Anti-Corruption Layer (ACL) in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -47,6 +50,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "core-domain-core-subdomain",
       question_text: "What is a Core Domain (Core Subdomain) in DDD, and how should it be treated?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -61,6 +65,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "customer-supplier-context-mapping",
       question_text: "In the Customer-Supplier context mapping pattern, what is the relationship between the upstream and downstream contexts?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -78,6 +83,7 @@ export default {
 
   'ddd-tactical-patterns': [
     {
+      key: "fundamental-difference-between-entity",
       question_text: "What is the fundamental difference between an Entity and a Value Object in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -92,6 +98,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "must-all-modifications-entities",
       question_text: "Why must all modifications to entities inside an Aggregate go through the Aggregate Root?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -106,6 +113,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "according-vaughn-vernon-s",
       question_text: "According to Vaughn Vernon's Aggregate design rules, how should one Aggregate reference another?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -120,6 +128,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "difference-between-domain-service",
       question_text: "What is the key difference between a Domain Service and an Application Service in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -134,6 +143,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "correct-rule-repositories-ddd",
       question_text: "Which of the following is a correct rule about Repositories in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -148,6 +158,7 @@ export default {
       order_index: 5,
     },
     {
+      key: "value-objects-designed-immutable",
       question_text: "Why are Value Objects designed to be immutable in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -162,6 +173,7 @@ export default {
       order_index: 6,
     },
     {
+      key: "purpose-specification-pattern-ddd",
       question_text: "What is the purpose of the Specification pattern in DDD?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -176,6 +188,7 @@ export default {
       order_index: 7,
     },
     {
+      key: "use-factory-instead-constructor",
       question_text: "When should you use a Factory instead of a constructor for creating Aggregates?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -190,6 +203,7 @@ export default {
       order_index: 8,
     },
     {
+      key: "mean-domain-events-enable",
       question_text: "What does it mean for Domain Events to enable 'eventual consistency' between Aggregates?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -204,6 +218,7 @@ export default {
       order_index: 9,
     },
     {
+      key: "ddd-project-structure-layer",
       question_text: "In a DDD project structure, which layer should have ZERO external dependencies — no imports from application or infrastructure layers?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -5,6 +5,7 @@
 export default {
   'event-driven-architecture-fundamentals': [
     {
+      key: "advantage-event-driven-architecture",
       question_text: "What is the primary advantage of event-driven architecture over synchronous request-driven communication between services?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -19,6 +20,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "must-event-consumers-idempotent",
       question_text: "Why must event consumers be idempotent in an event-driven system, and what happens if they are not?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -33,6 +35,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "difference-between-domain-event",
       question_text: "What is the difference between a Domain Event and an Integration Event?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -47,6 +50,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "event-sourcing-problem-solve",
       question_text: "What is Event Sourcing and what problem does it solve compared to traditional state-based persistence?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -61,6 +65,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "cqrs-command-query-responsibility",
       question_text: "What does CQRS (Command Query Responsibility Segregation) separate, and when is it worth introducing?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -75,6 +80,7 @@ export default {
       order_index: 5,
     },
     {
+      key: "eventual-consistency-manifest-event",
       question_text: "How does eventual consistency manifest in event-driven systems, and what is the 'stale read' problem?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -91,6 +97,7 @@ export default {
   ],
   'implementing-event-driven-systems': [
     {
+      key: "choose-apache-kafka-over",
       question_text: "When should you choose Apache Kafka over RabbitMQ as your message broker?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -105,6 +112,7 @@ export default {
       order_index: 1,
     },
     {
+      key: "dead-letter-queue-dlq",
       question_text: "What is a Dead Letter Queue (DLQ), and why is it essential in production event-driven systems?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -119,6 +127,7 @@ export default {
       order_index: 2,
     },
     {
+      key: "exponential-backoff-jitter-recommended",
       question_text: "Why is exponential backoff with jitter recommended over fixed-delay retries in distributed event-driven systems?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -133,6 +142,7 @@ export default {
       order_index: 3,
     },
     {
+      key: "saga-pattern-differ-traditional",
       question_text: "What is the Saga pattern, and how does it differ from traditional distributed transactions?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -147,6 +157,7 @@ export default {
       order_index: 4,
     },
     {
+      key: "difference-between-choreography-based",
       question_text: "What is the difference between choreography-based and orchestration-based sagas?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -161,6 +172,7 @@ export default {
       order_index: 5,
     },
     {
+      key: "optimistic-concurrency-control-event",
       question_text: "What is optimistic concurrency control in an event store, and why is it necessary?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -175,6 +187,7 @@ export default {
       order_index: 6,
     },
     {
+      key: "purpose-correlation-id-event",
       question_text: "What is the purpose of a correlation ID in event-driven systems?",
       question_type: "multiple_choice",
       options: JSON.stringify([
@@ -189,6 +202,7 @@ export default {
       order_index: 7,
     },
     {
+      key: "event-snapshots-used-event",
       question_text: "Why are event snapshots used in event sourcing, and when should you create one?",
       question_type: "multiple_choice",
       options: JSON.stringify([
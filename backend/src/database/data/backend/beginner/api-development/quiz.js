@@ -5,6 +5,7 @@
 const quiz = {
   'rest-principles-express': [
     {
+      key: "http-method-used-create",
       question_text: "Which HTTP method should be used to create a new resource?",
       question_type: "multiple_choice",
       options: ["GET", "POST", "PUT", "PATCH"],
@@ -14,6 +15,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "status-code-successful-delete",
       question_text: "What status code should a successful DELETE return?",
       question_type: "multiple_choice",
       options: ["200 OK", "201 Created", "204 No Content", "404 Not Found"],
@@ -23,6 +25,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "idempotent-mean-context-http",
       question_text: "What does 'idempotent' mean in the context of HTTP methods?",
       question_type: "multiple_choice",
       options: ["The request is encrypted", "Calling it multiple times produces the same result as calling it once", "The response is always empty", "The method requires authentication"],
@@ -32,6 +35,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "uri-design-follows-rest",
       question_text: "Which URI design follows REST best practices?",
       question_type: "multiple_choice",
       options: ["/api/getUsers", "/api/users", "/api/userList", "/api/fetch-all-users"],
@@ -41,6 +45,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-put-patch",
       question_text: "What is the difference between PUT and PATCH?",
       question_type: "multiple_choice",
       options: ["PUT is faster than PATCH", "PUT replaces the entire resource, PATCH updates only specific fields", "PATCH creates a resource, PUT updates it", "There is no difference"],
@@ -52,6 +57,7 @@ const quiz = {
   ],
   'middleware-validation-errors': [
     {
+      key: "makes-express-error-handling",
       question_text: "What makes an Express error-handling middleware different from regular middleware?",
       question_type: "multiple_choice",
       options: ["It uses app.error()", "It has 4 parameters (err, req, res, next)", "It must be the first middleware", "It returns a Promise"],
@@ -61,6 +67,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "calling-next-without-any",
       question_text: "What does calling next() without any arguments do in middleware?",
       question_type: "multiple_choice",
       options: ["Sends a response to the client", "Passes control to the next middleware in the stack", "Ends the request immediately", "Throws an error"],
@@ -70,6 +77,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "validate-input-server-even",
       question_text: "Why should you validate input on the server even if the client validates it?",
       question_type: "multiple_choice",
       options: ["Client-side validation is always wrong", "Users can bypass client validation using dev tools, API clients, or scripts", "Server validation is faster", "It's required by HTTP specification"],
@@ -79,6 +87,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "purpose-asynchandler-wrapper-pattern",
       question_text: "What is the purpose of the asyncHandler wrapper pattern?",
       question_type: "multiple_choice",
       options: ["Makes synchronous code run faster", "Automatically catches async errors and passes them to the error handler via next(err)", "Converts callbacks to promises", "Adds logging to async functions"],
@@ -88,6 +97,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "http-status-code-indicates",
       question_text: "What HTTP status code indicates a rate limit has been exceeded?",
       question_type: "multiple_choice",
       options: ["400 Bad Request", "403 Forbidden", "429 Too Many Requests", "503 Service Unavailable"],
@@ -5,6 +5,7 @@
 const quiz = {
   'classes-objects-encapsulation': [
     {
+      key: "encapsulation-oop",
       question_text: "What is encapsulation in OOP?",
       question_type: "multiple_choice",
       options: ["Inheriting from a parent class", "Bundling data and methods while hiding internal state", "Creating multiple instances of a class", "Converting objects to JSON"],
@@ -14,6 +15,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "declare-private-field-modern",
       question_text: "How do you declare a private field in modern JavaScript classes?",
       question_type: "multiple_choice",
       options: ["Using the private keyword", "Prefixing with # (e.g., #balance)", "Prefixing with _ (e.g., _balance)", "Using Object.freeze()"],
@@ -23,6 +25,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "three-fundamental-aspects-every",
       question_text: "What are the three fundamental aspects of every object?",
       question_type: "multiple_choice",
       options: ["Name, type, value", "Identity, state, behavior", "Class, instance, method", "Public, private, protected"],
@@ -32,6 +35,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "keyword-refer-inside-class",
       question_text: "What does the 'this' keyword refer to inside a class method?",
       question_type: "multiple_choice",
       options: ["The class definition itself", "The global window object", "The current object instance calling the method", "The parent class"],
@@ -41,6 +45,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-static-method",
       question_text: "What is the difference between a static method and an instance method?",
       question_type: "multiple_choice",
       options: ["Static methods are faster", "Static methods belong to the class itself, instance methods belong to each object", "Static methods cannot return values", "There is no difference"],
@@ -52,6 +57,7 @@ const quiz = {
   ],
   'inheritance-polymorphism': [
     {
+      key: "super-call-subclass-constructor",
       question_text: "What does the super() call do in a subclass constructor?",
       question_type: "multiple_choice",
       options: ["Creates a new instance of the subclass", "Calls the parent class constructor", "Makes the class abstract", "Overrides the parent method"],
@@ -61,6 +67,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "polymorphism",
       question_text: "What is polymorphism?",
       question_type: "multiple_choice",
       options: ["Having multiple constructors", "Objects of different types responding to the same interface", "A class inheriting from multiple parents", "Converting between data types"],
@@ -70,6 +77,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "prototype-chain-javascript",
       question_text: "What is the prototype chain in JavaScript?",
       question_type: "multiple_choice",
       options: ["A design pattern for creating objects", "A linked chain of objects where each has a reference to its prototype, ending at null", "A way to chain method calls", "A list of all classes in the program"],
@@ -79,6 +87,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "composition-over-inheritance-recommended",
       question_text: "Why is 'composition over inheritance' recommended?",
       question_type: "multiple_choice",
       options: ["Composition is always faster", "Composition avoids tight coupling and allows flexible behavior mixing", "Inheritance is deprecated in modern JavaScript", "Composition uses less memory"],
@@ -88,6 +97,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "instanceof-operator-check",
       question_text: "What does the instanceof operator check?",
       question_type: "multiple_choice",
       options: ["If two objects have the same properties", "If an object is an instance of a specific class or its ancestors", "If a class is abstract", "If a method exists on an object"],
@@ -99,6 +109,7 @@ const quiz = {
   ],
   'abstraction-solid-intro': [
     {
+      key: "single-responsibility-principle-state",
       question_text: "What does the Single Responsibility Principle state?",
       question_type: "multiple_choice",
       options: ["A class should do everything related to one entity", "A class should have only one reason to change", "A class should be a singleton", "Methods should have one parameter"],
@@ -108,6 +119,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "dependency-inversion",
       question_text: "What is Dependency Inversion about?",
       question_type: "multiple_choice",
       options: ["Inverting the call stack", "High-level modules depending on abstractions, not concrete implementations", "Avoiding all dependencies", "Using only static methods"],
@@ -117,6 +129,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-abstraction-encapsulation",
       question_text: "What is the difference between abstraction and encapsulation?",
       question_type: "multiple_choice",
       options: ["They are the same thing", "Abstraction hides complexity (what vs how), encapsulation hides data (access control)", "Abstraction is for interfaces, encapsulation is for classes", "Abstraction is runtime, encapsulation is compile-time"],
@@ -126,6 +139,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "liskov-substitution-principle-lsp",
       question_text: "What does the Liskov Substitution Principle (LSP) require?",
       question_type: "multiple_choice",
       options: ["All classes must have a substitute", "Subclasses must be usable wherever their parent class is expected without breaking the program", "Only one class can extend another", "Substitution is optional in OOP"],
@@ -135,6 +149,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "open-closed-principle-mean",
       question_text: "What does the Open-Closed Principle mean in practice?",
       question_type: "multiple_choice",
       options: ["Files should be opened then closed", "Code should be open for extension but closed for modification", "Classes should be open source", "Methods should be closed to external access"],
@@ -5,6 +5,7 @@
 const quiz = {
   'cap-theorem-consistency': [
     {
+      key: "cap-theorem-state-distributed",
       question_text: 'What does the CAP theorem state about distributed systems?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -19,6 +20,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "practice-partition-tolerance-considered",
       question_text: 'In practice, why is Partition Tolerance considered mandatory in distributed systems?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "consistency-model-guarantees-operations",
       question_text: 'Which consistency model guarantees that operations appear to take effect instantaneously at some point between invocation and completion?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -47,6 +50,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "apache-cassandra-typically-classified",
       question_text: 'Apache Cassandra is typically classified as which type of system under CAP?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -61,6 +65,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "purpose-vector-clocks-distributed",
       question_text: 'What is the purpose of vector clocks in distributed systems?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -75,6 +80,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "pacelc-theorem-add-cap",
       question_text: 'What does the PACELC theorem add to CAP?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -89,6 +95,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "quorum-based-system-n",
       question_text: 'In a quorum-based system with N=5 replicas, what is the minimum write quorum (W) and read quorum (R) needed for strong consistency?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -103,6 +110,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "read-repair-eventually-consistent",
       question_text: 'What is "read repair" in eventually consistent systems?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -117,6 +125,7 @@ const quiz = {
       order_index: 8,
     },
     {
+      key: "limitation-lamport-timestamps-compared",
       question_text: 'What is the key limitation of Lamport timestamps compared to vector clocks?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -131,6 +140,7 @@ const quiz = {
       order_index: 9,
     },
     {
+      key: "eventual-consistency-guarantees-system",
       question_text: 'In eventual consistency, what guarantees does the system provide?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -148,6 +158,7 @@ const quiz = {
 
   'distributed-transactions-saga': [
     {
+      key: "problem-saga-pattern-solves",
       question_text: 'What is the main problem that the Saga pattern solves?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -162,6 +173,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "two-phase-commit-2pc",
       question_text: 'In Two-Phase Commit (2PC), what happens if the coordinator crashes after sending PREPARE but before sending COMMIT/ABORT?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -176,6 +188,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-choreography-based",
       question_text: 'What is the key difference between choreography-based and orchestration-based sagas?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -190,6 +203,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "compensating-transaction-context-saga",
       question_text: 'What is a "compensating transaction" in the context of the Saga pattern?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -204,6 +218,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "problem-outbox-pattern-solve",
       question_text: 'What problem does the Outbox Pattern solve?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -218,6 +233,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "three-states-circuit-breaker",
       question_text: 'What are the three states of a Circuit Breaker?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -232,6 +248,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "idempotency-important-distributed-systems",
       question_text: 'Why is idempotency important in distributed systems?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -246,6 +263,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "prefer-orchestration-based-sagas",
       question_text: 'When should you prefer orchestration-based sagas over choreography?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -260,6 +278,7 @@ const quiz = {
       order_index: 8,
     },
     {
+      key: "outbox-pattern-technique-allows",
       question_text: 'In the Outbox Pattern, what technique allows multiple publisher instances to process the outbox concurrently without conflicts?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -274,6 +293,7 @@ const quiz = {
       order_index: 9,
     },
     {
+      key: "disadvantage-two-phase-commit",
       question_text: 'What is the primary disadvantage of Two-Phase Commit (2PC) compared to the Saga pattern?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -8,6 +8,7 @@ const quiz = {
   // ===========================================================================
   'postgresql-node': [
     {
+      key: "use-parameterized-queries-1",
       question_text: "Why should you use parameterized queries ($1, $2) instead of string interpolation when building SQL queries?",
       question_type: "multiple_choice",
       options: [
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "rollback-postgresql-transaction",
       question_text: "What does ROLLBACK do in a PostgreSQL transaction?",
       question_type: "multiple_choice",
       options: [
@@ -36,6 +38,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "happens-if-forget-call",
       question_text: "What happens if you forget to call `client.release()` after using `pool.connect()` in a transaction?",
       question_type: "multiple_choice",
       options: [
@@ -50,6 +53,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "postgresql-transaction-isolation-level",
       question_text: "Which PostgreSQL transaction isolation level is the DEFAULT and suitable for most web applications?",
       question_type: "multiple_choice",
       options: [
@@ -64,6 +68,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "pg-library-difference-between",
       question_text: "In the `pg` library, what is the difference between `pool.query()` and using `pool.connect()` to get a client?",
       question_type: "multiple_choice",
       options: [
@@ -78,6 +83,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "returning-clause-postgresql-insert",
       question_text: "What does the `RETURNING *` clause do in a PostgreSQL INSERT or UPDATE statement?",
       question_type: "multiple_choice",
       options: [
@@ -92,6 +98,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "have-connection-pool-max",
       question_text: "You have a connection pool with `max: 20`. Your Express server handles 100 concurrent requests, each needing a database query. What happens?",
       question_type: "multiple_choice",
       options: [
@@ -112,6 +119,7 @@ const quiz = {
   // ===========================================================================
   'migrations-schema': [
     {
+      key: "purpose-database-migrations",
       question_text: "What is the primary purpose of database migrations?",
       question_type: "multiple_choice",
       options: [
@@ -126,6 +134,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "every-migration-have-both",
       question_text: "Why should every migration have both an UP and a DOWN function?",
       question_type: "multiple_choice",
       options: [
@@ -140,6 +149,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "use-numeric-12-2",
       question_text: "Why should you use NUMERIC(12,2) instead of FLOAT for storing monetary values in PostgreSQL?",
       question_type: "multiple_choice",
       options: [
@@ -154,6 +164,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "deployed-migration-015-production",
       question_text: "You deployed migration 015 to production and discovered it has a bug. What's the correct approach?",
       question_type: "multiple_choice",
       options: [
@@ -168,6 +179,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-timestamp-timestamptz",
       question_text: "What is the difference between TIMESTAMP and TIMESTAMPTZ in PostgreSQL?",
       question_type: "multiple_choice",
       options: [
@@ -182,6 +194,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "delete-cascade-foreign-constraint",
       question_text: "What does ON DELETE CASCADE do on a foreign key constraint?",
       question_type: "multiple_choice",
       options: [
@@ -196,6 +209,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "naming-convention-considered-practice",
       question_text: "Which naming convention is considered best practice for PostgreSQL database objects?",
       question_type: "multiple_choice",
       options: [
@@ -216,6 +230,7 @@ const quiz = {
   // ===========================================================================
   'orm-integration': [
     {
+      key: "orm-object-relational-mapper",
       question_text: "What is an ORM (Object-Relational Mapper)?",
       question_type: "multiple_choice",
       options: [
@@ -230,6 +245,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "n-1-query-problem",
       question_text: "What is the N+1 query problem, and why is it the most common ORM performance issue?",
       question_type: "multiple_choice",
       options: [
@@ -244,6 +260,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "sequelize-paranoid-true-option",
       question_text: "In Sequelize, what does the `paranoid: true` option do on a model?",
       question_type: "multiple_choice",
       options: [
@@ -258,6 +275,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "difference-between-sequelize-s",
       question_text: "What is the key difference between Sequelize's and Prisma's approach to schema definition?",
       question_type: "multiple_choice",
       options: [
@@ -272,6 +290,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "prefer-raw-sql-over",
       question_text: "When should you prefer raw SQL over using an ORM?",
       question_type: "multiple_choice",
       options: [
@@ -286,6 +305,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "prisma-prisma-transaction",
       question_text: "In Prisma, what does `prisma.$transaction()` do?",
       question_type: "multiple_choice",
       options: [
@@ -300,6 +320,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "database-access-abstraction-level",
       question_text: "Which database access abstraction level provides the best balance of type safety, developer productivity, and auto-generated types in a TypeScript project?",
       question_type: "multiple_choice",
       options: [
@@ -320,6 +341,7 @@ const quiz = {
   // ===========================================================================
   'query-optimization': [
     {
+      key: "seq-scan-postgresql-s",
       question_text: "What does a 'Seq Scan' in PostgreSQL's EXPLAIN output indicate?",
       question_type: "multiple_choice",
       options: [
@@ -334,6 +356,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "have-index-users-email",
       question_text: "You have an index on `users(email)`. Why does this query NOT use the index? `SELECT * FROM users WHERE LOWER(email) = 'alice@example.com'`",
       question_type: "multiple_choice",
       options: [
@@ -348,6 +371,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "leftmost-prefix-rule-composite",
       question_text: "What is the 'leftmost prefix rule' for composite indexes?",
       question_type: "multiple_choice",
       options: [
@@ -362,6 +386,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "partial-index-use-one",
       question_text: "What is a partial index, and when should you use one?",
       question_type: "multiple_choice",
       options: [
@@ -376,6 +401,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "purpose-covering-index-using",
       question_text: "What is the purpose of a covering index (using the INCLUDE clause)?",
       question_type: "multiple_choice",
       options: [
@@ -390,6 +416,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "over-indexing-harmful-database",
       question_text: "Why is over-indexing harmful to database performance?",
       question_type: "multiple_choice",
       options: [
@@ -404,6 +431,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "cache-aside-pattern-happens",
       question_text: "In a Cache-Aside pattern, what happens on a cache miss?",
       question_type: "multiple_choice",
       options: [
@@ -418,6 +446,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "cache-stampede-prevent",
       question_text: "What is a 'cache stampede' and how can you prevent it?",
       question_type: "multiple_choice",
       options: [
@@ -222,6 +222,7 @@ console.log(createUser);
 console.log(apiBase._getSnapshot().method); // 'GET'`,
       explanation: "The Builder pattern provides a fluent API (.method().url().header()) for step-by-step construction, avoiding a constructor with 8+ parameters. The Prototype pattern (clone()) lets you create a base configuration and derive specialized requests from it without mutation — exactly how HTTP client libraries like Axios work internally with instance defaults.",
       order_index: 2,
+      is_interactive: true,
     },
   ],
   'structural-behavioral-patterns': [
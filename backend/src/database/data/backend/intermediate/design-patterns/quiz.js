@@ -5,6 +5,7 @@
 const quiz = {
   'creational-patterns': [
     {
+      key: "problem-singleton-pattern-solve",
       question_text: "What problem does the Singleton pattern solve?",
       question_type: "multiple_choice",
       options: [
@@ -19,6 +20,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "pattern-suited-constructing-object",
       question_text: "Which pattern is best suited for constructing an object that has many optional configuration parameters, like a SQL query with optional WHERE, ORDER BY, LIMIT, and JOIN clauses?",
       question_type: "multiple_choice",
       options: [
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-factory-method",
       question_text: "What is the key difference between Factory Method and Abstract Factory?",
       question_type: "multiple_choice",
       options: [
@@ -47,6 +50,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "prototype-pattern-critical-difference",
       question_text: "In the Prototype pattern, what is the critical difference between shallow clone and deep clone?",
       question_type: "multiple_choice",
       options: [
@@ -61,6 +65,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "logging-library-must-ensure",
       question_text: "A logging library must ensure only one instance writes to a log file, support lazy initialization, and allow resetting in tests. Which implementation correctly addresses all three requirements?",
       question_type: "multiple_choice",
       options: [
@@ -74,9 +79,52 @@ const quiz = {
       difficulty: "hard",
       order_index: 5,
     },
+    {
+      key: "implement-lazy-singleton-helper",
+      question_text: "Implement a lazy singleton helper. `createSingleton(factory)` must return a function that calls `factory` only on its first invocation and returns that same instance on every later call.",
+      question_type: "code_challenge",
+      options: null,
+      starter_code: `function createSingleton(factory) {
+  // Return a getter that creates the instance lazily, exactly once
+}
+`,
+      test_cases: [
+        {
+          name: "returns the instance created by the factory",
+          code: "createSingleton(() => ({ id: 1 }))()",
+          expected: { id: 1 },
+        },
+        {
+          name: "returns the same instance on every call",
+          code: "(() => { const get = createSingleton(() => ({})); return get() === get(); })()",
+          expected: true,
+        },
+        {
+          name: "calls the factory lazily and only once",
+          code: "(() => { let calls = 0; const get = createSingleton(() => ++calls); const before = calls; get(); get(); return [before, calls]; })()",
+          expected: [0, 1],
+          hidden: true,
+        },
+      ],
+      correct_answer: `function createSingleton(factory) {
+  let instance;
+  let created = false;
+  return function getInstance() {
+    if (!created) {
+      instance = factory();
+      created = true;
+    }
+    return instance;
+  };
+}`,
+      explanation: "The closure keeps the instance private and a separate `created` flag makes the helper work even when the factory returns a falsy value such as 0 or null. Nothing runs until the getter is first called, which gives lazy initialization for free.",
+      difficulty: "medium",
+      order_index: 6,
+    },
   ],
   'structural-behavioral-patterns': [
     {
+      key: "pattern-defines-family-interchangeable",
       question_text: "Which pattern defines a family of interchangeable algorithms that can be swapped at runtime without changing the client code?",
       question_type: "multiple_choice",
       options: [
@@ -91,6 +139,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "observer-pattern-primarily-used",
       question_text: "What is the Observer pattern primarily used for?",
       question_type: "multiple_choice",
       options: [
@@ -105,6 +154,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "decorator-pattern-differ-using",
       question_text: "How does the Decorator pattern differ from using inheritance to extend behavior?",
       question_type: "multiple_choice",
       options: [
@@ -119,6 +169,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "command-pattern-enables-undo",
       question_text: "In the Command pattern, what enables undo/redo functionality?",
       question_type: "multiple_choice",
       options: [
@@ -133,6 +184,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "re-building-express-like",
       question_text: "You're building an Express-like HTTP server. Requests must pass through authentication, rate limiting, input validation, and finally a route handler. Some middleware should stop the chain (e.g., return 401 if unauthorized). Which combination of patterns best models this architecture?",
       question_type: "multiple_choice",
       options: [
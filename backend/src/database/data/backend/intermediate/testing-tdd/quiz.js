@@ -5,6 +5,7 @@
 const quiz = {
   'unit-testing-jest': [
     {
+      key: "tdd-cycle",
       question_text: "What is the TDD cycle?",
       question_type: "multiple_choice",
       options: [
@@ -19,6 +20,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "purpose-mocking-unit-tests",
       question_text: "What is the purpose of mocking in unit tests?",
       question_type: "multiple_choice",
       options: [
@@ -33,6 +35,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "jest-matcher-use-compare",
       question_text: "Which Jest matcher should you use to compare objects or arrays for deep equality?",
       question_type: "multiple_choice",
       options: [
@@ -47,6 +50,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "test-assert-javascript-expect",
       question_text: "What does the following test assert?\n\n```javascript\nexpect(() => processInput(null)).toThrow('Input required');\n```",
       question_type: "multiple_choice",
       options: [
@@ -61,6 +65,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-jest-fn",
       question_text: "What is the difference between jest.fn(), jest.mock(), and jest.spyOn()?",
       question_type: "multiple_choice",
       options: [
@@ -75,6 +80,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "wrong-async-test-javascript",
       question_text: "What is wrong with this async test?\n\n```javascript\nit('fetches user', () => {\n  userService.getUser(1).then(user => {\n    expect(user.name).toBe('Alice');\n  });\n});\n```",
       question_type: "multiple_choice",
       options: [
@@ -89,6 +95,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "aaa-pattern-stand-testing",
       question_text: "What does the AAA pattern stand for in testing?",
       question_type: "multiple_choice",
       options: [
@@ -103,6 +110,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "lifecycle-hook-runs-before",
       question_text: "Which lifecycle hook runs before EACH individual test in a describe block?",
       question_type: "multiple_choice",
       options: [
@@ -117,6 +125,7 @@ const quiz = {
       order_index: 8,
     },
     {
+      key: "code-coverage-metrics-measure",
       question_text: "What do code coverage metrics measure?",
       question_type: "multiple_choice",
       options: [
@@ -131,6 +140,7 @@ const quiz = {
       order_index: 9,
     },
     {
+      key: "testing-anti-pattern-test",
       question_text: "Which testing anti-pattern does this test demonstrate?\n\n```javascript\nit('calls the internal _validateInput method', () => {\n  const spy = jest.spyOn(service, '_validateInput');\n  service.processOrder(orderData);\n  expect(spy).toHaveBeenCalled();\n});\n```",
       question_type: "multiple_choice",
       options: [
@@ -147,6 +157,7 @@ const quiz = {
   ],
   'integration-testing-strategy': [
     {
+      key: "difference-between-unit-tests",
       question_text: "What is the key difference between unit tests and integration tests?",
       question_type: "multiple_choice",
       options: [
@@ -161,6 +172,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "recommended-test-distribution-testing",
       question_text: "What is the recommended test distribution in the testing pyramid?",
       question_type: "multiple_choice",
       options: [
@@ -175,6 +187,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "separate-express-app-creation",
       question_text: "Why should you separate your Express app creation from server.listen() when testing?",
       question_type: "multiple_choice",
       options: [
@@ -189,6 +202,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "transaction-rollback-strategy-database",
       question_text: "What is the transaction rollback strategy for database testing?",
       question_type: "multiple_choice",
       options: [
@@ -203,6 +217,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "test-express-middleware-isolation",
       question_text: "How do you test Express middleware in isolation?",
       question_type: "multiple_choice",
       options: [
@@ -217,6 +232,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "use-snapshot-testing",
       question_text: "When should you use snapshot testing?",
       question_type: "multiple_choice",
       options: [
@@ -231,6 +247,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "property-based-testing",
       question_text: "What is property-based testing?",
       question_type: "multiple_choice",
       options: [
@@ -245,6 +262,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "correct-supertest-assertion-javascript",
       question_text: "Which of the following is a correct supertest assertion?\n\n```javascript\n// Option A\nconst res = await request(app)\n  .get('/api/users')\n  .expect(200)\n  .expect('Content-Type', /json/);\n\n// Option B\nconst res = request(app)\n  .get('/api/users')\n  .expect(200);\n```",
       question_type: "multiple_choice",
       options: [
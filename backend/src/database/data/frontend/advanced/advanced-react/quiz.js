@@ -5,6 +5,7 @@
 const quiz = {
   "hoc-render-props": [
     {
+      key: "three-critical-pitfalls-higher",
       question_text:
         "What are the three critical pitfalls of Higher-Order Components, and how does each manifest as a bug or debugging problem?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "must-react-forwardref-used",
       question_text:
         "Why must React.forwardRef be used inside a HOC to correctly pass refs, and what happens if you skip it?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "fundamental-difference-between-render",
       question_text:
         "What is the fundamental difference between the render props pattern and the function-as-children (FaCC) pattern, and why did the React community prefer render props?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "custom-hooks-solve-wrapper",
       question_text:
         "How do custom hooks solve the 'wrapper hell' and 'callback nesting' problems of HOCs and render props respectively?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "scenarios-hocs-render-props",
       question_text:
         "In what scenarios are HOCs and render props still preferred over custom hooks in modern React applications?",
       question_type: "multiple_choice",
@@ -92,6 +97,7 @@ const quiz = {
   ],
   "compound-headless": [
     {
+      key: "context-based-compound-component",
       question_text:
         "Why is the context-based compound component approach preferred over React.Children.map with cloneElement, and what specific scenarios cause cloneElement to break?",
       question_type: "multiple_choice",
@@ -109,6 +115,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "headless-ui-concept-prop",
       question_text:
         "What is the 'headless UI' concept, and how does the prop getters pattern (getTriggerProps, getItemProps) enable it?",
       question_type: "multiple_choice",
@@ -126,6 +133,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "build-compound-component-supports",
       question_text:
         "How do you build a compound component that supports both controlled and uncontrolled modes, and why is supporting both important?",
       question_type: "multiple_choice",
@@ -143,6 +151,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "state-reducer-pattern-differ",
       question_text:
         "What is the state reducer pattern, and how does it differ from simply exposing an onStateChange callback?",
       question_type: "multiple_choice",
@@ -160,6 +169,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "compound-components-like-radix",
       question_text:
         "How do compound components like Radix UI's Dialog.Root / Dialog.Trigger / Dialog.Content maintain correct ARIA relationships (aria-controls, aria-labelledby) between sub-components that may be rendered in different DOM locations via portals?",
       question_type: "multiple_choice",
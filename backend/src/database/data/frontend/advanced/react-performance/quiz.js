@@ -5,6 +5,7 @@
 const quiz = {
   "memo-profiling": [
     {
+      key: "three-conditions-cause-react",
       question_text:
         "What are the three conditions that cause a React component to re-render, and which of them does React.memo specifically prevent?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "passing-inline-object-function",
       question_text:
         "Why does passing an inline object or function as a prop to a React.memo-wrapped child defeat memoization, and what are two solutions?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-actual-duration",
       question_text:
         "What is the difference between the 'actual duration' and 'base duration' reported by the React Profiler, and how do you use them to evaluate memoization effectiveness?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "usecallback-dependency-trap-three",
       question_text:
         "What is the 'useCallback dependency trap,' and what are three techniques to create a stable callback that always reads the latest values?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "not-use-react-memo",
       question_text:
         "When should you NOT use React.memo, useMemo, or useCallback, and what is the cost of unnecessary memoization?",
       question_type: "multiple_choice",
@@ -93,6 +98,7 @@ const quiz = {
 
   "code-splitting-lazy": [
     {
+      key: "react-lazy-only-support",
       question_text:
         "Why does React.lazy only support default exports, and what is the recommended pattern for lazy-loading a named export?",
       question_type: "multiple_choice",
@@ -110,6 +116,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "purpose-nesting-suspense-boundaries",
       question_text:
         "What is the purpose of nesting Suspense boundaries, and what happens if a lazy component is rendered without any Suspense boundary above it in the tree?",
       question_type: "multiple_choice",
@@ -127,6 +134,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "route-based-preloading-dynamic",
       question_text:
         "How does route-based preloading with dynamic import() eliminate perceived loading latency, and what are two strategies for triggering the preload?",
       question_type: "multiple_choice",
@@ -144,6 +152,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "difference-between-usetransition-usedeferredvalue",
       question_text:
         "What is the difference between useTransition and useDeferredValue in React 18, and in what scenarios would you choose one over the other?",
       question_type: "multiple_choice",
@@ -161,6 +170,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "virtualization-windowing-react-window",
       question_text:
         "How does virtualization (windowing) with react-window improve performance for large lists, and what is the key trade-off compared to rendering all items?",
       question_type: "multiple_choice",
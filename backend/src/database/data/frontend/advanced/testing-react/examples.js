@@ -274,6 +274,7 @@ describe('LoginForm', () => {
 // 6. ARRANGE-ACT-ASSERT: Each test follows the AAA pattern with clear
 //    separation of setup, user action, and verification.
 `,
+      order_index: 1,
     },
     {
       title: "API-Integrated Component Test with MSW — ProductList with Loading, Error, and Filter States",
@@ -533,6 +534,7 @@ describe('ProductList — API Integration', () => {
 // 7. NO COMPONENT CHANGES: MSW intercepts real fetch() calls — the component
 //    code is untouched, making tests realistic integration tests.
 `,
+      order_index: 2,
     },
     {
       title: "Custom Hook Test with renderHook — useAsync Hook with Loading, Success, Error, and Retry",
@@ -834,6 +836,7 @@ describe('useAsync', () => {
 // 7. WRAPPER OPTION: renderHook accepts { wrapper } for providing context
 //    providers, routers, or other HOCs that the hook depends on.
 `,
+      order_index: 3,
     },
   ],
 };
@@ -5,6 +5,7 @@
 const quiz = {
   "rtl-jest-fundamentals": [
     {
+      key: "recommended-query-priority-react",
       question_text:
         "What is the recommended query priority in React Testing Library, and why does getByRole come first while getByTestId is the last resort?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "difference-between-getby-queryby",
       question_text:
         "What is the difference between getBy, queryBy, and findBy query variants in React Testing Library, and when should you use each one?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "userevent-preferred-over-fireevent",
       question_text:
         "Why is userEvent preferred over fireEvent for testing React components, and what bugs can userEvent catch that fireEvent misses?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "msw-mock-service-worker",
       question_text:
         "How does MSW (Mock Service Worker) differ from mocking fetch or axios directly with jest.mock(), and why is MSW recommended for integration testing?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "test-custom-react-hook",
       question_text:
         "How do you test a custom React hook using renderHook, and why can't you call a hook directly in a test function?",
       question_type: "multiple_choice",
@@ -90,6 +95,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "difference-between-jest-fn",
       question_text:
         "What is the difference between jest.fn(), jest.mock(), and jest.spyOn(), and when would you use each in React testing?",
       question_type: "multiple_choice",
@@ -107,6 +113,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "use-snapshot-testing-versus",
       question_text:
         "When should you use snapshot testing versus behavioral testing, and what are the main pitfalls of over-relying on snapshots?",
       question_type: "multiple_choice",
@@ -124,6 +131,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "common-react-testing-anti",
       question_text:
         "What are the most common React testing anti-patterns, and what best practices should replace them?",
       question_type: "multiple_choice",
@@ -5,6 +5,7 @@
 const quiz = {
   'intro-jsx': [
     {
+      key: "jsx-expression-render-jsx",
       question_text: 'What does the following JSX expression render?\n\n```jsx\nconst count = 0;\nreturn <div>{count && <span>You have messages</span>}</div>;\n```',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -20,6 +21,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "true-jsx",
       question_text: 'Which of the following is TRUE about JSX?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -35,6 +37,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "must-jsx-components-return",
       question_text: 'Why must JSX components return a single root element (or use a Fragment)?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -50,6 +53,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "difference-between-fragment-id",
       question_text: 'What is the key difference between <Fragment key={id}> and the shorthand <>…</>?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -65,6 +69,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "given-jsx-below-rendered",
       question_text: 'Given the JSX below, what will be rendered when isLoggedIn is false and isAdmin is true?\n\n```jsx\n{isLoggedIn ? (\n  isAdmin ? <AdminPanel /> : <UserDashboard />\n) : (\n  <LoginPage />\n)}\n```',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -83,6 +88,7 @@ const quiz = {
 
   'components-props': [
     {
+      key: "component-render-jsx-function",
       question_text: 'What will this component render?\n\n```jsx\nfunction Greeting({ name = "World" }) {\n  return <h1>Hello, {name}!</h1>;\n}\n\n<Greeting name={undefined} />\n```',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -98,6 +104,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "pattern-solves-prop-drilling",
       question_text: 'Which pattern best solves prop drilling (passing props through many intermediate components that do not use them)?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -113,6 +120,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "purpose-prop-rendering-list",
       question_text: 'What is the purpose of the "key" prop when rendering a list of components?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -128,6 +136,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "children-prop-represent-react",
       question_text: 'What does the children prop represent in a React component?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -143,6 +152,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "consider-render-prop-pattern",
       question_text: 'Consider this render-prop pattern:\n\n```jsx\n<DataList\n  items={users}\n  renderItem={(user) => <UserCard user={user} />}\n/>\n```\n\nWhat is the primary advantage of using a renderItem prop instead of hardcoding <UserCard /> inside DataList?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -161,6 +171,7 @@ const quiz = {
 
   'events-conditionals': [
     {
+      key: "e-preventdefault-called-inside",
       question_text: 'What does e.preventDefault() do when called inside a form\'s onSubmit handler?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -176,6 +187,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "use-e-stoppropagation-react",
       question_text: 'When should you use e.stopPropagation() in a React event handler?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -191,6 +203,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "output-code-button-clicked",
       question_text: 'What is the output of the following code when the button is clicked?\n\n```jsx\nfunction Counter() {\n  const [count, setCount] = useState(0);\n\n  const handleClick = () => {\n    setCount(count + 1);\n    setCount(count + 1);\n    setCount(count + 1);\n  };\n\n  return <button onClick={handleClick}>{count}</button>;\n}\n```',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -206,6 +219,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "react-we-write-onclick",
       question_text: 'In React, why do we write onClick={handleClick} instead of onClick={handleClick()}?',
       question_type: 'multiple_choice',
       options: JSON.stringify([
@@ -221,6 +235,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "approach-correctly-passes-argument",
       question_text: 'Which approach correctly passes an argument to an event handler without calling it during render?\n\n```jsx\n// Option A\n<button onClick={handleDelete(item.id)}>Delete</button>\n\n// Option B\n<button onClick={() => handleDelete(item.id)}>Delete</button>\n\n// Option C\n<button onClick={handleDelete}>Delete</button>\n\n// Option D\n<button onClick={(e) => { e.preventDefault(); handleDelete(item.id); }}>Delete</button>\n```',
       question_type: 'multiple_choice',
       options: JSON.stringify([
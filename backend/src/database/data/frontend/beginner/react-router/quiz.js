@@ -1,6 +1,7 @@
 const quiz = {
   "router-setup-basics": [
     {
+      key: "component-must-wrap-react",
       question_text:
         "Which component must wrap your React application to enable client-side routing with React Router v6?",
       question_type: "multiple_choice",
@@ -17,6 +18,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "difference-between-link-navlink",
       question_text:
         "What is the key difference between Link and NavLink in React Router v6?",
       question_type: "multiple_choice",
@@ -34,6 +36,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "outlet-component-nested-route",
       question_text:
         "What does the Outlet component do in a nested route setup?",
       question_type: "multiple_choice",
@@ -51,6 +54,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "navigate-programmatically-dashboard-after",
       question_text:
         "How do you navigate programmatically to '/dashboard' after a form submission and prevent the user from pressing Back to return to the form?",
       question_type: "multiple_choice",
@@ -67,6 +71,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "route-path-use-create",
       question_text:
         "Which route path should you use to create a catch-all 404 page in React Router v6?",
       question_type: "multiple_choice",
@@ -85,6 +90,7 @@ const quiz = {
   ],
   "dynamic-routes-protected": [
     {
+      key: "given-route-route-path",
       question_text:
         "Given the route <Route path='/users/:userId' element={<UserProfile />} />, how do you access the userId value inside UserProfile?",
       question_type: "multiple_choice",
@@ -101,6 +107,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "correct-way-update-single",
       question_text:
         "What is the correct way to update a single search parameter without losing other existing parameters?",
       question_type: "multiple_choice",
@@ -118,6 +125,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "protected-route-implementation-guard",
       question_text:
         "In a protected route implementation, what should the guard component return when the user is NOT authenticated?",
       question_type: "multiple_choice",
@@ -135,6 +143,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "advantage-using-route-loaders",
       question_text:
         "What is the primary advantage of using route loaders (v6.4+) over fetching data with useEffect inside a component?",
       question_type: "multiple_choice",
@@ -152,6 +161,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "errorelement-property-route-configuration",
       question_text:
         "How does the errorElement property in a route configuration handle errors from nested child routes?",
       question_type: "multiple_choice",
@@ -5,6 +5,7 @@
 const quiz = {
   "nextjs-app-router": [
     {
+      key: "difference-between-layout-tsx",
       question_text:
         "What is the difference between layout.tsx and template.tsx in Next.js App Router, and when would you use template.tsx instead of layout.tsx?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "serialization-boundary-next-js",
       question_text:
         "What is the serialization boundary in Next.js App Router, and what happens when you try to pass a function as a prop from a Server Component to a Client Component?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "parallel-routes-work-next",
       question_text:
         "How do parallel routes work in Next.js App Router, and what is the role of default.tsx in a parallel route?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "next-js-middleware-work",
       question_text:
         "How does Next.js middleware work, and what are its limitations compared to regular Server Component code?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "donut-pattern-next-js",
       question_text:
         "What is the 'donut pattern' in Next.js App Router, and why is it the recommended approach for mixing Server and Client Components?",
       question_type: "multiple_choice",
@@ -92,6 +97,7 @@ const quiz = {
   ],
   "nextjs-data-fetching": [
     {
+      key: "four-rendering-strategies-next",
       question_text:
         "What are the four rendering strategies in Next.js App Router (SSG, SSR, ISR, CSR), and how does Next.js decide whether a route is static or dynamic?",
       question_type: "multiple_choice",
@@ -109,6 +115,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "explain-three-caching-layers",
       question_text:
         "Explain the three caching layers in Next.js App Router (Data Cache, Full Route Cache, Router Cache) — where does each live, how long does it persist, and how do you invalidate each?",
       question_type: "multiple_choice",
@@ -126,6 +133,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "difference-between-revalidatepath-revalidatetag",
       question_text:
         "What is the difference between revalidatePath and revalidateTag, and when should you prefer one over the other?",
       question_type: "multiple_choice",
@@ -143,6 +151,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "useformstatus-useoptimistic-work-server",
       question_text:
         "How do useFormStatus and useOptimistic work with Server Actions, and what are the key rules for using useFormStatus correctly?",
       question_type: "multiple_choice",
@@ -160,6 +169,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "generatestaticparams-work-next-js",
       question_text:
         "How does generateStaticParams work in Next.js App Router, and what happens when a user visits a dynamic route that was NOT pre-rendered by generateStaticParams?",
       question_type: "multiple_choice",
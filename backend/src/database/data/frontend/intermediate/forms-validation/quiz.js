@@ -5,6 +5,7 @@
 const quiz = {
   "react-hook-form": [
     {
+      key: "reason-react-hook-form",
       question_text:
         "What is the primary reason React Hook Form achieves better performance than Formik for form handling?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "react-hook-form-register",
       question_text:
         "In React Hook Form, what does the register function return when called, and why should it be spread onto the input element?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "zod-s-refine-method",
       question_text:
         "How does Zod's .refine() method handle cross-field validation like password confirmation, and where does the error appear?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "using-usefieldarray-critical-use",
       question_text:
         "When using useFieldArray, why is it critical to use field.id as the React key instead of the array index?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "difference-between-watch-getvalues",
       question_text:
         "What is the difference between the watch() and getValues() methods in React Hook Form?",
       question_type: "multiple_choice",
@@ -90,6 +95,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "set-aria-attributes-correctly",
       question_text:
         "Which set of ARIA attributes correctly makes a form input accessible when it has a validation error?",
       question_type: "multiple_choice",
@@ -107,6 +113,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "multi-step-wizard-form",
       question_text:
         "In a multi-step wizard form built with React Hook Form, what is the recommended approach to validate only the current step's fields before allowing navigation to the next step?",
       question_type: "multiple_choice",
@@ -124,6 +131,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "difference-between-yup-zod",
       question_text:
         "What is the key difference between Yup and Zod that makes Zod preferred in TypeScript projects?",
       question_type: "multiple_choice",
@@ -1,6 +1,7 @@
 ﻿const quiz = {
   "usestate-useeffect": [
     {
+      key: "output-calling-setcount-count",
       question_text:
         "What is the output of calling setCount(count + 1) three times in a row inside a single event handler, when count is currently 0?",
       question_type: "multiple_choice",
@@ -18,6 +19,7 @@
       order_index: 1,
     },
     {
+      key: "purpose-returning-cleanup-function",
       question_text:
         "What is the primary purpose of returning a cleanup function from useEffect?",
       question_type: "multiple_choice",
@@ -35,6 +37,7 @@
       order_index: 2,
     },
     {
+      key: "react-18-strict-mode",
       question_text:
         "Why does React 18 Strict Mode run useEffect twice on mount in development?",
       question_type: "multiple_choice",
@@ -52,6 +55,7 @@
       order_index: 3,
     },
     {
+      key: "example-unnecessary-useeffect-might",
       question_text:
         "Which of the following is an example of an unnecessary useEffect (the 'You Might Not Need an Effect' anti-pattern)?",
       question_type: "multiple_choice",
@@ -69,6 +73,7 @@
       order_index: 4,
     },
     {
+      key: "correct-way-pass-expensive",
       question_text:
         "What is the correct way to pass an expensive computation as the initial value to useState?",
       question_type: "multiple_choice",
@@ -89,6 +94,7 @@
 
   "useref-usememo-usecallback": [
     {
+      key: "happens-mutate-current-property",
       question_text:
         "What happens when you mutate the .current property of a useRef object?",
       question_type: "multiple_choice",
@@ -106,6 +112,7 @@
       order_index: 1,
     },
     {
+      key: "useprevious-custom-hook-pattern",
       question_text:
         "In the usePrevious custom hook pattern, why does it work correctly — returning the previous render's value during the current render?",
       question_type: "multiple_choice",
@@ -123,6 +130,7 @@
       order_index: 2,
     },
     {
+      key: "usecallback-actually-beneficial-performance",
       question_text:
         "When is useCallback actually beneficial for performance?",
       question_type: "multiple_choice",
@@ -140,6 +148,7 @@
       order_index: 3,
     },
     {
+      key: "relationship-between-usememo-usecallback",
       question_text:
         "What is the relationship between useMemo and useCallback?",
       question_type: "multiple_choice",
@@ -157,6 +166,7 @@
       order_index: 4,
     },
     {
+      key: "statement-usememo-true-according",
       question_text:
         "Which statement about useMemo is TRUE according to the React documentation?",
       question_type: "multiple_choice",
@@ -177,6 +187,7 @@
 
   "usereducer-usecontext": [
     {
+      key: "prefer-usereducer-over-usestate",
       question_text:
         "When should you prefer useReducer over useState?",
       question_type: "multiple_choice",
@@ -194,6 +205,7 @@
       order_index: 1,
     },
     {
+      key: "biggest-performance-concern-using",
       question_text:
         "What is the biggest performance concern when using useContext?",
       question_type: "multiple_choice",
@@ -211,6 +223,7 @@
       order_index: 2,
     },
     {
+      key: "splitting-context-separate-statecontext",
       question_text:
         "Why is splitting context into separate StateContext and DispatchContext a recommended pattern?",
       question_type: "multiple_choice",
@@ -228,6 +241,7 @@
       order_index: 3,
     },
     {
+      key: "purpose-custom-hook-pattern",
       question_text:
         "What is the purpose of the custom hook pattern 'throw new Error if context is undefined' when building a context provider?",
       question_type: "multiple_choice",
@@ -245,6 +259,7 @@
       order_index: 4,
     },
     {
+      key: "consider-replacing-usereducer-usecontext",
       question_text:
         "When should you consider replacing useReducer + useContext with an external state management library like Redux or Zustand?",
       question_type: "multiple_choice",
@@ -5,6 +5,7 @@
 const quiz = {
   "context-redux-toolkit": [
     {
+      key: "performance-problem-react-s",
       question_text:
         "What is the primary performance problem with React's Context API when used for state management?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "redux-toolkit-use-internally",
       question_text:
         "What does Redux Toolkit use internally to allow 'mutating' syntax in createSlice reducers while actually producing immutable state updates?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "redux-toolkit-s-createasyncthunk",
       question_text:
         "In Redux Toolkit's createAsyncThunk, what are the three action types automatically dispatched during the async lifecycle?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "architectural-difference-between-zustand",
       question_text:
         "What is the key architectural difference between Zustand and Context API that gives Zustand better re-render performance?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "server-state-api-fetched",
       question_text:
         "Why should server state (API-fetched data) be managed with TanStack Query or SWR instead of Redux or Context?",
       question_type: "multiple_choice",
@@ -90,6 +95,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "difference-between-reducers-extrareducers",
       question_text:
         "What is the difference between the 'reducers' and 'extraReducers' fields in Redux Toolkit's createSlice?",
       question_type: "multiple_choice",
@@ -107,6 +113,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "recommended-approach-optimize-context",
       question_text:
         "What is the recommended approach to optimize Context API performance when you have values that change at different frequencies?",
       question_type: "multiple_choice",
@@ -124,6 +131,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "state-management-decision-mid",
       question_text:
         "In a state management decision for a mid-size React application, which combination represents the current best practice?",
       question_type: "multiple_choice",
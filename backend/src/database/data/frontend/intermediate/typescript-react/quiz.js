@@ -5,6 +5,7 @@
 const quiz = {
   "typing-components-hooks": [
     {
+      key: "has-react-community-shifted",
       question_text:
         "Why has the React community shifted away from React.FC in favor of explicit return typing for function components?",
       question_type: "multiple_choice",
@@ -22,6 +23,7 @@ const quiz = {
       order_index: 1,
     },
     {
+      key: "critical-difference-between-useref",
       question_text:
         "What is the critical difference between useRef<HTMLInputElement>(null) and useRef<HTMLInputElement>(initialValue), and how does TypeScript enforce it?",
       question_type: "multiple_choice",
@@ -39,6 +41,7 @@ const quiz = {
       order_index: 2,
     },
     {
+      key: "type-react-context-might",
       question_text:
         "How should you type a React context that might not have a provider, and why is createContext<T | undefined>(undefined) with a custom hook preferred over providing a default value?",
       question_type: "multiple_choice",
@@ -56,6 +59,7 @@ const quiz = {
       order_index: 3,
     },
     {
+      key: "typescript-purpose-never-type",
       question_text:
         "In TypeScript, what is the purpose of the 'never' type in a switch statement's default case when handling discriminated union actions in a reducer?",
       question_type: "multiple_choice",
@@ -73,6 +77,7 @@ const quiz = {
       order_index: 4,
     },
     {
+      key: "building-generic-table-t",
       question_text:
         "When building a generic Table<T> component, why must the column key be typed as 'keyof T' rather than 'string', and what compile-time safety does this provide?",
       question_type: "multiple_choice",
@@ -90,6 +95,7 @@ const quiz = {
       order_index: 5,
     },
     {
+      key: "const-assertion-applied-array",
       question_text:
         "What does 'as const' assertion do when applied to an array like const ROLES = ['admin', 'editor', 'viewer'] as const, and how do you extract a union type from it?",
       question_type: "multiple_choice",
@@ -107,6 +113,7 @@ const quiz = {
       order_index: 6,
     },
     {
+      key: "discriminated-union-props-prevent",
       question_text:
         "How do discriminated union props prevent impossible states in React components, and what role does the 'never' type play in the prop definitions?",
       question_type: "multiple_choice",
@@ -124,6 +131,7 @@ const quiz = {
       order_index: 7,
     },
     {
+      key: "correct-way-type-react",
       question_text:
         "What is the correct way to type a React event handler for an input element's onChange event, and what is the difference between e.target and e.currentTarget?",
       question_type: "multiple_choice",
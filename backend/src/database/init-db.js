@@ -1,24 +1,18 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import pool from '../config/database.js';
+import { migrateUp } from './migrator.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
+// Bring the database schema up to date. Safe to run on an existing database:
+// only pending migrations are applied, so no data is dropped.
 async function initializeDatabase() {
   console.log('🔧 Initializing database...');
-  
+
   try {
-    // Read and execute schema SQL
-    const schemaSQL = fs.readFileSync(
-      path.join(__dirname, 'schema.sql'),
-      'utf8'
-    );
-    
-    await pool.query(schemaSQL);
-    console.log('✅ Database schema created successfully');
-    
+    const applied = await migrateUp();
+    console.log(applied.length > 0
+      ? `✅ Database schema is up to date (${applied.length} migration(s) applied)`
+      : '✅ Database schema was already up to date');
+
+    await pool.end();
     process.exit(0);
   } catch (error) {
     console.error('❌ Error initializing database:', error);
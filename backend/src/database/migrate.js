@@ -0,0 +1,68 @@
+import pool from '../config/database.js';
+import { migrateDown, migrateUp, migrationStatus } from './migrator.js';
+
+// Usage:
+//   npm run migrate -- up [--to 0003]
+//   npm run migrate -- down [--steps 2 | --to 0001]
+//   npm run migrate -- status
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.to = args[++i];
+      if (!/^\d{4}$/.test(options.to || '')) {
+        throw new Error('--to expects a four-digit migration version, e.g. 0003');
+      }
+    } else if (args[i] === '--steps') {
+      options.steps = parseInt(args[++i]);
+      if (!(options.steps > 0)) {
+        throw new Error('--steps expects a positive number');
+      }
+    } else {
+      throw new Error(`Unknown option "${args[i]}"`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  try {
+    const options = parseOptions(args);
+
+    if (command === 'up') {
+      const applied = await migrateUp(options);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : 'ℹ️  Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(options);
+      console.log(rolledBack.length > 0
+        ? `✅ Rolled back ${rolledBack.length} migration(s)`
+        : 'ℹ️  Nothing to roll back');
+    } else if (command === 'status') {
+      const migrations = await migrationStatus();
+      for (const migration of migrations) {
+        const state = migration.missing
+          ? 'applied, file missing'
+          : migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.appliedAt ? '✔' : '•'} ${migration.version}_${migration.name}  ${state}`);
+      }
+      const pending = migrations.filter(migration => !migration.appliedAt).length;
+      console.log(`\n${pending} pending migration(s)`);
+    } else {
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+    }
+
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+main();
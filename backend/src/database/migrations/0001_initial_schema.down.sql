@@ -0,0 +1,21 @@
+-- 0001: initial schema (down)
+-- Drops every table, and all data with it.
+
+DROP TABLE IF EXISTS quiz_session_answers CASCADE;
+DROP TABLE IF EXISTS quiz_sessions CASCADE;
+DROP TABLE IF EXISTS review_cards CASCADE;
+DROP TABLE IF EXISTS user_progress CASCADE;
+DROP TABLE IF EXISTS quiz_attempts CASCADE;
+DROP TABLE IF EXISTS lesson_revisions CASCADE;
+DROP TABLE IF EXISTS quiz_questions CASCADE;
+DROP TABLE IF EXISTS code_examples CASCADE;
+DROP TABLE IF EXISTS lessons CASCADE;
+DROP TABLE IF EXISTS topics CASCADE;
+DROP TABLE IF EXISTS categories CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS auth_tokens CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+
+DROP FUNCTION IF EXISTS lessons_search_vector_update();
+DROP FUNCTION IF EXISTS code_examples_search_vector_update();
+DROP FUNCTION IF EXISTS quiz_questions_search_vector_update();
@@ -0,0 +1,290 @@
+-- 0001: initial schema
+-- Creates every table on a fresh database. On a database set up with the old
+-- schema.sql it only adds what is missing, so existing data is kept.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login TIMESTAMP,
+    profile_picture VARCHAR(500),
+    bio TEXT,
+    role VARCHAR(20) CHECK (role IN ('learner', 'author', 'admin')) DEFAULT 'learner' NOT NULL,
+    email_verified_at TIMESTAMP,
+    display_name VARCHAR(100),
+    profile_public BOOLEAN DEFAULT TRUE NOT NULL -- Show /u/:username to everyone
+);
+
+-- Refresh Tokens table (only a SHA-256 hash of each token is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL, -- Shared by every token rotated from one login
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Single-use tokens sent by email (password reset, email verification).
+-- Like refresh tokens, only a SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) CHECK (purpose IN ('password_reset', 'email_verification')) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories table (Architecture, Backend, Frontend)
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    icon VARCHAR(100),
+    order_index INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Topics table (e.g., "OOP Concepts", "React Hooks", "Microservices")
+CREATE TABLE IF NOT EXISTS topics (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    slug VARCHAR(200) UNIQUE NOT NULL,
+    description TEXT,
+    difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+    estimated_time INTEGER, -- in minutes
+    order_index INTEGER DEFAULT 0,
+    icon VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Lessons table
+CREATE TABLE IF NOT EXISTS lessons (
+    id SERIAL PRIMARY KEY,
+    topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
+    title VARCHAR(300) NOT NULL,
+    slug VARCHAR(300) NOT NULL,
+    content TEXT NOT NULL, -- Main lesson content in Markdown
+    summary TEXT,
+    difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+    estimated_time INTEGER, -- in minutes
+    order_index INTEGER DEFAULT 0,
+    prerequisites TEXT[], -- Array of lesson IDs
+    key_points TEXT[], -- Key takeaways
+    search_vector TSVECTOR, -- Maintained by trigger, see Full-text search below
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(topic_id, slug)
+);
+
+-- Lesson Revisions table (snapshot of the editable text after every change)
+CREATE TABLE IF NOT EXISTS lesson_revisions (
+    id SERIAL PRIMARY KEY,
+    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    content TEXT NOT NULL,
+    summary TEXT,
+    key_points TEXT[],
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note VARCHAR(255), -- e.g. 'Restored revision 3'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lesson_id, revision_number)
+);
+
+-- Code Examples table
+CREATE TABLE IF NOT EXISTS code_examples (
+    id SERIAL PRIMARY KEY,
+    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    language VARCHAR(50) NOT NULL, -- 'javascript', 'typescript', 'csharp', 'java', 'python', 'sql'
+    code TEXT NOT NULL,
+    explanation TEXT,
+    order_index INTEGER DEFAULT 0,
+    is_interactive BOOLEAN DEFAULT false,
+    search_vector TSVECTOR, -- Maintained by trigger
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quiz Questions table
+CREATE TABLE IF NOT EXISTS quiz_questions (
+    id SERIAL PRIMARY KEY,
+    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(20) CHECK (question_type IN ('multiple_choice', 'true_false', 'code_challenge')),
+    options JSONB, -- Array of options for multiple choice
+    correct_answer TEXT NOT NULL, -- Reference solution for code challenges
+    starter_code TEXT, -- Editor template for code challenges
+    test_cases JSONB, -- Hidden test cases for code challenges: [{ name, code, expected, hidden }]
+    explanation TEXT,
+    difficulty VARCHAR(20) CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    points INTEGER DEFAULT 10,
+    order_index INTEGER DEFAULT 0,
+    search_vector TSVECTOR, -- Maintained by trigger (question and options only, never the answer)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Progress table
+CREATE TABLE IF NOT EXISTS user_progress (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
+    status VARCHAR(20) CHECK (status IN ('not_started', 'in_progress', 'completed')) DEFAULT 'not_started',
+    progress_percentage INTEGER DEFAULT 0 CHECK (progress_percentage >= 0 AND progress_percentage <= 100),
+    time_spent INTEGER DEFAULT 0, -- in minutes
+    notes TEXT,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    last_accessed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, lesson_id)
+);
+
+-- Quiz Attempts table
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    quiz_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE CASCADE,
+    user_answer TEXT,
+    is_correct BOOLEAN,
+    points_earned INTEGER DEFAULT 0,
+    attempt_number INTEGER DEFAULT 1,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Review Cards table (spaced-repetition schedule per user and question)
+CREATE TABLE IF NOT EXISTS review_cards (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    quiz_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE CASCADE,
+    ease_factor NUMERIC(4, 2) DEFAULT 2.50,
+    interval_days INTEGER DEFAULT 0,
+    repetitions INTEGER DEFAULT 0,
+    lapses INTEGER DEFAULT 0,
+    due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_reviewed_at TIMESTAMP,
+    UNIQUE(user_id, quiz_question_id)
+);
+
+-- Quiz Sessions table (timed mock interviews spanning many lessons)
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+    duration_seconds INTEGER NOT NULL CHECK (duration_seconds > 0),
+    question_ids INTEGER[] NOT NULL, -- Questions drawn for this session, in display order
+    status VARCHAR(20) CHECK (status IN ('active', 'finished')) DEFAULT 'active',
+    score INTEGER DEFAULT 0,
+    max_score INTEGER DEFAULT 0,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP
+);
+
+-- Quiz Session Answers table
+CREATE TABLE IF NOT EXISTS quiz_session_answers (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES quiz_sessions(id) ON DELETE CASCADE,
+    quiz_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE CASCADE,
+    user_answer TEXT,
+    is_correct BOOLEAN,
+    points_earned INTEGER DEFAULT 0,
+    answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, quiz_question_id)
+);
+
+-- Columns added after the first release. Databases created from the old
+-- schema.sql may lack some of them; fresh ones already have them all.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) CHECK (role IN ('learner', 'author', 'admin')) DEFAULT 'learner' NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_public BOOLEAN DEFAULT TRUE NOT NULL;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+ALTER TABLE code_examples ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS starter_code TEXT;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS test_cases JSONB;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_topics_category ON topics(category_id);
+CREATE INDEX IF NOT EXISTS idx_lessons_topic ON lessons(topic_id);
+CREATE INDEX IF NOT EXISTS idx_code_examples_lesson ON code_examples(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_lesson ON quiz_questions(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_user_progress_user ON user_progress(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_progress_lesson ON user_progress(lesson_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(user_id);
+CREATE INDEX IF NOT EXISTS idx_lessons_difficulty ON lessons(difficulty_level);
+CREATE INDEX IF NOT EXISTS idx_topics_difficulty ON topics(difficulty_level);
+CREATE INDEX IF NOT EXISTS idx_review_cards_user_due ON review_cards(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user ON quiz_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+
+-- Full-text search: weighted vectors kept current by triggers (A ranks highest)
+CREATE OR REPLACE FUNCTION lessons_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(NEW.key_points, ' '), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.summary, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(NEW.content, '')), 'D');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lessons_search_vector_trigger ON lessons;
+CREATE TRIGGER lessons_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, key_points, summary, content ON lessons
+    FOR EACH ROW EXECUTE FUNCTION lessons_search_vector_update();
+
+CREATE OR REPLACE FUNCTION code_examples_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(NEW.explanation, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(NEW.code, '')), 'D');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS code_examples_search_vector_trigger ON code_examples;
+CREATE TRIGGER code_examples_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, description, explanation, code ON code_examples
+    FOR EACH ROW EXECUTE FUNCTION code_examples_search_vector_update();
+
+CREATE OR REPLACE FUNCTION quiz_questions_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.question_text, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(
+            (SELECT string_agg(option, ' ') FROM jsonb_array_elements_text(NEW.options) AS option), ''
+        )), 'B');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS quiz_questions_search_vector_trigger ON quiz_questions;
+CREATE TRIGGER quiz_questions_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF question_text, options ON quiz_questions
+    FOR EACH ROW EXECUTE FUNCTION quiz_questions_search_vector_update();
+
+CREATE INDEX IF NOT EXISTS idx_lessons_search ON lessons USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_code_examples_search ON code_examples USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_search ON quiz_questions USING GIN(search_vector);
+
+-- Fill search vectors for rows that existed before the triggers did
+UPDATE lessons SET title = title WHERE search_vector IS NULL;
+UPDATE code_examples SET title = title WHERE search_vector IS NULL;
+UPDATE quiz_questions SET question_text = question_text WHERE search_vector IS NULL;
@@ -0,0 +1,9 @@
+-- 0002: content sync keys (down)
+
+DROP INDEX IF EXISTS idx_quiz_questions_content_key;
+
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS content_key;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS synced_at;
+ALTER TABLE code_examples DROP COLUMN IF EXISTS synced_at;
+ALTER TABLE lessons DROP COLUMN IF EXISTS synced_at;
+ALTER TABLE topics DROP COLUMN IF EXISTS synced_at;
@@ -0,0 +1,14 @@
+-- 0002: content sync keys
+-- synced_at marks rows that came from the data/ folder. Only those rows are
+-- updated or deleted by `npm run seed`; content created in the app is left alone.
+
+ALTER TABLE topics ADD COLUMN synced_at TIMESTAMP;
+ALTER TABLE lessons ADD COLUMN synced_at TIMESTAMP;
+ALTER TABLE code_examples ADD COLUMN synced_at TIMESTAMP;
+ALTER TABLE quiz_questions ADD COLUMN synced_at TIMESTAMP;
+
+-- Stable per-lesson identifier from quiz.js (`key`), so edits to a question keep
+-- its id and therefore its attempts and review cards
+ALTER TABLE quiz_questions ADD COLUMN content_key VARCHAR(100);
+
+CREATE UNIQUE INDEX idx_quiz_questions_content_key ON quiz_questions(lesson_id, content_key);
@@ -0,0 +1,19 @@
+-- 0003: more question types (down)
+-- Questions of the new types cannot be represented before this migration and
+-- are deleted, together with their attempts and review cards.
+
+ALTER TABLE quiz_session_answers ALTER COLUMN user_answer TYPE TEXT USING (
+    CASE WHEN jsonb_typeof(user_answer) = 'string' THEN user_answer #>> '{}' ELSE user_answer::text END
+);
+ALTER TABLE quiz_attempts ALTER COLUMN user_answer TYPE TEXT USING (
+    CASE WHEN jsonb_typeof(user_answer) = 'string' THEN user_answer #>> '{}' ELSE user_answer::text END
+);
+
+DELETE FROM quiz_questions WHERE question_type IN ('multiple_select', 'ordering', 'fill_blank', 'short_answer');
+
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS answer_key;
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check CHECK (question_type IN (
+    'multiple_choice', 'true_false', 'code_challenge'
+));
@@ -0,0 +1,15 @@
+-- 0003: more question types
+-- multiple_select, ordering, fill_blank and short_answer questions keep their
+-- grading data in answer_key (see services/question-types.service.js).
+-- Answers are stored as JSON: a string for single-answer types, a list of
+-- strings for the others. Existing text answers become JSON strings.
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check CHECK (question_type IN (
+    'multiple_choice', 'true_false', 'multiple_select', 'ordering', 'fill_blank', 'short_answer', 'code_challenge'
+));
+
+ALTER TABLE quiz_questions ADD COLUMN answer_key JSONB;
+
+ALTER TABLE quiz_attempts ALTER COLUMN user_answer TYPE JSONB USING to_jsonb(user_answer);
+ALTER TABLE quiz_session_answers ALTER COLUMN user_answer TYPE JSONB USING to_jsonb(user_answer);
@@ -0,0 +1,10 @@
+-- 0004: per-lesson quiz policies (down)
+
+DROP INDEX IF EXISTS idx_quiz_attempts_user_question;
+
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS source;
+
+ALTER TABLE lessons
+    DROP COLUMN IF EXISTS quiz_scoring,
+    DROP COLUMN IF EXISTS quiz_reveal_answers,
+    DROP COLUMN IF EXISTS quiz_max_attempts;
@@ -0,0 +1,21 @@
+-- 0004: per-lesson quiz policies
+-- quiz_max_attempts: attempts allowed per question (NULL = unlimited)
+-- quiz_reveal_answers: when the correct answer and explanation are shown
+-- quiz_scoring: which attempt counts towards the score, the first or the best
+--
+-- Attempts record where they came from. Only 'quiz' attempts (POST
+-- /api/quiz/submit) count towards the attempt limit and the score; earlier
+-- attempts cannot be told apart and are treated as quiz attempts.
+
+ALTER TABLE lessons
+    ADD COLUMN quiz_max_attempts INTEGER CHECK (quiz_max_attempts > 0),
+    ADD COLUMN quiz_reveal_answers VARCHAR(20) NOT NULL DEFAULT 'after_last_attempt'
+        CHECK (quiz_reveal_answers IN ('never', 'after_correct', 'after_last_attempt')),
+    ADD COLUMN quiz_scoring VARCHAR(10) NOT NULL DEFAULT 'first'
+        CHECK (quiz_scoring IN ('first', 'best'));
+
+ALTER TABLE quiz_attempts
+    ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'quiz'
+        CHECK (source IN ('quiz', 'review', 'interview'));
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_question ON quiz_attempts(user_id, quiz_question_id, source);
@@ -0,0 +1,7 @@
+-- 0005: lesson quiz scores and topic mastery thresholds (down)
+
+ALTER TABLE user_progress
+    DROP COLUMN IF EXISTS mastered_at,
+    DROP COLUMN IF EXISTS quiz_score;
+
+ALTER TABLE topics DROP COLUMN IF EXISTS mastery_threshold;
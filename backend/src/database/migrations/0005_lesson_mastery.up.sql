@@ -0,0 +1,13 @@
+-- 0005: lesson quiz scores and topic mastery thresholds
+-- user_progress.quiz_score is the lesson's quiz score in percent, from each
+-- question's scored attempt (see services/progress.service.js). Reaching the
+-- topic's mastery_threshold completes the lesson and sets mastered_at.
+-- Scores of existing users are filled in on their next quiz submission.
+
+ALTER TABLE topics
+    ADD COLUMN mastery_threshold INTEGER NOT NULL DEFAULT 80
+        CHECK (mastery_threshold BETWEEN 1 AND 100);
+
+ALTER TABLE user_progress
+    ADD COLUMN quiz_score INTEGER CHECK (quiz_score BETWEEN 0 AND 100),
+    ADD COLUMN mastered_at TIMESTAMP;
@@ -0,0 +1,6 @@
+-- 0006: measured reading time and scroll depth (down)
+
+ALTER TABLE user_progress
+    DROP COLUMN IF EXISTS last_heartbeat_at,
+    DROP COLUMN IF EXISTS scroll_depth,
+    DROP COLUMN IF EXISTS active_seconds;
@@ -0,0 +1,17 @@
+-- 0006: measured reading time and scroll depth
+-- active_seconds accumulates the time a lesson was visible and in use, as
+-- reported by heartbeats (see recordEngagement in services/progress.service.js);
+-- time_spent stays the same total in whole minutes. scroll_depth is the
+-- furthest point reached in the lesson content, in percent. Existing
+-- time_spent minutes are carried over. The progress of lessons that are not
+-- completed was a fixed 50% sent on every page load, so it starts again
+-- from the next heartbeat.
+
+ALTER TABLE user_progress
+    ADD COLUMN active_seconds INTEGER NOT NULL DEFAULT 0 CHECK (active_seconds >= 0),
+    ADD COLUMN scroll_depth INTEGER NOT NULL DEFAULT 0 CHECK (scroll_depth BETWEEN 0 AND 100),
+    ADD COLUMN last_heartbeat_at TIMESTAMP;
+
+UPDATE user_progress SET active_seconds = COALESCE(time_spent, 0) * 60;
+
+UPDATE user_progress SET progress_percentage = 0 WHERE status <> 'completed';
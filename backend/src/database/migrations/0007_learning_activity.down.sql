@@ -0,0 +1,8 @@
+-- 0007: daily activity log, time zones and daily goals (down)
+
+DROP TABLE IF EXISTS learning_activity;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS daily_goal_target,
+    DROP COLUMN IF EXISTS daily_goal_type,
+    DROP COLUMN IF EXISTS timezone;
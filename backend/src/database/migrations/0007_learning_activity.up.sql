@@ -0,0 +1,38 @@
+-- 0007: daily activity log, time zones and daily goals
+-- learning_activity holds one row per user and day (in the user's time zone
+-- at the time) with the active reading time, lessons completed and quiz
+-- answers of that day. It is written as progress is recorded (see
+-- services/activity.service.js) and drives streaks and the activity heatmap.
+-- daily_goal_target is minutes or lessons per day, depending on
+-- daily_goal_type (NULL = no goal).
+--
+-- Earlier completions and quiz answers are carried over by the date the
+-- server recorded them; earlier reading time has no dates and is not.
+
+ALTER TABLE users
+    ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    ADD COLUMN daily_goal_type VARCHAR(10) NOT NULL DEFAULT 'minutes'
+        CHECK (daily_goal_type IN ('minutes', 'lessons')),
+    ADD COLUMN daily_goal_target INTEGER CHECK (daily_goal_target > 0);
+
+CREATE TABLE IF NOT EXISTS learning_activity (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    activity_date DATE NOT NULL,
+    active_seconds INTEGER NOT NULL DEFAULT 0,
+    lessons_completed INTEGER NOT NULL DEFAULT 0,
+    quiz_attempts INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, activity_date)
+);
+
+INSERT INTO learning_activity (user_id, activity_date, lessons_completed)
+SELECT user_id, completed_at::date, COUNT(*)
+FROM user_progress
+WHERE completed_at IS NOT NULL AND user_id IS NOT NULL
+GROUP BY user_id, completed_at::date;
+
+INSERT INTO learning_activity (user_id, activity_date, quiz_attempts)
+SELECT user_id, attempted_at::date, COUNT(*)
+FROM quiz_attempts
+WHERE attempted_at IS NOT NULL AND user_id IS NOT NULL
+GROUP BY user_id, attempted_at::date
+ON CONFLICT (user_id, activity_date) DO UPDATE SET quiz_attempts = EXCLUDED.quiz_attempts;
@@ -0,0 +1,16 @@
+-- 0008: highlights and notes on lessons (down)
+-- Notes on whole lessons go back to user_progress.notes; highlights are lost.
+
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS notes TEXT;
+
+UPDATE user_progress up
+SET notes = la.notes
+FROM (
+    SELECT user_id, lesson_id, string_agg(note, E'\n\n' ORDER BY created_at, id) as notes
+    FROM lesson_annotations
+    WHERE quote IS NULL
+    GROUP BY user_id, lesson_id
+) la
+WHERE up.user_id = la.user_id AND up.lesson_id = la.lesson_id;
+
+DROP TABLE IF EXISTS lesson_annotations;
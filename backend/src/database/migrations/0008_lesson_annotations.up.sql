@@ -0,0 +1,37 @@
+-- 0008: highlights and notes on lessons
+-- A highlight covers a range of the lesson's rendered text: start_offset and
+-- end_offset count characters of that text, and quote, prefix and suffix
+-- hold the highlighted text and a little of what surrounds it, so the range
+-- can be found again after the lesson is edited. A note without a range
+-- (all four NULL) is about the whole lesson.
+--
+-- user_progress.notes, which the app never showed, is moved here as notes on
+-- the whole lesson.
+
+CREATE TABLE IF NOT EXISTS lesson_annotations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    start_offset INTEGER CHECK (start_offset >= 0),
+    end_offset INTEGER,
+    quote TEXT,
+    prefix TEXT NOT NULL DEFAULT '',
+    suffix TEXT NOT NULL DEFAULT '',
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (start_offset IS NULL AND end_offset IS NULL AND quote IS NULL AND note IS NOT NULL)
+        OR (start_offset IS NOT NULL AND end_offset > start_offset AND quote IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_lesson_annotations_user_lesson
+    ON lesson_annotations(user_id, lesson_id);
+
+INSERT INTO lesson_annotations (user_id, lesson_id, note, created_at, updated_at)
+SELECT user_id, lesson_id, notes, COALESCE(started_at, last_accessed), last_accessed
+FROM user_progress
+WHERE user_id IS NOT NULL AND lesson_id IS NOT NULL AND btrim(COALESCE(notes, '')) != '';
+
+ALTER TABLE user_progress DROP COLUMN IF EXISTS notes;
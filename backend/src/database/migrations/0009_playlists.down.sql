@@ -0,0 +1,5 @@
+-- 0009: bookmarks and study playlists (down)
+
+DROP TABLE IF EXISTS playlist_lessons;
+DROP TABLE IF EXISTS playlists;
+DROP TABLE IF EXISTS lesson_bookmarks;
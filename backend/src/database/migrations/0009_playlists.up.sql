@@ -0,0 +1,35 @@
+-- 0009: bookmarks and study playlists
+-- lesson_bookmarks holds the lessons each user saved for later.
+-- playlists are ordered lists of lessons from any category made by a user;
+-- playlist_lessons.position gives their order (1..n). A playlist with a
+-- share_token can be read by anyone with its link; clearing the token
+-- revokes the link.
+
+CREATE TABLE IF NOT EXISTS lesson_bookmarks (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, lesson_id)
+);
+
+CREATE TABLE IF NOT EXISTS playlists (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    share_token VARCHAR(32) UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlists_user ON playlists(user_id);
+
+CREATE TABLE IF NOT EXISTS playlist_lessons (
+    playlist_id INTEGER NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+    lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (playlist_id, lesson_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_lessons_position ON playlist_lessons(playlist_id, position);
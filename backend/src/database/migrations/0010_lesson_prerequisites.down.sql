@@ -0,0 +1,5 @@
+-- 0010: lesson prerequisites (down)
+
+DROP TRIGGER IF EXISTS lessons_prerequisites_cleanup_trigger ON lessons;
+DROP FUNCTION IF EXISTS lessons_prerequisites_cleanup();
+DROP INDEX IF EXISTS idx_lessons_prerequisites;
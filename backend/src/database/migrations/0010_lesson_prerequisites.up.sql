@@ -0,0 +1,36 @@
+-- 0010: lesson prerequisites
+-- lessons.prerequisites lists the ids (as text) of the lessons to complete
+-- first, from any topic or category. The API keeps the graph acyclic; this
+-- drops entries that do not name another existing lesson (and repeats,
+-- keeping each first occurrence in its place) and removes a deleted lesson
+-- from every list it was in.
+
+UPDATE lessons l
+SET prerequisites = ARRAY(
+    SELECT p
+    FROM unnest(l.prerequisites) WITH ORDINALITY AS entry(p, position)
+    WHERE p ~ '^[0-9]+$'
+      AND p <> l.id::text
+      AND EXISTS (SELECT 1 FROM lessons other WHERE other.id::text = p)
+    GROUP BY p
+    ORDER BY MIN(position)
+)
+WHERE prerequisites IS NOT NULL;
+
+UPDATE lessons SET prerequisites = NULL WHERE cardinality(prerequisites) = 0;
+
+CREATE INDEX IF NOT EXISTS idx_lessons_prerequisites ON lessons USING GIN(prerequisites);
+
+CREATE OR REPLACE FUNCTION lessons_prerequisites_cleanup() RETURNS trigger AS $$
+BEGIN
+    UPDATE lessons
+    SET prerequisites = NULLIF(array_remove(prerequisites, OLD.id::text), '{}')
+    WHERE prerequisites @> ARRAY[OLD.id::text];
+    RETURN OLD;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lessons_prerequisites_cleanup_trigger ON lessons;
+CREATE TRIGGER lessons_prerequisites_cleanup_trigger
+    AFTER DELETE ON lessons
+    FOR EACH ROW EXECUTE FUNCTION lessons_prerequisites_cleanup();
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../config/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// e.g. 0002_add_quiz_policies.up.sql / 0002_add_quiz_policies.down.sql
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock, so two migration runs cannot interleave
+const LOCK_KEY = 7300111;
+
+// Migrations on disk, oldest first: [{ version, name, up, down }]
+export function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+  }
+
+  return [...migrations.values()];
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Run `fn` with a dedicated client while holding the migration lock
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Run one migration file and record it, all in one transaction
+async function runMigration(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Apply pending migrations in order, up to and including `to` when given.
+// Returns the migrations that were applied.
+export async function migrateUp({ to = null, log = console.log } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+    const pending = loadMigrations().filter(migration =>
+      !applied.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    for (const migration of pending) {
+      log(`⬆️  ${migration.version}_${migration.name}`);
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending;
+  });
+}
+
+// Roll back the latest `steps` migrations, or every migration after `to`.
+// Returns the migrations that were rolled back.
+export async function migrateDown({ steps = 1, to = null, log = console.log } = {}) {
+  return withMigrationLock(async (client) => {
+    const onDisk = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await appliedMigrations(client)).reverse();
+    const targets = to === null
+      ? applied.slice(0, steps)
+      : applied.filter(row => row.version > to);
+
+    const rolledBack = [];
+    for (const row of targets) {
+      const migration = onDisk.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: its files are missing from ${MIGRATIONS_DIR}`);
+      }
+      log(`⬇️  ${migration.version}_${migration.name}`);
+      await runMigration(client, migration, 'down');
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  });
+}
+
+// Every migration with whether and when it was applied. Applied versions
+// whose files are gone are listed too, flagged as missing.
+export async function migrationStatus() {
+  return withMigrationLock(async (client) => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+    const migrations = loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+      missing: false
+    }));
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        migrations.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return migrations.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
@@ -1,133 +0,0 @@
--- Database Schema for Interview Preparation Platform
-
--- Drop tables if they exist (for clean setup)
-DROP TABLE IF EXISTS user_progress CASCADE;
-DROP TABLE IF EXISTS quiz_attempts CASCADE;
-DROP TABLE IF EXISTS quiz_questions CASCADE;
-DROP TABLE IF EXISTS code_examples CASCADE;
-DROP TABLE IF EXISTS lessons CASCADE;
-DROP TABLE IF EXISTS topics CASCADE;
-DROP TABLE IF EXISTS categories CASCADE;
-DROP TABLE IF EXISTS users CASCADE;
-
--- Users table
-CREATE TABLE users (
-    id SERIAL PRIMARY KEY,
-    username VARCHAR(100) UNIQUE NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_login TIMESTAMP,
-    profile_picture VARCHAR(500),
-    bio TEXT
-);
-
--- Categories table (Architecture, Backend, Frontend)
-CREATE TABLE categories (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(100) NOT NULL,
-    slug VARCHAR(100) UNIQUE NOT NULL,
-    description TEXT,
-    icon VARCHAR(100),
-    order_index INTEGER DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Topics table (e.g., "OOP Concepts", "React Hooks", "Microservices")
-CREATE TABLE topics (
-    id SERIAL PRIMARY KEY,
-    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
-    name VARCHAR(200) NOT NULL,
-    slug VARCHAR(200) UNIQUE NOT NULL,
-    description TEXT,
-    difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced', 'expert')),
-    estimated_time INTEGER, -- in minutes
-    order_index INTEGER DEFAULT 0,
-    icon VARCHAR(100),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Lessons table
-CREATE TABLE lessons (
-    id SERIAL PRIMARY KEY,
-    topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
-    title VARCHAR(300) NOT NULL,
-    slug VARCHAR(300) NOT NULL,
-    content TEXT NOT NULL, -- Main lesson content in Markdown
-    summary TEXT,
-    difficulty_level VARCHAR(20) CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced', 'expert')),
-    estimated_time INTEGER, -- in minutes
-    order_index INTEGER DEFAULT 0,
-    prerequisites TEXT[], -- Array of lesson IDs
-    key_points TEXT[], -- Key takeaways
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(topic_id, slug)
-);
-
--- Code Examples table
-CREATE TABLE code_examples (
-    id SERIAL PRIMARY KEY,
-    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
-    title VARCHAR(200) NOT NULL,
-    description TEXT,
-    language VARCHAR(50) NOT NULL, -- 'javascript', 'typescript', 'csharp', 'java', 'python', 'sql'
-    code TEXT NOT NULL,
-    explanation TEXT,
-    order_index INTEGER DEFAULT 0,
-    is_interactive BOOLEAN DEFAULT false,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Quiz Questions table
-CREATE TABLE quiz_questions (
-    id SERIAL PRIMARY KEY,
-    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
-    question_text TEXT NOT NULL,
-    question_type VARCHAR(20) CHECK (question_type IN ('multiple_choice', 'true_false', 'code_challenge')),
-    options JSONB, -- Array of options for multiple choice
-    correct_answer TEXT NOT NULL,
-    explanation TEXT,
-    difficulty VARCHAR(20) CHECK (difficulty IN ('easy', 'medium', 'hard')),
-    points INTEGER DEFAULT 10,
-    order_index INTEGER DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- User Progress table
-CREATE TABLE user_progress (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
-    status VARCHAR(20) CHECK (status IN ('not_started', 'in_progress', 'completed')) DEFAULT 'not_started',
-    progress_percentage INTEGER DEFAULT 0 CHECK (progress_percentage >= 0 AND progress_percentage <= 100),
-    time_spent INTEGER DEFAULT 0, -- in minutes
-    notes TEXT,
-    started_at TIMESTAMP,
-    completed_at TIMESTAMP,
-    last_accessed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, lesson_id)
-);
-
--- Quiz Attempts table
-CREATE TABLE quiz_attempts (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    quiz_question_id INTEGER REFERENCES quiz_questions(id) ON DELETE CASCADE,
-    user_answer TEXT,
-    is_correct BOOLEAN,
-    points_earned INTEGER DEFAULT 0,
-    attempt_number INTEGER DEFAULT 1,
-    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Indexes for performance
-CREATE INDEX idx_topics_category ON topics(category_id);
-CREATE INDEX idx_lessons_topic ON lessons(topic_id);
-CREATE INDEX idx_code_examples_lesson ON code_examples(lesson_id);
-CREATE INDEX idx_quiz_questions_lesson ON quiz_questions(lesson_id);
-CREATE INDEX idx_user_progress_user ON user_progress(user_id);
-CREATE INDEX idx_user_progress_lesson ON user_progress(lesson_id);
-CREATE INDEX idx_quiz_attempts_user ON quiz_attempts(user_id);
-CREATE INDEX idx_lessons_difficulty ON lessons(difficulty_level);
-CREATE INDEX idx_topics_difficulty ON topics(difficulty_level);
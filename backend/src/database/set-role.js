@@ -0,0 +1,41 @@
+// ============================================================================
+// set-role.js — change a user's role from the command line
+// ============================================================================
+//
+// Used to create the first admin, who can then promote others through
+// PATCH /api/users/:userId/role.
+//
+// Usage:  npm run set-role -- <email> <learner|author|admin>
+// ============================================================================
+
+import pool from '../config/database.js';
+import { ROLES } from '../middleware/auth.middleware.js';
+
+async function setRole() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    const result = await pool.query(
+      'UPDATE users SET role = $1 WHERE email = $2 RETURNING username, role',
+      [role, email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`❌ No user with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`✅ ${result.rows[0].username} is now ${result.rows[0].role}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error updating role:', error);
+    process.exit(1);
+  }
+}
+
+setRole();
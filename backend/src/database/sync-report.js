@@ -0,0 +1,42 @@
+// ============================================================================
+// sync-report.js — Print a content sync report (seed and content packs)
+// ============================================================================
+
+const TABLE_LABELS = {
+  categories: 'categories',
+  topics: 'topics',
+  lessons: 'lessons',
+  code_examples: 'code examples',
+  quiz_questions: 'quiz questions',
+};
+
+const ACTION_ICONS = { insert: '➕', update: '✏️ ', delete: '🗑️ ' };
+const ACTION_PAST = { insert: 'inserted', update: 'updated', delete: 'deleted' };
+
+export function printReport(report, dryRun) {
+  const verb = (action) => dryRun ? `would ${action}` : ACTION_PAST[action];
+
+  if (report.changes.length === 0) {
+    console.log('  ✨  Everything is up to date');
+  }
+
+  for (const change of report.changes) {
+    let line = `  ${ACTION_ICONS[change.action]}  ${verb(change.action).padEnd(14)} ${TABLE_LABELS[change.table].padEnd(15)} ${change.label}`;
+    if (change.fields) line += `  (${change.fields.join(', ')})`;
+    if (change.progressRows) line += `  ⚠ drops ${change.progressRows} progress record(s)`;
+    console.log(line);
+  }
+
+  for (const warning of report.warnings) {
+    console.log(`  ⚠️   ${warning.label}: ${warning.message}`);
+  }
+
+  console.log('');
+  console.log('──────────────────────────────────────────────────────────');
+  console.log(`  ${'inserted'.padStart(24)} ${'updated'.padStart(8)} ${'deleted'.padStart(8)} ${'unchanged'.padStart(10)}`);
+  for (const [table, label] of Object.entries(TABLE_LABELS)) {
+    const counts = report[table];
+    console.log(`  ${label.padEnd(15)}${String(counts.inserted).padStart(9)} ${String(counts.updated).padStart(8)} ${String(counts.deleted).padStart(8)} ${String(counts.unchanged).padStart(10)}`);
+  }
+  console.log('──────────────────────────────────────────────────────────');
+}
@@ -0,0 +1,35 @@
+// ============================================================================
+// validate-content.js — Lint the data/ folder without touching the database
+// ============================================================================
+//
+// Usage:  npm run validate-content
+//
+// Prints every problem as "file: path: message" and exits with status 1 when
+// there are errors. Warnings (e.g. unknown fields) are printed but do not fail.
+// ============================================================================
+
+import { loadContent } from './content-loader.js';
+import { validateContent, formatIssue } from './content-validator.js';
+
+async function main() {
+  const content = await loadContent();
+  const { errors, warnings } = validateContent(content);
+
+  for (const warning of warnings) {
+    console.warn(`  ⚠  ${formatIssue(warning)}`);
+  }
+  for (const error of errors) {
+    console.error(`  ❌  ${formatIssue(error)}`);
+  }
+
+  console.log('');
+  console.log(`  Checked ${content.topics.length} topic folder(s): ${errors.length} error(s), ${warnings.length} warning(s)`);
+  return errors.length === 0;
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,8 @@
 import jwt from 'jsonwebtoken';
+import { query } from '../config/database.js';
+
+// Roles in ascending order of privilege
+export const ROLES = ['learner', 'author', 'admin'];
 
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -9,6 +13,10 @@ export const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    // Expired tokens get a 401 so clients know to refresh and retry
+    if (err?.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
@@ -22,11 +30,45 @@ export const optionalAuth = (req, res, next) => {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
+    let expired = false;
     jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
       if (!err) {
         req.user = user;
       }
+      expired = err?.name === 'TokenExpiredError';
     });
+
+    // Don't quietly serve the logged-out view to a user whose token just expired
+    if (expired) {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
   }
   next();
 };
+
+// Require at least the given role. Use after authenticateToken; the role is
+// read from the database so promotions take effect without a new token.
+export const requireRole = (minimumRole) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const result = await query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const role = result.rows[0].role;
+    if (ROLES.indexOf(role) < ROLES.indexOf(minimumRole)) {
+      return res.status(403).json({ error: `This action requires the ${minimumRole} role` });
+    }
+
+    req.user.role = role;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Failed to verify permissions' });
+  }
+};
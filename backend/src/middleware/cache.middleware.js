@@ -0,0 +1,77 @@
+import {
+  getCachedResponse,
+  invalidateContent,
+  responseKey,
+  setCachedResponse,
+  strongEtag
+} from '../services/cache.service.js';
+
+// Whether an If-None-Match header lists `etag`. Checked here rather than
+// left to Express, which ignores validators on requests with
+// Cache-Control: no-cache, as browsers send along with a script's own
+// If-None-Match.
+const matchesEtag = (header, etag) =>
+  !!header && header.split(',').some(tag => ['*', etag].includes(tag.trim().replace(/^W\//, '')));
+
+// Send a JSON body with a strong ETag, or 304 Not Modified when the client
+// already has it
+function sendJson(req, res, { etag, body }, cacheStatus) {
+  res.set({
+    ETag: etag,
+    'Cache-Control': req.user ? 'private, no-cache' : 'no-cache',
+    Vary: 'Authorization',
+    'X-Cache': cacheStatus
+  });
+  if (matchesEtag(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+  res.type('json').send(body);
+}
+
+// Cache successful JSON responses of a read-only route. Use after
+// optionalAuth. Anonymous responses are shared; with `perUser`, a logged-in
+// user's responses (which carry their progress) are cached for them alone.
+export const cacheResponse = ({ perUser = false } = {}) => async (req, res, next) => {
+  let key;
+  try {
+    key = await responseKey(req.originalUrl, perUser && req.user ? req.user.userId : null);
+  } catch (error) {
+    console.error('Cache key error:', error.message);
+    return next();
+  }
+
+  const cached = await getCachedResponse(key);
+  if (cached) {
+    return sendJson(req, res, cached, 'HIT');
+  }
+
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode !== 200) {
+      return json(data);
+    }
+    const body = JSON.stringify(data);
+    const response = { etag: strongEtag(body), body };
+    setCachedResponse(key, response);
+    return sendJson(req, res, response, 'MISS');
+  };
+  next();
+};
+
+// Drop cached content after a successful write. Use on routers that change
+// categories, topics, lessons, examples or questions; reads pass through.
+export const invalidateContentOnWrite = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode >= 400) {
+      return json(data);
+    }
+    invalidateContent().finally(() => json(data));
+    return res;
+  };
+  next();
+};
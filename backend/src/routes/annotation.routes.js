@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import {
+  MAX_CONTEXT_LENGTH,
+  MAX_NOTE_LENGTH,
+  MAX_QUOTE_LENGTH,
+  annotationsToMarkdown,
+  createAnnotation,
+  deleteAnnotation,
+  listAnnotations,
+  updateAnnotationNote
+} from '../services/annotation.service.js';
+
+const router = express.Router();
+
+// Annotations are private to their user
+router.use(authenticateToken);
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// A highlight needs its whole range, with a quote as long as the range; a
+// note on the whole lesson needs text
+const isAnnotationRange = (value, { req }) => {
+  const { startOffset, endOffset, quote, note } = req.body;
+  const range = [startOffset, endOffset, quote];
+  if (range.every(part => part == null)) {
+    if (!hasText(note)) {
+      throw new Error('A note without a highlighted range needs text');
+    }
+    return true;
+  }
+  if (range.some(part => part == null)) {
+    throw new Error('startOffset, endOffset and quote go together');
+  }
+  if (endOffset <= startOffset || quote.length !== endOffset - startOffset) {
+    throw new Error('quote must be the text from startOffset to endOffset');
+  }
+  return true;
+};
+
+// Get the user's annotations, optionally for one lesson
+router.get('/',
+  [
+    queryParam('lessonId').optional().isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const annotations = await listAnnotations(req.user.userId, {
+        lessonId: req.query.lessonId ? parseInt(req.query.lessonId) : null
+      });
+
+      res.json({ annotations });
+    } catch (error) {
+      console.error('Get annotations error:', error);
+      res.status(500).json({ error: 'Failed to fetch annotations' });
+    }
+  }
+);
+
+// Download the user's annotations as a Markdown file
+router.get('/export',
+  [
+    queryParam('lessonId').optional().isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const annotations = await listAnnotations(req.user.userId, {
+        lessonId: req.query.lessonId ? parseInt(req.query.lessonId) : null
+      });
+
+      res
+        .type('text/markdown; charset=utf-8')
+        .attachment('my-notes.md')
+        .send(annotationsToMarkdown(annotations));
+    } catch (error) {
+      console.error('Export annotations error:', error);
+      res.status(500).json({ error: 'Failed to export annotations' });
+    }
+  }
+);
+
+// Highlight a range of a lesson, or add a note on the whole lesson
+router.post('/',
+  [
+    body('lessonId').isInt(),
+    body('startOffset').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+    body('endOffset').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('quote').optional({ nullable: true }).isString().isLength({ min: 1, max: MAX_QUOTE_LENGTH }),
+    body('prefix').optional().isString().isLength({ max: MAX_CONTEXT_LENGTH }),
+    body('suffix').optional().isString().isLength({ max: MAX_CONTEXT_LENGTH }),
+    body('note').optional({ nullable: true }).isString().isLength({ max: MAX_NOTE_LENGTH }),
+    body().custom(isAnnotationRange),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { lessonId, startOffset, endOffset, quote, prefix, suffix, note } = req.body;
+      const annotation = await createAnnotation(req.user.userId, lessonId, {
+        startOffset, endOffset, quote, prefix, suffix, note
+      });
+
+      res.status(201).json({ annotation });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create annotation error:', error);
+      res.status(500).json({ error: 'Failed to save annotation' });
+    }
+  }
+);
+
+// Change an annotation's note
+router.patch('/:id',
+  [
+    param('id').isInt(),
+    body('note').optional({ nullable: true }).isString().isLength({ max: MAX_NOTE_LENGTH }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const annotation = await updateAnnotationNote(req.user.userId, req.params.id, req.body.note ?? null);
+      if (!annotation) {
+        return res.status(404).json({ error: 'Annotation not found' });
+      }
+
+      res.json({ annotation });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update annotation error:', error);
+      res.status(500).json({ error: 'Failed to update annotation' });
+    }
+  }
+);
+
+// Delete a highlight or note
+router.delete('/:id',
+  [
+    param('id').isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await deleteAnnotation(req.user.userId, req.params.id))) {
+        return res.status(404).json({ error: 'Annotation not found' });
+      }
+
+      res.json({ message: 'Annotation deleted successfully' });
+    } catch (error) {
+      console.error('Delete annotation error:', error);
+      res.status(500).json({ error: 'Failed to delete annotation' });
+    }
+  }
+);
+
+export default router;
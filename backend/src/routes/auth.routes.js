@@ -1,9 +1,18 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
+import {
+  issueTokens,
+  requestEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+  verifyEmail
+} from '../services/auth.service.js';
 
 const router = express.Router();
 
@@ -39,27 +48,33 @@ router.post('/register',
 
       // Create user
       const result = await query(
-        'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+        'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, role, email_verified_at, created_at',
         [username, email, passwordHash]
       );
 
       const user = result.rows[0];
 
-      // Generate token
-      const token = jwt.sign(
-        { userId: user.id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
-      );
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user, { userAgent: req.get('user-agent') });
+
+      // A mail failure should not fail the signup; the user can ask for another link
+      try {
+        await requestEmailVerification(user.id);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
 
       res.status(201).json({
         message: 'User registered successfully',
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role,
+          email_verified_at: user.email_verified_at
         },
-        token
+        token,
+        refreshToken
       });
     } catch (error) {
       console.error('Register error:', error);
@@ -85,7 +100,7 @@ router.post('/login',
 
       // Find user
       const result = await query(
-        'SELECT id, username, email, password_hash FROM users WHERE email = $1',
+        'SELECT id, username, email, role, email_verified_at, password_hash FROM users WHERE email = $1',
         [email]
       );
 
@@ -107,21 +122,20 @@ router.post('/login',
         [user.id]
       );
 
-      // Generate token
-      const token = jwt.sign(
-        { userId: user.id, username: user.username },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
-      );
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(user, { userAgent: req.get('user-agent') });
 
       res.json({
         message: 'Login successful',
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role,
+          email_verified_at: user.email_verified_at
         },
-        token
+        token,
+        refreshToken
       });
     } catch (error) {
       console.error('Login error:', error);
@@ -130,11 +144,150 @@ router.post('/login',
   }
 );
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh',
+  [body('refreshToken').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, {
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({ user, token, refreshToken });
+    } catch (error) {
+      if (error.status === 401) {
+        return res.status(401).json({ error: error.message });
+      }
+      console.error('Refresh token error:', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  }
+);
+
+// Logout: revoke the session the refresh token belongs to
+router.post('/logout',
+  [body('refreshToken').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await revokeSession(req.body.refreshToken);
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  }
+);
+
+// Logout everywhere: revoke every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Forgot password: email a reset link. The lookup and the email happen after
+// the response, which is always the same, so neither its status nor its
+// timing tells which emails are registered.
+router.post('/forgot-password',
+  [body('email').isEmail().normalizeEmail().withMessage('Invalid email address')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      requestPasswordReset(req.body.email).catch((error) => {
+        console.error('Forgot password error:', error);
+      });
+      res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Failed to request a password reset' });
+    }
+  }
+);
+
+// Reset password with the token from the emailed link
+router.post('/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await resetPassword(req.body.token, req.body.password);
+      res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Reset password error:', error);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+);
+
+// Verify an email address with the token from the emailed link
+router.post('/verify-email',
+  [body('token').isString().notEmpty().withMessage('Verification token is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await verifyEmail(req.body.token);
+      res.json({ message: 'Email verified', user });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Verify email error:', error);
+      res.status(500).json({ error: 'Failed to verify email' });
+    }
+  }
+);
+
+// Send the current user a new verification link
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const sent = await requestEmailVerification(req.user.userId);
+    if (!sent) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      'SELECT id, username, email, profile_picture, bio, created_at, last_login FROM users WHERE id = $1',
+      'SELECT id, username, email, role, email_verified_at, display_name, bio, profile_picture, profile_public, created_at, last_login FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -0,0 +1,100 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { invalidateUserCache } from '../services/cache.service.js';
+import { FOREIGN_KEY_VIOLATION } from '../services/content.service.js';
+
+const router = express.Router();
+
+// Bookmarks are always per user
+router.use(authenticateToken);
+
+// Get bookmarked lessons, newest first, with progress
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT l.id, l.title, l.slug, l.summary, l.difficulty_level, l.estimated_time,
+        t.name as topic_name, t.slug as topic_slug,
+        c.name as category_name, c.slug as category_slug,
+        b.created_at as bookmarked_at,
+        up.status, up.progress_percentage
+       FROM lesson_bookmarks b
+       JOIN lessons l ON b.lesson_id = l.id
+       JOIN topics t ON l.topic_id = t.id
+       LEFT JOIN categories c ON t.category_id = c.id
+       LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = b.user_id
+       WHERE b.user_id = $1
+       ORDER BY b.created_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      bookmarks: result.rows.map(({ status, progress_percentage, ...lesson }) => ({
+        ...lesson,
+        userProgress: status ? { status, progress_percentage } : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ error: 'Failed to fetch bookmarks' });
+  }
+});
+
+// Bookmark a lesson (bookmarking it again changes nothing)
+router.put('/:lessonId',
+  [
+    param('lessonId').isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await query(
+        `INSERT INTO lesson_bookmarks (user_id, lesson_id) VALUES ($1, $2)
+         ON CONFLICT (user_id, lesson_id) DO NOTHING`,
+        [req.user.userId, req.params.lessonId]
+      );
+      await invalidateUserCache(req.user.userId);
+
+      res.json({ lessonId: parseInt(req.params.lessonId), bookmarked: true });
+    } catch (error) {
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+      console.error('Add bookmark error:', error);
+      res.status(500).json({ error: 'Failed to bookmark lesson' });
+    }
+  }
+);
+
+// Remove a bookmark (removing a missing one changes nothing)
+router.delete('/:lessonId',
+  [
+    param('lessonId').isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await query(
+        'DELETE FROM lesson_bookmarks WHERE user_id = $1 AND lesson_id = $2',
+        [req.user.userId, req.params.lessonId]
+      );
+      await invalidateUserCache(req.user.userId);
+
+      res.json({ lessonId: parseInt(req.params.lessonId), bookmarked: false });
+    } catch (error) {
+      console.error('Remove bookmark error:', error);
+      res.status(500).json({ error: 'Failed to remove bookmark' });
+    }
+  }
+);
+
+export default router;
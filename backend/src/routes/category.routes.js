@@ -1,11 +1,13 @@
 import express from 'express';
 import { query } from '../config/database.js';
 import { optionalAuth } from '../middleware/auth.middleware.js';
+import { cacheResponse } from '../middleware/cache.middleware.js';
+import { getCategoryGraph } from '../services/prerequisite.service.js';
 
 const router = express.Router();
 
 // Get all categories
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, cacheResponse(), async (req, res) => {
   try {
     const result = await query(
       'SELECT * FROM categories ORDER BY order_index ASC'
@@ -19,7 +21,7 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // Get category by slug with topics
-router.get('/:slug', optionalAuth, async (req, res) => {
+router.get('/:slug', optionalAuth, cacheResponse(), async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -56,4 +58,27 @@ router.get('/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+// Get the category's prerequisite graph: its lessons, the lessons elsewhere
+// they depend on and the prerequisite edges, with the user's progress
+router.get('/:slug/graph', optionalAuth, cacheResponse({ perUser: true }), async (req, res) => {
+  try {
+    const categoryResult = await query(
+      'SELECT id, name, slug, description FROM categories WHERE slug = $1',
+      [req.params.slug]
+    );
+
+    if (categoryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const category = categoryResult.rows[0];
+    const { nodes, edges } = await getCategoryGraph(category.id, req.user?.userId ?? null);
+
+    res.json({ category, nodes, edges });
+  } catch (error) {
+    console.error('Get category graph error:', error);
+    res.status(500).json({ error: 'Failed to fetch category graph' });
+  }
+});
+
 export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken, requireRole } from '../middleware/auth.middleware.js';
+import { invalidateContentOnWrite } from '../middleware/cache.middleware.js';
+import { CONTENT_TABLES, UNIQUE_VIOLATION, reorderRows } from '../services/content.service.js';
+import {
+  CONFLICT_STRATEGIES,
+  PACK_FORMATS,
+  exportPack,
+  importPack,
+  serializePack
+} from '../services/content-pack.service.js';
+
+const router = express.Router();
+
+router.use(invalidateContentOnWrite);
+
+// Content packs are uploaded as the raw request body (zip or JSON file)
+const readPackBody = express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: '25mb',
+});
+
+const packBody = (req, res, next) => {
+  readPackBody(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Content packs must be 25 MB or smaller' });
+    }
+    next(err);
+  });
+};
+
+// Reorder the children of one parent: topics of a category, lessons of a
+// topic, or code examples / quiz questions of a lesson. `ids` lists every
+// child in its new order; order_index is rewritten 1..n in one transaction.
+router.post('/reorder',
+  authenticateToken,
+  requireRole('author'),
+  [
+    body('type').isIn(Object.keys(CONTENT_TABLES)),
+    body('parentId').isInt(),
+    body('ids').isArray({ min: 1 }),
+    body('ids.*').isInt().toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, parentId, ids } = req.body;
+      const items = await reorderRows(type, parentId, ids);
+
+      res.json({ type, parentId, items, message: 'Order updated successfully' });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Reorder content error:', error);
+      res.status(500).json({ error: 'Failed to reorder content' });
+    }
+  }
+);
+
+// Export a category or a topic as a content pack (JSON or zip download)
+router.get('/export',
+  authenticateToken,
+  requireRole('author'),
+  [
+    queryParam('category').optional().isSlug(),
+    queryParam('topic').optional().isSlug(),
+    queryParam('format').optional().isIn(PACK_FORMATS),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { category, topic, format = 'json' } = req.query;
+      if (!category === !topic) {
+        return res.status(400).json({ error: 'Pass exactly one of category or topic' });
+      }
+
+      const pack = await exportPack({ category, topic });
+      const fileName = `${category || topic}.content-pack.${format}`;
+
+      res.set('Content-Type', format === 'zip' ? 'application/zip' : 'application/json');
+      res.attachment(fileName);
+      res.send(serializePack(pack, format));
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Export content pack error:', error);
+      res.status(500).json({ error: 'Failed to export content pack' });
+    }
+  }
+);
+
+// Import a content pack. Topics whose slug already exists are skipped,
+// overwritten or imported under a new slug (onConflict); dryRun reports the
+// changes without keeping them.
+router.post('/import',
+  authenticateToken,
+  requireRole('author'),
+  packBody,
+  [
+    queryParam('onConflict').optional().isIn(CONFLICT_STRATEGIES),
+    queryParam('dryRun').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the pack file as the request body (Content-Type: application/zip or application/octet-stream)' });
+      }
+
+      const { onConflict = 'skip', dryRun = false } = req.query;
+      const { topicsResolved, ...report } = await importPack(req.body, { onConflict, dryRun });
+
+      res.json({
+        dryRun,
+        topics: topicsResolved,
+        report,
+        message: dryRun ? 'Dry run: nothing was imported' : 'Content pack imported successfully',
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({ error: 'Content pack conflicts with existing content' });
+      }
+      console.error('Import content pack error:', error);
+      res.status(500).json({ error: 'Failed to import content pack' });
+    }
+  }
+);
+
+export default router;
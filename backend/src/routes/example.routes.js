@@ -0,0 +1,131 @@
+import express from 'express';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.middleware.js';
+import { invalidateContentOnWrite } from '../middleware/cache.middleware.js';
+import {
+  FOREIGN_KEY_VIOLATION,
+  deleteRow,
+  insertRow,
+  nextOrderIndex,
+  pickColumns,
+  updateRow
+} from '../services/content.service.js';
+
+const router = express.Router();
+
+// Code examples are managed by authors and admins only
+router.use(authenticateToken, requireRole('author'), invalidateContentOnWrite);
+
+// POST and PUT require every required field, PATCH only validates what is sent
+const exampleValidators = (partial) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  return [
+    required('lesson_id').isInt(),
+    required('title').isString().trim().notEmpty(),
+    required('language').isString().trim().notEmpty(),
+    required('code').isString().notEmpty(),
+    body('description').optional({ nullable: true }).isString(),
+    body('explanation').optional({ nullable: true }).isString(),
+    body('order_index').optional().isInt({ min: 0 }),
+    body('is_interactive').optional().isBoolean(),
+  ];
+};
+
+// List the code examples of a lesson
+router.get('/',
+  [queryParam('lessonId').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await query(
+        'SELECT * FROM code_examples WHERE lesson_id = $1 ORDER BY order_index ASC',
+        [req.query.lessonId]
+      );
+
+      res.json({ examples: result.rows });
+    } catch (error) {
+      console.error('Get code examples error:', error);
+      res.status(500).json({ error: 'Failed to fetch code examples' });
+    }
+  }
+);
+
+// Create a code example at the end of its lesson
+router.post('/', exampleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = pickColumns('code_examples', req.body, { replace: true });
+    values.order_index = req.body.order_index ?? await nextOrderIndex('code_examples', values.lesson_id);
+
+    const example = await insertRow('code_examples', values);
+
+    res.status(201).json({ example, message: 'Code example created successfully' });
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    console.error('Create code example error:', error);
+    res.status(500).json({ error: 'Failed to create code example' });
+  }
+});
+
+// Update a code example: PUT replaces it, PATCH changes only the given fields
+const updateExample = (replace) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = pickColumns('code_examples', req.body, { replace });
+    const example = await updateRow('code_examples', req.params.id, values);
+
+    if (!example) {
+      return res.status(404).json({ error: 'Code example not found' });
+    }
+
+    res.json({ example, message: 'Code example updated successfully' });
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    console.error('Update code example error:', error);
+    res.status(500).json({ error: 'Failed to update code example' });
+  }
+};
+
+router.put('/:id', [param('id').isInt(), ...exampleValidators(false)], updateExample(true));
+router.patch('/:id', [param('id').isInt(), ...exampleValidators(true)], updateExample(false));
+
+// Delete a code example
+router.delete('/:id',
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await deleteRow('code_examples', req.params.id))) {
+        return res.status(404).json({ error: 'Code example not found' });
+      }
+
+      res.json({ message: 'Code example deleted successfully' });
+    } catch (error) {
+      console.error('Delete code example error:', error);
+      res.status(500).json({ error: 'Failed to delete code example' });
+    }
+  }
+);
+
+export default router;
@@ -1,9 +1,30 @@
 import express from 'express';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
-import { optionalAuth } from '../middleware/auth.middleware.js';
+import { authenticateToken, optionalAuth, requireRole } from '../middleware/auth.middleware.js';
+import { cacheResponse, invalidateContentOnWrite } from '../middleware/cache.middleware.js';
+import {
+  FOREIGN_KEY_VIOLATION,
+  UNIQUE_VIOLATION,
+  deleteRow,
+  pickColumns
+} from '../services/content.service.js';
+import {
+  diffRevisions,
+  getRevision,
+  listRevisions,
+  recordRevision,
+  restoreRevision,
+  updateLessonWithRevision
+} from '../services/lesson-revision.service.js';
+import { MAX_PAGE_SIZE, searchContent } from '../services/search.service.js';
+import { MAX_PREREQUISITES, checkPrerequisites, getLessonPrerequisites } from '../services/prerequisite.service.js';
+import { DEFAULT_QUIZ_POLICY, REVEAL_POLICIES, SCORING_POLICIES } from '../services/quiz-policy.service.js';
 
 const router = express.Router();
 
+router.use(invalidateContentOnWrite);
+
 // Helper: generate slug from title
 function slugify(text) {
   return text
@@ -17,21 +38,45 @@ function slugify(text) {
     .replace(/-+$/, '');
 }
 
-// Create a new lesson/session (accessible to anyone — no auth required)
-router.post('/', async (req, res) => {
+const validDifficulties = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Create a new lesson/session (authors and admins only)
+router.post('/', authenticateToken, requireRole('author'), async (req, res) => {
   try {
-    const { topic_id, title, content, summary, difficulty_level, estimated_time, key_points } = req.body;
+    const {
+      topic_id, title, content, summary, difficulty_level, estimated_time, key_points,
+      quiz_max_attempts, quiz_reveal_answers, quiz_scoring, prerequisites
+    } = req.body;
 
     // Validation
     if (!topic_id || !title || !content) {
       return res.status(400).json({ error: 'topic_id, title, and content are required' });
     }
 
-    const validDifficulties = ['beginner', 'intermediate', 'advanced', 'expert'];
     if (difficulty_level && !validDifficulties.includes(difficulty_level)) {
       return res.status(400).json({ error: `difficulty_level must be one of: ${validDifficulties.join(', ')}` });
     }
 
+    if (quiz_max_attempts != null && !(Number.isInteger(quiz_max_attempts) && quiz_max_attempts > 0)) {
+      return res.status(400).json({ error: 'quiz_max_attempts must be a positive integer or null' });
+    }
+
+    if (quiz_reveal_answers && !REVEAL_POLICIES.includes(quiz_reveal_answers)) {
+      return res.status(400).json({ error: `quiz_reveal_answers must be one of: ${REVEAL_POLICIES.join(', ')}` });
+    }
+
+    if (quiz_scoring && !SCORING_POLICIES.includes(quiz_scoring)) {
+      return res.status(400).json({ error: `quiz_scoring must be one of: ${SCORING_POLICIES.join(', ')}` });
+    }
+
+    if (prerequisites != null && !(Array.isArray(prerequisites) && prerequisites.every(Number.isInteger))) {
+      return res.status(400).json({ error: 'prerequisites must be an array of lesson ids' });
+    }
+
+    if (prerequisites) {
+      await checkPrerequisites(null, prerequisites);
+    }
+
     // Check topic exists
     const topicCheck = await query('SELECT id, difficulty_level FROM topics WHERE id = $1', [topic_id]);
     if (topicCheck.rows.length === 0) {
@@ -53,8 +98,9 @@ router.post('/', async (req, res) => {
     const orderIndex = orderResult.rows[0].next_order;
 
     const result = await query(
-      `INSERT INTO lessons (topic_id, title, slug, content, summary, difficulty_level, estimated_time, order_index, key_points)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO lessons (topic_id, title, slug, content, summary, difficulty_level, estimated_time, order_index, key_points,
+                            quiz_max_attempts, quiz_reveal_answers, quiz_scoring, prerequisites)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING *`,
       [
         topic_id,
@@ -65,26 +111,254 @@ router.post('/', async (req, res) => {
         difficulty_level || topicCheck.rows[0].difficulty_level || 'beginner',
         estimated_time || null,
         orderIndex,
-        key_points || null
+        key_points || null,
+        quiz_max_attempts ?? DEFAULT_QUIZ_POLICY.quiz_max_attempts,
+        quiz_reveal_answers || DEFAULT_QUIZ_POLICY.quiz_reveal_answers,
+        quiz_scoring || DEFAULT_QUIZ_POLICY.quiz_scoring,
+        prerequisites?.length ? prerequisites : null
       ]
     );
 
+    await recordRevision(result.rows[0], req.user.userId);
+
     res.status(201).json({ lesson: result.rows[0], message: 'Lesson created successfully' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create lesson error:', error);
     res.status(500).json({ error: 'Failed to create lesson' });
   }
 });
 
+// PUT requires every required field, PATCH only validates what is sent
+const lessonValidators = (partial) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  return [
+    param('id').isInt(),
+    required('topic_id').isInt(),
+    required('title').isString().trim().notEmpty(),
+    required('content').isString().notEmpty(),
+    body('slug').optional().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+    body('summary').optional({ nullable: true }).isString(),
+    body('difficulty_level').optional().isIn(validDifficulties),
+    body('estimated_time').optional({ nullable: true }).isInt({ min: 1 }),
+    body('order_index').optional().isInt({ min: 0 }),
+    body('key_points').optional({ nullable: true }).isArray(),
+    body('key_points.*').isString(),
+    body('quiz_max_attempts').optional({ nullable: true }).isInt({ min: 1 }),
+    body('quiz_reveal_answers').optional().isIn(REVEAL_POLICIES),
+    body('quiz_scoring').optional().isIn(SCORING_POLICIES),
+    body('prerequisites').optional({ nullable: true }).isArray({ max: MAX_PREREQUISITES }),
+    body('prerequisites.*').isInt().toInt(),
+  ];
+};
+
+// Update a lesson: PUT replaces it, PATCH changes only the given fields.
+// The slug and prerequisites stay as they are unless sent. Text changes
+// are saved as a new revision.
+const updateLesson = (replace) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = pickColumns('lessons', req.body, { replace });
+    const lesson = await updateLessonWithRevision(req.params.id, values, req.user.userId);
+
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    res.json({ lesson, message: 'Lesson updated successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: 'A lesson with this slug already exists in the topic' });
+    }
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+    console.error('Update lesson error:', error);
+    res.status(500).json({ error: 'Failed to update lesson' });
+  }
+};
+
+router.put('/:id', authenticateToken, requireRole('author'), lessonValidators(false), updateLesson(true));
+router.patch('/:id', authenticateToken, requireRole('author'), lessonValidators(true), updateLesson(false));
+
+// Delete a lesson with its examples and questions
+router.delete('/:id',
+  authenticateToken,
+  requireRole('author'),
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await deleteRow('lessons', req.params.id))) {
+        return res.status(404).json({ error: 'Lesson not found' });
+      }
+
+      res.json({ message: 'Lesson deleted successfully' });
+    } catch (error) {
+      console.error('Delete lesson error:', error);
+      res.status(500).json({ error: 'Failed to delete lesson' });
+    }
+  }
+);
+
+// ── Revision history (authors and admins only) ──────────────────────────
+
+// List a lesson's revisions, newest first
+router.get('/:id/revisions',
+  authenticateToken,
+  requireRole('author'),
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json({ revisions: await listRevisions(req.params.id) });
+    } catch (error) {
+      console.error('Get lesson revisions error:', error);
+      res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+  }
+);
+
+// Line diff between two revisions of a lesson
+router.get('/:id/revisions/diff',
+  authenticateToken,
+  requireRole('author'),
+  [
+    param('id').isInt(),
+    queryParam('from').isInt({ min: 1 }),
+    queryParam('to').isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const [from, to] = await Promise.all([
+        getRevision(req.params.id, req.query.from),
+        getRevision(req.params.id, req.query.to)
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({
+        from: { revision_number: from.revision_number, created_at: from.created_at, author_username: from.author_username },
+        to: { revision_number: to.revision_number, created_at: to.created_at, author_username: to.author_username },
+        ...diffRevisions(from, to)
+      });
+    } catch (error) {
+      console.error('Diff lesson revisions error:', error);
+      res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+  }
+);
+
+// Get one revision with its full text
+router.get('/:id/revisions/:revisionNumber',
+  authenticateToken,
+  requireRole('author'),
+  [param('id').isInt(), param('revisionNumber').isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const revision = await getRevision(req.params.id, req.params.revisionNumber);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ revision });
+    } catch (error) {
+      console.error('Get lesson revision error:', error);
+      res.status(500).json({ error: 'Failed to fetch revision' });
+    }
+  }
+);
+
+// Restore a lesson to an earlier revision (recorded as a new revision)
+router.post('/:id/revisions/:revisionNumber/restore',
+  authenticateToken,
+  requireRole('author'),
+  [param('id').isInt(), param('revisionNumber').isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const lesson = await restoreRevision(req.params.id, req.params.revisionNumber, req.user.userId);
+      if (!lesson) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      res.json({ lesson, message: `Lesson restored to revision ${req.params.revisionNumber}` });
+    } catch (error) {
+      console.error('Restore lesson revision error:', error);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  }
+);
+
+// Search lessons (declared before /:slug so "search" is not taken as a slug)
+router.get('/search',
+  [
+    queryParam('q').isString().trim().notEmpty(),
+    queryParam('difficulty').optional().isIn(validDifficulties),
+    queryParam('category').optional().isString(),
+    queryParam('page').optional().isInt({ min: 1 }).toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await searchContent('lessons', req.query));
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+);
+
 // Get lesson by slug
-router.get('/:slug', optionalAuth, async (req, res) => {
+router.get('/:slug', optionalAuth, cacheResponse({ perUser: true }), async (req, res) => {
   try {
     const { slug } = req.params;
     const userId = req.user?.userId;
 
     // Get lesson details
     const lessonResult = await query(
-      `SELECT l.*, t.name as topic_name, t.slug as topic_slug, 
+      `SELECT l.id, l.topic_id, l.title, l.slug, l.content, l.summary, l.difficulty_level,
+        l.estimated_time, l.order_index, l.prerequisites, l.key_points,
+        l.quiz_max_attempts, l.quiz_reveal_answers, l.quiz_scoring, l.created_at, l.updated_at,
+        t.name as topic_name, t.slug as topic_slug, t.mastery_threshold,
         c.name as category_name, c.slug as category_slug
        FROM lessons l
        JOIN topics t ON l.topic_id = t.id
@@ -107,7 +381,7 @@ router.get('/:slug', optionalAuth, async (req, res) => {
 
     // Get quiz questions (without correct answers initially)
     const quizResult = await query(
-      `SELECT id, question_text, question_type, options, difficulty, points, order_index
+      `SELECT id, question_text, question_type, options, starter_code, difficulty, points, order_index
        FROM quiz_questions 
        WHERE lesson_id = $1 
        ORDER BY order_index ASC`,
@@ -122,6 +396,12 @@ router.get('/:slug', optionalAuth, async (req, res) => {
       );
 
       lesson.userProgress = progressResult.rows[0] || null;
+
+      const bookmarkResult = await query(
+        'SELECT 1 FROM lesson_bookmarks WHERE user_id = $1 AND lesson_id = $2',
+        [userId, lesson.id]
+      );
+      lesson.bookmarked = bookmarkResult.rows.length > 0;
     }
 
     // Get previous and next lessons
@@ -138,11 +418,15 @@ router.get('/:slug', optionalAuth, async (req, res) => {
       next: navigationResult.rows.find(l => l.order_index > lesson.order_index) || null
     };
 
+    // Lessons to complete first, from any topic
+    const prerequisites = await getLessonPrerequisites(lesson.prerequisites, userId);
+
     res.json({
       lesson,
       codeExamples: codeExamplesResult.rows,
       quizQuestions: quizResult.rows,
-      navigation
+      navigation,
+      prerequisites
     });
   } catch (error) {
     console.error('Get lesson error:', error);
@@ -150,50 +434,4 @@ router.get('/:slug', optionalAuth, async (req, res) => {
   }
 });
 
-// Search lessons
-router.get('/search', optionalAuth, async (req, res) => {
-  try {
-    const { q, difficulty, category } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: 'Search query required' });
-    }
-
-    let searchQuery = `
-      SELECT l.*, t.name as topic_name, t.slug as topic_slug,
-        c.name as category_name, c.slug as category_slug,
-        ts_rank(to_tsvector('english', l.title || ' ' || l.summary || ' ' || l.content), 
-                plainto_tsquery('english', $1)) as rank
-      FROM lessons l
-      JOIN topics t ON l.topic_id = t.id
-      JOIN categories c ON t.category_id = c.id
-      WHERE to_tsvector('english', l.title || ' ' || l.summary || ' ' || l.content) 
-            @@ plainto_tsquery('english', $1)
-    `;
-
-    const params = [q];
-    let paramIndex = 2;
-
-    if (difficulty) {
-      searchQuery += ` AND l.difficulty_level = $${paramIndex}`;
-      params.push(difficulty);
-      paramIndex++;
-    }
-
-    if (category) {
-      searchQuery += ` AND c.slug = $${paramIndex}`;
-      params.push(category);
-      paramIndex++;
-    }
-
-    searchQuery += ' ORDER BY rank DESC LIMIT 20';
-
-    const result = await query(searchQuery, params);
-    res.json({ results: result.rows });
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
-  }
-});
-
 export default router;
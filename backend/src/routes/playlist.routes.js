@@ -0,0 +1,278 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticateToken, optionalAuth } from '../middleware/auth.middleware.js';
+import {
+  MAX_PLAYLIST_LESSONS,
+  addPlaylistLesson,
+  copySharedPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  getPlaylist,
+  getSharedPlaylist,
+  listPlaylists,
+  removePlaylistLesson,
+  setPlaylistLessons,
+  sharePlaylist,
+  unsharePlaylist,
+  updatePlaylist
+} from '../services/playlist.service.js';
+
+const router = express.Router();
+
+const shareTokenParam = param('token').isString().isLength({ min: 1, max: 32 });
+
+// Get a shared playlist by its link, with the viewer's progress when logged in
+router.get('/shared/:token',
+  optionalAuth,
+  [shareTokenParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await getSharedPlaylist(req.params.token, req.user?.userId ?? null);
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      res.json({ playlist });
+    } catch (error) {
+      console.error('Get shared playlist error:', error);
+      res.status(500).json({ error: 'Failed to fetch playlist' });
+    }
+  }
+);
+
+// Save a copy of a shared playlist
+router.post('/shared/:token/copy',
+  authenticateToken,
+  [shareTokenParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await copySharedPlaylist(req.params.token, req.user.userId);
+      res.status(201).json({ playlist, message: 'Playlist copied successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Copy playlist error:', error);
+      res.status(500).json({ error: 'Failed to copy playlist' });
+    }
+  }
+);
+
+// Everything else is the user's own playlists
+router.use(authenticateToken);
+
+// Get the user's playlists with their progress
+router.get('/', async (req, res) => {
+  try {
+    res.json({ playlists: await listPlaylists(req.user.userId) });
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({ error: 'Failed to fetch playlists' });
+  }
+});
+
+// Create a playlist, optionally with lessons
+router.post('/',
+  [
+    body('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('lessonIds').optional().isArray({ max: MAX_PLAYLIST_LESSONS }),
+    body('lessonIds.*').isInt().toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, description, lessonIds } = req.body;
+      const playlist = await createPlaylist(req.user.userId, { title, description, lessonIds });
+
+      res.status(201).json({ playlist, message: 'Playlist created successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create playlist error:', error);
+      res.status(500).json({ error: 'Failed to create playlist' });
+    }
+  }
+);
+
+// Get a playlist with its lessons, in order, and progress
+router.get('/:id',
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await getPlaylist(req.user.userId, req.params.id);
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      res.json({ playlist });
+    } catch (error) {
+      console.error('Get playlist error:', error);
+      res.status(500).json({ error: 'Failed to fetch playlist' });
+    }
+  }
+);
+
+// Rename a playlist or change its description
+router.patch('/:id',
+  [
+    param('id').isInt(),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, description } = req.body;
+      const playlist = await updatePlaylist(req.user.userId, req.params.id, { title, description });
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      res.json({ playlist, message: 'Playlist updated successfully' });
+    } catch (error) {
+      console.error('Update playlist error:', error);
+      res.status(500).json({ error: 'Failed to update playlist' });
+    }
+  }
+);
+
+router.delete('/:id',
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await deletePlaylist(req.user.userId, req.params.id))) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      res.json({ message: 'Playlist deleted successfully' });
+    } catch (error) {
+      console.error('Delete playlist error:', error);
+      res.status(500).json({ error: 'Failed to delete playlist' });
+    }
+  }
+);
+
+// Replace the playlist's lessons: `lessonIds` lists them in their new order,
+// so this both reorders and removes
+router.put('/:id/lessons',
+  [
+    param('id').isInt(),
+    body('lessonIds').isArray({ max: MAX_PLAYLIST_LESSONS }),
+    body('lessonIds.*').isInt().toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await setPlaylistLessons(req.user.userId, req.params.id, req.body.lessonIds);
+      res.json({ playlist, message: 'Playlist updated successfully' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Set playlist lessons error:', error);
+      res.status(500).json({ error: 'Failed to update playlist' });
+    }
+  }
+);
+
+// Add a lesson at the end of the playlist
+router.post('/:id/lessons',
+  [param('id').isInt(), body('lessonId').isInt().toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await addPlaylistLesson(req.user.userId, req.params.id, req.body.lessonId);
+      res.json({ playlist, message: 'Lesson added to playlist' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Add playlist lesson error:', error);
+      res.status(500).json({ error: 'Failed to add lesson to playlist' });
+    }
+  }
+);
+
+router.delete('/:id/lessons/:lessonId',
+  [param('id').isInt(), param('lessonId').isInt().toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const playlist = await removePlaylistLesson(req.user.userId, req.params.id, req.params.lessonId);
+      res.json({ playlist, message: 'Lesson removed from playlist' });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Remove playlist lesson error:', error);
+      res.status(500).json({ error: 'Failed to remove lesson from playlist' });
+    }
+  }
+);
+
+// Turn on the share link (POST) or revoke it (DELETE)
+const shareRoute = (share) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const playlist = await (share ? sharePlaylist : unsharePlaylist)(req.user.userId, req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    res.json({ playlist, message: share ? 'Share link created' : 'Share link revoked' });
+  } catch (error) {
+    console.error('Share playlist error:', error);
+    res.status(500).json({ error: 'Failed to update share link' });
+  }
+};
+
+router.post('/:id/share', [param('id').isInt()], shareRoute(true));
+router.delete('/:id/share', [param('id').isInt()], shareRoute(false));
+
+export default router;
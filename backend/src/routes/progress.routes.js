@@ -1,7 +1,10 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
 import { optionalAuth } from '../middleware/auth.middleware.js';
+import { recordEngagement } from '../services/progress.service.js';
+import { getActivity, logActivity } from '../services/activity.service.js';
+import { invalidateUserCache } from '../services/cache.service.js';
 
 const router = express.Router();
 
@@ -24,16 +27,40 @@ router.get('/overview', async (req, res) => {
         c.slug as category_slug,
         COUNT(DISTINCT l.id) as total_lessons,
         COUNT(DISTINCT CASE WHEN up.status = 'completed' THEN l.id END) as completed_lessons,
+        COUNT(DISTINCT ql.lesson_id) as quiz_lessons,
+        COUNT(DISTINCT CASE WHEN up.mastered_at IS NOT NULL THEN l.id END) as mastered_lessons,
         COALESCE(AVG(CASE WHEN up.status = 'completed' THEN 100 ELSE up.progress_percentage END), 0) as progress_percentage
        FROM categories c
        JOIN topics t ON c.id = t.category_id
        JOIN lessons l ON t.id = l.topic_id
+       LEFT JOIN (SELECT DISTINCT lesson_id FROM quiz_questions) ql ON ql.lesson_id = l.id
        LEFT JOIN user_progress up ON l.id = up.lesson_id AND up.user_id = $1
        GROUP BY c.id, c.name, c.slug
        ORDER BY c.order_index ASC`,
       [userId]
     );
 
+    // Mastery of the topics the user has taken quizzes in
+    const topicMastery = await query(
+      `SELECT
+        t.name as topic_name,
+        t.slug as topic_slug,
+        c.slug as category_slug,
+        t.mastery_threshold,
+        COUNT(DISTINCT ql.lesson_id) as quiz_lessons,
+        COUNT(DISTINCT CASE WHEN up.mastered_at IS NOT NULL THEN l.id END) as mastered_lessons,
+        ROUND(AVG(up.quiz_score)) as average_quiz_score
+       FROM topics t
+       JOIN categories c ON t.category_id = c.id
+       JOIN lessons l ON t.id = l.topic_id
+       LEFT JOIN (SELECT DISTINCT lesson_id FROM quiz_questions) ql ON ql.lesson_id = l.id
+       LEFT JOIN user_progress up ON l.id = up.lesson_id AND up.user_id = $1
+       GROUP BY t.id, c.slug
+       HAVING COUNT(up.quiz_score) > 0
+       ORDER BY MAX(up.last_accessed) DESC`,
+      [userId]
+    );
+
     // Get recent activity
     const recentActivity = await query(
       `SELECT up.*, l.title as lesson_title, l.slug as lesson_slug,
@@ -50,6 +77,7 @@ router.get('/overview', async (req, res) => {
 
     res.json({
       categoryProgress: categoryProgress.rows,
+      topicMastery: topicMastery.rows,
       recentActivity: recentActivity.rows
     });
   } catch (error) {
@@ -58,13 +86,44 @@ router.get('/overview', async (req, res) => {
   }
 });
 
-// Update lesson progress
+// Daily activity totals, daily goal and streaks in the user's time zone
+router.get('/activity',
+  [
+    queryParam('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).withMessage('from must be a date (YYYY-MM-DD)'),
+    queryParam('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).withMessage('to must be a date (YYYY-MM-DD)'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to view your activity' });
+      }
+
+      const activity = await getActivity(req.user.userId, { from: req.query.from, to: req.query.to });
+      if (!activity) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(activity);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Get activity error:', error);
+      res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+  }
+);
+
+// Update lesson status. The progress percentage is computed from engagement
+// heartbeats; completing a lesson sets it to 100.
 router.post('/lesson/:lessonId',
   [
+    param('lessonId').isInt(),
     body('status').isIn(['not_started', 'in_progress', 'completed']),
-    body('progressPercentage').optional().isInt({ min: 0, max: 100 }),
-    body('timeSpent').optional().isInt({ min: 0 }),
-    body('notes').optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -79,50 +138,55 @@ router.post('/lesson/:lessonId',
 
       const userId = req.user.userId;
       const { lessonId } = req.params;
-      const { status, progressPercentage, timeSpent, notes } = req.body;
+      const { status } = req.body;
 
       // Check if progress exists
       const existingProgress = await query(
-        'SELECT id, status, progress_percentage, time_spent FROM user_progress WHERE user_id = $1 AND lesson_id = $2',
+        'SELECT id, status, mastered_at FROM user_progress WHERE user_id = $1 AND lesson_id = $2',
         [userId, lessonId]
       );
 
+      const wasCompleted = existingProgress.rows[0]?.status === 'completed';
       let result;
 
       if (existingProgress.rows.length === 0) {
         // Create new progress
         result = await query(
-          `INSERT INTO user_progress (user_id, lesson_id, status, progress_percentage, time_spent, notes, started_at, completed_at, last_accessed)
-           VALUES ($1, $2, $3, $4, $5, $6, 
-             CASE WHEN $3 = 'in_progress' THEN CURRENT_TIMESTAMP ELSE NULL END,
+          `INSERT INTO user_progress (user_id, lesson_id, status, progress_percentage, started_at, completed_at, last_accessed)
+           VALUES ($1, $2, $3, CASE WHEN $3 = 'completed' THEN 100 ELSE 0 END,
+             CASE WHEN $3 != 'not_started' THEN CURRENT_TIMESTAMP ELSE NULL END,
              CASE WHEN $3 = 'completed' THEN CURRENT_TIMESTAMP ELSE NULL END,
              CURRENT_TIMESTAMP)
            RETURNING *`,
-          [userId, lessonId, status, progressPercentage || 0, timeSpent || 0, notes || null]
+          [userId, lessonId, status]
         );
       } else {
-        // Update existing progress
-        const currentProgress = existingProgress.rows[0];
-        const newTimeSpent = (currentProgress.time_spent || 0) + (timeSpent || 0);
-        
+        // A lesson completed by passing its quiz stays completed
+        const mastered = existingProgress.rows[0].mastered_at !== null;
+        const newStatus = mastered ? 'completed' : status;
+
         result = await query(
           `UPDATE user_progress 
            SET status = $1, 
-               progress_percentage = $2, 
-               time_spent = $3,
-               notes = COALESCE($4, notes),
+               progress_percentage = CASE WHEN $1 = 'completed' THEN 100 ELSE progress_percentage END,
+               started_at = CASE WHEN $1 != 'not_started' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
                completed_at = CASE 
                  WHEN $1 = 'completed' AND status != 'completed' THEN CURRENT_TIMESTAMP 
                  WHEN $1 != 'completed' THEN NULL
                  ELSE completed_at 
                END,
                last_accessed = CURRENT_TIMESTAMP
-           WHERE user_id = $5 AND lesson_id = $6
+           WHERE user_id = $2 AND lesson_id = $3
            RETURNING *`,
-          [status, progressPercentage || currentProgress.progress_percentage, newTimeSpent, notes, userId, lessonId]
+          [newStatus, userId, lessonId]
         );
       }
 
+      if (result.rows[0].status === 'completed' && !wasCompleted) {
+        await logActivity(userId, { lessonsCompleted: 1 });
+      }
+      await invalidateUserCache(userId);
+
       res.json({
         message: 'Progress updated successfully',
         progress: result.rows[0]
@@ -134,6 +198,41 @@ router.post('/lesson/:lessonId',
   }
 );
 
+// Record reading engagement: active time since the last heartbeat and the
+// scroll depth reached. Values are incremental and capped by the server.
+router.post('/lesson/:lessonId/engagement',
+  [
+    param('lessonId').isInt(),
+    body('activeSeconds').optional().isInt({ min: 0 }).toInt(),
+    body('scrollDepth').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to track your progress' });
+      }
+
+      const { progress, countedSeconds } = await recordEngagement(req.user.userId, req.params.lessonId, {
+        activeSeconds: req.body.activeSeconds,
+        scrollDepth: req.body.scrollDepth,
+      });
+
+      res.json({ progress, countedSeconds });
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Record engagement error:', error);
+      res.status(500).json({ error: 'Failed to record engagement' });
+    }
+  }
+);
+
 // Get progress for specific lesson
 router.get('/lesson/:lessonId', async (req, res) => {
   try {
@@ -0,0 +1,154 @@
+import express from 'express';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.middleware.js';
+import { invalidateContentOnWrite } from '../middleware/cache.middleware.js';
+import {
+  FOREIGN_KEY_VIOLATION,
+  deleteRow,
+  insertRow,
+  nextOrderIndex,
+  pickColumns,
+  updateRow
+} from '../services/content.service.js';
+import { QUESTION_TYPES, answerKeyError } from '../services/question-types.service.js';
+
+const router = express.Router();
+
+// Quiz questions (including their answers) are managed by authors and admins only
+router.use(authenticateToken, requireRole('author'), invalidateContentOnWrite);
+
+const difficulties = ['easy', 'medium', 'hard'];
+
+// POST and PUT require every required field, PATCH only validates what is sent
+const questionValidators = (partial) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  return [
+    required('lesson_id').isInt(),
+    required('question_text').isString().trim().notEmpty(),
+    required('question_type').isIn(QUESTION_TYPES),
+    required('correct_answer').isString().notEmpty(),
+    body('options').optional({ nullable: true }).isArray(),
+    body('answer_key').optional({ nullable: true }).custom(value => typeof value === 'object'),
+    body('starter_code').optional({ nullable: true }).isString(),
+    body('test_cases').optional({ nullable: true }).isArray(),
+    body('explanation').optional({ nullable: true }).isString(),
+    body('difficulty').optional({ nullable: true }).isIn(difficulties),
+    body('points').optional().isInt({ min: 0 }),
+    body('order_index').optional().isInt({ min: 0 }),
+  ];
+};
+
+// List the quiz questions of a lesson, with answers and test cases
+router.get('/',
+  [queryParam('lessonId').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await query(
+        'SELECT * FROM quiz_questions WHERE lesson_id = $1 ORDER BY order_index ASC',
+        [req.query.lessonId]
+      );
+
+      res.json({ questions: result.rows });
+    } catch (error) {
+      console.error('Get quiz questions error:', error);
+      res.status(500).json({ error: 'Failed to fetch quiz questions' });
+    }
+  }
+);
+
+// Create a quiz question at the end of its lesson
+router.post('/', questionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const keyError = answerKeyError(req.body);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    const values = pickColumns('quiz_questions', req.body, { replace: true });
+    values.order_index = req.body.order_index ?? await nextOrderIndex('quiz_questions', values.lesson_id);
+
+    const question = await insertRow('quiz_questions', values);
+
+    res.status(201).json({ question, message: 'Quiz question created successfully' });
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    console.error('Create quiz question error:', error);
+    res.status(500).json({ error: 'Failed to create quiz question' });
+  }
+});
+
+// Update a quiz question: PUT replaces it, PATCH changes only the given fields
+const updateQuestion = (replace) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await query('SELECT * FROM quiz_questions WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz question not found' });
+    }
+
+    // Check the answer key as it will be after the update
+    const keyError = answerKeyError(replace ? req.body : { ...existing.rows[0], ...req.body });
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    const values = pickColumns('quiz_questions', req.body, { replace });
+    const question = await updateRow('quiz_questions', req.params.id, values);
+
+    if (!question) {
+      return res.status(404).json({ error: 'Quiz question not found' });
+    }
+
+    res.json({ question, message: 'Quiz question updated successfully' });
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    console.error('Update quiz question error:', error);
+    res.status(500).json({ error: 'Failed to update quiz question' });
+  }
+};
+
+router.put('/:id', [param('id').isInt(), ...questionValidators(false)], updateQuestion(true));
+router.patch('/:id', [param('id').isInt(), ...questionValidators(true)], updateQuestion(false));
+
+// Delete a quiz question (its attempts and review cards go with it)
+router.delete('/:id',
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await deleteRow('quiz_questions', req.params.id))) {
+        return res.status(404).json({ error: 'Quiz question not found' });
+      }
+
+      res.json({ message: 'Quiz question deleted successfully' });
+    } catch (error) {
+      console.error('Delete quiz question error:', error);
+      res.status(500).json({ error: 'Failed to delete quiz question' });
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,27 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
 import { optionalAuth } from '../middleware/auth.middleware.js';
+import {
+  SCORED_ATTEMPTS,
+  findQuizQuestion,
+  getQuizState,
+  gradeAnswer,
+  policyFields,
+  recordAttempt
+} from '../services/quiz.service.js';
+import { POLICY_SOURCES, attemptsRemaining, isSettled } from '../services/quiz-policy.service.js';
+import { isAnswerValue } from '../services/question-types.service.js';
+import { runSnippet, runTests } from '../services/code-runner.service.js';
+import { recordReview } from '../services/review.service.js';
+import { updateLessonMastery } from '../services/progress.service.js';
+import {
+  buildTopicBreakdown,
+  finishSession,
+  getSessionQuestions,
+  isExpired,
+  remainingSeconds
+} from '../services/interview.service.js';
 
 const router = express.Router();
 
@@ -10,7 +30,7 @@ router.post('/submit',
   optionalAuth,
   [
     body('questionId').isInt(),
-    body('userAnswer').notEmpty(),
+    body('userAnswer').custom(isAnswerValue),
   ],
   async (req, res) => {
     try {
@@ -27,52 +47,98 @@ router.post('/submit',
       const userId = req.user.userId;
       const { questionId, userAnswer } = req.body;
 
-      // Get question with correct answer
-      const questionResult = await query(
-        'SELECT * FROM quiz_questions WHERE id = $1',
-        [questionId]
-      );
+      // Get question with its lesson's quiz policy
+      const question = await findQuizQuestion(questionId);
 
-      if (questionResult.rows.length === 0) {
+      if (!question) {
         return res.status(404).json({ error: 'Question not found' });
       }
 
-      const question = questionResult.rows[0];
+      const previous = await getQuizState(userId, questionId);
+      if (attemptsRemaining(question, previous.attemptsUsed) === 0) {
+        return res.status(403).json({ error: 'No attempts left for this question', ...policyFields(question, previous) });
+      }
 
       // Check if answer is correct
-      const isCorrect = userAnswer.toLowerCase().trim() === question.correct_answer.toLowerCase().trim();
-      const pointsEarned = isCorrect ? question.points : 0;
+      const { isCorrect, score, pointsEarned, testResults } = await gradeAnswer(question, userAnswer);
 
-      // Get attempt number
-      const attemptCountResult = await query(
-        'SELECT COUNT(*) as count FROM quiz_attempts WHERE user_id = $1 AND quiz_question_id = $2',
-        [userId, questionId]
-      );
+      // Save attempt (fails with 403 if a concurrent submission used the last one)
+      const attempt = await recordAttempt({
+        userId, questionId, userAnswer, isCorrect, pointsEarned, maxAttempts: question.quiz_max_attempts
+      });
+      const state = { attemptsUsed: previous.attemptsUsed + 1, solved: previous.solved || isCorrect };
 
-      const attemptNumber = parseInt(attemptCountResult.rows[0].count) + 1;
+      // Schedule the question for spaced-repetition review once it is settled,
+      // so reviews never act as extra attempts
+      if (isSettled(question, state)) {
+        await recordReview(userId, questionId, isCorrect);
+      }
 
-      // Save attempt
-      const attemptResult = await query(
-        `INSERT INTO quiz_attempts (user_id, quiz_question_id, user_answer, is_correct, points_earned, attempt_number)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING *`,
-        [userId, questionId, userAnswer, isCorrect, pointsEarned, attemptNumber]
-      );
+      // Rescore the lesson; passing the topic's mastery threshold completes it
+      const mastery = await updateLessonMastery(userId, question.lesson_id);
 
       res.json({
         isCorrect,
+        score,
         pointsEarned,
-        explanation: question.explanation,
-        correctAnswer: question.correct_answer,
-        attempt: attemptResult.rows[0]
+        attempt,
+        ...policyFields(question, state),
+        mastery,
+        ...(testResults && { testResults })
       });
     } catch (error) {
+      if (error.status === 400 || error.status === 403) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Submit quiz error:', error);
       res.status(500).json({ error: 'Failed to submit answer' });
     }
   }
 );
 
+// Run code without grading it: a code challenge against its visible tests,
+// or an interactive example on its own
+router.post('/run',
+  optionalAuth,
+  [
+    body('code').isString().isLength({ min: 1, max: 20000 }),
+    body('questionId').optional().isInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to run code' });
+      }
+
+      const { code, questionId } = req.body;
+
+      if (!questionId) {
+        return res.json({ run: await runSnippet(code) });
+      }
+
+      const questionResult = await query(
+        `SELECT test_cases FROM quiz_questions WHERE id = $1 AND question_type = 'code_challenge'`,
+        [questionId]
+      );
+
+      if (questionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Code challenge not found' });
+      }
+
+      const visibleTests = (questionResult.rows[0].test_cases || []).filter(t => !t.hidden);
+      res.json({ run: await runTests(code, visibleTests) });
+    } catch (error) {
+      console.error('Run code error:', error);
+      res.status(500).json({ error: 'Failed to run code' });
+    }
+  }
+);
+
 // Get user's quiz statistics
 router.get('/stats', optionalAuth, async (req, res) => {
   try {
@@ -82,14 +148,15 @@ router.get('/stats', optionalAuth, async (req, res) => {
     
     const userId = req.user.userId;
 
+    // Only the attempt that counts under each lesson's scoring policy
     const stats = await query(
-      `SELECT 
+      `WITH scored AS (${SCORED_ATTEMPTS})
+       SELECT
         COUNT(*) as total_attempts,
         COUNT(CASE WHEN is_correct THEN 1 END) as correct_answers,
-        SUM(points_earned) as total_points,
+        COALESCE(SUM(points_earned), 0) as total_points,
         ROUND(AVG(CASE WHEN is_correct THEN 100 ELSE 0 END), 2) as accuracy_percentage
-       FROM quiz_attempts
-       WHERE user_id = $1`,
+       FROM scored`,
       [userId]
     );
 
@@ -100,11 +167,12 @@ router.get('/stats', optionalAuth, async (req, res) => {
   }
 });
 
-// Get user's attempts for a specific lesson
+// Get user's attempts for a specific lesson, with each question's attempts
+// left and (when the lesson's policy allows it) its correct answer
 router.get('/lesson/:lessonId', optionalAuth, async (req, res) => {
   try {
     if (!req.user) {
-      return res.json({ attempts: [] });
+      return res.json({ attempts: [], questions: [] });
     }
     
     const userId = req.user.userId;
@@ -119,11 +187,267 @@ router.get('/lesson/:lessonId', optionalAuth, async (req, res) => {
       [userId, lessonId]
     );
 
-    res.json({ attempts: attempts.rows });
+    const questions = await query(
+      `SELECT qq.id, qq.correct_answer, qq.explanation,
+        l.quiz_max_attempts, l.quiz_reveal_answers, l.quiz_scoring,
+        COUNT(qa.id) as attempts_used,
+        COALESCE(BOOL_OR(qa.is_correct), false) as solved
+       FROM quiz_questions qq
+       JOIN lessons l ON qq.lesson_id = l.id
+       LEFT JOIN quiz_attempts qa ON qa.quiz_question_id = qq.id AND qa.user_id = $1 AND qa.source = ANY($3)
+       WHERE qq.lesson_id = $2
+       GROUP BY qq.id, l.id
+       ORDER BY qq.order_index ASC`,
+      [userId, lessonId, POLICY_SOURCES]
+    );
+
+    res.json({
+      attempts: attempts.rows,
+      questions: questions.rows.map(question => {
+        const state = { attemptsUsed: parseInt(question.attempts_used), solved: question.solved };
+        return { questionId: question.id, attemptsUsed: state.attemptsUsed, solved: state.solved, ...policyFields(question, state) };
+      })
+    });
   } catch (error) {
     console.error('Get lesson attempts error:', error);
     res.status(500).json({ error: 'Failed to fetch attempts' });
   }
 });
 
+// ── Mock interview sessions ─────────────────────────────────────────────
+
+// Load a session owned by the current user
+async function findSession(sessionId, userId) {
+  const result = await query(
+    `SELECT qs.*, c.name as category_name, c.slug as category_slug
+     FROM quiz_sessions qs
+     LEFT JOIN categories c ON qs.category_id = c.id
+     WHERE qs.id = $1 AND qs.user_id = $2`,
+    [sessionId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Session payload: finished sessions include answers and the per-topic breakdown
+async function serializeSession(session) {
+  const finished = session.status === 'finished';
+  const questions = await getSessionQuestions(session, { includeAnswers: finished });
+
+  return {
+    session: {
+      ...session,
+      remaining_seconds: finished ? 0 : remainingSeconds(session)
+    },
+    questions,
+    ...(finished && { breakdown: buildTopicBreakdown(questions) })
+  };
+}
+
+// Start a timed mock interview session
+router.post('/sessions',
+  optionalAuth,
+  [
+    body('category').isString().notEmpty(),
+    body('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced', 'expert']),
+    body('durationMinutes').isInt({ min: 1, max: 180 }),
+    body('questionCount').optional().isInt({ min: 1, max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to start a mock interview' });
+      }
+
+      const userId = req.user.userId;
+      const { category, difficulty, durationMinutes } = req.body;
+      const questionCount = parseInt(req.body.questionCount) || 10;
+
+      const categoryResult = await query('SELECT id FROM categories WHERE slug = $1', [category]);
+      if (categoryResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      const categoryId = categoryResult.rows[0].id;
+
+      // Draw random questions from every lesson in the category
+      let questionsQuery = `
+        SELECT qq.id
+        FROM quiz_questions qq
+        JOIN lessons l ON qq.lesson_id = l.id
+        JOIN topics t ON l.topic_id = t.id
+        WHERE t.category_id = $1
+      `;
+      const params = [categoryId];
+
+      if (difficulty) {
+        questionsQuery += ' AND l.difficulty_level = $2';
+        params.push(difficulty);
+      }
+
+      questionsQuery += ` ORDER BY RANDOM() LIMIT $${params.length + 1}`;
+      params.push(questionCount);
+
+      const questionsResult = await query(questionsQuery, params);
+
+      if (questionsResult.rows.length === 0) {
+        return res.status(404).json({ error: 'No questions available for this category and difficulty' });
+      }
+
+      const durationSeconds = parseInt(durationMinutes) * 60;
+      const sessionResult = await query(
+        `INSERT INTO quiz_sessions (user_id, category_id, difficulty_level, duration_seconds, question_ids, expires_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + $6::interval)
+         RETURNING id`,
+        [userId, categoryId, difficulty || null, durationSeconds, questionsResult.rows.map(q => q.id), `${durationSeconds} seconds`]
+      );
+
+      const session = await findSession(sessionResult.rows[0].id, userId);
+
+      res.status(201).json(await serializeSession(session));
+    } catch (error) {
+      console.error('Start session error:', error);
+      res.status(500).json({ error: 'Failed to start session' });
+    }
+  }
+);
+
+// Get session state (finishes the session if its time is up)
+router.get('/sessions/:sessionId',
+  optionalAuth,
+  [param('sessionId').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to view your session' });
+      }
+
+      let session = await findSession(req.params.sessionId, req.user.userId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (session.status === 'active' && isExpired(session)) {
+        await finishSession(session);
+        session = await findSession(session.id, req.user.userId);
+      }
+
+      res.json(await serializeSession(session));
+    } catch (error) {
+      console.error('Get session error:', error);
+      res.status(500).json({ error: 'Failed to fetch session' });
+    }
+  }
+);
+
+// Answer (or change the answer to) one question in an active session
+router.post('/sessions/:sessionId/answer',
+  optionalAuth,
+  [
+    param('sessionId').isInt(),
+    body('questionId').isInt(),
+    body('userAnswer').custom(isAnswerValue),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to answer session questions' });
+      }
+
+      const session = await findSession(req.params.sessionId, req.user.userId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (session.status !== 'active' || isExpired(session)) {
+        return res.status(409).json({ error: 'This session has ended' });
+      }
+
+      const questionId = parseInt(req.body.questionId);
+      const { userAnswer } = req.body;
+
+      if (!session.question_ids.includes(questionId)) {
+        return res.status(400).json({ error: 'Question is not part of this session' });
+      }
+
+      const questionResult = await query('SELECT * FROM quiz_questions WHERE id = $1', [questionId]);
+      if (questionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      // Graded now, but the result stays hidden until the session is finished
+      const { isCorrect, pointsEarned } = await gradeAnswer(questionResult.rows[0], userAnswer);
+
+      await query(
+        `INSERT INTO quiz_session_answers (session_id, quiz_question_id, user_answer, is_correct, points_earned)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (session_id, quiz_question_id) DO UPDATE SET
+           user_answer   = EXCLUDED.user_answer,
+           is_correct    = EXCLUDED.is_correct,
+           points_earned = EXCLUDED.points_earned,
+           answered_at   = CURRENT_TIMESTAMP`,
+        [session.id, questionId, JSON.stringify(userAnswer), isCorrect, pointsEarned]
+      );
+
+      res.json({
+        message: 'Answer saved',
+        questionId,
+        remainingSeconds: remainingSeconds(session)
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Answer session question error:', error);
+      res.status(500).json({ error: 'Failed to save answer' });
+    }
+  }
+);
+
+// Finish a session and return its score with a per-topic breakdown
+router.post('/sessions/:sessionId/finish',
+  optionalAuth,
+  [param('sessionId').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please login to finish your session' });
+      }
+
+      let session = await findSession(req.params.sessionId, req.user.userId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      if (session.status === 'active') {
+        await finishSession(session);
+        session = await findSession(session.id, req.user.userId);
+      }
+
+      res.json(await serializeSession(session));
+    } catch (error) {
+      console.error('Finish session error:', error);
+      res.status(500).json({ error: 'Failed to finish session' });
+    }
+  }
+);
+
 export default router;
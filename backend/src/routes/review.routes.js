@@ -0,0 +1,131 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { findQuizQuestion, getQuizState, gradeAnswer, policyFields, recordAttempt } from '../services/quiz.service.js';
+import { isAnswerValue } from '../services/question-types.service.js';
+import { backfillReviewCards, recordReview } from '../services/review.service.js';
+
+const router = express.Router();
+
+// Review queue is always per user
+router.use(authenticateToken);
+
+// Get questions due for review
+router.get('/due',
+  [
+    queryParam('limit').optional().isInt({ min: 1, max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const limit = parseInt(req.query.limit) || 20;
+
+      // Pick up questions answered before the review queue existed
+      await backfillReviewCards(userId);
+
+      const dueResult = await query(
+        `SELECT qq.id, qq.question_text, qq.question_type, qq.options, qq.starter_code, qq.difficulty, qq.points,
+          rc.due_at, rc.interval_days, rc.repetitions, rc.lapses, rc.last_reviewed_at,
+          l.title as lesson_title, l.slug as lesson_slug,
+          t.name as topic_name
+         FROM review_cards rc
+         JOIN quiz_questions qq ON rc.quiz_question_id = qq.id
+         JOIN lessons l ON qq.lesson_id = l.id
+         JOIN topics t ON l.topic_id = t.id
+         WHERE rc.user_id = $1 AND rc.due_at <= CURRENT_TIMESTAMP
+         ORDER BY rc.due_at ASC
+         LIMIT $2`,
+        [userId, limit]
+      );
+
+      const summaryResult = await query(
+        `SELECT
+          COUNT(*) as total_cards,
+          COUNT(CASE WHEN due_at <= CURRENT_TIMESTAMP THEN 1 END) as due_count,
+          MIN(CASE WHEN due_at > CURRENT_TIMESTAMP THEN due_at END) as next_due_at
+         FROM review_cards
+         WHERE user_id = $1`,
+        [userId]
+      );
+
+      res.json({
+        questions: dueResult.rows,
+        summary: summaryResult.rows[0]
+      });
+    } catch (error) {
+      console.error('Get due reviews error:', error);
+      res.status(500).json({ error: 'Failed to fetch review queue' });
+    }
+  }
+);
+
+// Answer a review question and reschedule it
+router.post('/answer',
+  [
+    body('questionId').isInt(),
+    body('userAnswer').custom(isAnswerValue),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.userId;
+      const { questionId, userAnswer } = req.body;
+
+      const question = await findQuizQuestion(questionId);
+
+      if (!question) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      // Only due cards can be answered, so reviews cannot be used to retry a
+      // lesson quiz question over and over
+      const cardResult = await query(
+        'SELECT due_at FROM review_cards WHERE user_id = $1 AND quiz_question_id = $2',
+        [userId, questionId]
+      );
+
+      if (cardResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Question is not in your review queue' });
+      }
+
+      if (new Date(cardResult.rows[0].due_at) > new Date()) {
+        return res.status(409).json({ error: 'This question is not due for review yet' });
+      }
+
+      const { isCorrect, score, pointsEarned, testResults } = await gradeAnswer(question, userAnswer);
+      const attempt = await recordAttempt({ userId, questionId, userAnswer, isCorrect, pointsEarned, source: 'review' });
+      const card = await recordReview(userId, questionId, isCorrect);
+
+      // The answer is revealed as the lesson's policy allows for its quiz
+      const quizState = await getQuizState(userId, questionId);
+
+      res.json({
+        isCorrect,
+        score,
+        pointsEarned,
+        ...policyFields(question, { ...quizState, solved: quizState.solved || isCorrect }),
+        attempt,
+        card,
+        ...(testResults && { testResults })
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Answer review error:', error);
+      res.status(500).json({ error: 'Failed to submit review answer' });
+    }
+  }
+);
+
+export default router;
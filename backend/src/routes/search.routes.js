@@ -0,0 +1,48 @@
+import express from 'express';
+import { query as queryParam, validationResult } from 'express-validator';
+import { MAX_PAGE_SIZE, SEARCH_TYPES, searchContent } from '../services/search.service.js';
+
+const router = express.Router();
+
+// Results per type when searching everything at once
+const PREVIEW_SIZE = 5;
+
+// Search lessons, code examples and quiz questions.
+// With type=all each type returns its first few results and its total.
+router.get('/',
+  [
+    queryParam('q').isString().trim().notEmpty(),
+    queryParam('type').optional().isIn(['all', ...Object.keys(SEARCH_TYPES)]),
+    queryParam('difficulty').optional().isIn(['beginner', 'intermediate', 'advanced', 'expert']),
+    queryParam('category').optional().isString(),
+    queryParam('page').optional().isInt({ min: 1 }).toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, type = 'all', difficulty, category, page, limit } = req.query;
+      const types = type === 'all' ? Object.keys(SEARCH_TYPES) : [type];
+      const options = type === 'all'
+        ? { q, difficulty, category, page: 1, limit: PREVIEW_SIZE }
+        : { q, difficulty, category, page, limit };
+
+      const results = await Promise.all(types.map(t => searchContent(t, options)));
+
+      res.json({
+        query: q,
+        type,
+        ...Object.fromEntries(types.map((t, i) => [t, results[i]]))
+      });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+);
+
+export default router;
@@ -1,9 +1,26 @@
 import express from 'express';
+import { body, param, query as queryParam, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
-import { optionalAuth } from '../middleware/auth.middleware.js';
+import { authenticateToken, optionalAuth, requireRole } from '../middleware/auth.middleware.js';
+import { cacheResponse, invalidateContentOnWrite } from '../middleware/cache.middleware.js';
+import {
+  FOREIGN_KEY_VIOLATION,
+  UNIQUE_VIOLATION,
+  deleteRow,
+  pickColumns,
+  updateRow
+} from '../services/content.service.js';
+import { DEFAULT_MASTERY_THRESHOLD } from '../services/progress.service.js';
 
 const router = express.Router();
 
+router.use(invalidateContentOnWrite);
+
+// Optional parts of GET /api/topics, all included by default
+const TOPIC_INCLUDES = ['lessons', 'progress'];
+
+const parseIncludes = (value) => value.split(',').map(part => part.trim()).filter(Boolean);
+
 // Helper: generate slug from name
 function slugify(text) {
   return text
@@ -17,21 +34,26 @@ function slugify(text) {
     .replace(/-+$/, '');
 }
 
-// Create a new topic (accessible to anyone — no auth required)
-router.post('/', async (req, res) => {
+const validDifficulties = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Create a new topic (authors and admins only)
+router.post('/', authenticateToken, requireRole('author'), async (req, res) => {
   try {
-    const { category_id, name, description, difficulty_level, estimated_time } = req.body;
+    const { category_id, name, description, difficulty_level, estimated_time, mastery_threshold } = req.body;
 
     // Validation
     if (!category_id || !name) {
       return res.status(400).json({ error: 'category_id and name are required' });
     }
 
-    const validDifficulties = ['beginner', 'intermediate', 'advanced', 'expert'];
     if (difficulty_level && !validDifficulties.includes(difficulty_level)) {
       return res.status(400).json({ error: `difficulty_level must be one of: ${validDifficulties.join(', ')}` });
     }
 
+    if (mastery_threshold != null && !(Number.isInteger(mastery_threshold) && mastery_threshold >= 1 && mastery_threshold <= 100)) {
+      return res.status(400).json({ error: 'mastery_threshold must be an integer between 1 and 100' });
+    }
+
     // Check category exists
     const categoryCheck = await query('SELECT id FROM categories WHERE id = $1', [category_id]);
     if (categoryCheck.rows.length === 0) {
@@ -53,10 +75,13 @@ router.post('/', async (req, res) => {
     const orderIndex = orderResult.rows[0].next_order;
 
     const result = await query(
-      `INSERT INTO topics (category_id, name, slug, description, difficulty_level, estimated_time, order_index)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO topics (category_id, name, slug, description, difficulty_level, estimated_time, order_index, mastery_threshold)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [category_id, name.trim(), slug, description || null, difficulty_level || 'beginner', estimated_time || null, orderIndex]
+      [
+        category_id, name.trim(), slug, description || null, difficulty_level || 'beginner', estimated_time || null, orderIndex,
+        mastery_threshold ?? DEFAULT_MASTERY_THRESHOLD
+      ]
     );
 
     res.status(201).json({ topic: result.rows[0], message: 'Topic created successfully' });
@@ -66,80 +91,172 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all topics
-router.get('/', optionalAuth, async (req, res) => {
+// PUT requires every required field, PATCH only validates what is sent
+const topicValidators = (partial) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  return [
+    param('id').isInt(),
+    required('category_id').isInt(),
+    required('name').isString().trim().notEmpty(),
+    body('slug').optional().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+    body('description').optional({ nullable: true }).isString(),
+    body('difficulty_level').optional().isIn(validDifficulties),
+    body('estimated_time').optional({ nullable: true }).isInt({ min: 1 }),
+    body('order_index').optional().isInt({ min: 0 }),
+    body('icon').optional({ nullable: true }).isString(),
+    body('mastery_threshold').optional().isInt({ min: 1, max: 100 }),
+  ];
+};
+
+// Update a topic: PUT replaces it, PATCH changes only the given fields.
+// The slug stays stable on rename unless a new one is sent.
+const updateTopic = (replace) => async (req, res) => {
   try {
-    const { category, difficulty } = req.query;
-    const userId = req.user?.userId;
-    
-    let queryText = `
-      SELECT t.*, c.name as category_name, c.slug as category_slug,
-        COUNT(DISTINCT l.id) as lesson_count
-      FROM topics t
-      LEFT JOIN categories c ON t.category_id = c.id
-      LEFT JOIN lessons l ON t.id = l.topic_id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramIndex = 1;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const values = pickColumns('topics', req.body, { replace });
+    const topic = await updateRow('topics', req.params.id, values);
 
-    if (category) {
-      queryText += ` AND c.slug = $${paramIndex}`;
-      params.push(category);
-      paramIndex++;
+    if (!topic) {
+      return res.status(404).json({ error: 'Topic not found' });
     }
 
-    if (difficulty) {
-      queryText += ` AND t.difficulty_level = $${paramIndex}`;
-      params.push(difficulty);
-      paramIndex++;
+    res.json({ topic, message: 'Topic updated successfully' });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: 'A topic with this slug already exists' });
+    }
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(404).json({ error: 'Category not found' });
     }
+    console.error('Update topic error:', error);
+    res.status(500).json({ error: 'Failed to update topic' });
+  }
+};
+
+router.put('/:id', authenticateToken, requireRole('author'), topicValidators(false), updateTopic(true));
+router.patch('/:id', authenticateToken, requireRole('author'), topicValidators(true), updateTopic(false));
 
-    queryText += ' GROUP BY t.id, c.name, c.slug ORDER BY t.order_index ASC';
+// Delete a topic with its lessons, examples and questions
+router.delete('/:id',
+  authenticateToken,
+  requireRole('author'),
+  [param('id').isInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const result = await query(queryText, params);
-    
-    // Fetch lessons for each topic
-    const topicsWithLessons = await Promise.all(
-      result.rows.map(async (topic) => {
-        let lessonsQuery = `
-          SELECT l.id, l.title, l.slug, l.summary, l.difficulty_level, l.estimated_time, l.order_index
+      if (!(await deleteRow('topics', req.params.id))) {
+        return res.status(404).json({ error: 'Topic not found' });
+      }
+
+      res.json({ message: 'Topic deleted successfully' });
+    } catch (error) {
+      console.error('Delete topic error:', error);
+      res.status(500).json({ error: 'Failed to delete topic' });
+    }
+  }
+);
+
+// Get all topics
+router.get('/',
+  optionalAuth,
+  cacheResponse({ perUser: true }),
+  [
+    queryParam('include')
+      .optional()
+      .isString()
+      .custom(value => parseIncludes(value).every(part => TOPIC_INCLUDES.includes(part)))
+      .withMessage(`include must be a comma-separated list of: ${TOPIC_INCLUDES.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { category, difficulty } = req.query;
+      const userId = req.user?.userId;
+      const includes = req.query.include === undefined ? TOPIC_INCLUDES : parseIncludes(req.query.include);
+      const withLessons = includes.includes('lessons');
+      const withProgress = includes.includes('progress') && !!userId;
+
+      // At most two queries whatever the number of topics and lessons: the
+      // topics (with lesson counts and, for progress, completed counts) and
+      // then every lesson of those topics in one batch
+      const params = [];
+      const conditions = [];
+
+      if (withProgress) {
+        params.push(userId);
+      }
+
+      if (category) {
+        params.push(category);
+        conditions.push(`c.slug = $${params.length}`);
+      }
+
+      if (difficulty) {
+        params.push(difficulty);
+        conditions.push(`t.difficulty_level = $${params.length}`);
+      }
+
+      const result = await query(
+        `SELECT t.*, c.name as category_name, c.slug as category_slug,
+          COUNT(DISTINCT l.id) as lesson_count
+          ${withProgress ? ", COUNT(DISTINCT up.lesson_id) FILTER (WHERE up.status = 'completed') as completed_lessons" : ''}
+        FROM topics t
+        LEFT JOIN categories c ON t.category_id = c.id
+        LEFT JOIN lessons l ON t.id = l.topic_id
+        ${withProgress ? 'LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $1' : ''}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY t.id, c.name, c.slug
+        ORDER BY t.order_index ASC`,
+        params
+      );
+
+      const topics = result.rows;
+
+      if (withLessons && topics.length > 0) {
+        const lessonsResult = await query(
+          `SELECT l.id, l.topic_id, l.title, l.slug, l.summary, l.difficulty_level, l.estimated_time, l.order_index
+            ${withProgress ? ', up.status, up.progress_percentage' : ''}
           FROM lessons l
-          WHERE l.topic_id = $1
-          ORDER BY l.order_index ASC
-        `;
-        const lessonsResult = await query(lessonsQuery, [topic.id]);
-        
-        // Get progress for each lesson if user is authenticated
-        if (userId) {
-          const lessonsWithProgress = await Promise.all(
-            lessonsResult.rows.map(async (lesson) => {
-              const progressResult = await query(
-                'SELECT status, progress_percentage FROM user_progress WHERE user_id = $1 AND lesson_id = $2',
-                [userId, lesson.id]
-              );
-              return {
-                ...lesson,
-                userProgress: progressResult.rows[0] || null
-              };
-            })
-          );
-          return { ...topic, lessons: lessonsWithProgress };
+          ${withProgress ? 'LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $2' : ''}
+          WHERE l.topic_id = ANY($1)
+          ORDER BY l.order_index ASC`,
+          withProgress ? [topics.map(topic => topic.id), userId] : [topics.map(topic => topic.id)]
+        );
+
+        const lessonsByTopic = new Map(topics.map(topic => [topic.id, []]));
+        for (const { topic_id, status, progress_percentage, ...lesson } of lessonsResult.rows) {
+          lessonsByTopic.get(topic_id).push(withProgress
+            ? { ...lesson, userProgress: status ? { status, progress_percentage } : null }
+            : lesson);
         }
-        
-        return { ...topic, lessons: lessonsResult.rows };
-      })
-    );
-    
-    res.json({ topics: topicsWithLessons });
-  } catch (error) {
-    console.error('Get topics error:', error);
-    res.status(500).json({ error: 'Failed to fetch topics' });
+
+        for (const topic of topics) {
+          topic.lessons = lessonsByTopic.get(topic.id);
+        }
+      }
+
+      res.json({ topics });
+    } catch (error) {
+      console.error('Get topics error:', error);
+      res.status(500).json({ error: 'Failed to fetch topics' });
+    }
   }
-});
+);
 
 // Get topic by slug with lessons
-router.get('/:slug', optionalAuth, async (req, res) => {
+router.get('/:slug', optionalAuth, cacheResponse({ perUser: true }), async (req, res) => {
   try {
     const { slug } = req.params;
     const userId = req.user?.userId;
@@ -158,9 +275,12 @@ router.get('/:slug', optionalAuth, async (req, res) => {
 
     const topic = topicResult.rows[0];
 
-    // Get lessons for this topic with progress if user is authenticated
+    // Get lessons for this topic with progress if user is authenticated.
+    // Lesson content is left out: it is only needed on the lesson page.
     let lessonsQuery = `
-      SELECT l.*,
+      SELECT l.id, l.topic_id, l.title, l.slug, l.summary, l.difficulty_level,
+        l.estimated_time, l.order_index, l.prerequisites, l.key_points,
+        l.quiz_max_attempts, l.quiz_reveal_answers, l.quiz_scoring, l.created_at, l.updated_at,
         COUNT(DISTINCT ce.id) as code_example_count,
         COUNT(DISTINCT qq.id) as quiz_count
     `;
@@ -0,0 +1,205 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateToken, optionalAuth, requireRole, ROLES } from '../middleware/auth.middleware.js';
+import { issueTokens, revokeAllSessions } from '../services/auth.service.js';
+import {
+  AVATAR_TYPES,
+  MAX_AVATAR_BYTES,
+  changePassword,
+  getOwnProfile,
+  getPublicProfile,
+  removeAvatar,
+  saveAvatar,
+  updateProfile
+} from '../services/profile.service.js';
+import { DAILY_GOAL_TYPES, MAX_DAILY_GOAL, isValidTimezone } from '../services/activity.service.js';
+
+const router = express.Router();
+
+// Avatars are uploaded as the raw request body (Content-Type: image/png etc.)
+const readAvatar = express.raw({ type: AVATAR_TYPES, limit: MAX_AVATAR_BYTES });
+
+const avatarBody = (req, res, next) => {
+  readAvatar(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Avatar must be 2 MB or smaller' });
+    }
+    next(err);
+  });
+};
+
+// Get the current user's editable profile
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await getOwnProfile(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Update profile fields
+router.patch('/me',
+  authenticateToken,
+  [
+    body('display_name').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Display name must be at most 100 characters'),
+    body('bio').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Bio must be at most 1000 characters'),
+    body('profile_public').optional().isBoolean().toBoolean(),
+    body('timezone').optional().isString().custom(isValidTimezone).withMessage('timezone must be an IANA time zone such as Europe/Berlin'),
+    body('daily_goal_type').optional().isIn(DAILY_GOAL_TYPES).withMessage(`daily_goal_type must be one of: ${DAILY_GOAL_TYPES.join(', ')}`),
+    body('daily_goal_target').optional({ nullable: true }).isInt({ min: 1, max: MAX_DAILY_GOAL }).withMessage(`daily_goal_target must be between 1 and ${MAX_DAILY_GOAL}`).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Empty strings clear a field
+      const values = { ...req.body };
+      for (const field of ['display_name', 'bio']) {
+        if (values[field] === '') values[field] = null;
+      }
+
+      const user = await updateProfile(req.user.userId, values);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json({ user, message: 'Profile updated successfully' });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
+    }
+  }
+);
+
+// Change password. Other sessions are logged out; this one gets fresh tokens.
+router.post('/me/password',
+  authenticateToken,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await changePassword(req.user.userId, req.body.currentPassword, req.body.newPassword);
+      await revokeAllSessions(req.user.userId);
+
+      const user = { id: req.user.userId, username: req.user.username, role: req.user.role };
+      const { token, refreshToken } = await issueTokens(user, { userAgent: req.get('user-agent') });
+
+      res.json({ message: 'Password changed successfully', token, refreshToken });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Change password error:', error);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  }
+);
+
+// Upload a new avatar
+router.put('/me/avatar', authenticateToken, avatarBody, async (req, res) => {
+  try {
+    const user = await saveAvatar(req.user.userId, req.body);
+    res.json({ user, message: 'Avatar updated' });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ error: 'Failed to upload avatar' });
+  }
+});
+
+router.delete('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const user = await removeAvatar(req.user.userId);
+    res.json({ user, message: 'Avatar removed' });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ error: 'Failed to remove avatar' });
+  }
+});
+
+// Public profile; private profiles are a 404 for everyone but their owner
+router.get('/:username/profile', optionalAuth, async (req, res) => {
+  try {
+    const profile = await getPublicProfile(req.params.username, req.user?.userId ?? null);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// List users with their roles (admins only)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, username, email, role, created_at, last_login FROM users ORDER BY created_at ASC'
+    );
+
+    res.json({ users: result.rows });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Change a user's role (admins only)
+router.patch('/:userId/role',
+  authenticateToken,
+  requireRole('admin'),
+  [
+    param('userId').isInt(),
+    body('role').isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = parseInt(req.params.userId);
+      const { role } = req.body;
+
+      // Keep at least one admin around
+      if (userId === req.user.userId && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+      }
+
+      const result = await query(
+        'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, email, role',
+        [role, userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user: result.rows[0], message: 'Role updated successfully' });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+  }
+);
+
+export default router;
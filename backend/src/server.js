@@ -11,6 +11,17 @@ import topicRoutes from './routes/topic.routes.js';
 import lessonRoutes from './routes/lesson.routes.js';
 import progressRoutes from './routes/progress.routes.js';
 import quizRoutes from './routes/quiz.routes.js';
+import reviewRoutes from './routes/review.routes.js';
+import userRoutes from './routes/user.routes.js';
+import exampleRoutes from './routes/example.routes.js';
+import questionRoutes from './routes/question.routes.js';
+import contentRoutes from './routes/content.routes.js';
+import searchRoutes from './routes/search.routes.js';
+import annotationRoutes from './routes/annotation.routes.js';
+import bookmarkRoutes from './routes/bookmark.routes.js';
+import playlistRoutes from './routes/playlist.routes.js';
+import { uploadDir } from './services/profile.service.js';
+import { getTransport } from './services/mail.service.js';
 
 dotenv.config();
 
@@ -21,12 +32,20 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Lets the frontend read ETags and revalidate cached GET responses
+  exposedHeaders: ['ETag']
 }));
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files (avatars). Helmet blocks cross-origin loads by default, but
+// the frontend runs on another origin, so allow them here.
+app.use('/uploads', express.static(uploadDir(), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -43,6 +62,15 @@ app.use('/api/topics', topicRoutes);
 app.use('/api/lessons', lessonRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/quiz', quizRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/examples', exampleRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/content', contentRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/annotations', annotationRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/playlists', playlistRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -58,6 +86,9 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Refuse to start without a usable mail transport
+getTransport();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
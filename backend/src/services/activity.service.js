@@ -0,0 +1,134 @@
+import { query } from '../config/database.js';
+
+export const DAILY_GOAL_TYPES = ['minutes', 'lessons'];
+
+// Largest daily goal, in either minutes or lessons
+export const MAX_DAILY_GOAL = 1440;
+
+// Longest range GET /api/progress/activity returns at once
+export const MAX_ACTIVITY_DAYS = 731;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Whether `timezone` is an IANA time zone name such as "Europe/Berlin"
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Days from one 'YYYY-MM-DD' date to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Add to today's activity totals, where today is taken in the user's time
+// zone. Pass a transaction `client` to run it inside that transaction.
+export async function logActivity(userId, { activeSeconds = 0, lessonsCompleted = 0, quizAttempts = 0 }, { client = null } = {}) {
+  if (!activeSeconds && !lessonsCompleted && !quizAttempts) return;
+
+  const run = client ? client.query.bind(client) : query;
+  await run(
+    `INSERT INTO learning_activity (user_id, activity_date, active_seconds, lessons_completed, quiz_attempts)
+     SELECT id, (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date, $2, $3, $4
+     FROM users WHERE id = $1
+     ON CONFLICT (user_id, activity_date) DO UPDATE SET
+       active_seconds = learning_activity.active_seconds + EXCLUDED.active_seconds,
+       lessons_completed = learning_activity.lessons_completed + EXCLUDED.lessons_completed,
+       quiz_attempts = learning_activity.quiz_attempts + EXCLUDED.quiz_attempts`,
+    [userId, activeSeconds, lessonsCompleted, quizAttempts]
+  );
+}
+
+// Whether a day's totals count towards a streak: the daily goal is met or,
+// without a goal, anything was done at all
+export function meetsGoal(day, goal) {
+  if (!goal.target) {
+    return day.active_seconds > 0 || day.lessons_completed > 0 || day.quiz_attempts > 0;
+  }
+  const done = goal.type === 'lessons' ? day.lessons_completed : Math.floor(day.active_seconds / 60);
+  return done >= goal.target;
+}
+
+// Current and longest run of consecutive days, from the sorted 'YYYY-MM-DD'
+// dates that count. The current streak is still alive when the last day
+// counted was yesterday, so it does not drop to 0 before today's session.
+export function computeStreaks(dates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const date of dates) {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+
+  const current = previous && daysBetween(previous, today) <= 1 ? run : 0;
+  return { current, longest };
+}
+
+// Per-day activity totals between `from` and `to` ('YYYY-MM-DD', inclusive,
+// in the user's time zone; defaults to the year up to today), with the
+// user's daily goal and streaks. Days without activity are left out.
+// Returns null when the user does not exist; throws a 400 for bad ranges.
+export async function getActivity(userId, { from, to } = {}) {
+  const userResult = await query(
+    `SELECT timezone, daily_goal_type, daily_goal_target,
+       (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date::text as today
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user) return null;
+
+  const rangeEnd = to || user.today;
+  const rangeStart = from || addDays(rangeEnd, -364);
+  const days = daysBetween(rangeStart, rangeEnd);
+  if (days < 0) {
+    throw badRequest('from must not be after to');
+  }
+  if (days >= MAX_ACTIVITY_DAYS) {
+    throw badRequest(`At most ${MAX_ACTIVITY_DAYS} days can be requested at once`);
+  }
+
+  // Streaks need every day, not just the requested range
+  const activityResult = await query(
+    `SELECT activity_date::text as date, active_seconds, lessons_completed, quiz_attempts
+     FROM learning_activity
+     WHERE user_id = $1
+     ORDER BY activity_date ASC`,
+    [userId]
+  );
+
+  const goal = { type: user.daily_goal_type, target: user.daily_goal_target };
+  const history = activityResult.rows.map(day => ({
+    date: day.date,
+    minutes: Math.floor(day.active_seconds / 60),
+    active_seconds: day.active_seconds,
+    lessons_completed: day.lessons_completed,
+    quiz_attempts: day.quiz_attempts,
+    goal_met: meetsGoal(day, goal),
+  }));
+
+  const today = history.find(day => day.date === user.today);
+
+  return {
+    timezone: user.timezone,
+    today: user.today,
+    from: rangeStart,
+    to: rangeEnd,
+    goal: {
+      ...goal,
+      progress: today ? (goal.type === 'lessons' ? today.lessons_completed : today.minutes) : 0,
+      met: today ? today.goal_met && !!goal.target : false,
+    },
+    streak: computeStreaks(history.filter(day => day.goal_met).map(day => day.date), user.today),
+    days: history.filter(day => day.date >= rangeStart && day.date <= rangeEnd),
+  };
+}
@@ -0,0 +1,125 @@
+import { query } from '../config/database.js';
+import { appUrl } from './mail.service.js';
+
+// ============================================================================
+// Highlights and notes on lessons
+// ============================================================================
+//
+// A highlight covers a range of a lesson's rendered text (what the reader
+// sees, not the Markdown source): offsets count its characters, and the
+// quoted text with a little context on either side lets the frontend find
+// the range again after the lesson is edited. Highlights may carry a note.
+// A note without a range is about the whole lesson.
+// ============================================================================
+
+export const MAX_QUOTE_LENGTH = 5000;
+export const MAX_NOTE_LENGTH = 10000;
+
+// Longest prefix or suffix kept around a quote
+export const MAX_CONTEXT_LENGTH = 64;
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Blank notes are stored as no note
+const cleanNote = (note) => (typeof note === 'string' && note.trim() ? note.trim() : null);
+
+// The user's annotations with their lessons, in course order and, within a
+// lesson, notes on the whole lesson first and then highlights top to bottom
+export async function listAnnotations(userId, { lessonId = null } = {}) {
+  const result = await query(
+    `SELECT la.id, la.lesson_id, la.start_offset, la.end_offset, la.quote, la.prefix, la.suffix,
+      la.note, la.created_at, la.updated_at,
+      l.title as lesson_title, l.slug as lesson_slug,
+      t.name as topic_name, t.slug as topic_slug,
+      c.name as category_name
+     FROM lesson_annotations la
+     JOIN lessons l ON la.lesson_id = l.id
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE la.user_id = $1 AND ($2::int IS NULL OR la.lesson_id = $2)
+     ORDER BY c.order_index, t.order_index, l.order_index, l.id, la.start_offset NULLS FIRST, la.id`,
+    [userId, lessonId]
+  );
+  return result.rows;
+}
+
+// Add a highlight (`startOffset`, `endOffset` and `quote`, with an optional
+// note) or, without a range, a note on the whole lesson
+export async function createAnnotation(userId, lessonId, { startOffset = null, endOffset = null, quote = null, prefix = '', suffix = '', note = null }) {
+  const lesson = await query('SELECT id FROM lessons WHERE id = $1', [lessonId]);
+  if (lesson.rows.length === 0) {
+    throw notFound('Lesson not found');
+  }
+
+  const result = await query(
+    `INSERT INTO lesson_annotations (user_id, lesson_id, start_offset, end_offset, quote, prefix, suffix, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [userId, lessonId, startOffset, endOffset, quote, quote === null ? '' : prefix, quote === null ? '' : suffix, cleanNote(note)]
+  );
+  return result.rows[0];
+}
+
+// Change an annotation's note; the range stays as it is. Returns null when
+// the user has no such annotation.
+export async function updateAnnotationNote(userId, annotationId, note) {
+  const existing = await query(
+    'SELECT quote FROM lesson_annotations WHERE id = $1 AND user_id = $2',
+    [annotationId, userId]
+  );
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  if (existing.rows[0].quote === null && cleanNote(note) === null) {
+    throw badRequest('A note on the whole lesson cannot be empty; delete it instead');
+  }
+
+  const result = await query(
+    `UPDATE lesson_annotations SET note = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [annotationId, userId, cleanNote(note)]
+  );
+  return result.rows[0];
+}
+
+// Returns whether the user had such an annotation
+export async function deleteAnnotation(userId, annotationId) {
+  const result = await query(
+    'DELETE FROM lesson_annotations WHERE id = $1 AND user_id = $2',
+    [annotationId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+const blockquote = (text) => text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+
+// Markdown document of annotations as returned by listAnnotations, one
+// section per lesson
+export function annotationsToMarkdown(annotations) {
+  const lines = ['# My notes', ''];
+
+  if (annotations.length === 0) {
+    lines.push('No highlights or notes yet.', '');
+  }
+
+  let lessonId = null;
+  for (const annotation of annotations) {
+    if (annotation.lesson_id !== lessonId) {
+      lessonId = annotation.lesson_id;
+      const path = [annotation.category_name, annotation.topic_name].filter(Boolean).join(' › ');
+      lines.push(`## ${annotation.lesson_title}`, '');
+      lines.push(`${path ? `${path} · ` : ''}[Open lesson](${appUrl()}/lesson/${annotation.lesson_slug})`, '');
+    }
+
+    if (annotation.quote !== null) {
+      lines.push(blockquote(annotation.quote), '');
+    }
+    if (annotation.note) {
+      lines.push(annotation.note, '');
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { query, getClient } from '../config/database.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from './mail.service.js';
+
+// A rotated token presented again within this window is treated as a race
+// between two tabs refreshing at once, not as theft
+const REUSE_GRACE_SECONDS = 30;
+
+const PASSWORD_RESET_MINUTES = 60;
+const EMAIL_VERIFICATION_HOURS = 48;
+
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Refresh tokens are random, so a plain SHA-256 is enough to store them safely
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+export function signAccessToken(user) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+}
+
+async function createRefreshToken(userId, familyId, userAgent, run = query) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await run(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4::interval, $5)`,
+    [userId, hashToken(refreshToken), familyId, `${refreshTokenDays()} days`, userAgent?.slice(0, 500) || null]
+  );
+
+  return refreshToken;
+}
+
+// Start a new session (login or registration): access token + refresh token
+export async function issueTokens(user, { userAgent } = {}) {
+  // Expired tokens are no longer needed for reuse detection
+  await query(
+    'DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP',
+    [user.id]
+  );
+
+  const refreshToken = await createRefreshToken(user.id, crypto.randomUUID(), userAgent);
+  return { token: signAccessToken(user), refreshToken };
+}
+
+// Exchange a refresh token for a new pair. The old token is revoked; presenting
+// a revoked token again revokes its whole session, since it may have been stolen.
+export async function rotateRefreshToken(refreshToken, { userAgent } = {}) {
+  const client = await getClient();
+  let committed = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT rt.*, u.username, u.role,
+         rt.expires_at <= CURRENT_TIMESTAMP as expired,
+         rt.revoked_at > CURRENT_TIMESTAMP - $2::interval as recently_revoked
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken), `${REUSE_GRACE_SECONDS} seconds`]
+    );
+
+    const stored = result.rows[0];
+    if (!stored) {
+      throw authError('Invalid refresh token');
+    }
+
+    if (stored.revoked_at) {
+      if (!stored.recently_revoked) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+          [stored.family_id]
+        );
+        await client.query('COMMIT');
+        committed = true;
+      }
+      throw authError('Refresh token has been revoked');
+    }
+
+    if (stored.expired) {
+      throw authError('Refresh token expired');
+    }
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [stored.id]
+    );
+    const nextRefreshToken = await createRefreshToken(stored.user_id, stored.family_id, userAgent, client.query);
+
+    await client.query('COMMIT');
+    committed = true;
+
+    const user = { id: stored.user_id, username: stored.username, role: stored.role };
+    return { user, token: signAccessToken(user), refreshToken: nextRefreshToken };
+  } catch (error) {
+    if (!committed) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Log out one session: revoke every token rotated from the same login
+export async function revokeSession(refreshToken) {
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE revoked_at IS NULL
+       AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)`,
+    [hashToken(refreshToken)]
+  );
+  return result.rowCount;
+}
+
+// Log out everywhere
+export async function revokeAllSessions(userId) {
+  const result = await query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+// Create a single-use emailed token. Older unused tokens for the same purpose
+// stop working, so only the latest email's link is valid.
+async function createAuthToken(userId, purpose, lifetime, run = query) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await run(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await run(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4::interval)`,
+    [userId, purpose, hashToken(token), lifetime]
+  );
+
+  return token;
+}
+
+// Mark a token used and return its user id. Throws a 400 when the token is
+// unknown, expired or already used; the single UPDATE makes it race-free.
+async function consumeAuthToken(token, purpose, run = query) {
+  const result = await run(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+       AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    const error = new Error('This link is invalid or has expired');
+    error.status = 400;
+    throw error;
+  }
+
+  return result.rows[0].user_id;
+}
+
+// Email a reset link. Unknown addresses are silently ignored so the endpoint
+// does not reveal which emails have accounts; callers do not wait for it.
+export async function requestPasswordReset(email) {
+  const result = await query('SELECT id, username, email FROM users WHERE email = $1', [email]);
+  const user = result.rows[0];
+  if (!user) return;
+
+  const token = await createAuthToken(user.id, 'password_reset', `${PASSWORD_RESET_MINUTES} minutes`);
+  await sendPasswordResetEmail(user, token, PASSWORD_RESET_MINUTES);
+}
+
+// Set a new password from a reset link and log out every existing session
+export async function resetPassword(token, password) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = await consumeAuthToken(token, 'password_reset', client.query);
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    // Receiving the reset email also proves the address belongs to the user
+    await client.query(
+      `UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Email a verification link; does nothing when the address is already verified
+export async function requestEmailVerification(userId) {
+  const result = await query(
+    'SELECT id, username, email, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || user.email_verified_at) return false;
+
+  const token = await createAuthToken(user.id, 'email_verification', `${EMAIL_VERIFICATION_HOURS} hours`);
+  await sendVerificationEmail(user, token, EMAIL_VERIFICATION_HOURS);
+  return true;
+}
+
+export async function verifyEmail(token) {
+  const userId = await consumeAuthToken(token, 'email_verification');
+  const result = await query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+     WHERE id = $1
+     RETURNING id, username, email, role, email_verified_at`,
+    [userId]
+  );
+  return result.rows[0];
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+
+// A store is any object with async `get(key)`, `set(key, value, ttlSeconds)`,
+// `incr(key)` and `getCounter(key)`; values are strings. CACHE_STORE picks
+// one: 'memory' (default, an LRU inside this process), 'redis' (any
+// Redis-compatible server at REDIS_URL) or 'none'.
+//
+// Entries are never deleted one by one. Their keys carry version counters
+// instead: one for all content, bumped by every content write, and one per
+// user, bumped when that user's progress changes. Outdated entries are no
+// longer looked up and age out of the store.
+
+const ttlSeconds = () => parseInt(process.env.CACHE_TTL_SECONDS) || 300;
+
+// Least recently used entries are dropped once `maxEntries` is reached.
+// Counters live apart from the entries so eviction never resets a version.
+export function createMemoryStore(maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || 500) {
+  const entries = new Map();
+  const counters = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttl) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async incr(key) {
+      const next = (counters.get(key) || 0) + 1;
+      counters.set(key, next);
+      return next;
+    },
+    async getCounter(key) {
+      return counters.get(key) || 0;
+    }
+  };
+}
+
+// Shared between server instances. The `redis` package is an optional
+// dependency, only loaded when this store is used.
+export async function createRedisStore(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+  let createClient;
+  try {
+    ({ createClient } = await import('redis'));
+  } catch (error) {
+    throw new Error(`CACHE_STORE=redis needs the redis package, install it with \`npm install redis\` in backend/ (${error.message})`);
+  }
+  const client = createClient({ url });
+  client.on('error', (error) => console.error('Cache store error:', error.message));
+  await client.connect();
+
+  return {
+    name: 'redis',
+    get: (key) => client.get(key),
+    set: (key, value, ttl) => client.set(key, value, { EX: ttl }),
+    incr: (key) => client.incr(key),
+    async getCounter(key) {
+      return parseInt(await client.get(key)) || 0;
+    }
+  };
+}
+
+// Caches nothing
+export function createNullStore() {
+  return {
+    name: 'none',
+    async get() { return null; },
+    async set() {},
+    async incr() { return 0; },
+    async getCounter() { return 0; }
+  };
+}
+
+const storeFactories = {
+  memory: createMemoryStore,
+  redis: createRedisStore,
+  none: createNullStore,
+};
+
+let storePromise = null;
+
+function getStore() {
+  if (!storePromise) {
+    const name = process.env.CACHE_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown CACHE_STORE "${name}" (use ${Object.keys(storeFactories).join(', ')})`);
+    }
+    storePromise = Promise.resolve().then(() => factory()).catch((error) => {
+      console.error(`Cache store "${name}" is unavailable, caching is off:`, error.message);
+      return createNullStore();
+    });
+  }
+  return storePromise;
+}
+
+// Swap the store, e.g. for a fresh memory store in tests
+export function setCacheStore(nextStore) {
+  storePromise = Promise.resolve(nextStore);
+}
+
+const CONTENT_VERSION_KEY = 'cache:version:content';
+const userVersionKey = (userId) => `cache:version:user:${userId}`;
+
+// Strong validator for a response body
+export const strongEtag = (body) =>
+  `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 32)}"`;
+
+// Key for a cached response: the URL within the current content version and,
+// for responses with a user's progress, that user's version. `userId` is null
+// for responses that are the same for everyone. Throws when the store fails.
+export async function responseKey(url, userId = null) {
+  const store = await getStore();
+  const contentVersion = await store.getCounter(CONTENT_VERSION_KEY);
+  if (userId === null) {
+    return `cache:response:${contentVersion}:anon:${url}`;
+  }
+  const userVersion = await store.getCounter(userVersionKey(userId));
+  return `cache:response:${contentVersion}:user:${userId}:${userVersion}:${url}`;
+}
+
+// A cached response `{ etag, body }`, or null. Store failures count as misses.
+export async function getCachedResponse(key) {
+  try {
+    const value = await (await getStore()).get(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error('Cache read error:', error.message);
+    return null;
+  }
+}
+
+export async function setCachedResponse(key, response) {
+  try {
+    await (await getStore()).set(key, JSON.stringify(response), ttlSeconds());
+  } catch (error) {
+    console.error('Cache write error:', error.message);
+  }
+}
+
+// Call after any write to categories, topics, lessons, examples or questions
+export async function invalidateContent() {
+  try {
+    await (await getStore()).incr(CONTENT_VERSION_KEY);
+  } catch (error) {
+    console.error('Cache invalidation error:', error.message);
+  }
+}
+
+// Call after a change to the user's progress
+export async function invalidateUserCache(userId) {
+  try {
+    await (await getStore()).incr(userVersionKey(userId));
+  } catch (error) {
+    console.error('Cache invalidation error:', error.message);
+  }
+}
@@ -0,0 +1,92 @@
+import { Worker } from 'node:worker_threads';
+
+// Limits applied to every submission
+export const DEFAULT_LIMITS = {
+  timeLimitMs: parseInt(process.env.CODE_RUNNER_TIME_LIMIT_MS) || 2000,
+  memoryLimitMb: parseInt(process.env.CODE_RUNNER_MEMORY_LIMIT_MB) || 64,
+};
+
+// Extra time for the worker to boot before the hard limit kicks in
+const STARTUP_GRACE_MS = 1000;
+
+// Strip details of hidden tests before they are sent to the client
+function presentResult(result, test) {
+  if (result.hidden) {
+    return { name: result.name, hidden: true, passed: result.passed };
+  }
+  return {
+    ...result,
+    code: test.code,
+    expected: test.expected,
+  };
+}
+
+function summarize(status, tests, payload = {}) {
+  const results = (payload.results || []).map((result, i) => presentResult(result, tests[i]));
+  const passedCount = results.filter(r => r.passed).length;
+
+  return {
+    status,
+    passed: status === 'ok' && passedCount === tests.length,
+    passedCount,
+    totalCount: tests.length,
+    results,
+    logs: payload.logs || [],
+    ...(payload.error && { error: payload.error }),
+  };
+}
+
+// Run a JavaScript submission against a list of test cases in a sandboxed
+// worker thread. Resolves with status 'ok', 'error', 'timeout' or
+// 'memory_limit' — it never rejects because of the submitted code.
+export function runTests(code, tests = [], limits = {}) {
+  const { timeLimitMs, memoryLimitMb } = { ...DEFAULT_LIMITS, ...limits };
+
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./code-runner.worker.js', import.meta.url), {
+      workerData: { code, tests, timeoutMs: timeLimitMs },
+      env: {},
+      stdout: true,
+      stderr: true,
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryLimitMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryLimitMb / 4)),
+        codeRangeSizeMb: 16,
+      },
+    });
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish(summarize('timeout', tests, { error: `Time limit of ${timeLimitMs}ms exceeded` }));
+    }, timeLimitMs + STARTUP_GRACE_MS);
+
+    worker.on('message', (payload) => {
+      finish(summarize(payload.status, tests, payload));
+    });
+
+    worker.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        finish(summarize('memory_limit', tests, { error: `Memory limit of ${memoryLimitMb}MB exceeded` }));
+      } else {
+        finish(summarize('error', tests, { error: error.message }));
+      }
+    });
+
+    worker.on('exit', () => {
+      finish(summarize('error', tests, { error: 'Runner exited unexpectedly' }));
+    });
+  });
+}
+
+// Run a snippet without tests and return its console output
+export function runSnippet(code, limits = {}) {
+  return runTests(code, [], limits);
+}
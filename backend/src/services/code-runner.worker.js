@@ -0,0 +1,124 @@
+// ============================================================================
+// code-runner.worker.js — runs one JavaScript submission in a worker thread
+// ============================================================================
+//
+// The submission is evaluated in a fresh vm context that has no access to
+// require, process or timers, and string code generation (eval / Function)
+// is disabled. Only plain data crosses back to the parent: every value is
+// JSON-serialised inside the context before it is read.
+//
+// The parent enforces the overall time limit and memory limit on the worker;
+// the per-script vm timeout here only stops synchronous infinite loops early.
+// ============================================================================
+
+import { parentPort, workerData } from 'node:worker_threads';
+import vm from 'node:vm';
+import { isDeepStrictEqual } from 'node:util';
+
+const { code, tests, timeoutMs } = workerData;
+
+const MAX_LOG_LINES = 100;
+const MAX_LOG_LENGTH = 1000;
+
+// Null prototype so the sandbox exposes no host-realm constructors
+const context = vm.createContext(Object.create(null), {
+  codeGeneration: { strings: false, wasm: false },
+});
+
+// Console is defined inside the context so user code never touches host functions
+vm.runInContext(`
+  globalThis.__logs = [];
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try { return JSON.stringify(value) ?? String(value); } catch { return String(value); }
+  };
+  const write = (...args) => {
+    if (__logs.length < ${MAX_LOG_LINES}) __logs.push(args.map(format).join(' ').slice(0, ${MAX_LOG_LENGTH}));
+  };
+  globalThis.console = { log: write, info: write, warn: write, error: write, debug: write };
+`, context);
+
+function run(source, filename) {
+  return new vm.Script(source, { filename }).runInContext(context, { timeout: timeoutMs });
+}
+
+function isTimeout(error) {
+  return error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+// Async results must settle within the same limit as synchronous code
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Result did not settle within ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function errorMessage(error) {
+  try {
+    return String(error?.message ?? error);
+  } catch {
+    return 'Unknown error';
+  }
+}
+
+// Read a JSON-serialisable copy of a context value
+function readValue(name) {
+  const json = run(`JSON.stringify(globalThis.${name})`, 'read.js');
+  return json === undefined ? undefined : JSON.parse(json);
+}
+
+function readLogs() {
+  try {
+    return readValue('__logs') || [];
+  } catch {
+    return [];
+  }
+}
+
+async function main() {
+  try {
+    run(code, 'submission.js');
+  } catch (error) {
+    parentPort.postMessage({
+      status: isTimeout(error) ? 'timeout' : 'error',
+      error: errorMessage(error),
+      results: [],
+      logs: readLogs(),
+    });
+    return;
+  }
+
+  const results = [];
+  let status = 'ok';
+
+  for (const test of tests) {
+    const result = {
+      name: test.name,
+      hidden: !!test.hidden,
+      passed: false,
+    };
+
+    try {
+      context.__result = await withTimeout(run(`(async () => (${test.code}))()`, 'test.js'));
+      const actual = readValue('__result');
+      result.passed = isDeepStrictEqual(actual, test.expected);
+      result.actual = actual;
+    } catch (error) {
+      result.error = errorMessage(error);
+      if (isTimeout(error)) status = 'timeout';
+    }
+
+    results.push(result);
+    if (status === 'timeout') break;
+  }
+
+  parentPort.postMessage({
+    status,
+    results,
+    logs: readLogs(),
+  });
+}
+
+main();
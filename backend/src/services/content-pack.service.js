@@ -0,0 +1,332 @@
+import { createHash } from 'node:crypto';
+import AdmZip from 'adm-zip';
+import { query, getClient } from '../config/database.js';
+import { validateContent } from '../database/content-validator.js';
+import { createReport, syncPrerequisites, syncTopic, upsertRow } from './content-sync.service.js';
+
+// ============================================================================
+// Content packs: a category or topic exported as a portable bundle and
+// imported into another instance.
+//
+// A pack holds the same topic entries content-loader.js produces, so imports
+// are validated by content-validator.js and written by syncTopic(), exactly
+// like the seed. As JSON it is one document; as a zip it is split into files:
+//
+//   manifest.json        format, version, source, counts, checksums
+//   categories.json      [category, ...]
+//   topics/<slug>.json   { categorySlug, difficulty, topic, lessons, examples, quiz }
+//
+// Checksums are SHA-256 over the compact JSON of each part, so they hold for
+// both layouts.
+// ============================================================================
+
+export const PACK_FORMAT = 'interview-prep-content-pack';
+export const PACK_VERSION = 1;
+export const PACK_FORMATS = ['json', 'zip'];
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+const packError = (message, status = 400, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const checksum = (data) => createHash('sha256').update(JSON.stringify(data)).digest('hex');
+
+// Drop null columns so the pack only carries what is set
+const compact = (row, fields) => Object.fromEntries(
+  fields.filter(field => row[field] !== null && row[field] !== undefined).map(field => [field, row[field]])
+);
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  (groups[row[key]] ||= []).push(row);
+  return groups;
+}, {});
+
+// Questions created in the app have no content_key; derive one from the text
+function questionKeys(questions) {
+  const used = new Set(questions.map(question => question.content_key).filter(Boolean));
+  return questions.map(question => {
+    if (question.content_key) return question.content_key;
+    const base = question.question_text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80).replace(/-+$/, '') || 'question';
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}-${n}`;
+    used.add(key);
+    return key;
+  });
+}
+
+// Build topic entries (the content-loader shape) for the given topic rows.
+// Lesson prerequisites become "topic-slug/lesson-slug" references.
+async function topicEntries(topics, categorySlugs) {
+  const topicIds = topics.map(topic => topic.id);
+  const lessons = (await query(
+    'SELECT * FROM lessons WHERE topic_id = ANY($1::int[]) ORDER BY order_index, id',
+    [topicIds]
+  )).rows;
+  const references = new Map((await query(
+    `SELECT l.id, t.slug || '/' || l.slug as reference
+     FROM lessons l JOIN topics t ON l.topic_id = t.id
+     WHERE l.id::text IN (SELECT unnest(prerequisites) FROM lessons WHERE topic_id = ANY($1::int[]))`,
+    [topicIds]
+  )).rows.map(row => [String(row.id), row.reference]));
+  const lessonIds = lessons.map(lesson => lesson.id);
+  const examples = groupBy((await query(
+    'SELECT * FROM code_examples WHERE lesson_id = ANY($1::int[]) ORDER BY order_index, id',
+    [lessonIds]
+  )).rows, 'lesson_id');
+  const questions = groupBy((await query(
+    'SELECT * FROM quiz_questions WHERE lesson_id = ANY($1::int[]) ORDER BY order_index, id',
+    [lessonIds]
+  )).rows, 'lesson_id');
+  const lessonsByTopic = groupBy(lessons, 'topic_id');
+
+  return topics.map(topic => {
+    const topicLessons = lessonsByTopic[topic.id] || [];
+    const entry = {
+      categorySlug: categorySlugs[topic.category_id],
+      difficulty: topic.difficulty_level,
+      topic: compact(topic, ['name', 'slug', 'description', 'estimated_time', 'order_index', 'icon', 'mastery_threshold']),
+      lessons: topicLessons.map(lesson => ({
+        ...compact(lesson, [
+          'title', 'slug', 'content', 'summary', 'difficulty_level', 'estimated_time', 'order_index', 'key_points',
+          'quiz_max_attempts', 'quiz_reveal_answers', 'quiz_scoring'
+        ]),
+        ...(lesson.prerequisites?.length > 0 && {
+          prerequisites: lesson.prerequisites.map(id => references.get(id)).filter(Boolean)
+        }),
+      })),
+      examples: {},
+      quiz: {},
+    };
+
+    for (const lesson of topicLessons) {
+      const lessonExamples = examples[lesson.id] || [];
+      const lessonQuestions = questions[lesson.id] || [];
+      const keys = questionKeys(lessonQuestions);
+
+      if (lessonExamples.length > 0) {
+        entry.examples[lesson.slug] = lessonExamples.map(example =>
+          compact(example, ['title', 'description', 'language', 'code', 'explanation', 'order_index', 'is_interactive'])
+        );
+      }
+      if (lessonQuestions.length > 0) {
+        entry.quiz[lesson.slug] = lessonQuestions.map((question, i) => ({
+          key: keys[i],
+          ...compact(question, ['question_text', 'question_type', 'options', 'correct_answer', 'answer_key', 'starter_code', 'test_cases', 'explanation', 'difficulty', 'points', 'order_index']),
+        }));
+      }
+    }
+
+    return entry;
+  });
+}
+
+// The parts a pack is checksummed (and zipped) by: [{ name, data }]
+function packParts({ categories, topics }) {
+  return [
+    { name: 'categories.json', data: categories },
+    ...topics.map(entry => ({ name: `topics/${entry.topic.slug}.json`, data: entry })),
+  ];
+}
+
+// Export one category (with all its topics) or one topic. Returns the pack
+// object; see serializePack() for the bytes.
+export async function exportPack({ category, topic }) {
+  const topicResult = category
+    ? await query(
+      `SELECT t.* FROM topics t JOIN categories c ON t.category_id = c.id
+       WHERE c.slug = $1 ORDER BY t.order_index, t.id`,
+      [category]
+    )
+    : await query('SELECT * FROM topics WHERE slug = $1', [topic]);
+
+  const categoryResult = category
+    ? await query('SELECT * FROM categories WHERE slug = $1', [category])
+    : await query('SELECT * FROM categories WHERE id = $1', [topicResult.rows[0]?.category_id]);
+
+  if (categoryResult.rows.length === 0 || (topic && topicResult.rows.length === 0)) {
+    throw packError(category ? 'Category not found' : 'Topic not found', 404);
+  }
+
+  const categories = categoryResult.rows.map(row => compact(row, ['slug', 'name', 'description', 'icon', 'order_index']));
+  const categorySlugs = Object.fromEntries(categoryResult.rows.map(row => [row.id, row.slug]));
+  const topics = await topicEntries(topicResult.rows, categorySlugs);
+
+  const counts = { categories: categories.length, topics: topics.length, lessons: 0, code_examples: 0, quiz_questions: 0 };
+  for (const entry of topics) {
+    counts.lessons += entry.lessons.length;
+    counts.code_examples += Object.values(entry.examples).flat().length;
+    counts.quiz_questions += Object.values(entry.quiz).flat().length;
+  }
+
+  const parts = packParts({ categories, topics });
+  const manifest = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    exported_at: new Date().toISOString(),
+    source: category ? { type: 'category', slug: category } : { type: 'topic', slug: topic },
+    counts,
+    checksums: Object.fromEntries(parts.map(({ name, data }) => [name, checksum(data)])),
+  };
+
+  return { manifest, categories, topics };
+}
+
+// Pack object → Buffer, as one JSON document or a zip of its parts
+export function serializePack(pack, format = 'json') {
+  if (format === 'json') {
+    return Buffer.from(JSON.stringify(pack, null, 2));
+  }
+
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(pack.manifest, null, 2)));
+  for (const { name, data } of packParts(pack)) {
+    zip.addFile(name, Buffer.from(JSON.stringify(data, null, 2)));
+  }
+  return zip.toBuffer();
+}
+
+// Buffer (JSON or zip) → pack object. Checks the manifest and every checksum.
+export function readPack(buffer) {
+  let pack;
+  try {
+    if (buffer.subarray(0, 2).toString() === 'PK') {
+      const zip = new AdmZip(buffer);
+      const readJson = (name) => {
+        const file = zip.getEntry(name);
+        if (!file) throw packError(`Pack is missing ${name}`);
+        return JSON.parse(file.getData().toString('utf8'));
+      };
+      const manifest = readJson('manifest.json');
+      const topicFiles = Object.keys(manifest.checksums || {}).filter(name => name.startsWith('topics/'));
+      pack = { manifest, categories: readJson('categories.json'), topics: topicFiles.map(readJson) };
+    } else {
+      pack = JSON.parse(buffer.toString('utf8'));
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    throw packError(`Pack cannot be read: ${error.message}`);
+  }
+
+  const { manifest } = pack || {};
+  if (manifest?.format !== PACK_FORMAT) {
+    throw packError('Not a content pack (manifest.format is missing or wrong)');
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > PACK_VERSION) {
+    throw packError(`Unsupported content pack version ${manifest.version} (this server reads up to ${PACK_VERSION})`);
+  }
+  if (!Array.isArray(pack.categories) || !Array.isArray(pack.topics)) {
+    throw packError('Pack must contain categories and topics');
+  }
+
+  const parts = packParts(pack);
+  const expected = manifest.checksums || {};
+  const mismatched = parts.filter(({ name, data }) => expected[name] !== checksum(data)).map(({ name }) => name);
+  const missing = Object.keys(expected).filter(name => !parts.some(part => part.name === name));
+  if (mismatched.length > 0 || missing.length > 0) {
+    throw packError('Pack checksums do not match; the file is damaged or was edited', 400,
+      [...mismatched, ...missing].map(file => ({ file, path: null, message: 'checksum mismatch' })));
+  }
+
+  return pack;
+}
+
+// First `slug-N` that no topic uses yet
+async function freeTopicSlug(run, slug) {
+  const taken = new Set((await run('SELECT slug FROM topics WHERE slug LIKE $1', [`${slug}-%`])).rows.map(row => row.slug));
+  let n = 2;
+  while (taken.has(`${slug}-${n}`)) n++;
+  return `${slug}-${n}`;
+}
+
+// Import a pack (Buffer). Topics whose slug already exists are skipped,
+// overwritten (made identical to the pack) or imported under a new slug.
+// Categories are created when missing and otherwise left as they are.
+// With `dryRun` everything is written and reported, then rolled back.
+// Returns the sync report plus `topicsResolved` [{ slug, action, importedAs? }].
+export async function importPack(buffer, { onConflict = 'skip', dryRun = false } = {}) {
+  const pack = readPack(buffer);
+
+  const entries = pack.topics.map(entry => {
+    const file = `topics/${entry?.topic?.slug}.json`;
+    return { ...entry, path: file, files: { content: file, examples: file, quiz: file } };
+  });
+  const { errors } = validateContent({ topics: entries });
+  const categorySlugs = new Set(pack.categories.map(category => category?.slug));
+  for (const entry of entries) {
+    if (!categorySlugs.has(entry.categorySlug)) {
+      errors.push({ file: entry.path, path: 'categorySlug', message: `category "${entry.categorySlug}" is not in the pack` });
+    }
+  }
+  for (const [index, category] of pack.categories.entries()) {
+    if (!category?.slug || !category?.name) {
+      errors.push({ file: 'categories.json', path: `[${index}]`, message: 'categories need a slug and a name' });
+    }
+  }
+  if (errors.length > 0) {
+    throw packError('Pack content is invalid', 400, errors);
+  }
+
+  const client = await getClient();
+  const run = client.query;
+
+  try {
+    await client.query('BEGIN');
+    const report = createReport();
+    report.topicsResolved = [];
+
+    const categoryIds = {};
+    for (const category of pack.categories) {
+      const existing = (await run('SELECT id FROM categories WHERE slug = $1', [category.slug])).rows[0];
+      categoryIds[category.slug] = existing
+        ? existing.id
+        : await upsertRow(run, report, 'categories', null, compact(category, ['slug', 'name', 'description', 'icon', 'order_index']), category.slug, { synced: false });
+    }
+
+    // Topics written by this import, with the slugs they were written under
+    const written = [];
+    const renamedTopics = {};
+
+    for (const entry of entries) {
+      const { slug } = entry.topic;
+      const categoryId = categoryIds[entry.categorySlug];
+      const existing = (await run('SELECT * FROM topics WHERE slug = $1', [slug])).rows[0];
+
+      if (!existing) {
+        await syncTopic(run, report, entry, categoryId, null, { synced: false });
+        written.push(entry);
+        report.topicsResolved.push({ slug, action: 'created' });
+      } else if (onConflict === 'overwrite') {
+        await syncTopic(run, report, entry, categoryId, existing, { synced: false, pruneAll: true });
+        written.push(entry);
+        report.topicsResolved.push({ slug, action: 'overwritten' });
+      } else if (onConflict === 'rename') {
+        const importedAs = await freeTopicSlug(run, slug);
+        const renamed = { ...entry, topic: { ...entry.topic, slug: importedAs } };
+        await syncTopic(run, report, renamed, categoryId, null, { synced: false });
+        written.push(renamed);
+        renamedTopics[slug] = importedAs;
+        report.topicsResolved.push({ slug, action: 'renamed', importedAs });
+      } else {
+        report.topicsResolved.push({ slug, action: 'skipped' });
+      }
+    }
+
+    // The pack is the whole truth for the topics it writes, so a lesson
+    // without prerequisites in the pack has none after the import
+    await syncPrerequisites(run, report, written.map(entry => ({
+      ...entry,
+      lessons: entry.lessons.map(lesson => ({ ...lesson, prerequisites: lesson.prerequisites ?? [] }))
+    })), renamedTopics);
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
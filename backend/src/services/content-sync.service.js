@@ -0,0 +1,369 @@
+import { getClient } from '../config/database.js';
+import { CONTENT_TABLES } from './content.service.js';
+import { DEFAULT_QUIZ_POLICY } from './quiz-policy.service.js';
+import { DEFAULT_MASTERY_THRESHOLD } from './progress.service.js';
+import { ensureBaselineRevision, recordRevision, revisionFieldsChanged } from './lesson-revision.service.js';
+import { checkPrerequisites } from './prerequisite.service.js';
+
+// ============================================================================
+// Content sync: bring the content tables in line with the data/ folder
+// without touching users, progress or quiz attempts.
+//
+// Rows are matched by stable keys, so their ids survive edits:
+//   topics          slug
+//   lessons         slug within the topic
+//   code_examples   title within the lesson
+//   quiz_questions  `key` within the lesson
+//
+// A lesson whose text changes gets a revision, as an edit in the app would,
+// so the text it had before the sync can be restored.
+//
+// Lesson prerequisites are written as "topic-slug/lesson-slug" references
+// and resolved to ids once every topic is written (see syncPrerequisites).
+// Lessons without a `prerequisites` field keep the ones set in the app.
+//
+// Rows written by a sync get synced_at set. Only those rows are deleted when
+// they disappear from the data folder; content created in the app is left alone.
+//
+// Content pack imports (content-pack.service.js) reuse syncTopic() with
+// { synced: false }, so imported topics are never deleted by a later seed.
+// ============================================================================
+
+const jsonValue = (value) => typeof value === 'string' ? JSON.parse(value) : value ?? null;
+
+// Column values for each content type, built from the data files
+const rowValues = {
+  topics: (entry, categoryId) => ({
+    category_id: categoryId,
+    name: entry.topic.name,
+    slug: entry.topic.slug,
+    description: entry.topic.description ?? null,
+    difficulty_level: entry.difficulty,
+    estimated_time: entry.topic.estimated_time ?? null,
+    order_index: entry.topic.order_index ?? 0,
+    mastery_threshold: entry.topic.mastery_threshold ?? DEFAULT_MASTERY_THRESHOLD,
+  }),
+  lessons: (lesson) => ({
+    title: lesson.title,
+    slug: lesson.slug,
+    content: lesson.content,
+    summary: lesson.summary ?? null,
+    difficulty_level: lesson.difficulty_level ?? null,
+    estimated_time: lesson.estimated_time ?? null,
+    order_index: lesson.order_index ?? 0,
+    key_points: lesson.key_points ?? null,
+    quiz_max_attempts: lesson.quiz_max_attempts ?? DEFAULT_QUIZ_POLICY.quiz_max_attempts,
+    quiz_reveal_answers: lesson.quiz_reveal_answers ?? DEFAULT_QUIZ_POLICY.quiz_reveal_answers,
+    quiz_scoring: lesson.quiz_scoring ?? DEFAULT_QUIZ_POLICY.quiz_scoring,
+  }),
+  code_examples: (example) => ({
+    title: example.title,
+    description: example.description ?? null,
+    language: example.language,
+    code: example.code,
+    explanation: example.explanation ?? null,
+    order_index: example.order_index ?? 0,
+    is_interactive: example.is_interactive || false,
+  }),
+  quiz_questions: (question) => ({
+    content_key: question.key,
+    question_text: question.question_text,
+    question_type: question.question_type,
+    options: jsonValue(question.options),
+    correct_answer: question.correct_answer,
+    answer_key: jsonValue(question.answer_key),
+    starter_code: question.starter_code ?? null,
+    test_cases: jsonValue(question.test_cases),
+    explanation: question.explanation ?? null,
+    difficulty: question.difficulty ?? null,
+    points: question.points || 10,
+    order_index: question.order_index ?? 0,
+  }),
+};
+
+// JSON with object keys sorted. JSONB columns come back with Postgres' own
+// key order, which must not count as a change.
+const canonicalJson = (value) => JSON.stringify(value ?? null, (_, item) =>
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(key => [key, item[key]]))
+    : item
+);
+
+const sameValue = (a, b) => canonicalJson(a) === canonicalJson(b);
+
+const contentError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+export function createReport() {
+  const counts = () => ({ inserted: 0, updated: 0, deleted: 0, unchanged: 0 });
+  return {
+    categories: counts(),
+    topics: counts(),
+    lessons: counts(),
+    code_examples: counts(),
+    quiz_questions: counts(),
+    // [{ action, table, label, fields?, progressRows? }]
+    changes: [],
+    // [{ label, message }]
+    warnings: [],
+  };
+}
+
+// Insert or update one row. Only changed columns are written, so an unchanged
+// row is reported as such. Returns the row id.
+export async function upsertRow(run, report, table, existing, values, label, { synced = true } = {}) {
+  const json = CONTENT_TABLES[table]?.json || [];
+  const param = (column) => json.includes(column) && values[column] !== null
+    ? JSON.stringify(values[column])
+    : values[column];
+
+  if (!existing) {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+    const result = await run(
+      `INSERT INTO ${table} (${columns.join(', ')}${synced ? ', synced_at' : ''})
+       VALUES (${placeholders.join(', ')}${synced ? ', CURRENT_TIMESTAMP' : ''})
+       RETURNING id`,
+      columns.map(param)
+    );
+    report[table].inserted++;
+    report.changes.push({ action: 'insert', table, label });
+    return result.rows[0].id;
+  }
+
+  const changed = Object.keys(values).filter(column => !sameValue(existing[column], values[column]));
+  const assignments = changed.map((column, i) => `${column} = $${i + 2}`);
+  if (synced) assignments.push('synced_at = CURRENT_TIMESTAMP');
+  if (changed.length > 0 && table === 'lessons') assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+  if (assignments.length > 0) {
+    await run(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1`,
+      [existing.id, ...changed.map(param)]
+    );
+  }
+
+  if (changed.length > 0) {
+    report[table].updated++;
+    report.changes.push({ action: 'update', table, label, fields: changed });
+  } else {
+    report[table].unchanged++;
+  }
+  return existing.id;
+}
+
+// Delete synced rows that are no longer in the data folder (with `pruneAll`,
+// every row that is no longer there). Deleting lessons (directly or through
+// their topic) also drops progress, so count it.
+async function deleteRemoved(run, report, table, rows, labelOf, { pruneAll = false } = {}) {
+  const removed = pruneAll ? rows : rows.filter(row => row.synced_at);
+  if (removed.length === 0) return;
+
+  for (const row of removed) {
+    let progressRows;
+    if (table === 'topics' || table === 'lessons') {
+      const progress = await run(
+        `SELECT COUNT(*) as count FROM user_progress up
+         JOIN lessons l ON up.lesson_id = l.id
+         WHERE ${table === 'topics' ? 'l.topic_id' : 'l.id'} = $1`,
+        [row.id]
+      );
+      progressRows = parseInt(progress.rows[0].count);
+    }
+    report[table].deleted++;
+    report.changes.push({ action: 'delete', table, label: labelOf(row), progressRows });
+  }
+
+  await run(`DELETE FROM ${table} WHERE id = ANY($1::int[])`, [removed.map(row => row.id)]);
+}
+
+// Sync one lesson's examples or questions
+async function syncChildren(run, report, table, lessonId, items, lessonLabel, options) {
+  const existing = (await run(`SELECT * FROM ${table} WHERE lesson_id = $1 ORDER BY id`, [lessonId])).rows;
+  const remaining = new Set(existing);
+
+  for (const item of items) {
+    const values = rowValues[table](item);
+    let match;
+    if (table === 'quiz_questions') {
+      // Questions seeded before keys existed are adopted by their text
+      match = existing.find(row => remaining.has(row) && row.content_key === values.content_key)
+        || existing.find(row => remaining.has(row) && row.content_key === null && !row.synced_at && row.question_text === values.question_text);
+    } else {
+      match = existing.find(row => remaining.has(row) && row.title === values.title);
+    }
+    remaining.delete(match);
+
+    const label = table === 'quiz_questions'
+      ? `${lessonLabel}#${values.content_key}`
+      : `${lessonLabel}: ${values.title}`;
+    await upsertRow(run, report, table, match, { lesson_id: lessonId, ...values }, label, options);
+  }
+
+  const labelOf = (row) => table === 'quiz_questions' ? `${lessonLabel}#${row.content_key}` : `${lessonLabel}: ${row.title}`;
+  await deleteRemoved(run, report, table, [...remaining], labelOf, options);
+}
+
+// Record the new text of a lesson changed by a sync or an import (and first
+// its current text, when the lesson has no revisions yet)
+async function recordLessonRevision(run, before, values, { synced }) {
+  const client = { query: run };
+  await ensureBaselineRevision(before, client);
+  await recordRevision({ ...before, ...values }, null, {
+    note: synced ? 'Content sync' : 'Content pack import',
+    client
+  });
+}
+
+// Question keys must exist and be unique per lesson, or rows could not be matched
+function checkQuestionKeys(entry) {
+  for (const [lessonSlug, questions] of Object.entries(entry.quiz)) {
+    const seen = new Set();
+    for (const question of questions) {
+      if (!question.key) {
+        throw contentError(`${entry.path}/quiz.js: a question in "${lessonSlug}" has no key`);
+      }
+      if (seen.has(question.key)) {
+        throw contentError(`${entry.path}/quiz.js: duplicate question key "${question.key}" in "${lessonSlug}"`);
+      }
+      seen.add(question.key);
+    }
+  }
+}
+
+// Sync one topic entry ({ categorySlug, difficulty, topic, lessons, examples,
+// quiz }) into `existingTopic` (a topics row, or null to insert it).
+// Options: `synced` (default true) marks rows as owned by the data folder;
+// `pruneAll` also deletes children that were not written by a sync.
+export async function syncTopic(run, report, entry, categoryId, existingTopic, { synced = true, pruneAll = false } = {}) {
+  const options = { synced, pruneAll };
+  const topicValues = rowValues.topics(entry, categoryId);
+  const topicId = await upsertRow(run, report, 'topics', existingTopic, topicValues, topicValues.slug, options);
+
+  const existingLessons = existingTopic
+    ? (await run('SELECT * FROM lessons WHERE topic_id = $1', [topicId])).rows
+    : [];
+  const remainingLessons = new Set(existingLessons);
+
+  for (const lesson of entry.lessons) {
+    const lessonValues = rowValues.lessons(lesson);
+    const existingLesson = existingLessons.find(row => row.slug === lessonValues.slug);
+    remainingLessons.delete(existingLesson);
+
+    const label = `${topicValues.slug}/${lessonValues.slug}`;
+    const lessonId = await upsertRow(run, report, 'lessons', existingLesson, { topic_id: topicId, ...lessonValues }, label, options);
+    if (existingLesson && revisionFieldsChanged(existingLesson, lessonValues)) {
+      await recordLessonRevision(run, existingLesson, lessonValues, options);
+    }
+
+    await syncChildren(run, report, 'code_examples', lessonId, entry.examples[lesson.slug] || [], label, options);
+    await syncChildren(run, report, 'quiz_questions', lessonId, entry.quiz[lesson.slug] || [], label, options);
+  }
+
+  await deleteRemoved(run, report, 'lessons', [...remainingLessons], row => `${topicValues.slug}/${row.slug}`, options);
+  return topicId;
+}
+
+// Resolve the prerequisite references of the lessons in `entries` (already
+// written) to lesson ids and save them, checked like an edit in the app.
+// `renamedTopics` maps topic slugs used in references to the slugs the
+// topics were written under. References to missing lessons are left out
+// with a warning; a cycle is an error.
+export async function syncPrerequisites(run, report, entries, renamedTopics = {}) {
+  const lessons = (await run(
+    `SELECT l.id, l.slug, l.prerequisites::int[] as prerequisites, t.slug as topic_slug
+     FROM lessons l JOIN topics t ON l.topic_id = t.id`
+  )).rows;
+  const idOf = new Map(lessons.map(lesson => [`${lesson.topic_slug}/${lesson.slug}`, lesson.id]));
+  const byId = new Map(lessons.map(lesson => [lesson.id, lesson]));
+
+  for (const entry of entries) {
+    for (const lesson of entry.lessons) {
+      if (!lesson.prerequisites) continue;
+
+      const label = `${entry.topic.slug}/${lesson.slug}`;
+      const lessonId = idOf.get(label);
+      const ids = [];
+      for (const reference of lesson.prerequisites) {
+        const [topicSlug, lessonSlug] = reference.split('/');
+        const id = idOf.get(`${renamedTopics[topicSlug] ?? topicSlug}/${lessonSlug}`);
+        if (id === undefined) {
+          report.warnings.push({ label, message: `prerequisite "${reference}" was left out: no such lesson` });
+        } else {
+          ids.push(id);
+        }
+      }
+
+      const current = byId.get(lessonId);
+      if (sameValue(current.prerequisites || [], ids)) continue;
+
+      try {
+        await checkPrerequisites(lessonId, ids, { client: { query: run } });
+      } catch (error) {
+        if (error.status) throw contentError(`${label}: ${error.message}`);
+        throw error;
+      }
+      await run('UPDATE lessons SET prerequisites = $2 WHERE id = $1', [lessonId, ids.length > 0 ? ids : null]);
+      current.prerequisites = ids;
+
+      const change = report.changes.find(change => change.table === 'lessons' && change.label === label);
+      if (!change) {
+        report.lessons.unchanged--;
+        report.lessons.updated++;
+        report.changes.push({ action: 'update', table: 'lessons', label, fields: ['prerequisites'] });
+      } else if (change.action === 'update') {
+        change.fields.push('prerequisites');
+      }
+    }
+  }
+}
+
+// Sync loaded content (see content-loader.js) using `run` (a client's query
+// function, inside a transaction). Returns a report of every change.
+export async function syncContent({ categories, topics }, run) {
+  const report = createReport();
+  topics.forEach(checkQuestionKeys);
+
+  // Categories are upserted but never deleted
+  const existingCategories = (await run('SELECT * FROM categories')).rows;
+  const categoryIds = {};
+  for (const category of categories) {
+    const existing = existingCategories.find(row => row.slug === category.slug);
+    categoryIds[category.slug] = await upsertRow(run, report, 'categories', existing, category, category.slug, { synced: false });
+  }
+
+  const existingTopics = (await run('SELECT * FROM topics')).rows;
+  const remainingTopics = new Set(existingTopics);
+
+  for (const entry of topics) {
+    const existingTopic = existingTopics.find(row => row.slug === entry.topic.slug);
+    remainingTopics.delete(existingTopic);
+    await syncTopic(run, report, entry, categoryIds[entry.categorySlug], existingTopic);
+  }
+
+  await deleteRemoved(run, report, 'topics', [...remainingTopics], row => row.slug);
+  await syncPrerequisites(run, report, topics);
+
+  return report;
+}
+
+// Run a sync in its own transaction. With `dryRun` every change is made and
+// reported, then rolled back.
+export async function runContentSync(content, { dryRun = false } = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    const report = await syncContent(content, client.query);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
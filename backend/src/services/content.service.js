@@ -0,0 +1,163 @@
+import { query, getClient } from '../config/database.js';
+import { DEFAULT_QUIZ_POLICY } from './quiz-policy.service.js';
+import { DEFAULT_MASTERY_THRESHOLD } from './progress.service.js';
+
+// ============================================================================
+// Content tables: writable columns, parent column and JSONB columns.
+// `managed` columns keep their value on a full replacement unless given, and
+// `defaults` mirror the column defaults in the migrations.
+// ============================================================================
+
+export const CONTENT_TABLES = {
+  topics: {
+    parent: 'category_id',
+    columns: ['category_id', 'name', 'slug', 'description', 'difficulty_level', 'estimated_time', 'order_index', 'icon', 'mastery_threshold'],
+    json: [],
+    managed: ['slug', 'order_index'],
+    defaults: { difficulty_level: 'beginner', mastery_threshold: DEFAULT_MASTERY_THRESHOLD },
+  },
+  lessons: {
+    parent: 'topic_id',
+    columns: ['topic_id', 'title', 'slug', 'content', 'summary', 'difficulty_level', 'estimated_time', 'order_index', 'key_points',
+      'quiz_max_attempts', 'quiz_reveal_answers', 'quiz_scoring', 'prerequisites'],
+    json: [],
+    managed: ['slug', 'order_index', 'prerequisites'],
+    defaults: { difficulty_level: 'beginner', ...DEFAULT_QUIZ_POLICY },
+  },
+  code_examples: {
+    parent: 'lesson_id',
+    columns: ['lesson_id', 'title', 'description', 'language', 'code', 'explanation', 'order_index', 'is_interactive'],
+    json: [],
+    managed: ['order_index'],
+    defaults: { is_interactive: false },
+  },
+  quiz_questions: {
+    parent: 'lesson_id',
+    columns: ['lesson_id', 'question_text', 'question_type', 'options', 'correct_answer', 'answer_key', 'starter_code', 'test_cases', 'explanation', 'difficulty', 'points', 'order_index'],
+    json: ['options', 'answer_key', 'test_cases'],
+    managed: ['order_index'],
+    defaults: { points: 10 },
+  },
+};
+
+// Postgres error codes surfaced as 409 / 404 by the content routes
+export const UNIQUE_VIOLATION = '23505';
+export const FOREIGN_KEY_VIOLATION = '23503';
+
+// Collect the writable columns from a request body.
+// With `replace` every column is included (missing ones fall back to their
+// default or NULL), which gives PUT its full-replacement semantics; otherwise
+// only the given fields are written.
+export function pickColumns(table, body, { replace = false } = {}) {
+  const { columns, json, managed, defaults } = CONTENT_TABLES[table];
+  const values = {};
+
+  for (const column of columns) {
+    if (body[column] === undefined && (!replace || managed.includes(column))) continue;
+    const value = body[column] ?? defaults[column] ?? null;
+    values[column] = json.includes(column) && value !== null ? JSON.stringify(value) : value;
+  }
+
+  return values;
+}
+
+// INSERT a content row and return it
+export async function insertRow(table, values) {
+  const columns = Object.keys(values);
+  const result = await query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map(column => values[column])
+  );
+  return result.rows[0];
+}
+
+// UPDATE a content row by id and return it (null when it does not exist).
+// Pass a transaction `client` to run it inside that transaction.
+export async function updateRow(table, id, values, { touch = false, client = null } = {}) {
+  const run = client ? client.query : query;
+  const columns = Object.keys(values);
+  const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+
+  if (touch) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+
+  if (assignments.length === 0) {
+    const result = await run(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  const result = await run(
+    `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+    [...columns.map(column => values[column]), id]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function deleteRow(table, id) {
+  const result = await query(`DELETE FROM ${table} WHERE id = $1 RETURNING id`, [id]);
+  return result.rows.length > 0;
+}
+
+export async function nextOrderIndex(table, parentId) {
+  const { parent } = CONTENT_TABLES[table];
+  const result = await query(
+    `SELECT COALESCE(MAX(order_index), 0) + 1 as next_order FROM ${table} WHERE ${parent} = $1`,
+    [parentId]
+  );
+  return result.rows[0].next_order;
+}
+
+// Rewrite order_index (1..n) for every child of a parent in one transaction.
+// `ids` must list exactly the parent's children, in their new order.
+export async function reorderRows(table, parentId, ids) {
+  const { parent } = CONTENT_TABLES[table];
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT id FROM ${table} WHERE ${parent} = $1 FOR UPDATE`,
+      [parentId]
+    );
+
+    const currentIds = new Set(current.rows.map(r => r.id));
+    const sameSet = ids.length === currentIds.size &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => currentIds.has(id));
+
+    if (!sameSet) {
+      await client.query('ROLLBACK');
+      const error = new Error(`ids must list every item of ${parent} ${parentId} exactly once`);
+      error.status = 400;
+      throw error;
+    }
+
+    await client.query(
+      `UPDATE ${table} t
+       SET order_index = v.ord
+       FROM unnest($1::int[]) WITH ORDINALITY AS v(id, ord)
+       WHERE t.id = v.id`,
+      [ids]
+    );
+
+    const result = await client.query(
+      `SELECT id, order_index FROM ${table} WHERE ${parent} = $1 ORDER BY order_index ASC`,
+      [parentId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (error) {
+    if (!error.status) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
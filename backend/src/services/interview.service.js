@@ -0,0 +1,166 @@
+import { query, getClient } from '../config/database.js';
+import { getQuizState, recordAttempt } from './quiz.service.js';
+import { recordReview } from './review.service.js';
+import { POLICY_SOURCES, canRevealAnswer, isSettled } from './quiz-policy.service.js';
+
+// Seconds left on the server-side countdown (never negative)
+export function remainingSeconds(session) {
+  const remaining = Math.floor((new Date(session.expires_at).getTime() - Date.now()) / 1000);
+  return Math.max(0, remaining);
+}
+
+export function isExpired(session) {
+  return remainingSeconds(session) === 0;
+}
+
+// Load the questions of a session in the order they were drawn.
+// Correct answers are only included once the session is finished, and then
+// only as far as each lesson's quiz policy allows. Finishing a session
+// records its answers as attempts, so they count towards the policy.
+export async function getSessionQuestions(session, { includeAnswers = false } = {}) {
+  const answerColumns = includeAnswers
+    ? `, qq.correct_answer, qq.explanation, l.quiz_max_attempts, l.quiz_reveal_answers,
+      (SELECT COUNT(*) FROM quiz_attempts qa
+       WHERE qa.user_id = $3 AND qa.quiz_question_id = qq.id AND qa.source = ANY($4)) as quiz_attempts_used,
+      EXISTS (SELECT 1 FROM quiz_attempts qa
+       WHERE qa.user_id = $3 AND qa.quiz_question_id = qq.id AND qa.source = ANY($4) AND qa.is_correct) as quiz_solved`
+    : '';
+
+  const result = await query(
+    `SELECT qq.id, qq.question_text, qq.question_type, qq.options, qq.starter_code, qq.difficulty, qq.points${answerColumns},
+      l.title as lesson_title, l.slug as lesson_slug,
+      t.id as topic_id, t.name as topic_name, t.slug as topic_slug,
+      qsa.user_answer, qsa.answered_at${includeAnswers ? ', qsa.is_correct, qsa.points_earned' : ''}
+     FROM quiz_questions qq
+     JOIN lessons l ON qq.lesson_id = l.id
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN quiz_session_answers qsa ON qsa.quiz_question_id = qq.id AND qsa.session_id = $1
+     WHERE qq.id = ANY($2)
+     ORDER BY array_position($2, qq.id)`,
+    includeAnswers ? [session.id, session.question_ids, session.user_id, POLICY_SOURCES] : [session.id, session.question_ids]
+  );
+
+  if (!includeAnswers) {
+    return result.rows;
+  }
+
+  return result.rows.map(({ quiz_max_attempts, quiz_reveal_answers, quiz_attempts_used, quiz_solved, ...question }) => {
+    const revealed = canRevealAnswer({ quiz_max_attempts, quiz_reveal_answers }, {
+      attemptsUsed: parseInt(quiz_attempts_used),
+      solved: quiz_solved
+    });
+    return revealed
+      ? { ...question, answer_revealed: true }
+      : { ...question, answer_revealed: false, correct_answer: null, explanation: null };
+  });
+}
+
+// Group finished session questions by topic
+export function buildTopicBreakdown(questions) {
+  const topics = new Map();
+
+  for (const question of questions) {
+    if (!topics.has(question.topic_id)) {
+      topics.set(question.topic_id, {
+        topic_id: question.topic_id,
+        topic_name: question.topic_name,
+        topic_slug: question.topic_slug,
+        total_questions: 0,
+        answered: 0,
+        correct: 0,
+        points_earned: 0,
+        max_points: 0,
+      });
+    }
+
+    const entry = topics.get(question.topic_id);
+    entry.total_questions++;
+    entry.max_points += question.points;
+    if (question.user_answer !== null) entry.answered++;
+    if (question.is_correct) {
+      entry.correct++;
+      entry.points_earned += question.points_earned;
+    }
+  }
+
+  return [...topics.values()].map((entry) => ({
+    ...entry,
+    accuracy_percentage: Math.round((entry.correct / entry.total_questions) * 100),
+  }));
+}
+
+// Close a session, score it and copy its answers into quiz_attempts, in one
+// transaction. The answers use up attempts like quiz answers (see
+// POLICY_SOURCES); questions they settle are scheduled for review.
+// Returns null when the session was already finished by another request.
+export async function finishSession(session) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const scoreResult = await client.query(
+      `SELECT COALESCE(SUM(qsa.points_earned), 0) as score
+       FROM quiz_session_answers qsa
+       WHERE qsa.session_id = $1`,
+      [session.id]
+    );
+
+    const maxScoreResult = await client.query(
+      'SELECT COALESCE(SUM(points), 0) as max_score FROM quiz_questions WHERE id = ANY($1)',
+      [session.question_ids]
+    );
+
+    // Only one request gets to move the session out of 'active'
+    const finishResult = await client.query(
+      `UPDATE quiz_sessions
+       SET status = 'finished',
+           score = $2,
+           max_score = $3,
+           finished_at = LEAST(CURRENT_TIMESTAMP, expires_at)
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [session.id, scoreResult.rows[0].score, maxScoreResult.rows[0].max_score]
+    );
+
+    if (finishResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const answers = await client.query(
+      `SELECT qsa.*, l.quiz_max_attempts
+       FROM quiz_session_answers qsa
+       JOIN quiz_questions qq ON qsa.quiz_question_id = qq.id
+       JOIN lessons l ON qq.lesson_id = l.id
+       WHERE qsa.session_id = $1
+       ORDER BY qsa.answered_at ASC`,
+      [session.id]
+    );
+
+    for (const answer of answers.rows) {
+      await recordAttempt({
+        userId: session.user_id,
+        questionId: answer.quiz_question_id,
+        userAnswer: answer.user_answer,
+        isCorrect: answer.is_correct,
+        pointsEarned: answer.points_earned,
+        source: 'interview',
+        client,
+      });
+
+      const state = await getQuizState(session.user_id, answer.quiz_question_id, { client });
+      if (isSettled(answer, state)) {
+        await recordReview(session.user_id, answer.quiz_question_id, answer.is_correct, { client });
+      }
+    }
+
+    await client.query('COMMIT');
+    return finishResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,204 @@
+import { query, getClient } from '../config/database.js';
+import { updateRow } from './content.service.js';
+import { checkPrerequisites } from './prerequisite.service.js';
+
+// Lesson fields captured by every revision
+export const REVISION_FIELDS = ['title', 'content', 'summary', 'key_points'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function revisionFieldsChanged(before, after) {
+  return REVISION_FIELDS.some(field => !sameValue(before[field], after[field]));
+}
+
+// Save the lesson's current text as its next revision
+export async function recordRevision(lesson, authorId, { note = null, client = null } = {}) {
+  const run = client ? client.query : query;
+  const result = await run(
+    `INSERT INTO lesson_revisions (lesson_id, revision_number, title, content, summary, key_points, author_id, note)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+     FROM lesson_revisions WHERE lesson_id = $1
+     RETURNING *`,
+    [lesson.id, lesson.title, lesson.content, lesson.summary, lesson.key_points, authorId, note]
+  );
+  return result.rows[0];
+}
+
+// Lessons created before revisions existed (e.g. seeded ones) get their
+// current text saved as revision 1 before the first edit, so it can be restored
+export async function ensureBaselineRevision(lesson, client) {
+  const existing = await client.query(
+    'SELECT 1 FROM lesson_revisions WHERE lesson_id = $1 LIMIT 1',
+    [lesson.id]
+  );
+  if (existing.rows.length === 0) {
+    await recordRevision(lesson, null, { note: 'Original version', client });
+  }
+}
+
+// Update a lesson and record a revision when its text changed, in one transaction.
+// New prerequisites are checked first (400 when invalid or cyclic).
+// Returns null when the lesson does not exist.
+export async function updateLessonWithRevision(lessonId, values, authorId, { note = null } = {}) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM lessons WHERE id = $1 FOR UPDATE', [lessonId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (values.prerequisites) {
+      await checkPrerequisites(lessonId, values.prerequisites, { client });
+    }
+
+    const before = current.rows[0];
+    const lesson = await updateRow('lessons', lessonId, values, { touch: true, client });
+
+    if (revisionFieldsChanged(before, lesson)) {
+      await ensureBaselineRevision(before, client);
+      await recordRevision(lesson, authorId, { note, client });
+    }
+
+    await client.query('COMMIT');
+    return lesson;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Put a revision's text back on the lesson; this itself becomes a new revision
+export async function restoreRevision(lessonId, revisionNumber, authorId) {
+  const revision = await getRevision(lessonId, revisionNumber);
+  if (!revision) return null;
+
+  const values = Object.fromEntries(REVISION_FIELDS.map(field => [field, revision[field]]));
+  return updateLessonWithRevision(lessonId, values, authorId, {
+    note: `Restored revision ${revisionNumber}`
+  });
+}
+
+export async function listRevisions(lessonId) {
+  const result = await query(
+    `SELECT lr.id, lr.revision_number, lr.title, lr.note, lr.created_at,
+       lr.author_id, u.username as author_username,
+       LENGTH(lr.content) as content_length
+     FROM lesson_revisions lr
+     LEFT JOIN users u ON lr.author_id = u.id
+     WHERE lr.lesson_id = $1
+     ORDER BY lr.revision_number DESC`,
+    [lessonId]
+  );
+  return result.rows;
+}
+
+export async function getRevision(lessonId, revisionNumber) {
+  const result = await query(
+    `SELECT lr.*, u.username as author_username
+     FROM lesson_revisions lr
+     LEFT JOIN users u ON lr.author_id = u.id
+     WHERE lr.lesson_id = $1 AND lr.revision_number = $2`,
+    [lessonId, revisionNumber]
+  );
+  return result.rows[0] || null;
+}
+
+// The LCS table of a diff holds one 4-byte cell per pair of changed lines;
+// past this many cells (16 MB) the texts are not diffed line by line
+export const MAX_DIFF_CELLS = 4_000_000;
+
+// Line diff of two texts (longest common subsequence over the lines between
+// their common start and end). Returns [{ type: 'equal' | 'added' | 'removed',
+// text, oldLine, newLine }], or null when the changed part is too large to
+// diff (see MAX_DIFF_CELLS).
+export function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+  // lcs[i * (m + 1) + j] = LCS length of a[start + i..endA] and b[start + j..endB]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const lines = [];
+  for (let k = 0; k < start; k++) {
+    lines.push({ type: 'equal', text: a[k], oldLine: k + 1, newLine: k + 1 });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      lines.push({ type: 'equal', text: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      lines.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1, newLine: null });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[start + j], oldLine: null, newLine: start + j + 1 });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    lines.push({ type: 'equal', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  return lines;
+}
+
+// Diff every revision field; key points are compared one per line. A field
+// too large to diff is reported as changed with tooLarge set and no lines,
+// and its lines are left out of the stats.
+export function diffRevisions(from, to) {
+  const asText = (revision, field) => field === 'key_points'
+    ? (revision.key_points || []).join('\n')
+    : revision[field];
+
+  const fields = {};
+  let added = 0;
+  let removed = 0;
+  let tooLarge = false;
+
+  for (const field of REVISION_FIELDS) {
+    const lines = diffLines(asText(from, field), asText(to, field));
+    if (!lines) {
+      fields[field] = { changed: true, tooLarge: true, lines: [] };
+      tooLarge = true;
+      continue;
+    }
+    fields[field] = {
+      changed: lines.some(line => line.type !== 'equal'),
+      lines
+    };
+    added += lines.filter(line => line.type === 'added').length;
+    removed += lines.filter(line => line.type === 'removed').length;
+  }
+
+  return { fields, stats: { added, removed }, tooLarge };
+}
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// A transport is any object with `send({ to, subject, text, html })`.
+// MAIL_TRANSPORT picks one: 'console', 'file' or 'smtp'. Outside production
+// it defaults to 'console'; in production it must be set, as printed mails
+// would put live reset and verification links in the server log.
+
+// Print messages to the server log; handy in development
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+// Write each message to a JSON file, so tests and scripts can read the links back
+export function createFileTransport(directory = process.env.MAIL_DIR || 'tmp/mail') {
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return file;
+    }
+  };
+}
+
+// Real delivery; point SMTP_HOST/SMTP_PORT at a local catcher (e.g. MailHog on 1025) in development
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    })
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: mailFrom(), ...message });
+      return info.messageId;
+    }
+  };
+}
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let transport = null;
+
+// Throws when MAIL_TRANSPORT is unknown, or unset in production
+export function getTransport() {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production (smtp or file)');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(transportFactories).join(', ')})`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// Swap the transport, e.g. for an in-memory one in tests
+export function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+const mailFrom = () => process.env.MAIL_FROM || 'Interview Prep <no-reply@localhost>';
+
+// Base URL of the frontend, used to build links in emails
+export const appUrl = () => (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: mailFrom(), to, subject, text, html });
+}
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain text and HTML versions of a short message with one link
+function linkEmail({ greeting, intro, linkText, link, outro }) {
+  return {
+    text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}`,
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(linkText)}</a></p>
+<p>${escapeHtml(outro)}</p>`
+  };
+}
+
+export function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: 'Someone asked to reset the password for your account. Use the link below to choose a new one.',
+      linkText: 'Reset password',
+      link,
+      outro: `The link expires in ${expiresInMinutes} minutes and works once. If you did not ask for this, you can ignore this email.`
+    })
+  });
+}
+
+export function sendVerificationEmail(user, token, expiresInHours) {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: 'Please confirm your email address by opening the link below.',
+      linkText: 'Confirm email',
+      link,
+      outro: `The link expires in ${expiresInHours} hours.`
+    })
+  });
+}
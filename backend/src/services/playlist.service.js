@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import { getClient, query } from '../config/database.js';
+
+// ============================================================================
+// Study playlists
+// ============================================================================
+//
+// A playlist is a user's ordered list of lessons from any category, kept in
+// `playlist_lessons` with positions 1..n. Progress through a playlist is read
+// from the viewer's `user_progress`. A playlist with a share token can be
+// read, and copied, by anyone with its link.
+// ============================================================================
+
+export const MAX_PLAYLIST_LESSONS = 200;
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const newShareToken = () => crypto.randomBytes(12).toString('base64url');
+
+// Run `work(client)` in a transaction
+async function inTransaction(work) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Throws 400 unless `lessonIds` are distinct existing lessons, at most
+// MAX_PLAYLIST_LESSONS of them
+async function checkLessons(run, lessonIds) {
+  if (new Set(lessonIds).size !== lessonIds.length) {
+    throw badRequest('A lesson can only be in a playlist once');
+  }
+  if (lessonIds.length > MAX_PLAYLIST_LESSONS) {
+    throw badRequest(`A playlist holds at most ${MAX_PLAYLIST_LESSONS} lessons`);
+  }
+  const result = await run('SELECT id FROM lessons WHERE id = ANY($1::int[])', [lessonIds]);
+  const found = new Set(result.rows.map(row => row.id));
+  const missing = lessonIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw badRequest(`Unknown lessons: ${missing.join(', ')}`);
+  }
+}
+
+// The user's playlist locked for an update, or 404
+async function lockPlaylist(client, userId, playlistId) {
+  const result = await client.query(
+    'SELECT id FROM playlists WHERE id = $1 AND user_id = $2 FOR UPDATE',
+    [playlistId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw notFound('Playlist not found');
+  }
+}
+
+const touchPlaylist = (client, playlistId) =>
+  client.query('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [playlistId]);
+
+// Lessons of a playlist in order, with the progress of `viewerId` (none for
+// anonymous viewers)
+async function playlistLessons(playlistId, viewerId) {
+  const result = await query(
+    `SELECT pl.position, l.id, l.title, l.slug, l.summary, l.difficulty_level, l.estimated_time,
+      t.name as topic_name, t.slug as topic_slug,
+      c.name as category_name, c.slug as category_slug,
+      up.status, up.progress_percentage
+     FROM playlist_lessons pl
+     JOIN lessons l ON pl.lesson_id = l.id
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN categories c ON t.category_id = c.id
+     LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $2
+     WHERE pl.playlist_id = $1
+     ORDER BY pl.position ASC`,
+    [playlistId, viewerId]
+  );
+  return result.rows.map(({ status, progress_percentage, ...lesson }) => ({
+    ...lesson,
+    userProgress: status ? { status, progress_percentage } : null
+  }));
+}
+
+// Completed lessons and average progress over all lessons of a playlist
+function playlistProgress(lessons) {
+  const total = lessons.reduce((sum, lesson) => sum + (lesson.userProgress?.progress_percentage || 0), 0);
+  return {
+    lesson_count: lessons.length,
+    completed_lessons: lessons.filter(lesson => lesson.userProgress?.status === 'completed').length,
+    progress_percentage: lessons.length > 0 ? Math.round(total / lessons.length) : 0
+  };
+}
+
+// The user's playlists, most recently changed first, with their progress
+export async function listPlaylists(userId) {
+  const result = await query(
+    `SELECT p.*,
+      COUNT(pl.lesson_id)::int as lesson_count,
+      (COUNT(up.id) FILTER (WHERE up.status = 'completed'))::int as completed_lessons,
+      COALESCE(ROUND(AVG(COALESCE(up.progress_percentage, 0)) FILTER (WHERE pl.lesson_id IS NOT NULL)), 0)::int as progress_percentage
+     FROM playlists p
+     LEFT JOIN playlist_lessons pl ON pl.playlist_id = p.id
+     LEFT JOIN user_progress up ON up.lesson_id = pl.lesson_id AND up.user_id = p.user_id
+     WHERE p.user_id = $1
+     GROUP BY p.id
+     ORDER BY p.updated_at DESC, p.id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// The user's playlist with its lessons and progress, or null
+export async function getPlaylist(userId, playlistId) {
+  const result = await query(
+    'SELECT * FROM playlists WHERE id = $1 AND user_id = $2',
+    [playlistId, userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const lessons = await playlistLessons(playlistId, userId);
+  return { ...result.rows[0], ...playlistProgress(lessons), lessons };
+}
+
+// A shared playlist by its token, with the progress of `viewerId`, or null.
+// The owner is only named by username.
+export async function getSharedPlaylist(shareToken, viewerId = null) {
+  const result = await query(
+    `SELECT p.id, p.title, p.description, p.share_token, p.created_at, p.updated_at,
+      u.username as owner_username, p.user_id = $2 as is_owner
+     FROM playlists p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.share_token = $1`,
+    [shareToken, viewerId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const playlist = result.rows[0];
+  const lessons = await playlistLessons(playlist.id, viewerId);
+  return { ...playlist, is_owner: playlist.is_owner === true, ...playlistProgress(lessons), lessons };
+}
+
+export async function createPlaylist(userId, { title, description = null, lessonIds = [] }) {
+  const playlistId = await inTransaction(async (client) => {
+    const run = client.query.bind(client);
+    await checkLessons(run, lessonIds);
+
+    const result = await client.query(
+      'INSERT INTO playlists (user_id, title, description) VALUES ($1, $2, $3) RETURNING id',
+      [userId, title.trim(), description || null]
+    );
+    const id = result.rows[0].id;
+
+    await client.query(
+      `INSERT INTO playlist_lessons (playlist_id, lesson_id, position)
+       SELECT $1, v.lesson_id, v.position
+       FROM unnest($2::int[]) WITH ORDINALITY AS v(lesson_id, position)`,
+      [id, lessonIds]
+    );
+    return id;
+  });
+
+  return getPlaylist(userId, playlistId);
+}
+
+// Change the title or description; returns null when the user has no such playlist
+export async function updatePlaylist(userId, playlistId, { title, description }) {
+  const result = await query(
+    `UPDATE playlists
+     SET title = COALESCE($3, title),
+         description = CASE WHEN $4 THEN $5 ELSE description END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [playlistId, userId, title?.trim() ?? null, description !== undefined, description || null]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns whether the user had such a playlist
+export async function deletePlaylist(userId, playlistId) {
+  const result = await query(
+    'DELETE FROM playlists WHERE id = $1 AND user_id = $2',
+    [playlistId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Replace the playlist's lessons with `lessonIds`, in that order. Lessons
+// already in it keep the date they were added.
+export async function setPlaylistLessons(userId, playlistId, lessonIds) {
+  await inTransaction(async (client) => {
+    await lockPlaylist(client, userId, playlistId);
+    await checkLessons(client.query.bind(client), lessonIds);
+
+    await client.query(
+      'DELETE FROM playlist_lessons WHERE playlist_id = $1 AND NOT (lesson_id = ANY($2::int[]))',
+      [playlistId, lessonIds]
+    );
+    await client.query(
+      `INSERT INTO playlist_lessons (playlist_id, lesson_id, position)
+       SELECT $1, v.lesson_id, v.position
+       FROM unnest($2::int[]) WITH ORDINALITY AS v(lesson_id, position)
+       ON CONFLICT (playlist_id, lesson_id) DO UPDATE SET position = EXCLUDED.position`,
+      [playlistId, lessonIds]
+    );
+    await touchPlaylist(client, playlistId);
+  });
+
+  return getPlaylist(userId, playlistId);
+}
+
+// Append a lesson to the playlist; a lesson already in it stays where it is
+export async function addPlaylistLesson(userId, playlistId, lessonId) {
+  await inTransaction(async (client) => {
+    await lockPlaylist(client, userId, playlistId);
+
+    const lessons = await client.query(
+      'SELECT lesson_id FROM playlist_lessons WHERE playlist_id = $1',
+      [playlistId]
+    );
+    if (lessons.rows.some(row => row.lesson_id === lessonId)) return;
+    await checkLessons(client.query.bind(client), [...lessons.rows.map(row => row.lesson_id), lessonId]);
+
+    await client.query(
+      `INSERT INTO playlist_lessons (playlist_id, lesson_id, position)
+       VALUES ($1, $2, $3)`,
+      [playlistId, lessonId, lessons.rows.length + 1]
+    );
+    await touchPlaylist(client, playlistId);
+  });
+
+  return getPlaylist(userId, playlistId);
+}
+
+// Take a lesson out of the playlist and close the gap it leaves
+export async function removePlaylistLesson(userId, playlistId, lessonId) {
+  await inTransaction(async (client) => {
+    await lockPlaylist(client, userId, playlistId);
+
+    const removed = await client.query(
+      'DELETE FROM playlist_lessons WHERE playlist_id = $1 AND lesson_id = $2 RETURNING position',
+      [playlistId, lessonId]
+    );
+    if (removed.rows.length === 0) {
+      throw notFound('Lesson is not in this playlist');
+    }
+
+    await client.query(
+      'UPDATE playlist_lessons SET position = position - 1 WHERE playlist_id = $1 AND position > $2',
+      [playlistId, removed.rows[0].position]
+    );
+    await touchPlaylist(client, playlistId);
+  });
+
+  return getPlaylist(userId, playlistId);
+}
+
+// Turn on the playlist's share link (keeping an existing one); returns the
+// playlist or null
+export async function sharePlaylist(userId, playlistId) {
+  const result = await query(
+    `UPDATE playlists SET share_token = COALESCE(share_token, $3)
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [playlistId, userId, newShareToken()]
+  );
+  return result.rows[0] || null;
+}
+
+// Revoke the share link; a later share gets a new one
+export async function unsharePlaylist(userId, playlistId) {
+  const result = await query(
+    `UPDATE playlists SET share_token = NULL
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [playlistId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Save a copy of a shared playlist as the user's own
+export async function copySharedPlaylist(shareToken, userId) {
+  const shared = await getSharedPlaylist(shareToken);
+  if (!shared) {
+    throw notFound('Playlist not found');
+  }
+
+  return createPlaylist(userId, {
+    title: shared.title,
+    description: shared.description,
+    lessonIds: shared.lessons.map(lesson => lesson.id)
+  });
+}
@@ -0,0 +1,184 @@
+import { query } from '../config/database.js';
+
+// ============================================================================
+// Lesson prerequisites
+// ============================================================================
+//
+// `lessons.prerequisites` lists the ids of the lessons to complete before a
+// lesson, from any topic or category. Saving them is refused when they would
+// form a cycle, so the lessons and their prerequisites always make a DAG.
+// ============================================================================
+
+export const MAX_PREREQUISITES = 20;
+
+// pg_advisory_xact_lock key held while prerequisites are checked and saved
+const PREREQUISITES_LOCK = 7342001;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The path lesson → ... → lessonId through existing prerequisites, starting
+// at one of `startIds`, or null when lessonId cannot be reached
+async function findCycle(run, lessonId, startIds) {
+  const result = await run(
+    `SELECT id, prerequisites::int[] as prerequisites FROM lessons
+     WHERE cardinality(prerequisites) > 0 AND id <> $1`,
+    [lessonId]
+  );
+  const prerequisitesOf = new Map(result.rows.map(row => [row.id, row.prerequisites]));
+
+  const cameFrom = new Map(startIds.map(id => [id, null]));
+  const stack = [...startIds];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === lessonId) {
+      const path = [];
+      for (let step = id; step !== null; step = cameFrom.get(step)) path.unshift(step);
+      return path;
+    }
+    for (const next of prerequisitesOf.get(id) || []) {
+      if (!cameFrom.has(next)) {
+        cameFrom.set(next, id);
+        stack.push(next);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Throws 400 unless `prerequisiteIds` are distinct existing lessons other
+// than the lesson itself whose prerequisites do not lead back to it. Pass
+// lessonId null for a new lesson, which nothing can depend on yet. For an
+// existing lesson pass the `client` of the transaction that saves them: it
+// holds a lock until then, so two saves cannot close a cycle together.
+export async function checkPrerequisites(lessonId, prerequisiteIds, { client = null } = {}) {
+  const run = client ? client.query : query;
+  const id = lessonId === null ? null : Number(lessonId);
+
+  if (new Set(prerequisiteIds).size !== prerequisiteIds.length) {
+    throw badRequest('A prerequisite can only be listed once');
+  }
+  if (prerequisiteIds.length > MAX_PREREQUISITES) {
+    throw badRequest(`A lesson has at most ${MAX_PREREQUISITES} prerequisites`);
+  }
+  if (prerequisiteIds.includes(id)) {
+    throw badRequest('A lesson cannot be its own prerequisite');
+  }
+  if (prerequisiteIds.length === 0) return;
+
+  const result = await run('SELECT id FROM lessons WHERE id = ANY($1::int[])', [prerequisiteIds]);
+  const found = new Set(result.rows.map(row => row.id));
+  const missing = prerequisiteIds.filter(prerequisiteId => !found.has(prerequisiteId));
+  if (missing.length > 0) {
+    throw badRequest(`Unknown lessons: ${missing.join(', ')}`);
+  }
+
+  if (id === null) return;
+
+  await run('SELECT pg_advisory_xact_lock($1)', [PREREQUISITES_LOCK]);
+
+  const cycle = await findCycle(run, id, prerequisiteIds);
+  if (cycle) {
+    const titles = await run('SELECT id, title FROM lessons WHERE id = ANY($1::int[])', [cycle]);
+    const titleOf = new Map(titles.rows.map(row => [row.id, row.title]));
+    const names = [id, ...cycle].map(step => `"${titleOf.get(step)}"`);
+    throw badRequest(`These prerequisites would form a cycle: ${names.join(' needs ')}`);
+  }
+}
+
+// A lesson's prerequisites, in the order they were given, with the user's
+// progress on each (status is null without a user)
+export async function getLessonPrerequisites(prerequisiteIds, userId = null) {
+  if (!prerequisiteIds || prerequisiteIds.length === 0) return [];
+
+  const result = await query(
+    `SELECT l.id, l.title, l.slug, l.difficulty_level, l.estimated_time,
+      t.name as topic_name, t.slug as topic_slug,
+      c.name as category_name, c.slug as category_slug,
+      up.status
+     FROM lessons l
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN categories c ON t.category_id = c.id
+     LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $2
+     WHERE l.id = ANY($1::int[])
+     ORDER BY array_position($1::int[], l.id)`,
+    [prerequisiteIds, userId]
+  );
+
+  return result.rows;
+}
+
+// The prerequisite DAG of a category: every lesson of the category, plus
+// the lessons elsewhere that they depend on (`external`), and an edge from
+// each prerequisite to the lesson that needs it. Nodes come in a learning
+// order (prerequisites before the lessons that need them, otherwise course
+// order) with `depth`, the length of the longest prerequisite chain leading
+// to the lesson.
+export async function getCategoryGraph(categoryId, userId = null) {
+  const result = await query(
+    `SELECT l.id, l.title, l.slug, l.difficulty_level, l.estimated_time,
+      l.prerequisites::int[] as prerequisites,
+      t.id as topic_id, t.name as topic_name, t.slug as topic_slug,
+      c.name as category_name, c.slug as category_slug,
+      t.category_id IS DISTINCT FROM $1 as external,
+      up.status
+     FROM lessons l
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN categories c ON t.category_id = c.id
+     LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $2
+     WHERE t.category_id = $1
+       OR l.id::text IN (
+         SELECT unnest(inner_l.prerequisites)
+         FROM lessons inner_l
+         JOIN topics inner_t ON inner_l.topic_id = inner_t.id
+         WHERE inner_t.category_id = $1
+       )
+     ORDER BY c.order_index ASC, t.order_index ASC, l.order_index ASC, l.id ASC`,
+    [categoryId, userId]
+  );
+
+  const courseOrder = new Map(result.rows.map((row, index) => [row.id, index]));
+  const edges = [];
+  for (const lesson of result.rows) {
+    if (lesson.external) continue;
+    for (const prerequisiteId of lesson.prerequisites || []) {
+      if (courseOrder.has(prerequisiteId)) edges.push({ from: prerequisiteId, to: lesson.id });
+    }
+  }
+
+  // Kahn's algorithm, always taking the earliest ready lesson in course order
+  const dependents = new Map(result.rows.map(row => [row.id, []]));
+  const waitingOn = new Map(result.rows.map(row => [row.id, 0]));
+  for (const { from, to } of edges) {
+    dependents.get(from).push(to);
+    waitingOn.set(to, waitingOn.get(to) + 1);
+  }
+
+  const depth = new Map(result.rows.map(row => [row.id, 0]));
+  const ready = result.rows.filter(row => waitingOn.get(row.id) === 0).map(row => row.id);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => courseOrder.get(a) - courseOrder.get(b));
+    const id = ready.shift();
+    order.push(id);
+    for (const next of dependents.get(id)) {
+      depth.set(next, Math.max(depth.get(next), depth.get(id) + 1));
+      waitingOn.set(next, waitingOn.get(next) - 1);
+      if (waitingOn.get(next) === 0) ready.push(next);
+    }
+  }
+
+  // Lessons on a cycle saved before cycles were checked never become ready
+  const placed = new Set(order);
+  order.push(...result.rows.map(row => row.id).filter(id => !placed.has(id)));
+
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+  const nodes = order.map(id => {
+    const { prerequisites, ...lesson } = byId.get(id);
+    return { ...lesson, depth: depth.get(id) };
+  });
+
+  return { nodes, edges };
+}
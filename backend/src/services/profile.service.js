@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import { query } from '../config/database.js';
+import { SCORED_ATTEMPTS } from './quiz.service.js';
+
+export const PROFILE_FIELDS = ['display_name', 'bio', 'profile_public', 'timezone', 'daily_goal_type', 'daily_goal_target'];
+
+export const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+// Accepted avatar formats, recognised by their leading bytes rather than the
+// Content-Type header the client sent
+const IMAGE_SIGNATURES = [
+  { extension: 'png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: 'jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { extension: 'gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)) },
+  { extension: 'webp', matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+];
+
+export const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Uploaded files live under UPLOAD_DIR and are served at /uploads
+export const uploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const AVATAR_URL_PREFIX = '/uploads/avatars/';
+
+// Everything a user sees about their own account
+const OWN_PROFILE_COLUMNS = 'id, username, email, role, email_verified_at, display_name, bio, profile_picture, profile_public, timezone, daily_goal_type, daily_goal_target, created_at, last_login';
+
+// What anyone may see on a public profile
+const PUBLIC_PROFILE_COLUMNS = 'id, username, display_name, bio, profile_picture, profile_public, created_at';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+export async function getOwnProfile(userId) {
+  const result = await query(`SELECT ${OWN_PROFILE_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+// Update the editable profile fields present in `values`
+export async function updateProfile(userId, values) {
+  const fields = PROFILE_FIELDS.filter(field => values[field] !== undefined);
+  if (fields.length === 0) {
+    return getOwnProfile(userId);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await query(
+    `UPDATE users SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${OWN_PROFILE_COLUMNS}`,
+    [userId, ...fields.map(field => values[field])]
+  );
+  return result.rows[0] || null;
+}
+
+// Throws a 400 when the current password is wrong
+export async function changePassword(userId, currentPassword, newPassword) {
+  const result = await query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+
+  if (!user || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+    throw badRequest('Current password is incorrect');
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const passwordHash = await bcrypt.hash(newPassword, salt);
+  await query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+}
+
+async function removeAvatarFile(url) {
+  if (!url?.startsWith(AVATAR_URL_PREFIX)) return;
+  const file = path.join(uploadDir(), 'avatars', path.basename(url));
+  await fs.rm(file, { force: true });
+}
+
+// Store an uploaded image and point the user's profile_picture at it.
+// Throws a 400 unless the bytes are a PNG, JPEG, GIF or WebP image.
+export async function saveAvatar(userId, buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw badRequest(`Send the image as the request body with a Content-Type of ${AVATAR_TYPES.join(', ')}`);
+  }
+  if (buffer.length > MAX_AVATAR_BYTES) {
+    throw badRequest('Avatar must be 2 MB or smaller');
+  }
+
+  const format = IMAGE_SIGNATURES.find(signature => signature.matches(buffer));
+  if (!format) {
+    throw badRequest('Avatar must be a PNG, JPEG, GIF or WebP image');
+  }
+
+  const directory = path.join(uploadDir(), 'avatars');
+  await fs.mkdir(directory, { recursive: true });
+
+  // A new name per upload so browsers never show a cached old avatar
+  const fileName = `${userId}-${crypto.randomBytes(8).toString('hex')}.${format.extension}`;
+  await fs.writeFile(path.join(directory, fileName), buffer);
+
+  const previous = await query('SELECT profile_picture FROM users WHERE id = $1', [userId]);
+  const result = await query(
+    `UPDATE users SET profile_picture = $1 WHERE id = $2 RETURNING ${OWN_PROFILE_COLUMNS}`,
+    [AVATAR_URL_PREFIX + fileName, userId]
+  );
+  await removeAvatarFile(previous.rows[0]?.profile_picture);
+
+  return result.rows[0];
+}
+
+export async function removeAvatar(userId) {
+  const previous = await query('SELECT profile_picture FROM users WHERE id = $1', [userId]);
+  const result = await query(
+    `UPDATE users SET profile_picture = NULL WHERE id = $1 RETURNING ${OWN_PROFILE_COLUMNS}`,
+    [userId]
+  );
+  await removeAvatarFile(previous.rows[0]?.profile_picture);
+  return result.rows[0] || null;
+}
+
+// Public profile by username. Private profiles are only visible to their owner;
+// everyone else gets null, as if the user did not exist.
+export async function getPublicProfile(username, viewerId = null) {
+  const userResult = await query(
+    `SELECT ${PUBLIC_PROFILE_COLUMNS} FROM users WHERE username = $1`,
+    [username]
+  );
+  const user = userResult.rows[0];
+  if (!user || (!user.profile_public && user.id !== viewerId)) {
+    return null;
+  }
+
+  // Topics where every lesson is completed
+  const topicsResult = await query(
+    `SELECT t.name, t.slug, c.name as category_name, c.slug as category_slug,
+       COUNT(l.id) as lesson_count, MAX(up.completed_at) as completed_at
+     FROM topics t
+     JOIN categories c ON t.category_id = c.id
+     JOIN lessons l ON l.topic_id = t.id
+     LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $1 AND up.status = 'completed'
+     GROUP BY t.id, c.id
+     HAVING COUNT(up.id) = COUNT(l.id)
+     ORDER BY completed_at DESC NULLS LAST, t.name`,
+    [user.id]
+  );
+
+  // Quiz figures count one scored attempt per question (see SCORED_ATTEMPTS)
+  const statsResult = await query(
+    `WITH scored AS (${SCORED_ATTEMPTS})
+     SELECT
+       (SELECT COUNT(*) FROM user_progress WHERE user_id = $1 AND status = 'completed') as lessons_completed,
+       COUNT(scored.id) as quiz_attempts,
+       COUNT(scored.id) FILTER (WHERE scored.is_correct) as quiz_correct
+     FROM scored`,
+    [user.id]
+  );
+
+  const stats = statsResult.rows[0];
+  const quizAttempts = parseInt(stats.quiz_attempts);
+  const quizCorrect = parseInt(stats.quiz_correct);
+
+  return {
+    user,
+    completedTopics: topicsResult.rows,
+    stats: {
+      lessonsCompleted: parseInt(stats.lessons_completed),
+      topicsCompleted: topicsResult.rows.length,
+      quizAttempts,
+      quizCorrect,
+      quizAccuracy: quizAttempts > 0 ? Math.round((quizCorrect / quizAttempts) * 100) : null
+    }
+  };
+}
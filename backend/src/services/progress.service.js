@@ -0,0 +1,188 @@
+import { query, getClient } from '../config/database.js';
+import { SCORED_ATTEMPTS } from './quiz.service.js';
+import { logActivity } from './activity.service.js';
+import { invalidateUserCache } from './cache.service.js';
+
+// Mirrors the column default in migration 0005
+export const DEFAULT_MASTERY_THRESHOLD = 80;
+
+// Most active time a single heartbeat can add. The client sends one every
+// 15 seconds while the lesson is visible and in use.
+export const MAX_HEARTBEAT_SECONDS = 60;
+
+// Allowance for network delay when a heartbeat is checked against the time
+// since the previous one
+const HEARTBEAT_GRACE_SECONDS = 5;
+
+// A fast skimmer's reading speed: scrolling through a lesson quicker than
+// this does not count as reading it
+const SKIM_WORDS_PER_MINUTE = 400;
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+// A lesson's quiz score for a user: points earned on each question's scored
+// attempt as a percentage of the lesson's quiz points (unanswered questions
+// earn nothing). quizScore is null when the lesson has no quiz.
+export async function getLessonQuizScore(userId, lessonId) {
+  const result = await query(
+    `WITH scored AS (${SCORED_ATTEMPTS})
+     SELECT t.mastery_threshold,
+       COUNT(qq.id) as question_count,
+       COALESCE(SUM(qq.points), 0) as max_points,
+       COALESCE(SUM(scored.points_earned), 0) as points_earned
+     FROM lessons l
+     JOIN topics t ON l.topic_id = t.id
+     LEFT JOIN quiz_questions qq ON qq.lesson_id = l.id
+     LEFT JOIN scored ON scored.quiz_question_id = qq.id
+     WHERE l.id = $2
+     GROUP BY t.id`,
+    [userId, lessonId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  const maxPoints = parseInt(row.max_points);
+  return {
+    threshold: row.mastery_threshold,
+    quizScore: parseInt(row.question_count) > 0 && maxPoints > 0
+      ? Math.min(100, Math.round((parseInt(row.points_earned) / maxPoints) * 100))
+      : null,
+  };
+}
+
+// Store a lesson's quiz score in user_progress. Reaching the topic's mastery
+// threshold completes the lesson (progress 100%) and records mastered_at;
+// completion and mastery are never taken back. Returns null for lessons
+// without a quiz.
+export async function updateLessonMastery(userId, lessonId) {
+  const score = await getLessonQuizScore(userId, lessonId);
+  if (!score || score.quizScore === null) return null;
+
+  const passed = score.quizScore >= score.threshold;
+
+  const result = await query(
+    `WITH previous AS (
+       SELECT status FROM user_progress WHERE user_id = $1 AND lesson_id = $2
+     )
+     INSERT INTO user_progress (user_id, lesson_id, status, progress_percentage, quiz_score,
+                                started_at, completed_at, mastered_at, last_accessed)
+     VALUES ($1, $2,
+       CASE WHEN $4::boolean THEN 'completed' ELSE 'in_progress' END,
+       CASE WHEN $4::boolean THEN 100 ELSE 0 END,
+       $3,
+       CURRENT_TIMESTAMP,
+       CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP END,
+       CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP END,
+       CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, lesson_id) DO UPDATE SET
+       quiz_score = EXCLUDED.quiz_score,
+       status = CASE
+         WHEN $4::boolean THEN 'completed'
+         WHEN user_progress.status = 'not_started' THEN 'in_progress'
+         ELSE user_progress.status
+       END,
+       progress_percentage = CASE WHEN $4::boolean THEN 100 ELSE user_progress.progress_percentage END,
+       started_at = COALESCE(user_progress.started_at, CURRENT_TIMESTAMP),
+       completed_at = CASE
+         WHEN $4::boolean THEN COALESCE(user_progress.completed_at, CURRENT_TIMESTAMP)
+         ELSE user_progress.completed_at
+       END,
+       mastered_at = CASE
+         WHEN $4::boolean THEN COALESCE(user_progress.mastered_at, CURRENT_TIMESTAMP)
+         ELSE user_progress.mastered_at
+       END,
+       last_accessed = CURRENT_TIMESTAMP
+     RETURNING *, (SELECT status FROM previous) as previous_status`,
+    [userId, lessonId, score.quizScore, passed]
+  );
+
+  const { previous_status, ...progress } = result.rows[0];
+  await invalidateUserCache(userId);
+  if (progress.status === 'completed' && previous_status !== 'completed') {
+    await logActivity(userId, { lessonsCompleted: 1 });
+  }
+  return {
+    quizScore: score.quizScore,
+    threshold: score.threshold,
+    mastered: progress.mastered_at !== null,
+    progress,
+  };
+}
+
+// Add an engagement heartbeat to a user's lesson progress: `activeSeconds`
+// of active reading since the previous heartbeat and the `scrollDepth`
+// (0-100) reached in the lesson content. Impossible values are capped: a
+// heartbeat adds no more active time than has passed since the previous
+// one (and at most MAX_HEARTBEAT_SECONDS), and scroll depth never exceeds
+// 100 or goes back. progress_percentage is the scroll depth, limited by the
+// share of the lesson a skimmer could have read in the time spent on it;
+// it never decreases, so completed lessons stay at 100.
+export async function recordEngagement(userId, lessonId, { activeSeconds = 0, scrollDepth = 0 }) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const lessonResult = await client.query(
+      `SELECT COALESCE(array_length(regexp_split_to_array(trim(content), '\\s+'), 1), 0) as word_count
+       FROM lessons WHERE id = $1`,
+      [lessonId]
+    );
+    if (lessonResult.rows.length === 0) {
+      throw notFound('Lesson not found');
+    }
+
+    await client.query(
+      `INSERT INTO user_progress (user_id, lesson_id, status, started_at, last_accessed)
+       VALUES ($1, $2, 'in_progress', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id, lesson_id) DO NOTHING`,
+      [userId, lessonId]
+    );
+
+    // Locking the row keeps heartbeats from two open tabs from both counting
+    const progressResult = await client.query(
+      `SELECT *, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_heartbeat_at)) as seconds_since_heartbeat
+       FROM user_progress
+       WHERE user_id = $1 AND lesson_id = $2
+       FOR UPDATE`,
+      [userId, lessonId]
+    );
+    const current = progressResult.rows[0];
+
+    const sinceHeartbeat = current.seconds_since_heartbeat === null
+      ? MAX_HEARTBEAT_SECONDS
+      : Math.floor(parseFloat(current.seconds_since_heartbeat)) + HEARTBEAT_GRACE_SECONDS;
+    const countedSeconds = Math.min(activeSeconds, sinceHeartbeat, MAX_HEARTBEAT_SECONDS);
+    const totalSeconds = current.active_seconds + countedSeconds;
+    const depth = Math.max(current.scroll_depth, Math.min(100, scrollDepth));
+
+    const skimSeconds = Math.max(1, (parseInt(lessonResult.rows[0].word_count) / SKIM_WORDS_PER_MINUTE) * 60);
+    const readPercentage = Math.min(depth, Math.floor((totalSeconds / skimSeconds) * 100));
+
+    const result = await client.query(
+      `UPDATE user_progress
+       SET active_seconds = $1,
+           time_spent = $1 / 60,
+           scroll_depth = $2,
+           progress_percentage = GREATEST(COALESCE(progress_percentage, 0), $3),
+           status = CASE WHEN status = 'not_started' THEN 'in_progress' ELSE status END,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+           last_heartbeat_at = CURRENT_TIMESTAMP,
+           last_accessed = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [totalSeconds, depth, readPercentage, current.id]
+    );
+    await logActivity(userId, { activeSeconds: countedSeconds }, { client });
+
+    await client.query('COMMIT');
+    await invalidateUserCache(userId);
+    return { progress: result.rows[0], countedSeconds };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,217 @@
+// ============================================================================
+// Question types: answer keys, answer shapes and grading strategies
+// ============================================================================
+//
+// `correct_answer` is the answer shown to the learner after grading (the
+// reference solution for code challenges). Types that need more than a single
+// string to grade keep it in the JSONB `answer_key` column:
+//
+//   multiple_choice   options, correct_answer is one of them
+//   true_false        same as multiple_choice
+//   multiple_select   answer_key: ["A", "C"]              partial credit
+//   ordering          answer_key: items in correct order  (options: as shown)
+//   fill_blank        answer_key: [matcher, ...]          one per ___ in the text
+//   short_answer      answer_key: matcher
+//   code_challenge    test_cases                          (see quiz.service.js)
+//
+// A matcher is { accepted?: [string], pattern?: string, keywords?: [string],
+// case_sensitive?: boolean }. An answer matches when it equals an accepted
+// answer or fully matches the pattern (whitespace collapsed, case ignored
+// unless case_sensitive); otherwise it scores the share of keywords it
+// contains.
+//
+// Graders return a score between 0 and 1; only a score of 1 is correct.
+// ============================================================================
+
+export const QUESTION_TYPES = [
+  'multiple_choice',
+  'true_false',
+  'multiple_select',
+  'ordering',
+  'fill_blank',
+  'short_answer',
+  'code_challenge',
+];
+
+// Types answered with a list (one string per selected option, item or blank)
+export const LIST_ANSWER_TYPES = ['multiple_select', 'ordering', 'fill_blank'];
+
+const BLANK = /_{3,}/g;
+
+export const countBlanks = (text) => (text.match(BLANK) || []).length;
+
+const normalize = (text, caseSensitive) => {
+  const collapsed = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const answerError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ── Matchers (fill_blank blanks and short answers) ───────────────────────
+
+function matcherError(matcher, label) {
+  if (typeof matcher !== 'object' || matcher === null || Array.isArray(matcher)) {
+    return `${label} must be an object with accepted, pattern or keywords`;
+  }
+  const { accepted, pattern, keywords } = matcher;
+  if (!accepted?.length && !pattern && !keywords?.length) {
+    return `${label} needs accepted answers, a pattern or keywords`;
+  }
+  if (accepted !== undefined && (!Array.isArray(accepted) || accepted.some(a => typeof a !== 'string'))) {
+    return `${label}.accepted must be a list of strings`;
+  }
+  if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string'))) {
+    return `${label}.keywords must be a list of strings`;
+  }
+  if (pattern !== undefined) {
+    try {
+      new RegExp(pattern);
+    } catch {
+      return `${label}.pattern is not a valid regular expression`;
+    }
+  }
+  return null;
+}
+
+function matchScore(matcher, answer) {
+  const caseSensitive = !!matcher.case_sensitive;
+  const given = normalize(answer, caseSensitive);
+  if (!given) return 0;
+
+  if (matcher.accepted?.some(accepted => normalize(accepted, caseSensitive) === given)) {
+    return 1;
+  }
+  if (matcher.pattern && new RegExp(`^(?:${matcher.pattern})$`, caseSensitive ? '' : 'i').test(given)) {
+    return 1;
+  }
+  if (matcher.keywords?.length) {
+    const lower = given.toLowerCase();
+    const found = matcher.keywords.filter(keyword => lower.includes(keyword.toLowerCase()));
+    return found.length / matcher.keywords.length;
+  }
+  return 0;
+}
+
+// ── Answer keys ──────────────────────────────────────────────────────────
+// Returns a message describing what is wrong with a question's answer key,
+// or null. `options`, `test_cases` and `answer_key` must already be parsed.
+export function answerKeyError(question) {
+  const { question_type: type, options, answer_key: key } = question;
+
+  switch (type) {
+    case 'code_challenge':
+      return question.test_cases?.length ? null : 'code_challenge questions need test_cases';
+
+    case 'multiple_choice':
+    case 'true_false':
+      if (!options?.length) return `${type} questions need options`;
+      return options.includes(question.correct_answer) ? null : 'correct_answer must be one of the options';
+
+    case 'multiple_select':
+      if (!options?.length) return 'multiple_select questions need options';
+      if (!Array.isArray(key) || key.length === 0) return 'answer_key must list the correct options';
+      if (key.some(option => !options.includes(option))) return 'every answer_key entry must be one of the options';
+      return new Set(key).size === key.length ? null : 'answer_key lists an option twice';
+
+    case 'ordering':
+      if (!options || options.length < 2) return 'ordering questions need at least two options';
+      if (!Array.isArray(key) || key.length !== options.length || new Set(key).size !== key.length ||
+        key.some(item => !options.includes(item))) {
+        return 'answer_key must list every option once, in the correct order';
+      }
+      return null;
+
+    case 'fill_blank': {
+      const blanks = countBlanks(question.question_text || '');
+      if (blanks === 0) return 'fill_blank questions need at least one ___ blank in question_text';
+      if (!Array.isArray(key) || key.length !== blanks) {
+        return `answer_key must have one entry per blank (${blanks})`;
+      }
+      for (const [index, matcher] of key.entries()) {
+        const error = matcherError(matcher, `answer_key[${index}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    case 'short_answer':
+      return matcherError(key, 'answer_key');
+
+    default:
+      return `unknown question_type "${type}"`;
+  }
+}
+
+// ── Answers ──────────────────────────────────────────────────────────────
+
+// express-validator check for a submitted answer: a non-empty string, or a
+// non-empty list of strings
+export function isAnswerValue(value) {
+  if (typeof value === 'string') return value.trim().length > 0;
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+// Make sure an answer has the shape its question type expects (400 otherwise)
+export function checkAnswerShape(question, answer) {
+  const isList = Array.isArray(answer);
+
+  if (LIST_ANSWER_TYPES.includes(question.question_type)) {
+    if (!isList) throw answerError('This question expects a list of answers');
+    if (question.question_type === 'fill_blank' && answer.length !== countBlanks(question.question_text)) {
+      throw answerError(`This question has ${countBlanks(question.question_text)} blank(s)`);
+    }
+    if (question.question_type === 'ordering' && answer.length !== (question.options || []).length) {
+      throw answerError('Order every item exactly once');
+    }
+  } else if (isList) {
+    throw answerError('This question expects a single answer');
+  }
+}
+
+// ── Grading strategies (everything except code challenges) ───────────────
+const GRADERS = {
+  multiple_choice: (question, answer) =>
+    normalize(answer) === normalize(question.correct_answer) ? 1 : 0,
+
+  true_false: (question, answer) =>
+    normalize(answer) === normalize(question.correct_answer) ? 1 : 0,
+
+  // One share per correct option, minus one share per wrong pick, never below 0
+  multiple_select: (question, answer) => {
+    const correct = new Set(question.answer_key);
+    const picked = new Set(answer);
+    let hits = 0;
+    let misses = 0;
+    for (const option of picked) {
+      if (correct.has(option)) hits++;
+      else misses++;
+    }
+    return Math.max(0, (hits - misses) / correct.size);
+  },
+
+  // Share of items in their correct position
+  ordering: (question, answer) => {
+    const inPlace = question.answer_key.filter((item, index) => answer[index] === item).length;
+    return inPlace / question.answer_key.length;
+  },
+
+  // Average over the blanks
+  fill_blank: (question, answer) => {
+    const scores = question.answer_key.map((matcher, index) => matchScore(matcher, answer[index] ?? ''));
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  },
+
+  short_answer: (question, answer) => matchScore(question.answer_key, answer),
+};
+
+// Score an answer between 0 and 1
+export function scoreAnswer(question, answer) {
+  checkAnswerShape(question, answer);
+  const grader = GRADERS[question.question_type];
+  if (!grader) throw new Error(`No grader for question type ${question.question_type}`);
+  return Math.round(grader(question, answer) * 1000) / 1000;
+}
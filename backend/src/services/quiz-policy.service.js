@@ -0,0 +1,59 @@
+// ============================================================================
+// Quiz policies: per-lesson attempt limits, answer reveal and scoring
+// ============================================================================
+//
+//   quiz_max_attempts    attempts allowed per question (NULL = unlimited)
+//   quiz_reveal_answers  when the correct answer and explanation are shown:
+//                          never               learners only see whether they were right
+//                          after_correct       once they have answered correctly
+//                          after_last_attempt  once they have answered correctly
+//                                              or used their last attempt
+//   quiz_scoring         which attempt counts towards the score: first or best
+//
+// Attempts record their source. Quiz attempts (POST /api/quiz/submit) and
+// mock interview answers both use up the attempt limit and count towards
+// reveal: a finished session shows whether each answer was right, so it must
+// not act as a free extra try. Only quiz attempts are scored. Review answers
+// are neither limited nor scored; reviews only cover settled questions.
+// ============================================================================
+
+export const REVEAL_POLICIES = ['never', 'after_correct', 'after_last_attempt'];
+export const SCORING_POLICIES = ['first', 'best'];
+export const ATTEMPT_SOURCES = ['quiz', 'review', 'interview'];
+
+// Sources whose attempts count against the attempt limit and reveal policy
+export const POLICY_SOURCES = ['quiz', 'interview'];
+
+// Mirrors the column defaults in migration 0004
+export const DEFAULT_QUIZ_POLICY = {
+  quiz_max_attempts: null,
+  quiz_reveal_answers: 'after_last_attempt',
+  quiz_scoring: 'first',
+};
+
+// Attempts left on a question, or null when they are unlimited
+export function attemptsRemaining(policy, attemptsUsed) {
+  if (!policy.quiz_max_attempts) return null;
+  return Math.max(0, policy.quiz_max_attempts - attemptsUsed);
+}
+
+// Whether a learner is done with a question: solved it, used the last
+// attempt, or has unlimited attempts. Only settled questions get review
+// cards, so reviews never act as extra attempts.
+export function isSettled(policy, { solved, attemptsUsed }) {
+  const remaining = attemptsRemaining(policy, attemptsUsed);
+  return solved || remaining === null || remaining === 0;
+}
+
+// Whether the correct answer and explanation may be shown to a learner who
+// has used `attemptsUsed` attempts and has (or has not) `solved` the question
+export function canRevealAnswer(policy, { solved, attemptsUsed }) {
+  switch (policy.quiz_reveal_answers) {
+    case 'after_correct':
+      return solved;
+    case 'after_last_attempt':
+      return solved || attemptsRemaining(policy, attemptsUsed) === 0;
+    default:
+      return false;
+  }
+}
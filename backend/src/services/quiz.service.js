@@ -0,0 +1,137 @@
+import { query, getClient } from '../config/database.js';
+import { runTests } from './code-runner.service.js';
+import { checkAnswerShape, scoreAnswer } from './question-types.service.js';
+import { POLICY_SOURCES, attemptsRemaining, canRevealAnswer } from './quiz-policy.service.js';
+import { logActivity } from './activity.service.js';
+
+// One row per question the user has answered in a lesson quiz: the attempt
+// that counts towards the score under the lesson's scoring policy (the first
+// one, or the best one with the earliest winning ties). Expects the user id
+// as $1; use it as a CTE.
+export const SCORED_ATTEMPTS = `
+  SELECT DISTINCT ON (qa.quiz_question_id) qa.*, qq.lesson_id
+  FROM quiz_attempts qa
+  JOIN quiz_questions qq ON qa.quiz_question_id = qq.id
+  JOIN lessons l ON qq.lesson_id = l.id
+  WHERE qa.user_id = $1 AND qa.source = 'quiz'
+  ORDER BY qa.quiz_question_id,
+    CASE WHEN l.quiz_scoring = 'best' THEN qa.points_earned END DESC NULLS LAST,
+    CASE WHEN l.quiz_scoring = 'best' THEN qa.is_correct END DESC NULLS LAST,
+    qa.attempt_number ASC, qa.id ASC`;
+
+const policyError = (message, status) => Object.assign(new Error(message), { status });
+
+// Load a question together with its lesson's quiz policy
+export async function findQuizQuestion(questionId) {
+  const result = await query(
+    `SELECT qq.*, l.quiz_max_attempts, l.quiz_reveal_answers, l.quiz_scoring
+     FROM quiz_questions qq
+     JOIN lessons l ON qq.lesson_id = l.id
+     WHERE qq.id = $1`,
+    [questionId]
+  );
+  return result.rows[0] || null;
+}
+
+// How far a user has got with a question under its lesson's quiz policy
+// (quiz and mock interview attempts, see POLICY_SOURCES)
+export async function getQuizState(userId, questionId, { client = null } = {}) {
+  const run = client ? client.query : query;
+  const result = await run(
+    `SELECT COUNT(*) as attempts_used, COALESCE(BOOL_OR(is_correct), false) as solved
+     FROM quiz_attempts
+     WHERE user_id = $1 AND quiz_question_id = $2 AND source = ANY($3)`,
+    [userId, questionId, POLICY_SOURCES]
+  );
+  const { attempts_used, solved } = result.rows[0];
+  return { attemptsUsed: parseInt(attempts_used), solved };
+}
+
+// Response fields describing the policy outcome of a quiz state: attempts
+// left and, when the lesson's policy allows it, the correct answer and
+// explanation
+export function policyFields(question, state) {
+  const revealed = canRevealAnswer(question, state);
+  return {
+    attemptsRemaining: attemptsRemaining(question, state.attemptsUsed),
+    answerRevealed: revealed,
+    ...(revealed && { correctAnswer: question.correct_answer, explanation: question.explanation })
+  };
+}
+
+// Grade a submitted answer. Code challenges run the submission against the
+// question's test cases; every other type is scored by its grading strategy
+// (see question-types.service.js), with points in proportion to the score.
+// Throws a 400 error when the answer does not fit the question type.
+export async function gradeAnswer(question, userAnswer) {
+  if (question.question_type === 'code_challenge') {
+    checkAnswerShape(question, userAnswer);
+    const testResults = await runTests(String(userAnswer), question.test_cases || []);
+    return {
+      isCorrect: testResults.passed,
+      score: testResults.passed ? 1 : 0,
+      pointsEarned: testResults.passed ? question.points : 0,
+      testResults
+    };
+  }
+
+  const score = scoreAnswer(question, userAnswer);
+  return {
+    isCorrect: score === 1,
+    score,
+    pointsEarned: Math.round(question.points * score)
+  };
+}
+
+// Save an attempt with the next attempt number for this user, question and
+// source. The answer is stored as JSON (a string or a list of strings).
+// With `maxAttempts`, a 403 error is thrown once the quiz and interview
+// attempts on the question have used them up; the check and the insert run
+// under a per-user, per-question lock so concurrent submissions cannot exceed
+// the limit. Pass the `client` of an open transaction to save it there.
+export async function recordAttempt({ userId, questionId, userAnswer, isCorrect, pointsEarned, source = 'quiz', maxAttempts = null, client = null }) {
+  if (client) {
+    return insertAttempt(client, { userId, questionId, userAnswer, isCorrect, pointsEarned, source, maxAttempts });
+  }
+
+  const ownClient = await getClient();
+
+  try {
+    await ownClient.query('BEGIN');
+    const attempt = await insertAttempt(ownClient, { userId, questionId, userAnswer, isCorrect, pointsEarned, source, maxAttempts });
+    await ownClient.query('COMMIT');
+    return attempt;
+  } catch (error) {
+    await ownClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    ownClient.release();
+  }
+}
+
+async function insertAttempt(client, { userId, questionId, userAnswer, isCorrect, pointsEarned, source, maxAttempts }) {
+  await client.query('SELECT pg_advisory_xact_lock($1, $2)', [userId, questionId]);
+
+  if (maxAttempts) {
+    const { attemptsUsed } = await getQuizState(userId, questionId, { client });
+    if (attemptsUsed >= maxAttempts) {
+      throw policyError('No attempts left for this question', 403);
+    }
+  }
+
+  const attemptCountResult = await client.query(
+    'SELECT COUNT(*) as count FROM quiz_attempts WHERE user_id = $1 AND quiz_question_id = $2 AND source = $3',
+    [userId, questionId, source]
+  );
+  const attemptNumber = parseInt(attemptCountResult.rows[0].count) + 1;
+
+  const attemptResult = await client.query(
+    `INSERT INTO quiz_attempts (user_id, quiz_question_id, user_answer, is_correct, points_earned, attempt_number, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId, questionId, JSON.stringify(userAnswer), isCorrect, pointsEarned, attemptNumber, source]
+  );
+  await logActivity(userId, { quizAttempts: 1 }, { client });
+
+  return attemptResult.rows[0];
+}
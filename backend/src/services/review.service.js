@@ -0,0 +1,136 @@
+import { query } from '../config/database.js';
+import { POLICY_SOURCES, isSettled } from './quiz-policy.service.js';
+
+// ============================================================================
+// Spaced repetition (SM-2)
+// ============================================================================
+//
+// Every quiz attempt is turned into an SM-2 review with a quality grade
+// between 0 and 5. Quality below 3 resets the card, anything else grows the
+// interval by the card's ease factor. Cards live in `review_cards`, one row
+// per user and question.
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// Quality grades used when an attempt is converted into a review
+export const QUALITY = {
+  incorrect: 1,
+  correct: 4,
+};
+
+export function qualityFromAttempt(isCorrect) {
+  return isCorrect ? QUALITY.correct : QUALITY.incorrect;
+}
+
+// Compute the next state of a card after a review of the given quality
+export function nextSchedule(card, quality, reviewedAt = new Date()) {
+  const easeFactor = parseFloat(card?.ease_factor ?? DEFAULT_EASE_FACTOR);
+  let repetitions = card?.repetitions ?? 0;
+  let intervalDays = card?.interval_days ?? 0;
+  let lapses = card?.lapses ?? 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * easeFactor);
+    }
+  }
+
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ease_factor: Math.round(nextEaseFactor * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    lapses,
+    due_at: new Date(reviewedAt.getTime() + intervalDays * DAY_MS),
+    last_reviewed_at: reviewedAt,
+  };
+}
+
+async function saveCard(userId, questionId, card, run = query) {
+  const result = await run(
+    `INSERT INTO review_cards (user_id, quiz_question_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id, quiz_question_id) DO UPDATE SET
+       ease_factor      = EXCLUDED.ease_factor,
+       interval_days    = EXCLUDED.interval_days,
+       repetitions      = EXCLUDED.repetitions,
+       lapses           = EXCLUDED.lapses,
+       due_at           = EXCLUDED.due_at,
+       last_reviewed_at = EXCLUDED.last_reviewed_at
+     RETURNING *`,
+    [userId, questionId, card.ease_factor, card.interval_days, card.repetitions, card.lapses, card.due_at, card.last_reviewed_at]
+  );
+  return result.rows[0];
+}
+
+// Apply one graded answer to the user's card for a question
+export async function recordReview(userId, questionId, isCorrect, { client = null } = {}) {
+  const run = client ? client.query : query;
+  const existing = await run(
+    'SELECT * FROM review_cards WHERE user_id = $1 AND quiz_question_id = $2',
+    [userId, questionId]
+  );
+
+  const card = nextSchedule(existing.rows[0], qualityFromAttempt(isCorrect));
+  return saveCard(userId, questionId, card, run);
+}
+
+// Build cards for questions that were attempted before the user had a card,
+// by replaying their attempt history in order. Questions whose quiz is not
+// settled yet (see isSettled) are left until it is.
+export async function backfillReviewCards(userId) {
+  const attempts = await query(
+    `SELECT qa.quiz_question_id, qa.is_correct, qa.attempted_at, qa.source, l.quiz_max_attempts
+     FROM quiz_attempts qa
+     JOIN quiz_questions qq ON qq.id = qa.quiz_question_id
+     JOIN lessons l ON l.id = qq.lesson_id
+     LEFT JOIN review_cards rc ON rc.user_id = qa.user_id AND rc.quiz_question_id = qa.quiz_question_id
+     WHERE qa.user_id = $1 AND rc.id IS NULL
+     ORDER BY qa.attempted_at ASC, qa.id ASC`,
+    [userId]
+  );
+
+  const cards = new Map();
+  const quizStates = new Map();
+  for (const attempt of attempts.rows) {
+    const card = cards.get(attempt.quiz_question_id);
+    cards.set(
+      attempt.quiz_question_id,
+      nextSchedule(card, qualityFromAttempt(attempt.is_correct), new Date(attempt.attempted_at))
+    );
+
+    // The same quiz state getQuizState() reads
+    const state = quizStates.get(attempt.quiz_question_id) || { policy: attempt, attemptsUsed: 0, solved: false };
+    if (POLICY_SOURCES.includes(attempt.source)) {
+      state.attemptsUsed += 1;
+      state.solved = state.solved || attempt.is_correct;
+    }
+    quizStates.set(attempt.quiz_question_id, state);
+  }
+
+  for (const [questionId, { policy, ...state }] of quizStates) {
+    if (!isSettled(policy, state)) cards.delete(questionId);
+  }
+
+  for (const [questionId, card] of cards) {
+    await saveCard(userId, questionId, card);
+  }
+
+  return cards.size;
+}
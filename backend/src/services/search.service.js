@@ -0,0 +1,106 @@
+import { query } from '../config/database.js';
+
+// Searchable content. Every type joins through lessons (alias `l`), so the
+// difficulty and category filters work the same way for all of them.
+export const SEARCH_TYPES = {
+  lessons: {
+    table: 'lessons',
+    alias: 'l',
+    lessonJoin: '',
+    columns: 'l.title, l.slug, l.summary, l.difficulty_level',
+    headline: 'l.content',
+  },
+  examples: {
+    table: 'code_examples',
+    alias: 'ce',
+    lessonJoin: 'JOIN lessons l ON ce.lesson_id = l.id',
+    columns: 'ce.title, ce.language, ce.description, l.title as lesson_title, l.slug as lesson_slug',
+    headline: `concat_ws(E'\\n', ce.description, ce.explanation, ce.code)`,
+  },
+  questions: {
+    table: 'quiz_questions',
+    alias: 'qq',
+    lessonJoin: 'JOIN lessons l ON qq.lesson_id = l.id',
+    columns: 'qq.question_type, qq.difficulty, l.title as lesson_title, l.slug as lesson_slug',
+    headline: 'qq.question_text',
+  },
+};
+
+export const MAX_PAGE_SIZE = 50;
+
+// Matches are wrapped in <mark></mark>; clients split on those tags rather
+// than rendering the snippet as HTML
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "';
+
+// Full-text search over one content type, ranked and paginated.
+// `q` accepts web-search syntax: "quoted phrases", OR, -excluded
+export async function searchContent(type, { q, difficulty, category, page = 1, limit = 20 }) {
+  const { table, alias, lessonJoin, columns, headline } = SEARCH_TYPES[type];
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+  const params = [q];
+  let filters = '';
+
+  if (difficulty) {
+    params.push(difficulty);
+    filters += ` AND l.difficulty_level = $${params.length}`;
+  }
+
+  if (category) {
+    params.push(category);
+    filters += ` AND c.slug = $${params.length}`;
+  }
+
+  const joins = `
+    ${lessonJoin}
+    JOIN topics t ON l.topic_id = t.id
+    JOIN categories c ON t.category_id = c.id
+  `;
+  const search = `WITH search AS (
+       SELECT websearch_to_tsquery('english', $1) AS tsq
+     )`;
+  const matches = `FROM ${table} ${alias}
+       ${joins}
+       CROSS JOIN search
+       WHERE ${alias}.search_vector @@ search.tsq ${filters}`;
+  const limitParam = params.length + 1;
+
+  // The total is counted separately so a page past the last match still
+  // reports it. Ranking and paginating first means ts_headline only runs
+  // on the returned page.
+  const [countResult, result] = await Promise.all([
+    query(`${search} SELECT COUNT(*) AS count ${matches}`, params),
+    query(
+      `${search},
+       matches AS (
+         SELECT ${alias}.id, ts_rank(${alias}.search_vector, search.tsq) AS rank
+         ${matches}
+         ORDER BY rank DESC, ${alias}.id
+         LIMIT $${limitParam} OFFSET $${limitParam + 1}
+       )
+       SELECT ${alias}.id, ${columns},
+         t.name as topic_name, t.slug as topic_slug,
+         c.name as category_name, c.slug as category_slug,
+         m.rank,
+         ts_headline('english', ${headline}, search.tsq, '${HEADLINE_OPTIONS}') as snippet
+       FROM matches m
+       JOIN ${table} ${alias} ON ${alias}.id = m.id
+       ${joins}
+       CROSS JOIN search
+       ORDER BY m.rank DESC, ${alias}.id`,
+      [...params, pageSize, (page - 1) * pageSize]
+    )
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    results: result.rows,
+    pagination: {
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
@@ -0,0 +1,58 @@
+import './helpers/register-db-stub.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setQueryHandler } from './helpers/db-stub.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+let server;
+let baseUrl;
+let sent;
+
+before(async () => {
+  const { setMailTransport } = await import('../src/services/mail.service.js');
+  setMailTransport({
+    name: 'failing',
+    async send(message) {
+      sent.push(message);
+      throw new Error('SMTP is down');
+    }
+  });
+
+  const { default: authRoutes } = await import('../src/routes/auth.routes.js');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}/api/auth`;
+
+  setQueryHandler(async (text, params) => ({
+    rows: /FROM users WHERE email/.test(text) && params[0] === 'jane@example.com'
+      ? [{ id: 5, username: 'jane', email: 'jane@example.com' }]
+      : []
+  }));
+});
+
+after(() => server.close());
+
+const forgotPassword = (email) => fetch(`${baseUrl}/forgot-password`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ email })
+});
+
+test('POST /forgot-password answers the same for registered and unknown emails', async () => {
+  sent = [];
+  const registered = await forgotPassword('jane@example.com');
+  const unknown = await forgotPassword('nobody@example.com');
+
+  assert.equal(registered.status, 200);
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(await registered.json(), await unknown.json());
+
+  // The failing email is sent after the response and only logged
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'jane@example.com');
+});
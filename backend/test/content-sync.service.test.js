@@ -0,0 +1,133 @@
+import './helpers/register-db-stub.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createReport, syncPrerequisites, syncTopic, upsertRow } = await import('../src/services/content-sync.service.js');
+
+// A run() that records the statements it is given
+const recorder = () => {
+  const statements = [];
+  const run = async (text, params) => {
+    statements.push({ text, params });
+    return { rows: [] };
+  };
+  return { run, statements };
+};
+
+const question = {
+  id: 7,
+  lesson_id: 3,
+  content_key: 'implement-lazy-singleton-helper',
+  test_cases: [{ input: [1, 2], expected: { value: 3, type: 'number' } }],
+};
+
+test('upsertRow ignores the key order of JSON columns', async () => {
+  const { run, statements } = recorder();
+  const report = createReport();
+  const values = {
+    lesson_id: 3,
+    content_key: 'implement-lazy-singleton-helper',
+    test_cases: [{ expected: { type: 'number', value: 3 }, input: [1, 2] }],
+  };
+
+  await upsertRow(run, report, 'quiz_questions', question, values, 'label', { synced: false });
+
+  assert.equal(statements.length, 0);
+  assert.equal(report.quiz_questions.unchanged, 1);
+  assert.deepEqual(report.changes, []);
+});
+
+test('upsertRow still updates JSON columns whose values changed', async () => {
+  const { run, statements } = recorder();
+  const report = createReport();
+  const values = {
+    lesson_id: 3,
+    content_key: 'implement-lazy-singleton-helper',
+    test_cases: [{ expected: { type: 'number', value: 4 }, input: [1, 2] }],
+  };
+
+  await upsertRow(run, report, 'quiz_questions', question, values, 'label', { synced: false });
+
+  assert.equal(statements.length, 1);
+  assert.match(statements[0].text, /UPDATE quiz_questions SET test_cases = \$2 WHERE id = \$1/);
+  assert.deepEqual(report.changes, [{ action: 'update', table: 'quiz_questions', label: 'label', fields: ['test_cases'] }]);
+});
+
+test('syncTopic records a revision when it changes a lesson\'s text', async () => {
+  const lesson = {
+    id: 3, topic_id: 1, title: 'Singleton', slug: 'singleton', content: 'Old text', summary: null,
+    difficulty_level: null, estimated_time: null, order_index: 0, key_points: null,
+    quiz_max_attempts: null, quiz_reveal_answers: 'after_last_attempt', quiz_scoring: 'first',
+  };
+  const statements = [];
+  const run = async (text, params) => {
+    statements.push({ text, params });
+    return { rows: text.startsWith('SELECT * FROM lessons') ? [lesson] : [] };
+  };
+  const entry = {
+    topic: { name: 'Creational Patterns', slug: 'creational-patterns' },
+    lessons: [{ title: 'Singleton', slug: 'singleton', content: 'New text' }],
+    examples: {},
+    quiz: {},
+  };
+
+  await syncTopic(run, createReport(), entry, 1, { id: 1, slug: 'creational-patterns' }, { synced: false });
+
+  const revisions = statements.filter(({ text }) => text.includes('INSERT INTO lesson_revisions'));
+  assert.deepEqual(revisions.map(({ params }) => [params[2], params[6]]), [
+    ['Old text', 'Original version'],
+    ['New text', 'Content pack import'],
+  ]);
+});
+
+test('syncPrerequisites resolves references to ids and leaves unknown ones out', async () => {
+  const lessons = [
+    { id: 1, slug: 'basics', prerequisites: null, topic_slug: 'react' },
+    { id: 2, slug: 'hooks', prerequisites: null, topic_slug: 'react' },
+    { id: 3, slug: 'routing', prerequisites: [1], topic_slug: 'react-router-2' },
+  ];
+  const statements = [];
+  const run = async (text, params) => {
+    statements.push({ text, params });
+    if (text.includes('FROM lessons l JOIN topics t')) return { rows: lessons };
+    if (text.includes('SELECT id FROM lessons WHERE id = ANY')) return { rows: params[0].map(id => ({ id })) };
+    return { rows: [] };
+  };
+  const report = createReport();
+  report.lessons.unchanged = 1;
+  const entries = [{
+    topic: { slug: 'react-router-2' },
+    lessons: [{ slug: 'routing', prerequisites: ['react-router/basics', 'react/hooks', 'redux/store'] }],
+  }];
+
+  await syncPrerequisites(run, report, entries, { 'react-router': 'react' });
+
+  const update = statements.find(({ text }) => text.startsWith('UPDATE lessons SET prerequisites'));
+  assert.deepEqual(update.params, [3, [1, 2]]);
+  assert.deepEqual(report.changes, [{ action: 'update', table: 'lessons', label: 'react-router-2/routing', fields: ['prerequisites'] }]);
+  assert.deepEqual(report.lessons, { inserted: 0, updated: 1, deleted: 0, unchanged: 0 });
+  assert.deepEqual(report.warnings, [
+    { label: 'react-router-2/routing', message: 'prerequisite "redux/store" was left out: no such lesson' },
+  ]);
+});
+
+test('syncPrerequisites refuses prerequisites that form a cycle', async () => {
+  const lessons = [
+    { id: 1, slug: 'a', prerequisites: [2], topic_slug: 't' },
+    { id: 2, slug: 'b', prerequisites: null, topic_slug: 't' },
+  ];
+  const run = async (text, params) => {
+    if (text.includes('FROM lessons l JOIN topics t')) return { rows: lessons };
+    if (text.includes('SELECT id FROM lessons WHERE id = ANY')) return { rows: params[0].map(id => ({ id })) };
+    if (text.includes('cardinality(prerequisites)')) return { rows: [{ id: 1, prerequisites: [2] }] };
+    if (text.includes('SELECT id, title')) return { rows: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] };
+    return { rows: [] };
+  };
+  const entries = [{ topic: { slug: 't' }, lessons: [{ slug: 'b', prerequisites: ['t/a'] }] }];
+
+  await assert.rejects(syncPrerequisites(run, createReport(), entries), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /^t\/b: These prerequisites would form a cycle/);
+    return true;
+  });
+});
@@ -0,0 +1,11 @@
+// Module resolution hooks that load db-stub.js wherever the app
+// imports src/config/database.js
+const stubUrl = new URL('./db-stub.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url.endsWith('/src/config/database.js')) {
+    return { ...resolved, url: stubUrl };
+  }
+  return resolved;
+}
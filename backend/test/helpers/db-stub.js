@@ -0,0 +1,27 @@
+// Stand-in for src/config/database.js in tests (see database-hooks.js).
+// Every query() is recorded in `queries` and answered by the handler set
+// with setQueryHandler().
+
+export const queries = [];
+
+let handler = async () => ({ rows: [], rowCount: 0 });
+
+export function setQueryHandler(nextHandler) {
+  handler = nextHandler;
+}
+
+export function resetQueries() {
+  queries.length = 0;
+}
+
+export const query = async (text, params) => {
+  queries.push({ text, params });
+  return handler(text, params);
+};
+
+export const getClient = async () => ({
+  query,
+  release() {}
+});
+
+export default { query, connect: getClient };
@@ -0,0 +1,5 @@
+// Import first in a test file, before any app module, to swap the
+// database for db-stub.js
+import { register } from 'node:module';
+
+register('./database-hooks.js', import.meta.url);
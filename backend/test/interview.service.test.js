@@ -0,0 +1,64 @@
+import './helpers/register-db-stub.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, resetQueries, setQueryHandler } from './helpers/db-stub.js';
+
+const { finishSession } = await import('../src/services/interview.service.js');
+
+const session = { id: 9, user_id: 5, question_ids: [31, 32] };
+
+// Question 31 has 3 attempts and was answered wrong once; question 32 was
+// answered correctly
+const answers = [
+  { quiz_question_id: 31, user_answer: '"A"', is_correct: false, points_earned: 0, quiz_max_attempts: 3 },
+  { quiz_question_id: 32, user_answer: '"B"', is_correct: true, points_earned: 10, quiz_max_attempts: 3 },
+];
+
+const handleFinish = ({ finished = true } = {}) => async (text, params) => {
+  if (text.includes('UPDATE quiz_sessions')) return { rows: finished ? [{ ...session, status: 'finished' }] : [] };
+  if (text.includes('SELECT qsa.*')) return { rows: answers };
+  if (text.includes('BOOL_OR(is_correct)')) {
+    return { rows: [{ attempts_used: '1', solved: params[1] === 32 }] };
+  }
+  if (text.includes('COUNT(*) as count')) return { rows: [{ count: '0' }] };
+  return { rows: [{}] };
+};
+
+const statements = (pattern) => queries.filter(({ text }) => pattern.test(text));
+
+beforeEach(() => resetQueries());
+
+test('finishSession copies the answers and schedules only settled questions, in one transaction', async () => {
+  setQueryHandler(handleFinish());
+
+  const finished = await finishSession(session);
+
+  assert.equal(finished.status, 'finished');
+  assert.equal(queries[0].text, 'BEGIN');
+  assert.equal(queries.at(-1).text, 'COMMIT');
+  assert.deepEqual(
+    statements(/INSERT INTO quiz_attempts/).map(({ params }) => [params[1], params[6]]),
+    [[31, 'interview'], [32, 'interview']]
+  );
+  assert.deepEqual(statements(/INSERT INTO review_cards/).map(({ params }) => params[1]), [32]);
+});
+
+test('finishSession leaves a session another request already finished alone', async () => {
+  setQueryHandler(handleFinish({ finished: false }));
+
+  assert.equal(await finishSession(session), null);
+  assert.equal(queries.at(-1).text, 'ROLLBACK');
+  assert.equal(statements(/INSERT INTO quiz_attempts/).length, 0);
+});
+
+test('finishSession rolls back when an answer cannot be copied', async () => {
+  const handler = handleFinish();
+  setQueryHandler(async (text, params) => {
+    if (text.includes('INSERT INTO quiz_attempts') && params[1] === 32) throw new Error('insert failed');
+    return handler(text, params);
+  });
+
+  await assert.rejects(finishSession(session), /insert failed/);
+  assert.equal(queries.at(-1).text, 'ROLLBACK');
+  assert.equal(statements(/COMMIT/).length, 0);
+});
@@ -0,0 +1,41 @@
+import './helpers/register-db-stub.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { diffLines, diffRevisions, MAX_DIFF_CELLS } = await import('../src/services/lesson-revision.service.js');
+
+const revision = (content) => ({ title: 'Closures', summary: null, key_points: ['Scope'], content });
+
+test('diffLines keeps line numbers around the changed part', () => {
+  const lines = diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne');
+
+  assert.deepEqual(lines, [
+    { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'removed', text: 'b', oldLine: 2, newLine: null },
+    { type: 'added', text: 'x', oldLine: null, newLine: 2 },
+    { type: 'equal', text: 'c', oldLine: 3, newLine: 3 },
+    { type: 'equal', text: 'd', oldLine: 4, newLine: 4 },
+    { type: 'added', text: 'e', oldLine: null, newLine: 5 },
+  ]);
+});
+
+test('diffLines only sizes the table for the changed lines', () => {
+  const shared = Array.from({ length: 5000 }, (_, i) => `line ${i}`).join('\n');
+  const lines = diffLines(`${shared}\nold\n${shared}`, `${shared}\nnew\n${shared}`);
+
+  assert.equal(lines.length, 10002);
+  assert.deepEqual(lines.filter(line => line.type !== 'equal').map(line => line.text), ['old', 'new']);
+  assert.deepEqual(lines.at(-1), { type: 'equal', text: 'line 4999', oldLine: 10001, newLine: 10001 });
+});
+
+test('diffRevisions marks a field too large to diff', () => {
+  const side = Math.ceil(Math.sqrt(MAX_DIFF_CELLS));
+  const text = (prefix) => Array.from({ length: side }, (_, i) => `${prefix} ${i}`).join('\n');
+
+  const diff = diffRevisions(revision(text('old')), revision(text('new')));
+
+  assert.equal(diff.tooLarge, true);
+  assert.deepEqual(diff.fields.content, { changed: true, tooLarge: true, lines: [] });
+  assert.equal(diff.fields.title.changed, false);
+  assert.deepEqual(diff.stats, { added: 0, removed: 0 });
+});
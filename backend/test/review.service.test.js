@@ -0,0 +1,38 @@
+import './helpers/register-db-stub.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, resetQueries, setQueryHandler } from './helpers/db-stub.js';
+
+const { backfillReviewCards } = await import('../src/services/review.service.js');
+
+const attempt = (questionId, isCorrect, maxAttempts, source = 'quiz') => ({
+  quiz_question_id: questionId,
+  is_correct: isCorrect,
+  attempted_at: '2024-01-15T10:00:00Z',
+  source,
+  quiz_max_attempts: maxAttempts,
+});
+
+const savedQuestionIds = () => queries
+  .filter(({ text }) => text.includes('INSERT INTO review_cards'))
+  .map(({ params }) => params[1]);
+
+beforeEach(() => resetQueries());
+
+test('backfillReviewCards only creates cards for settled questions', async () => {
+  setQueryHandler(async (text) => ({
+    rows: text.includes('FROM quiz_attempts') ? [
+      attempt(212, false, 2),                          // 1 of 2 attempts used: not settled
+      attempt(213, false, 2), attempt(213, false, 2),  // out of attempts
+      attempt(214, true, 3),                           // solved
+      attempt(215, false, null),                       // unlimited attempts
+      attempt(216, false, 1, 'interview'),             // out of attempts through a mock interview
+      attempt(217, false, 1, 'review'),                // review answers use no attempts
+    ] : [{}]
+  }));
+
+  const created = await backfillReviewCards(5);
+
+  assert.equal(created, 4);
+  assert.deepEqual(savedQuestionIds().sort(), [213, 214, 215, 216]);
+});
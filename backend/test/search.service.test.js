@@ -0,0 +1,30 @@
+import './helpers/register-db-stub.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { queries, resetQueries, setQueryHandler } from './helpers/db-stub.js';
+
+const { searchContent } = await import('../src/services/search.service.js');
+
+beforeEach(() => {
+  resetQueries();
+  setQueryHandler(async (text) => text.includes('COUNT(*)')
+    ? { rows: [{ count: '23' }] }
+    : { rows: [] });
+});
+
+test('searchContent reports the total on a page past the last match', async () => {
+  const result = await searchContent('lessons', { q: 'closures', page: 4, limit: 10 });
+
+  assert.deepEqual(result.results, []);
+  assert.deepEqual(result.pagination, { page: 4, limit: 10, total: 23, totalPages: 3 });
+});
+
+test('searchContent counts with the same filters and pages after them', async () => {
+  await searchContent('examples', { q: 'closures', difficulty: 'beginner', category: 'frontend', page: 2, limit: 10 });
+
+  const [count, page] = queries;
+  assert.deepEqual(count.params, ['closures', 'beginner', 'frontend']);
+  assert.match(count.text, /l\.difficulty_level = \$2 AND c\.slug = \$3/);
+  assert.deepEqual(page.params, ['closures', 'beginner', 'frontend', 10, 10]);
+  assert.match(page.text, /LIMIT \$4 OFFSET \$5/);
+});
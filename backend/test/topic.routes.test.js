@@ -0,0 +1,73 @@
+import './helpers/register-db-stub.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { queries, resetQueries, setQueryHandler } from './helpers/db-stub.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const TOPIC_COUNT = 12;
+const LESSON_COUNT = 50;
+
+const topics = Array.from({ length: TOPIC_COUNT }, (_, i) => ({
+  id: i + 1,
+  name: `Topic ${i + 1}`,
+  slug: `topic-${i + 1}`,
+  order_index: i + 1,
+  lesson_count: '0',
+}));
+
+const lessons = Array.from({ length: LESSON_COUNT }, (_, i) => ({
+  id: i + 1,
+  topic_id: (i % TOPIC_COUNT) + 1,
+  title: `Lesson ${i + 1}`,
+  slug: `lesson-${i + 1}`,
+  order_index: Math.floor(i / TOPIC_COUNT) + 1,
+  status: i % 3 === 0 ? 'completed' : null,
+  progress_percentage: i % 3 === 0 ? 100 : null,
+}));
+
+let server;
+let baseUrl;
+const token = jwt.sign({ userId: 5 }, 'test-secret');
+
+before(async () => {
+  const { setCacheStore, createNullStore } = await import('../src/services/cache.service.js');
+  setCacheStore(createNullStore());
+
+  const { default: topicRoutes } = await import('../src/routes/topic.routes.js');
+  const app = express();
+  app.use('/api/topics', topicRoutes);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}/api/topics`;
+
+  setQueryHandler(async (text) => ({
+    rows: /FROM topics t/.test(text) ? topics.map(topic => ({ ...topic })) : lessons.map(lesson => ({ ...lesson }))
+  }));
+});
+
+after(() => server.close());
+
+beforeEach(() => resetQueries());
+
+test('GET /api/topics loads topics, lessons and progress in 2 queries', async () => {
+  const response = await fetch(baseUrl, { headers: { Authorization: `Bearer ${token}` } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(queries.length, 2);
+  assert.equal(body.topics.length, TOPIC_COUNT);
+  assert.equal(body.topics.reduce((sum, topic) => sum + topic.lessons.length, 0), LESSON_COUNT);
+  assert.deepEqual(body.topics[0].lessons[0].userProgress, { status: 'completed', progress_percentage: 100 });
+});
+
+test('GET /api/topics?include= loads only the topics in 1 query', async () => {
+  const response = await fetch(`${baseUrl}?include=`, { headers: { Authorization: `Bearer ${token}` } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(queries.length, 1);
+  assert.equal(body.topics.length, TOPIC_COUNT);
+  assert.equal(body.topics[0].lessons, undefined);
+});
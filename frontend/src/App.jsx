@@ -1,5 +1,7 @@
+import { useEffect } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuthStore } from './store/store';
+import { authAPI } from './services/api';
 
 // Layout
 import Layout from './components/Layout';
@@ -14,23 +16,77 @@ import TopicView from './pages/TopicView';
 import LessonView from './pages/LessonView';
 import Progress from './pages/Progress';
 import AddTopic from './pages/AddTopic';
+import Review from './pages/Review';
+import Notes from './pages/Notes';
+import Playlists from './pages/Playlists';
+import PlaylistView from './pages/PlaylistView';
+import LearningPath from './pages/LearningPath';
+import MockInterview from './pages/MockInterview';
+import InterviewSession from './pages/InterviewSession';
+import AdminUsers from './pages/AdminUsers';
+import Search from './pages/Search';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Settings from './pages/Settings';
+import PublicProfile from './pages/PublicProfile';
 
 function PrivateRoute({ children }) {
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
   return isAuthenticated ? children : <Navigate to="/login" />;
 }
 
+function RoleRoute({ role, children }) {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const allowed = useAuthStore((state) => state.hasRole(role));
+  if (!isAuthenticated) return <Navigate to="/login" />;
+  return allowed ? children : <Navigate to="/" />;
+}
+
 function App() {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const updateUser = useAuthStore((state) => state.updateUser);
+
+  // Refresh the stored user so role changes show up without logging in again
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    authAPI.getMe()
+      .then((response) => updateUser(response.data.user))
+      .catch((error) => console.error('Failed to refresh user:', error));
+  }, [isAuthenticated]);
+
   return (
     <Routes>
       <Route path="/" element={<Layout />}>
         <Route index element={<Home />} />
         <Route path="login" element={<Login />} />
         <Route path="register" element={<Register />} />
+        <Route path="forgot-password" element={<ForgotPassword />} />
+        <Route path="reset-password" element={<ResetPassword />} />
+        <Route path="verify-email" element={<VerifyEmail />} />
         <Route path="categories" element={<Categories />} />
+        <Route path="categories/:slug/path" element={<LearningPath />} />
         <Route path="topic/:slug" element={<TopicView />} />
         <Route path="lesson/:slug" element={<LessonView />} />
-        <Route path="add-content" element={<AddTopic />} />
+        <Route path="search" element={<Search />} />
+        <Route path="u/:username" element={<PublicProfile />} />
+        <Route path="playlists/shared/:token" element={<PlaylistView />} />
+        <Route
+          path="add-content"
+          element={
+            <RoleRoute role="author">
+              <AddTopic />
+            </RoleRoute>
+          }
+        />
+        <Route
+          path="admin/users"
+          element={
+            <RoleRoute role="admin">
+              <AdminUsers />
+            </RoleRoute>
+          }
+        />
         
         <Route
           path="dashboard"
@@ -48,7 +104,65 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="interview"
+          element={
+            <PrivateRoute>
+              <MockInterview />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="settings"
+          element={
+            <PrivateRoute>
+              <Settings />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="review"
+          element={
+            <PrivateRoute>
+              <Review />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="notes"
+          element={
+            <PrivateRoute>
+              <Notes />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="playlists"
+          element={
+            <PrivateRoute>
+              <Playlists />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="playlists/:id"
+          element={
+            <PrivateRoute>
+              <PlaylistView />
+            </PrivateRoute>
+          }
+        />
       </Route>
+
+      {/* Full-screen pages without the main layout */}
+      <Route
+        path="/interview/:sessionId"
+        element={
+          <PrivateRoute>
+            <InterviewSession />
+          </PrivateRoute>
+        }
+      />
     </Routes>
   );
 }
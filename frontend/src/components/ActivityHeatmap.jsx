@@ -0,0 +1,114 @@
+import { ScatterChart, Scatter, XAxis, YAxis, Tooltip } from 'recharts';
+
+const CELL = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Fill colours from no activity to a lot of it
+// (surface-800, then accent-500 at increasing strength)
+const LEVEL_COLORS = ['#262d3c', 'rgba(59, 130, 246, 0.3)', 'rgba(59, 130, 246, 0.5)', 'rgba(59, 130, 246, 0.75)', '#3b82f6'];
+
+// How busy a day was: reading minutes, with a completed lesson worth ten
+// minutes and a quiz answer one
+function activityLevel(day) {
+  if (!day) return 0;
+  const amount = day.minutes + day.lessons_completed * 10 + day.quiz_attempts;
+  if (amount < 15) return 1;
+  if (amount < 30) return 2;
+  if (amount < 60) return 3;
+  return 4;
+}
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => parseDate(date).toLocaleDateString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+});
+
+// One cell per day from `from` to `to` ('YYYY-MM-DD'), in week columns
+// starting on Sunday
+function buildCells(from, to, days) {
+  const byDate = Object.fromEntries(days.map((day) => [day.date, day]));
+  const start = parseDate(from);
+  const firstSunday = start.getTime() - start.getUTCDay() * DAY_MS;
+  const cells = [];
+
+  for (let time = start.getTime(); time <= parseDate(to).getTime(); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    cells.push({
+      date,
+      week: Math.floor((time - firstSunday) / (7 * DAY_MS)),
+      weekday: new Date(time).getUTCDay(),
+      day: byDate[date] || null,
+    });
+  }
+  return cells;
+}
+
+function DayTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const { date, day } = payload[0].payload;
+  return (
+    <div className="bg-surface-800 border border-surface-700 rounded-lg px-3 py-2 text-xs shadow-lg">
+      <p className="text-white font-medium mb-1">{formatDate(date)}</p>
+      {day ? (
+        <p className="text-surface-300">
+          {day.minutes} min · {day.lessons_completed} lessons · {day.quiz_attempts} quiz answers
+          {day.goal_met && <span className="text-emerald-400"> · goal met</span>}
+        </p>
+      ) : (
+        <p className="text-surface-500">No activity</p>
+      )}
+    </div>
+  );
+}
+
+// Calendar heatmap of daily learning activity (GET /api/progress/activity).
+// Days on which the daily goal was met get a green outline.
+export default function ActivityHeatmap({ from, to, days, hasGoal }) {
+  const cells = buildCells(from, to, days);
+  const weeks = (cells.at(-1)?.week ?? 0) + 1;
+
+  const monthLabels = cells
+    .filter((cell) => cell.date.endsWith('-01') || cell === cells[0])
+    .map((cell) => ({ week: cell.week, label: MONTHS[parseDate(cell.date).getUTCMonth()] }))
+    .filter((month, i, months) => i === 0 || month.week - months[i - 1].week >= 3);
+
+  const renderCell = ({ cx, cy, payload }) => {
+    const level = payload.day ? activityLevel(payload.day) : 0;
+    return (
+      <rect
+        x={cx - (CELL - 3) / 2}
+        y={cy - (CELL - 3) / 2}
+        width={CELL - 3}
+        height={CELL - 3}
+        rx={2}
+        fill={LEVEL_COLORS[level]}
+        stroke={hasGoal && payload.day?.goal_met ? '#34d399' : 'none'}
+        strokeWidth={1.5}
+      />
+    );
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="relative h-4 text-[10px] text-surface-500" style={{ width: weeks * CELL }}>
+        {monthLabels.map(({ week, label }) => (
+          <span key={`${week}-${label}`} className="absolute" style={{ left: week * CELL }}>{label}</span>
+        ))}
+      </div>
+      <ScatterChart width={weeks * CELL} height={7 * CELL} margin={{ top: 0, right: 0, bottom: 0, left: 0 }}>
+        <XAxis type="number" dataKey="week" domain={[-0.5, weeks - 0.5]} hide />
+        <YAxis type="number" dataKey="weekday" domain={[-0.5, 6.5]} reversed hide />
+        <Tooltip content={<DayTooltip />} cursor={false} isAnimationActive={false} />
+        <Scatter data={cells} shape={renderCell} isAnimationActive={false} />
+      </ScatterChart>
+      <div className="flex items-center justify-end gap-1 mt-2 text-[10px] text-surface-500">
+        <span className="mr-1">Less</span>
+        {LEVEL_COLORS.map((color) => (
+          <span key={color} className="w-2.5 h-2.5 rounded-sm" style={{ background: color }} />
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </div>
+  );
+}
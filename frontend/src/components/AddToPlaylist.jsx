@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+import { ListPlus, Check, Plus } from 'lucide-react';
+import { playlistAPI } from '../services/api';
+
+// Button with a menu for adding a lesson to one of the user's playlists or
+// to a new one
+export default function AddToPlaylist({ lessonId }) {
+  const [open, setOpen] = useState(false);
+  const [playlists, setPlaylists] = useState(null);
+  const [added, setAdded] = useState({});
+  const [title, setTitle] = useState('');
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    fetchPlaylists();
+
+    const handleMouseDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [open]);
+
+  const fetchPlaylists = async () => {
+    try {
+      const response = await playlistAPI.getAll();
+      setPlaylists(response.data.playlists || []);
+    } catch (error) {
+      console.error('Failed to fetch playlists:', error);
+    }
+  };
+
+  const addTo = async (playlist) => {
+    try {
+      await playlistAPI.addLesson(playlist.id, lessonId);
+      setAdded((prev) => ({ ...prev, [playlist.id]: true }));
+    } catch (error) {
+      console.error('Failed to add lesson to playlist:', error);
+      alert(error.response?.data?.error || 'Failed to add lesson to playlist');
+    }
+  };
+
+  const createWithLesson = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    try {
+      const response = await playlistAPI.create({ title: title.trim(), lessonIds: [lessonId] });
+      const playlist = response.data.playlist;
+      setPlaylists((prev) => [playlist, ...(prev || [])]);
+      setAdded((prev) => ({ ...prev, [playlist.id]: true }));
+      setTitle('');
+    } catch (error) {
+      console.error('Failed to create playlist:', error);
+      alert(error.response?.data?.error || 'Failed to create playlist');
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title="Add to playlist"
+        className="flex items-center gap-1 px-2 py-1 rounded text-xs text-surface-400 hover:text-white hover:bg-surface-800 transition-colors"
+      >
+        <ListPlus className="w-3.5 h-3.5" />
+        Add to playlist
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-30 mt-1 w-64 p-2 bg-surface-800 border border-surface-700 rounded-lg shadow-lg">
+          {playlists === null ? (
+            <p className="px-2 py-1.5 text-xs text-surface-500">Loading...</p>
+          ) : (
+            <div className="max-h-56 overflow-y-auto sidebar-scroll">
+              {playlists.length === 0 && (
+                <p className="px-2 py-1.5 text-xs text-surface-500">No playlists yet</p>
+              )}
+              {playlists.map((playlist) => (
+                <button
+                  key={playlist.id}
+                  onClick={() => addTo(playlist)}
+                  disabled={added[playlist.id]}
+                  className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded text-left text-sm text-surface-200 hover:bg-surface-700 transition-colors disabled:hover:bg-transparent"
+                >
+                  <span className="truncate">{playlist.title}</span>
+                  {added[playlist.id] && <Check className="w-3.5 h-3.5 text-emerald-400 flex-shrink-0" />}
+                </button>
+              ))}
+            </div>
+          )}
+          <form onSubmit={createWithLesson} className="flex gap-1 mt-2 pt-2 border-t border-surface-700">
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={200}
+              placeholder="New playlist"
+              className="flex-1 min-w-0 bg-surface-950 border border-surface-700/50 rounded px-2 py-1 text-xs text-white placeholder:text-surface-500 focus:outline-none focus:border-accent-500/50"
+            />
+            <button
+              type="submit"
+              disabled={!title.trim()}
+              title="Create playlist with this lesson"
+              className="p-1.5 rounded bg-accent-500 text-white hover:bg-accent-600 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-3.5 h-3.5" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
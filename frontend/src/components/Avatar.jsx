@@ -0,0 +1,28 @@
+import { uploadUrl } from '../services/api';
+import { User } from 'lucide-react';
+
+const sizes = {
+  sm: { box: 'w-6 h-6', icon: 'w-3.5 h-3.5' },
+  md: { box: 'w-10 h-10', icon: 'w-5 h-5' },
+  lg: { box: 'w-20 h-20', icon: 'w-9 h-9' },
+};
+
+export default function Avatar({ user, size = 'sm' }) {
+  const { box, icon } = sizes[size];
+
+  if (user?.profile_picture) {
+    return (
+      <img
+        src={uploadUrl(user.profile_picture)}
+        alt=""
+        className={`${box} rounded-full object-cover bg-surface-800 flex-shrink-0`}
+      />
+    );
+  }
+
+  return (
+    <div className={`${box} rounded-full bg-accent-500/20 flex items-center justify-center flex-shrink-0`}>
+      <User className={`${icon} text-accent-400`} />
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import Editor from '@monaco-editor/react';
+
+export default function CodeEditor({ value, onChange, language = 'javascript', height = 260, readOnly = false }) {
+  return (
+    <div className="rounded-lg overflow-hidden border border-surface-700/50">
+      <Editor
+        height={height}
+        language={language}
+        theme="vs-dark"
+        value={value}
+        onChange={(next) => onChange?.(next ?? '')}
+        loading={<div className="spinner" />}
+        options={{
+          readOnly,
+          minimap: { enabled: false },
+          fontSize: 13,
+          fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
+          scrollBeyondLastLine: false,
+          tabSize: 2,
+          automaticLayout: true,
+        }}
+      />
+    </div>
+  );
+}
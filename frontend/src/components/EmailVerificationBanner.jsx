@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { useAuthStore } from '../store/store';
+import { authAPI } from '../services/api';
+import { MailWarning } from 'lucide-react';
+
+export default function EmailVerificationBanner() {
+  const user = useAuthStore((state) => state.user);
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const [status, setStatus] = useState('idle');
+
+  // Users stored before verification existed have no such field; only nag when it is explicitly unset
+  if (!isAuthenticated || !user || user.email_verified_at !== null) return null;
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      await authAPI.resendVerification();
+      setStatus('sent');
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="bg-amber-500/10 border-b border-amber-500/20">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center gap-2 text-sm text-amber-200">
+        <MailWarning className="w-4 h-4 flex-shrink-0" />
+        <span>Please confirm your email address using the link we sent to {user.email}.</span>
+        {status === 'sent' ? (
+          <span className="text-amber-300/70">New link sent.</span>
+        ) : (
+          <button
+            onClick={handleResend}
+            disabled={status === 'sending'}
+            className="font-medium text-amber-300 hover:text-amber-100 underline disabled:opacity-50"
+          >
+            {status === 'failed' ? 'Try again' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
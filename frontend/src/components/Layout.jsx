@@ -1,11 +1,13 @@
 import { Outlet } from 'react-router-dom';
 import Navbar from './Navbar';
 import Footer from './Footer';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 export default function Layout() {
   return (
     <div className="min-h-screen flex flex-col bg-surface-950">
       <Navbar />
+      <EmailVerificationBanner />
       <main className="flex-1 container mx-auto px-4 py-8">
         <Outlet />
       </main>
@@ -0,0 +1,322 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Highlighter, MessageSquarePlus, StickyNote, Pencil, Trash2, X, ChevronRight } from 'lucide-react';
+import { annotationAPI } from '../services/api';
+import useAnnotationHighlights, { caretOffset, selectionAnchor } from '../hooks/useAnnotationHighlights';
+import NoteEditor from './NoteEditor';
+
+// Longest highlight the API accepts
+const MAX_QUOTE_LENGTH = 5000;
+
+// Notes on the whole lesson first, then highlights top to bottom
+const sortAnnotations = (annotations) => [...annotations].sort(
+  (a, b) => (a.start_offset ?? -1) - (b.start_offset ?? -1) || a.id - b.id
+);
+
+// One highlight or note, with its note editable in place. `orphaned` marks
+// a highlight whose text is no longer in the lesson.
+export function AnnotationCard({ annotation, orphaned = false, onSave, onDelete }) {
+  const [editing, setEditing] = useState(false);
+
+  const handleSave = async (note) => {
+    if (await onSave(note)) setEditing(false);
+  };
+
+  return (
+    <div className="p-3 bg-surface-800/50 rounded-lg border border-surface-700/40 group">
+      {annotation.quote !== null ? (
+        <>
+          <blockquote className="border-l-2 border-amber-400/60 pl-3 text-sm text-surface-300 italic line-clamp-3 whitespace-pre-line">
+            {annotation.quote}
+          </blockquote>
+          {orphaned && (
+            <p className="text-[11px] text-surface-500 mt-1">No longer found in the lesson</p>
+          )}
+        </>
+      ) : (
+        <p className="text-[10px] font-semibold uppercase tracking-wider text-surface-500">Whole lesson</p>
+      )}
+
+      {editing ? (
+        <div className="mt-2">
+          <NoteEditor
+            initialNote={annotation.note || ''}
+            onSave={handleSave}
+            onCancel={() => setEditing(false)}
+          />
+        </div>
+      ) : (
+        annotation.note && (
+          <p className="text-sm text-surface-200 whitespace-pre-wrap mt-2">{annotation.note}</p>
+        )
+      )}
+
+      {!editing && (
+        <div className="flex items-center gap-3 mt-2 text-xs">
+          <button
+            onClick={() => setEditing(true)}
+            className="flex items-center gap-1 text-surface-500 hover:text-accent-400 transition-colors"
+          >
+            <Pencil className="w-3 h-3" />
+            {annotation.note ? 'Edit note' : 'Add note'}
+          </button>
+          <button
+            onClick={onDelete}
+            className="flex items-center gap-1 text-surface-500 hover:text-red-400 transition-colors"
+          >
+            <Trash2 className="w-3 h-3" />
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The reader's highlights and notes on a lesson. Selecting text in the
+// lesson (`containerRef`) offers to highlight it, clicking a highlight opens
+// its note, and every annotation is listed below the lesson.
+export default function LessonAnnotations({ lessonId, containerRef }) {
+  const [annotations, setAnnotations] = useState([]);
+  // Buttons shown over a fresh selection: { anchor, top, left }
+  const [toolbar, setToolbar] = useState(null);
+  // Note of a clicked highlight: { id, top, left }
+  const [popover, setPopover] = useState(null);
+  const [addingNote, setAddingNote] = useState(false);
+  const floatingRef = useRef(null);
+
+  const positions = useAnnotationHighlights(containerRef, annotations);
+
+  useEffect(() => {
+    fetchAnnotations();
+  }, [lessonId]);
+
+  const fetchAnnotations = async () => {
+    try {
+      const response = await annotationAPI.getAll({ lessonId });
+      setAnnotations(response.data.annotations || []);
+    } catch (error) {
+      console.error('Failed to fetch annotations:', error);
+    }
+  };
+
+  // Offer the toolbar for a selection, or open the note of a clicked highlight
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleMouseUp = (event) => {
+      // The selection is only final once the event is handled
+      setTimeout(() => {
+        const anchor = selectionAnchor(container);
+        if (anchor) {
+          if (anchor.quote.length > MAX_QUOTE_LENGTH) return;
+          const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+          setPopover(null);
+          setToolbar({
+            anchor,
+            top: rect.top < 56 ? rect.bottom + 8 : rect.top - 44,
+            left: rect.left + rect.width / 2,
+          });
+          return;
+        }
+
+        setToolbar(null);
+        const offset = caretOffset(container);
+        const clicked = offset !== null && annotations
+          .filter((a) => positions[a.id] && positions[a.id].start <= offset && offset <= positions[a.id].end)
+          .sort((a, b) => (positions[a.id].end - positions[a.id].start) - (positions[b.id].end - positions[b.id].start))[0];
+        setPopover(clicked ? { id: clicked.id, top: event.clientY + 12, left: event.clientX } : null);
+      });
+    };
+
+    container.addEventListener('mouseup', handleMouseUp);
+    return () => container.removeEventListener('mouseup', handleMouseUp);
+  }, [containerRef, annotations, positions]);
+
+  // Close the toolbar and popover on scroll, Escape or a click elsewhere
+  useEffect(() => {
+    if (!toolbar && !popover) return;
+
+    const close = () => {
+      setToolbar(null);
+      setPopover(null);
+    };
+    const handleMouseDown = (event) => {
+      if (!floatingRef.current?.contains(event.target)) close();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+    };
+
+    document.addEventListener('scroll', close, true);
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('scroll', close, true);
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [toolbar, popover]);
+
+  const createAnnotation = async (data) => {
+    try {
+      const response = await annotationAPI.create({ lessonId, ...data });
+      setAnnotations((prev) => sortAnnotations([...prev, response.data.annotation]));
+      return response.data.annotation;
+    } catch (error) {
+      console.error('Failed to save annotation:', error);
+      alert(error.response?.data?.error || 'Failed to save annotation');
+      return null;
+    }
+  };
+
+  // Highlight the selection, then open its note if `withNote`
+  const highlightSelection = async (withNote) => {
+    const { anchor, top, left } = toolbar;
+    setToolbar(null);
+    window.getSelection().removeAllRanges();
+    const annotation = await createAnnotation(anchor);
+    if (annotation && withNote) {
+      setPopover({ id: annotation.id, top: top + 52, left });
+    }
+  };
+
+  const addLessonNote = async (note) => {
+    if (!note.trim()) return;
+    if (await createAnnotation({ note })) setAddingNote(false);
+  };
+
+  // Returns whether the note was saved
+  const saveNote = async (id, note) => {
+    try {
+      const response = await annotationAPI.update(id, { note });
+      setAnnotations((prev) => prev.map((a) => (a.id === id ? response.data.annotation : a)));
+      return true;
+    } catch (error) {
+      console.error('Failed to update note:', error);
+      alert(error.response?.data?.error || 'Failed to update note');
+      return false;
+    }
+  };
+
+  const deleteAnnotation = async (id) => {
+    if (!window.confirm('Delete this highlight and its note?')) return;
+    try {
+      await annotationAPI.delete(id);
+      setAnnotations((prev) => prev.filter((a) => a.id !== id));
+      setPopover(null);
+    } catch (error) {
+      console.error('Failed to delete annotation:', error);
+      alert(error.response?.data?.error || 'Failed to delete annotation');
+    }
+  };
+
+  const popoverAnnotation = popover && annotations.find((a) => a.id === popover.id);
+
+  return (
+    <div className="mt-8 pt-6 border-t border-surface-700/50">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-base font-semibold text-white flex items-center gap-2">
+          <StickyNote className="w-4 h-4 text-amber-400" />
+          My notes
+          {annotations.length > 0 && (
+            <span className="text-xs font-normal text-surface-500">({annotations.length})</span>
+          )}
+        </h3>
+        <Link to="/notes" className="flex items-center gap-0.5 text-xs text-accent-400 hover:text-accent-300 transition-colors">
+          All notes
+          <ChevronRight className="w-3 h-3" />
+        </Link>
+      </div>
+
+      {annotations.length === 0 && (
+        <p className="text-surface-500 text-sm mb-3">Select text in the lesson to highlight it or add a note.</p>
+      )}
+
+      <div className="space-y-2">
+        {annotations.map((annotation) => (
+          <AnnotationCard
+            key={annotation.id}
+            annotation={annotation}
+            orphaned={annotation.quote !== null && !positions[annotation.id]}
+            onSave={(note) => saveNote(annotation.id, note)}
+            onDelete={() => deleteAnnotation(annotation.id)}
+          />
+        ))}
+      </div>
+
+      {addingNote ? (
+        <div className="mt-3">
+          <NoteEditor
+            placeholder="A note on the whole lesson..."
+            saveLabel="Add note"
+            onSave={addLessonNote}
+            onCancel={() => setAddingNote(false)}
+          />
+        </div>
+      ) : (
+        <button
+          onClick={() => setAddingNote(true)}
+          className="flex items-center gap-1.5 mt-3 text-xs text-surface-400 hover:text-white transition-colors"
+        >
+          <MessageSquarePlus className="w-3.5 h-3.5" />
+          Add a note on this lesson
+        </button>
+      )}
+
+      {toolbar && (
+        <div
+          ref={floatingRef}
+          style={{ top: toolbar.top, left: toolbar.left }}
+          className="fixed z-50 -translate-x-1/2 flex items-center gap-1 p-1 bg-surface-800 border border-surface-700 rounded-lg shadow-lg"
+        >
+          <button
+            onClick={() => highlightSelection(false)}
+            className="flex items-center gap-1.5 px-2.5 py-1.5 text-xs text-surface-200 hover:text-white hover:bg-surface-700 rounded-md transition-colors"
+          >
+            <Highlighter className="w-3.5 h-3.5 text-amber-400" />
+            Highlight
+          </button>
+          <button
+            onClick={() => highlightSelection(true)}
+            className="flex items-center gap-1.5 px-2.5 py-1.5 text-xs text-surface-200 hover:text-white hover:bg-surface-700 rounded-md transition-colors"
+          >
+            <MessageSquarePlus className="w-3.5 h-3.5 text-accent-400" />
+            Add note
+          </button>
+        </div>
+      )}
+
+      {popoverAnnotation && (
+        <div
+          ref={floatingRef}
+          style={{ top: popover.top, left: Math.min(popover.left, window.innerWidth - 304) }}
+          className="fixed z-50 w-72 p-3 bg-surface-800 border border-surface-700 rounded-lg shadow-lg"
+        >
+          <div className="flex items-start justify-between gap-2 mb-2">
+            <p className="text-xs text-surface-400 italic line-clamp-2">{popoverAnnotation.quote}</p>
+            <button onClick={() => setPopover(null)} className="text-surface-500 hover:text-white transition-colors">
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          <NoteEditor
+            key={popoverAnnotation.id}
+            initialNote={popoverAnnotation.note || ''}
+            placeholder="Add a note..."
+            onSave={async (note) => {
+              if (await saveNote(popoverAnnotation.id, note)) setPopover(null);
+            }}
+          />
+          <button
+            onClick={() => deleteAnnotation(popoverAnnotation.id)}
+            className="flex items-center gap-1 mt-1 text-xs text-surface-500 hover:text-red-400 transition-colors"
+          >
+            <Trash2 className="w-3 h-3" />
+            Delete highlight
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,21 +1,58 @@
 import { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuthStore } from '../store/store';
-import { BookOpen, User, LogOut, BarChart, Home, Plus, Menu, X } from 'lucide-react';
+import { authAPI } from '../services/api';
+import Avatar from './Avatar';
+import { BookOpen, LogOut, BarChart, Home, FolderCog, Menu, X, RotateCcw, Timer, Users, Search, MonitorOff, StickyNote, ListVideo } from 'lucide-react';
 
 export default function Navbar() {
-  const { isAuthenticated, user, logout } = useAuthStore();
+  const { isAuthenticated, user, logout, hasRole } = useAuthStore();
   const navigate = useNavigate();
   const location = useLocation();
   const [mobileOpen, setMobileOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
 
-  const handleLogout = () => {
+  // Revoke the session on the server too; log out locally even if that fails
+  const handleLogout = async (everywhere = false) => {
+    try {
+      if (everywhere) {
+        await authAPI.logoutAll();
+      } else {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) await authAPI.logout(refreshToken);
+      }
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setMobileOpen(false);
     logout();
     navigate('/');
   };
 
   const isActive = (path) => location.pathname === path;
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const q = searchQuery.trim();
+    if (!q) return;
+    setMobileOpen(false);
+    navigate(`/search?q=${encodeURIComponent(q)}`);
+  };
+
+  const searchBox = (className) => (
+    <form onSubmit={handleSearch} className={`relative ${className}`}>
+      <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-surface-500 pointer-events-none" />
+      <input
+        type="search"
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+        placeholder="Search..."
+        aria-label="Search lessons, examples and questions"
+        className="w-full bg-surface-900 border border-surface-700/50 rounded-lg pl-8 pr-3 py-1.5 text-sm text-white placeholder:text-surface-500 focus:outline-none focus:border-accent-500/50 transition-colors"
+      />
+    </form>
+  );
+
   const navLink = (to, label, icon) => {
     const Icon = icon;
     const active = isActive(to);
@@ -49,28 +86,44 @@ export default function Navbar() {
 
           {/* Desktop Nav */}
           <div className="hidden md:flex items-center gap-1">
+            {searchBox('w-44 lg:w-56 mr-2')}
             {navLink('/', 'Home', Home)}
             {navLink('/categories', 'Categories', null)}
-            {navLink('/add-content', 'Add Content', Plus)}
+            {isAuthenticated && hasRole('author') && navLink('/add-content', 'Manage Content', FolderCog)}
+            {isAuthenticated && hasRole('admin') && navLink('/admin/users', 'Users', Users)}
 
             {isAuthenticated ? (
               <>
                 {navLink('/dashboard', 'Dashboard', null)}
                 {navLink('/progress', 'Progress', BarChart)}
+                {navLink('/review', 'Review', RotateCcw)}
+                {navLink('/notes', 'Notes', StickyNote)}
+                {navLink('/playlists', 'Playlists', ListVideo)}
+                {navLink('/interview', 'Interview', Timer)}
 
                 <div className="flex items-center gap-2 ml-3 pl-3 border-l border-surface-700/50">
-                  <div className="flex items-center gap-2 px-2 py-1">
-                    <div className="w-6 h-6 rounded-full bg-accent-500/20 flex items-center justify-center">
-                      <User className="w-3.5 h-3.5 text-accent-400" />
-                    </div>
+                  <Link
+                    to="/settings"
+                    title="Profile settings"
+                    className="flex items-center gap-2 px-2 py-1 rounded-lg hover:bg-surface-800/50 transition-colors"
+                  >
+                    <Avatar user={user} />
                     <span className="text-surface-200 text-sm">{user?.username}</span>
-                  </div>
+                  </Link>
                   <button
-                    onClick={handleLogout}
+                    onClick={() => handleLogout()}
+                    title="Log out"
                     className="flex items-center gap-1 text-surface-500 hover:text-red-400 transition-colors text-sm px-2 py-1 rounded-lg hover:bg-surface-800/50"
                   >
                     <LogOut className="w-3.5 h-3.5" />
                   </button>
+                  <button
+                    onClick={() => handleLogout(true)}
+                    title="Log out on every device"
+                    className="flex items-center gap-1 text-surface-500 hover:text-red-400 transition-colors text-sm px-2 py-1 rounded-lg hover:bg-surface-800/50"
+                  >
+                    <MonitorOff className="w-3.5 h-3.5" />
+                  </button>
                 </div>
               </>
             ) : (
@@ -103,24 +156,39 @@ export default function Navbar() {
         {/* Mobile Menu */}
         {mobileOpen && (
           <div className="md:hidden pb-4 pt-2 border-t border-surface-700/50 space-y-1 animate-fade-in">
+            <div className="px-3 pb-2">{searchBox('')}</div>
             {navLink('/', 'Home', Home)}
             {navLink('/categories', 'Categories', null)}
-            {navLink('/add-content', 'Add Content', Plus)}
+            {isAuthenticated && hasRole('author') && navLink('/add-content', 'Manage Content', FolderCog)}
+            {isAuthenticated && hasRole('admin') && navLink('/admin/users', 'Users', Users)}
             {isAuthenticated && (
               <>
                 {navLink('/dashboard', 'Dashboard', null)}
                 {navLink('/progress', 'Progress', BarChart)}
+                {navLink('/review', 'Review', RotateCcw)}
+                {navLink('/notes', 'Notes', StickyNote)}
+                {navLink('/playlists', 'Playlists', ListVideo)}
+                {navLink('/interview', 'Interview', Timer)}
                 <div className="pt-2 mt-2 border-t border-surface-700/50 flex items-center justify-between px-3">
-                  <div className="flex items-center gap-2">
-                    <User className="w-4 h-4 text-accent-400" />
+                  <Link to="/settings" onClick={() => setMobileOpen(false)} className="flex items-center gap-2">
+                    <Avatar user={user} />
                     <span className="text-surface-200 text-sm">{user?.username}</span>
+                  </Link>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => handleLogout(true)}
+                      className="text-surface-500 hover:text-red-400 transition-colors text-xs"
+                    >
+                      Log out everywhere
+                    </button>
+                    <button
+                      onClick={() => handleLogout()}
+                      title="Log out"
+                      className="text-surface-500 hover:text-red-400 transition-colors text-sm"
+                    >
+                      <LogOut className="w-4 h-4" />
+                    </button>
                   </div>
-                  <button
-                    onClick={handleLogout}
-                    className="text-surface-500 hover:text-red-400 transition-colors text-sm"
-                  >
-                    <LogOut className="w-4 h-4" />
-                  </button>
                 </div>
               </>
             )}
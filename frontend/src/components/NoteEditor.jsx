@@ -0,0 +1,49 @@
+import { useState } from 'react';
+
+// Textarea for writing or changing a note. `onSave` receives the text and
+// may return a promise; the editor stays disabled until it settles.
+export default function NoteEditor({ initialNote = '', placeholder = 'Write a note...', saveLabel = 'Save', onSave, onCancel, autoFocus = true }) {
+  const [note, setNote] = useState(initialNote);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave(note);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder={placeholder}
+        rows={3}
+        autoFocus={autoFocus}
+        className="w-full bg-surface-950 border border-surface-700/50 rounded-lg px-3 py-2 text-sm text-white placeholder:text-surface-500 focus:outline-none focus:border-accent-500/50 transition-colors resize-y"
+      />
+      <div className="flex justify-end gap-2 mt-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1.5 text-xs text-surface-400 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-xs font-medium bg-accent-500 text-white rounded-lg hover:bg-accent-600 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : saveLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,189 @@
+import { ArrowUp, ArrowDown } from 'lucide-react';
+
+// Answer inputs for every question type except code challenges, which the
+// pages render with CodeEditor and the Run Tests button.
+//
+// Answers are a string (multiple_choice, true_false, short_answer) or a list
+// of strings (multiple_select, ordering, fill_blank), as the API expects.
+
+const BLANK = /_{3,}/g;
+
+const countBlanks = (text) => (text.match(BLANK) || []).length;
+
+const optionsOf = (question) =>
+  question.options || (question.question_type === 'true_false' ? ['True', 'False'] : []);
+
+// The answer a question starts with: ordering starts from the shown order
+export function emptyAnswer(question) {
+  switch (question.question_type) {
+    case 'multiple_select':
+      return [];
+    case 'ordering':
+      return [...optionsOf(question)];
+    case 'fill_blank':
+      return Array(countBlanks(question.question_text)).fill('');
+    default:
+      return '';
+  }
+}
+
+// Whether an answer can be submitted
+export function hasAnswer(question, answer) {
+  if (Array.isArray(answer)) {
+    return question.question_type === 'fill_blank'
+      ? answer.some(blank => blank.trim())
+      : answer.length > 0;
+  }
+  return !!answer?.trim();
+}
+
+// A stored answer as text, e.g. in a finished mock interview
+export function formatAnswer(answer) {
+  return Array.isArray(answer) ? answer.join(', ') : answer;
+}
+
+// "Correct!", "Incorrect" or "Partially correct (50%)" for a graded answer
+export function resultLabel(result) {
+  if (result.isCorrect) return 'Correct!';
+  if (result.score > 0) return `Partially correct (${Math.round(result.score * 100)}%)`;
+  return 'Incorrect';
+}
+
+export default function QuestionInput({ question, value, onChange, disabled = false, inset = false }) {
+  const optionClasses = (selected) => `flex items-center p-2.5 rounded-lg transition-colors border text-sm ${
+    disabled ? 'cursor-default' : 'cursor-pointer'
+  } ${
+    selected
+      ? 'bg-accent-500/10 border-accent-500/20 text-white'
+      : inset
+        ? 'bg-surface-800/50 border-surface-700/30 text-surface-300 hover:bg-surface-800 hover:border-surface-600/50'
+        : 'bg-surface-900/50 border-surface-700/30 text-surface-300 hover:bg-surface-900 hover:border-surface-600/50'
+  }`;
+  const fieldClasses = `w-full px-3 py-2 rounded-lg text-sm text-white placeholder-surface-500 border border-surface-700/50 focus:outline-none focus:border-accent-500/50 disabled:opacity-60 ${
+    inset ? 'bg-surface-800/50' : 'bg-surface-900/50'
+  }`;
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+    case 'true_false':
+      return (
+        <div className="space-y-1.5">
+          {optionsOf(question).map((option, optIndex) => (
+            <label key={optIndex} className={optionClasses(value === option)}>
+              <input
+                type="radio"
+                name={`question-${question.id}`}
+                value={option}
+                checked={value === option}
+                disabled={disabled}
+                onChange={(e) => onChange(e.target.value)}
+                className="mr-2.5 accent-accent-500"
+              />
+              <span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+
+    case 'multiple_select': {
+      const selected = value || [];
+      const toggle = (option) => onChange(
+        selected.includes(option) ? selected.filter(item => item !== option) : [...selected, option]
+      );
+      return (
+        <div className="space-y-1.5">
+          <p className="text-xs text-surface-400 mb-2">Select all that apply</p>
+          {optionsOf(question).map((option, optIndex) => (
+            <label key={optIndex} className={optionClasses(selected.includes(option))}>
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                disabled={disabled}
+                onChange={() => toggle(option)}
+                className="mr-2.5 accent-accent-500"
+              />
+              <span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case 'ordering': {
+      const items = value || [];
+      const move = (index, offset) => {
+        const next = [...items];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+      };
+      return (
+        <div className="space-y-1.5">
+          <p className="text-xs text-surface-400 mb-2">Put the items in the correct order</p>
+          {items.map((item, index) => (
+            <div key={item} className={optionClasses(false)}>
+              <span className="w-6 text-surface-500 text-xs">{index + 1}.</span>
+              <span className="flex-1">{item}</span>
+              {!disabled && (
+                <div className="flex gap-1 ml-2">
+                  <button
+                    type="button"
+                    onClick={() => move(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 rounded text-surface-400 hover:text-white hover:bg-surface-700 disabled:opacity-30"
+                    aria-label="Move up"
+                  >
+                    <ArrowUp className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(index, 1)}
+                    disabled={index === items.length - 1}
+                    className="p-1 rounded text-surface-400 hover:text-white hover:bg-surface-700 disabled:opacity-30"
+                    aria-label="Move down"
+                  >
+                    <ArrowDown className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      );
+    }
+
+    case 'fill_blank': {
+      const blanks = value || [];
+      return (
+        <div className="space-y-2">
+          {blanks.map((blank, index) => (
+            <div key={index} className="flex items-center gap-3">
+              <span className="text-xs text-surface-400 w-16 flex-shrink-0">Blank {index + 1}</span>
+              <input
+                type="text"
+                value={blank}
+                disabled={disabled}
+                onChange={(e) => onChange(blanks.map((b, i) => (i === index ? e.target.value : b)))}
+                className={fieldClasses}
+              />
+            </div>
+          ))}
+        </div>
+      );
+    }
+
+    case 'short_answer':
+      return (
+        <textarea
+          value={value || ''}
+          disabled={disabled}
+          onChange={(e) => onChange(e.target.value)}
+          rows={3}
+          placeholder="Type your answer"
+          className={fieldClasses}
+        />
+      );
+
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,80 @@
+import { CheckCircle, XCircle, EyeOff, Terminal } from 'lucide-react';
+
+const statusMessages = {
+  timeout: 'Time limit exceeded',
+  memory_limit: 'Memory limit exceeded',
+  error: 'Your code threw an error',
+};
+
+const formatValue = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+export default function RunResults({ run }) {
+  if (!run) return null;
+
+  return (
+    <div className="space-y-3 mt-3">
+      {run.status !== 'ok' && (
+        <div className="p-3 rounded-lg bg-red-500/8 border border-red-500/20 text-sm">
+          <p className="text-red-400 font-medium">{statusMessages[run.status] || run.status}</p>
+          {run.error && <p className="text-red-300 font-mono text-xs mt-1">{run.error}</p>}
+        </div>
+      )}
+
+      {run.totalCount > 0 && (
+        <div className="space-y-1.5">
+          <p className="text-xs text-surface-400">
+            {run.passedCount}/{run.totalCount} tests passed
+          </p>
+          {run.results.map((result, index) => (
+            <div
+              key={index}
+              className={`p-2.5 rounded-lg border text-sm ${
+                result.passed
+                  ? 'bg-emerald-500/5 border-emerald-500/20'
+                  : 'bg-red-500/5 border-red-500/20'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                {result.passed ? (
+                  <CheckCircle className="w-3.5 h-3.5 text-emerald-400 flex-shrink-0" />
+                ) : (
+                  <XCircle className="w-3.5 h-3.5 text-red-400 flex-shrink-0" />
+                )}
+                <span className="text-surface-200">{result.name}</span>
+                {result.hidden && (
+                  <span className="flex items-center gap-1 text-[11px] text-surface-500 ml-auto">
+                    <EyeOff className="w-3 h-3" />
+                    hidden
+                  </span>
+                )}
+              </div>
+              {!result.hidden && !result.passed && (
+                <div className="mt-2 ml-5 font-mono text-xs space-y-0.5 text-surface-400">
+                  <p><span className="text-surface-500">call:</span> {result.code}</p>
+                  <p><span className="text-surface-500">expected:</span> {formatValue(result.expected)}</p>
+                  {result.error ? (
+                    <p className="text-red-300"><span className="text-surface-500">error:</span> {result.error}</p>
+                  ) : (
+                    <p><span className="text-surface-500">received:</span> {formatValue(result.actual)}</p>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {run.logs?.length > 0 && (
+        <div className="rounded-lg bg-surface-950 border border-surface-700/50 p-3">
+          <p className="flex items-center gap-1.5 text-[11px] text-surface-500 mb-1.5">
+            <Terminal className="w-3 h-3" />
+            Console
+          </p>
+          <pre className="!m-0 !p-0 !border-0 !bg-transparent text-xs text-surface-300 whitespace-pre-wrap">
+            {run.logs.join('\n')}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import CodeEditor from '../CodeEditor';
+import { FormActions } from './FormControls';
+import { inputClass, labelClass } from './formStyles';
+
+export default function ExampleForm({ example, lessonId, submitting, onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    title: example?.title || '',
+    language: example?.language || 'javascript',
+    description: example?.description || '',
+    code: example?.code || '',
+    explanation: example?.explanation || '',
+    is_interactive: example?.is_interactive || false,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      lesson_id: example?.lesson_id ?? lessonId,
+      title: form.title,
+      language: form.language,
+      description: form.description || null,
+      code: form.code,
+      explanation: form.explanation || null,
+      is_interactive: form.is_interactive,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="sm:col-span-2">
+          <label className={labelClass}>Title <span className="text-red-400">*</span></label>
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Language <span className="text-red-400">*</span></label>
+          <input
+            type="text"
+            value={form.language}
+            onChange={(e) => setForm(prev => ({ ...prev, language: e.target.value }))}
+            required
+            placeholder="javascript"
+            className={inputClass + ' font-mono'}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Description</label>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>Code <span className="text-red-400">*</span></label>
+        <CodeEditor
+          value={form.code}
+          language={form.language}
+          onChange={(code) => setForm(prev => ({ ...prev, code }))}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>Explanation</label>
+        <textarea
+          value={form.explanation}
+          onChange={(e) => setForm(prev => ({ ...prev, explanation: e.target.value }))}
+          rows={3}
+          className={inputClass + ' resize-y'}
+        />
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-surface-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={form.is_interactive}
+          onChange={(e) => setForm(prev => ({ ...prev, is_interactive: e.target.checked }))}
+          className="accent-accent-500"
+        />
+        Interactive (learners can edit and run it; JavaScript only)
+      </label>
+
+      <FormActions submitting={submitting} isEdit={!!example} onCancel={onCancel} />
+    </form>
+  );
+}
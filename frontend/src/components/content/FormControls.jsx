@@ -0,0 +1,54 @@
+import { Save, X } from 'lucide-react';
+
+export function OptionPicker({ options, value, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {options.map(opt => (
+        <button
+          key={opt.value}
+          type="button"
+          onClick={() => onChange(opt.value)}
+          className={`px-2.5 py-1 rounded text-[11px] font-medium border transition-colors ${
+            value === opt.value
+              ? opt.color
+              : 'bg-surface-800 text-surface-500 border-surface-700/50 hover:text-surface-300'
+          }`}
+        >
+          {opt.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export function FormActions({ submitting, isEdit, onCancel }) {
+  return (
+    <div className="flex gap-2">
+      <button
+        type="submit"
+        disabled={submitting}
+        className="flex-1 flex items-center justify-center gap-2 px-5 py-2.5 bg-accent-500 hover:bg-accent-600 disabled:opacity-50 text-white text-sm font-medium rounded-lg transition-colors"
+      >
+        {submitting ? (
+          <>
+            <div className="w-3.5 h-3.5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+            Saving...
+          </>
+        ) : (
+          <>
+            <Save className="w-4 h-4" />
+            {isEdit ? 'Save Changes' : 'Create'}
+          </>
+        )}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="flex items-center gap-1.5 px-4 py-2.5 bg-surface-800 hover:bg-surface-700 text-surface-300 text-sm rounded-lg transition-colors"
+      >
+        <X className="w-4 h-4" />
+        Cancel
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { OptionPicker, FormActions } from './FormControls';
+import PrerequisitePicker from './PrerequisitePicker';
+import { inputClass, selectClass, labelClass, difficultyOptions } from './formStyles';
+
+const revealOptions = [
+  { value: 'after_last_attempt', label: 'After a correct answer or the last attempt' },
+  { value: 'after_correct', label: 'Only after a correct answer' },
+  { value: 'never', label: 'Never' },
+];
+
+const scoringOptions = [
+  { value: 'first', label: 'First attempt' },
+  { value: 'best', label: 'Best attempt' },
+];
+
+export default function LessonForm({ lesson, topics, topicId, submitting, onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    topic_id: lesson?.topic_id ?? topicId ?? '',
+    title: lesson?.title || '',
+    slug: lesson?.slug || '',
+    content: lesson?.content || '',
+    summary: lesson?.summary || '',
+    difficulty_level: lesson?.difficulty_level || 'beginner',
+    estimated_time: lesson?.estimated_time || '',
+    key_points: (lesson?.key_points || []).join('\n'),
+    quiz_max_attempts: lesson?.quiz_max_attempts || '',
+    quiz_reveal_answers: lesson?.quiz_reveal_answers || 'after_last_attempt',
+    quiz_scoring: lesson?.quiz_scoring || 'first',
+    prerequisites: (lesson?.prerequisites || []).map(Number),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const keyPoints = form.key_points.split('\n').map(p => p.trim()).filter(Boolean);
+
+    onSubmit({
+      topic_id: parseInt(form.topic_id),
+      title: form.title,
+      content: form.content,
+      summary: form.summary || null,
+      difficulty_level: form.difficulty_level,
+      estimated_time: form.estimated_time ? parseInt(form.estimated_time) : null,
+      key_points: keyPoints.length > 0 ? keyPoints : null,
+      quiz_max_attempts: form.quiz_max_attempts ? parseInt(form.quiz_max_attempts) : null,
+      quiz_reveal_answers: form.quiz_reveal_answers,
+      quiz_scoring: form.quiz_scoring,
+      prerequisites: form.prerequisites,
+      ...(lesson && form.slug && { slug: form.slug }),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Topic <span className="text-red-400">*</span></label>
+        <div className="relative">
+          <select
+            value={form.topic_id}
+            onChange={(e) => setForm(prev => ({ ...prev, topic_id: e.target.value }))}
+            required
+            className={selectClass}
+          >
+            <option value="">Select a topic...</option>
+            {topics.map(topic => (
+              <option key={topic.id} value={topic.id}>{topic.name}</option>
+            ))}
+          </select>
+          <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+        </div>
+      </div>
+
+      <div className={lesson ? 'grid grid-cols-1 sm:grid-cols-2 gap-4' : ''}>
+        <div>
+          <label className={labelClass}>Lesson Title <span className="text-red-400">*</span></label>
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            required
+            placeholder="e.g., Understanding React.memo and useMemo"
+            className={inputClass}
+          />
+        </div>
+        {lesson && (
+          <div>
+            <label className={labelClass}>Slug</label>
+            <input
+              type="text"
+              value={form.slug}
+              onChange={(e) => setForm(prev => ({ ...prev, slug: e.target.value }))}
+              pattern="[a-z0-9]+(-[a-z0-9]+)*"
+              className={inputClass + ' font-mono'}
+            />
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className={labelClass}>Summary</label>
+        <input
+          type="text"
+          value={form.summary}
+          onChange={(e) => setForm(prev => ({ ...prev, summary: e.target.value }))}
+          placeholder="One-line summary of this lesson"
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          Content <span className="text-red-400">*</span>
+          <span className="text-surface-500 font-normal ml-1.5">(Markdown supported)</span>
+        </label>
+        <textarea
+          value={form.content}
+          onChange={(e) => setForm(prev => ({ ...prev, content: e.target.value }))}
+          required
+          rows={12}
+          placeholder="Write the lesson content here. Markdown is supported..."
+          className={inputClass + ' resize-y font-mono'}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          Key Points
+          <span className="text-surface-500 font-normal ml-1.5">(one per line)</span>
+        </label>
+        <textarea
+          value={form.key_points}
+          onChange={(e) => setForm(prev => ({ ...prev, key_points: e.target.value }))}
+          rows={4}
+          placeholder={"Key takeaway point 1\nKey takeaway point 2\nKey takeaway point 3"}
+          className={inputClass + ' resize-none'}
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          Prerequisites
+          <span className="text-surface-500 font-normal ml-1.5">(lessons from any topic to complete first)</span>
+        </label>
+        <PrerequisitePicker
+          lessonId={lesson?.id}
+          value={form.prerequisites}
+          onChange={(prerequisites) => setForm(prev => ({ ...prev, prerequisites }))}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Difficulty Level</label>
+          <OptionPicker
+            options={difficultyOptions}
+            value={form.difficulty_level}
+            onChange={(value) => setForm(prev => ({ ...prev, difficulty_level: value }))}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Estimated Time (min)</label>
+          <input
+            type="number"
+            value={form.estimated_time}
+            onChange={(e) => setForm(prev => ({ ...prev, estimated_time: e.target.value }))}
+            placeholder="e.g., 15"
+            min="1"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>
+            Quiz Attempts
+            <span className="text-surface-500 font-normal ml-1.5">(per question)</span>
+          </label>
+          <input
+            type="number"
+            value={form.quiz_max_attempts}
+            onChange={(e) => setForm(prev => ({ ...prev, quiz_max_attempts: e.target.value }))}
+            placeholder="Unlimited"
+            min="1"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Reveal Answers</label>
+          <div className="relative">
+            <select
+              value={form.quiz_reveal_answers}
+              onChange={(e) => setForm(prev => ({ ...prev, quiz_reveal_answers: e.target.value }))}
+              className={selectClass}
+            >
+              {revealOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+          </div>
+        </div>
+        <div>
+          <label className={labelClass}>Quiz Score From</label>
+          <div className="relative">
+            <select
+              value={form.quiz_scoring}
+              onChange={(e) => setForm(prev => ({ ...prev, quiz_scoring: e.target.value }))}
+              className={selectClass}
+            >
+              {scoringOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+          </div>
+        </div>
+      </div>
+
+      <FormActions submitting={submitting} isEdit={!!lesson} onCancel={onCancel} />
+    </form>
+  );
+}
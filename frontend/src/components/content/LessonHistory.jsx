@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { lessonAPI } from '../../services/api';
+import { History, RotateCcw } from 'lucide-react';
+
+const fieldLabels = {
+  title: 'Title',
+  summary: 'Summary',
+  key_points: 'Key points',
+  content: 'Content',
+};
+
+// Lines around a change that stay visible; longer unchanged runs collapse
+const CONTEXT_LINES = 2;
+
+function DiffLines({ lines }) {
+  const near = lines.map((_, index) =>
+    lines
+      .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+      .some(line => line.type !== 'equal')
+  );
+
+  return (
+    <pre className="text-xs font-mono bg-surface-950 rounded-lg border border-surface-700/50 overflow-x-auto py-1">
+      {lines.map((line, index) => {
+        if (!near[index]) {
+          return near[index - 1] ? (
+            <div key={index} className="px-3 text-surface-600">⋯</div>
+          ) : null;
+        }
+        const style = line.type === 'added'
+          ? 'bg-emerald-500/10 text-emerald-300'
+          : line.type === 'removed'
+            ? 'bg-red-500/10 text-red-300'
+            : 'text-surface-400';
+        const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+        return (
+          <div key={index} className={`px-3 whitespace-pre-wrap ${style}`}>
+            {marker} {line.text}
+          </div>
+        );
+      })}
+    </pre>
+  );
+}
+
+export default function LessonHistory({ lessonId, updatedAt, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [compareWith, setCompareWith] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [lessonId, updatedAt]);
+
+  useEffect(() => {
+    if (selected && compareWith) {
+      fetchDiff(compareWith, selected);
+    } else {
+      setDiff(null);
+    }
+  }, [selected, compareWith]);
+
+  const fetchRevisions = async () => {
+    setLoading(true);
+    try {
+      const response = await lessonAPI.getRevisions(lessonId);
+      const list = response.data.revisions;
+      setRevisions(list);
+      setSelected(list[0]?.revision_number ?? null);
+      setCompareWith(list[1]?.revision_number ?? null);
+    } catch (error) {
+      console.error('Failed to fetch revisions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async (from, to) => {
+    try {
+      const response = await lessonAPI.diffRevisions(lessonId, from, to);
+      setDiff(response.data);
+    } catch (error) {
+      console.error('Failed to diff revisions:', error);
+    }
+  };
+
+  const handleSelect = (revisionNumber) => {
+    setSelected(revisionNumber);
+    const older = revisions.find(r => r.revision_number < revisionNumber);
+    setCompareWith(older?.revision_number ?? null);
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore revision ${selected}? The current text is kept in the history.`)) return;
+    setRestoring(true);
+    try {
+      const response = await lessonAPI.restoreRevision(lessonId, selected);
+      onRestored(response.data.lesson);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="spinner" />;
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className="text-surface-500 text-xs">
+        No revisions yet. The first save will record the original text and your change.
+      </p>
+    );
+  }
+
+  const latest = revisions[0].revision_number;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <ul className="space-y-1 max-h-96 overflow-y-auto">
+        {revisions.map(revision => (
+          <li key={revision.id}>
+            <button
+              type="button"
+              onClick={() => handleSelect(revision.revision_number)}
+              className={`w-full text-left px-3 py-2 rounded-lg border text-xs transition-colors ${
+                selected === revision.revision_number
+                  ? 'bg-accent-500/10 border-accent-500/20 text-white'
+                  : 'bg-surface-800/50 border-surface-700/30 text-surface-300 hover:bg-surface-800'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium">
+                  Revision {revision.revision_number}
+                  {revision.revision_number === latest && <span className="text-accent-400 ml-1.5">current</span>}
+                </span>
+                <span className="text-surface-500">{new Date(revision.created_at).toLocaleDateString()}</span>
+              </div>
+              <div className="text-surface-500 mt-0.5 truncate">
+                {revision.author_username || 'unknown author'}
+                {revision.note && <> &middot; {revision.note}</>}
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="md:col-span-2 space-y-3">
+        <div className="flex flex-wrap items-center gap-2 text-xs text-surface-400">
+          <span>Compare with</span>
+          <select
+            value={compareWith ?? ''}
+            onChange={(e) => setCompareWith(e.target.value ? parseInt(e.target.value) : null)}
+            className="bg-surface-800 border border-surface-700/50 rounded px-2 py-1 text-surface-200"
+          >
+            <option value="">—</option>
+            {revisions
+              .filter(r => r.revision_number !== selected)
+              .map(r => (
+                <option key={r.id} value={r.revision_number}>Revision {r.revision_number}</option>
+              ))}
+          </select>
+          {diff && (
+            <span>
+              <span className="text-emerald-400">+{diff.stats.added}</span>{' '}
+              <span className="text-red-400">-{diff.stats.removed}</span>
+            </span>
+          )}
+          {selected !== latest && (
+            <button
+              type="button"
+              onClick={handleRestore}
+              disabled={restoring}
+              className="ml-auto flex items-center gap-1.5 px-3 py-1.5 bg-accent-500 hover:bg-accent-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+              {restoring ? 'Restoring...' : `Restore revision ${selected}`}
+            </button>
+          )}
+        </div>
+
+        {!compareWith ? (
+          <p className="text-surface-500 text-xs flex items-center gap-1.5">
+            <History className="w-3.5 h-3.5" />
+            This is the first revision; pick another one to compare with.
+          </p>
+        ) : diff && (
+          Object.entries(fieldLabels)
+            .filter(([field]) => diff.fields[field].changed)
+            .map(([field, label]) => (
+              <div key={field}>
+                <p className="text-xs font-medium text-surface-300 mb-1">{label}</p>
+                {diff.fields[field].tooLarge ? (
+                  <p className="text-surface-500 text-xs">Too large to compare line by line.</p>
+                ) : (
+                  <DiffLines lines={diff.fields[field].lines} />
+                )}
+              </div>
+            ))
+        )}
+        {diff && !diff.tooLarge && diff.stats.added === 0 && diff.stats.removed === 0 && (
+          <p className="text-surface-500 text-xs">These revisions have the same text.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { ChevronDown, X } from 'lucide-react';
+import { topicAPI } from '../../services/api';
+import { selectClass } from './formStyles';
+
+// Picks a lesson's prerequisites from the lessons of every topic. `value`
+// is the list of lesson ids; cycles are refused by the API on save.
+export default function PrerequisitePicker({ lessonId, value, onChange }) {
+  const [topics, setTopics] = useState([]);
+
+  useEffect(() => {
+    topicAPI.getAll({ include: 'lessons' })
+      .then((response) => setTopics(response.data.topics || []))
+      .catch((error) => console.error('Failed to fetch lessons:', error));
+  }, []);
+
+  const lessonsById = new Map(
+    topics.flatMap((topic) => (topic.lessons || []).map((lesson) => [lesson.id, { ...lesson, topic }]))
+  );
+
+  const add = (e) => {
+    const id = parseInt(e.target.value);
+    if (id) onChange([...value, id]);
+  };
+
+  return (
+    <div>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-2">
+          {value.map((id) => {
+            const lesson = lessonsById.get(id);
+            return (
+              <span
+                key={id}
+                className="flex items-center gap-1 pl-2.5 pr-1 py-1 rounded bg-surface-800 border border-surface-700/50 text-xs text-surface-200"
+              >
+                {lesson ? (
+                  <>
+                    <span className="text-surface-500">{lesson.topic.name} /</span> {lesson.title}
+                  </>
+                ) : (
+                  `Lesson ${id}`
+                )}
+                <button
+                  type="button"
+                  onClick={() => onChange(value.filter((other) => other !== id))}
+                  title="Remove prerequisite"
+                  className="p-0.5 rounded text-surface-500 hover:text-red-400 transition-colors"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+      <div className="relative">
+        <select value="" onChange={add} className={selectClass}>
+          <option value="">Add a lesson to complete first...</option>
+          {topics.map((topic) => (
+            <optgroup key={topic.id} label={`${topic.category_name} / ${topic.name}`}>
+              {(topic.lessons || [])
+                .filter((lesson) => lesson.id !== lessonId && !value.includes(lesson.id))
+                .map((lesson) => (
+                  <option key={lesson.id} value={lesson.id}>{lesson.title}</option>
+                ))}
+            </optgroup>
+          ))}
+        </select>
+        <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import { useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import CodeEditor from '../CodeEditor';
+import { OptionPicker, FormActions } from './FormControls';
+import { inputClass, selectClass, labelClass } from './formStyles';
+
+const questionTypes = [
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'true_false', label: 'True / False' },
+  { value: 'multiple_select', label: 'Multiple select' },
+  { value: 'ordering', label: 'Ordering' },
+  { value: 'fill_blank', label: 'Fill in the blank' },
+  { value: 'short_answer', label: 'Short answer' },
+  { value: 'code_challenge', label: 'Code challenge' },
+];
+
+// Types graded from the answer_key JSON, with an example key for each
+const answerKeyHints = {
+  multiple_select: '["Option A", "Option C"]',
+  ordering: '["First", "Second", "Third"]',
+  fill_blank: '[{ "accepted": ["let", "const"] }, { "pattern": "\\d+" }]',
+  short_answer: '{ "accepted": ["closure"], "keywords": ["scope", "function"] }',
+};
+
+const optionTypes = ['multiple_choice', 'multiple_select', 'ordering'];
+
+const questionDifficulties = [
+  { value: 'easy', label: 'Easy', color: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/20' },
+  { value: 'medium', label: 'Medium', color: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
+  { value: 'hard', label: 'Hard', color: 'text-red-400 bg-red-500/10 border-red-500/20' },
+];
+
+export default function QuestionForm({ question, lessonId, submitting, onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    question_text: question?.question_text || '',
+    question_type: question?.question_type || 'multiple_choice',
+    options: (question?.options || []).join('\n'),
+    correct_answer: question?.correct_answer || '',
+    starter_code: question?.starter_code || '',
+    test_cases: question?.test_cases ? JSON.stringify(question.test_cases, null, 2) : '[]',
+    answer_key: question?.answer_key ? JSON.stringify(question.answer_key, null, 2) : '',
+    explanation: question?.explanation || '',
+    difficulty: question?.difficulty || 'medium',
+    points: question?.points ?? 10,
+  });
+  const [formError, setFormError] = useState(null);
+
+  const isCode = form.question_type === 'code_challenge';
+  const isChoice = ['multiple_choice', 'true_false'].includes(form.question_type);
+  const answerKeyHint = answerKeyHints[form.question_type];
+  const options = form.question_type === 'true_false'
+    ? ['True', 'False']
+    : form.options.split('\n').map(o => o.trim()).filter(Boolean);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    let testCases = null;
+    if (isCode) {
+      try {
+        testCases = JSON.parse(form.test_cases);
+      } catch {
+        setFormError('Test cases must be valid JSON');
+        return;
+      }
+    }
+
+    let answerKey = null;
+    if (answerKeyHint) {
+      try {
+        answerKey = JSON.parse(form.answer_key);
+      } catch {
+        setFormError('Answer key must be valid JSON');
+        return;
+      }
+    }
+
+    onSubmit({
+      lesson_id: question?.lesson_id ?? lessonId,
+      question_text: form.question_text,
+      question_type: form.question_type,
+      options: isChoice || optionTypes.includes(form.question_type) ? options : null,
+      correct_answer: form.correct_answer,
+      starter_code: isCode ? form.starter_code : null,
+      test_cases: testCases,
+      answer_key: answerKey,
+      explanation: form.explanation || null,
+      difficulty: form.difficulty,
+      points: parseInt(form.points) || 0,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Question <span className="text-red-400">*</span></label>
+        <textarea
+          value={form.question_text}
+          onChange={(e) => setForm(prev => ({ ...prev, question_text: e.target.value }))}
+          required
+          rows={2}
+          className={inputClass + ' resize-y'}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>Type</label>
+          <div className="relative">
+            <select
+              value={form.question_type}
+              onChange={(e) => setForm(prev => ({ ...prev, question_type: e.target.value, correct_answer: '' }))}
+              className={selectClass}
+            >
+              {questionTypes.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+          </div>
+        </div>
+        <div>
+          <label className={labelClass}>Difficulty</label>
+          <OptionPicker
+            options={questionDifficulties}
+            value={form.difficulty}
+            onChange={(value) => setForm(prev => ({ ...prev, difficulty: value }))}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Points</label>
+          <input
+            type="number"
+            value={form.points}
+            onChange={(e) => setForm(prev => ({ ...prev, points: e.target.value }))}
+            min="0"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {!isCode ? (
+        <>
+          {optionTypes.includes(form.question_type) && (
+            <div>
+              <label className={labelClass}>
+                Options <span className="text-red-400">*</span>
+                <span className="text-surface-500 font-normal ml-1.5">(one per line)</span>
+              </label>
+              <textarea
+                value={form.options}
+                onChange={(e) => setForm(prev => ({ ...prev, options: e.target.value }))}
+                required
+                rows={4}
+                className={inputClass + ' resize-y'}
+              />
+            </div>
+          )}
+          {isChoice ? (
+            <div>
+              <label className={labelClass}>Correct Answer <span className="text-red-400">*</span></label>
+              <div className="relative">
+                <select
+                  value={form.correct_answer}
+                  onChange={(e) => setForm(prev => ({ ...prev, correct_answer: e.target.value }))}
+                  required
+                  className={selectClass}
+                >
+                  <option value="">Select the correct option...</option>
+                  {options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+              </div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className={labelClass}>
+                  Answer Key <span className="text-red-400">*</span>
+                  <span className="text-surface-500 font-normal ml-1.5">(JSON, e.g. {answerKeyHint})</span>
+                </label>
+                <textarea
+                  value={form.answer_key}
+                  onChange={(e) => setForm(prev => ({ ...prev, answer_key: e.target.value }))}
+                  required
+                  rows={4}
+                  className={inputClass + ' resize-y font-mono text-xs'}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>
+                  Correct Answer <span className="text-red-400">*</span>
+                  <span className="text-surface-500 font-normal ml-1.5">(shown to learners after they answer)</span>
+                </label>
+                <input
+                  type="text"
+                  value={form.correct_answer}
+                  onChange={(e) => setForm(prev => ({ ...prev, correct_answer: e.target.value }))}
+                  required
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+        </>
+      ) : (
+        <>
+          <div>
+            <label className={labelClass}>Starter Code</label>
+            <CodeEditor
+              value={form.starter_code}
+              height={160}
+              onChange={(code) => setForm(prev => ({ ...prev, starter_code: code }))}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Reference Solution <span className="text-red-400">*</span></label>
+            <CodeEditor
+              value={form.correct_answer}
+              height={200}
+              onChange={(code) => setForm(prev => ({ ...prev, correct_answer: code }))}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>
+              Test Cases <span className="text-red-400">*</span>
+              <span className="text-surface-500 font-normal ml-1.5">(JSON: [{'{'} name, code, expected, hidden {'}'}])</span>
+            </label>
+            <textarea
+              value={form.test_cases}
+              onChange={(e) => setForm(prev => ({ ...prev, test_cases: e.target.value }))}
+              rows={8}
+              className={inputClass + ' resize-y font-mono text-xs'}
+            />
+          </div>
+        </>
+      )}
+
+      <div>
+        <label className={labelClass}>Explanation</label>
+        <textarea
+          value={form.explanation}
+          onChange={(e) => setForm(prev => ({ ...prev, explanation: e.target.value }))}
+          rows={3}
+          className={inputClass + ' resize-y'}
+        />
+      </div>
+
+      {formError && <p className="text-red-400 text-sm">{formError}</p>}
+
+      <FormActions submitting={submitting} isEdit={!!question} onCancel={onCancel} />
+    </form>
+  );
+}
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { GripVertical, Pencil, Trash2 } from 'lucide-react';
+
+// Drag-and-drop list. Calls onReorder with the items in their new order.
+// The edit button is left out without onEdit.
+export default function SortableList({ items, selectedId, onSelect, onEdit, onDelete, onReorder, renderLabel, emptyText }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      const next = [...items];
+      const [moved] = next.splice(dragIndex, 1);
+      next.splice(index, 0, moved);
+      onReorder(next);
+    }
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  if (items.length === 0) {
+    return <p className="text-surface-500 text-xs px-1 py-3">{emptyText}</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {items.map((item, index) => (
+        <li
+          key={item.id}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            setDragIndex(index);
+          }}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setOverIndex(index);
+          }}
+          onDragLeave={() => setOverIndex(null)}
+          onDrop={(e) => {
+            e.preventDefault();
+            handleDrop(index);
+          }}
+          onDragEnd={() => {
+            setDragIndex(null);
+            setOverIndex(null);
+          }}
+          onClick={() => onSelect?.(item)}
+          className={`group flex items-center gap-2 px-2 py-2 rounded-lg border text-sm transition-colors ${
+            onSelect ? 'cursor-pointer' : ''
+          } ${
+            selectedId === item.id
+              ? 'bg-accent-500/10 border-accent-500/20 text-white'
+              : 'bg-surface-800/50 border-surface-700/30 text-surface-300 hover:bg-surface-800'
+          } ${overIndex === index && dragIndex !== index ? 'border-accent-500/50' : ''} ${
+            dragIndex === index ? 'opacity-40' : ''
+          }`}
+        >
+          <GripVertical className="w-3.5 h-3.5 text-surface-600 cursor-grab flex-shrink-0" />
+          <span className="flex-1 truncate">{renderLabel(item)}</span>
+          {onEdit && (
+            <button
+              type="button"
+              title="Edit"
+              onClick={(e) => { e.stopPropagation(); onEdit(item); }}
+              className="p-1 rounded text-surface-500 hover:text-accent-400 opacity-0 group-hover:opacity-100 transition-opacity"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+          )}
+          <button
+            type="button"
+            title="Delete"
+            onClick={(e) => { e.stopPropagation(); onDelete(item); }}
+            className="p-1 rounded text-surface-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+          >
+            <Trash2 className="w-3.5 h-3.5" />
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { OptionPicker, FormActions } from './FormControls';
+import { inputClass, selectClass, labelClass, difficultyOptions } from './formStyles';
+
+export default function TopicForm({ topic, categories, categoryId, submitting, onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    category_id: topic?.category_id ?? categoryId ?? '',
+    name: topic?.name || '',
+    slug: topic?.slug || '',
+    description: topic?.description || '',
+    difficulty_level: topic?.difficulty_level || 'beginner',
+    estimated_time: topic?.estimated_time || '',
+    mastery_threshold: topic?.mastery_threshold ?? 80,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      category_id: parseInt(form.category_id),
+      name: form.name,
+      description: form.description || null,
+      difficulty_level: form.difficulty_level,
+      estimated_time: form.estimated_time ? parseInt(form.estimated_time) : null,
+      mastery_threshold: parseInt(form.mastery_threshold),
+      ...(topic && form.slug && { slug: form.slug }),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Category <span className="text-red-400">*</span></label>
+        <div className="relative">
+          <select
+            value={form.category_id}
+            onChange={(e) => setForm(prev => ({ ...prev, category_id: e.target.value }))}
+            required
+            className={selectClass}
+          >
+            <option value="">Select a category...</option>
+            {categories.map(cat => (
+              <option key={cat.id} value={cat.id}>{cat.name}</option>
+            ))}
+          </select>
+          <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+        </div>
+      </div>
+
+      <div className={topic ? 'grid grid-cols-1 sm:grid-cols-2 gap-4' : ''}>
+        <div>
+          <label className={labelClass}>Topic Name <span className="text-red-400">*</span></label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            required
+            placeholder="e.g., React Performance Optimization"
+            className={inputClass}
+          />
+        </div>
+        {topic && (
+          <div>
+            <label className={labelClass}>Slug</label>
+            <input
+              type="text"
+              value={form.slug}
+              onChange={(e) => setForm(prev => ({ ...prev, slug: e.target.value }))}
+              pattern="[a-z0-9]+(-[a-z0-9]+)*"
+              className={inputClass + ' font-mono'}
+            />
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className={labelClass}>Description</label>
+        <textarea
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          rows={3}
+          placeholder="Brief description of what this topic covers..."
+          className={inputClass + ' resize-none'}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Difficulty Level</label>
+          <OptionPicker
+            options={difficultyOptions}
+            value={form.difficulty_level}
+            onChange={(value) => setForm(prev => ({ ...prev, difficulty_level: value }))}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Estimated Time (min)</label>
+          <input
+            type="number"
+            value={form.estimated_time}
+            onChange={(e) => setForm(prev => ({ ...prev, estimated_time: e.target.value }))}
+            placeholder="e.g., 60"
+            min="1"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          Mastery Threshold (%) <span className="text-surface-500 font-normal">- quiz score that completes a lesson</span>
+        </label>
+        <input
+          type="number"
+          value={form.mastery_threshold}
+          onChange={(e) => setForm(prev => ({ ...prev, mastery_threshold: e.target.value }))}
+          required
+          min="1"
+          max="100"
+          className={inputClass}
+        />
+      </div>
+
+      <FormActions submitting={submitting} isEdit={!!topic} onCancel={onCancel} />
+    </form>
+  );
+}
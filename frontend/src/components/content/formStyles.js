@@ -0,0 +1,10 @@
+export const inputClass = 'w-full bg-surface-900 border border-surface-700/50 rounded-lg px-3.5 py-2.5 text-white text-sm placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors';
+export const selectClass = inputClass + ' appearance-none cursor-pointer';
+export const labelClass = 'block text-sm font-medium text-surface-300 mb-1.5';
+
+export const difficultyOptions = [
+  { value: 'beginner', label: 'Beginner', color: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/20' },
+  { value: 'intermediate', label: 'Intermediate', color: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
+  { value: 'advanced', label: 'Advanced', color: 'text-orange-400 bg-orange-500/10 border-orange-500/20' },
+  { value: 'expert', label: 'Expert', color: 'text-red-400 bg-red-500/10 border-red-500/20' },
+];
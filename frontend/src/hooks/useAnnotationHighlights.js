@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+
+// Names of the CSS highlights (see index.css), for highlights without and
+// with a note
+const HIGHLIGHT = 'lesson-highlight';
+const NOTE_HIGHLIGHT = 'lesson-highlight-note';
+
+// Characters of context saved on either side of a highlight
+const CONTEXT_LENGTH = 32;
+
+// Offsets count characters of the container's text content, the same text
+// the reader sees rendered
+
+// Offset in `container`'s text of a boundary point inside it
+function offsetOf(container, node, offset) {
+  const range = document.createRange();
+  range.setStart(container, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+// DOM range covering characters `start` to `end` of `container`'s text
+function rangeOf(container, start, end) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+  let position = 0;
+  let started = false;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const next = position + node.data.length;
+    if (!started && start < next) {
+      range.setStart(node, start - position);
+      started = true;
+    }
+    if (started && end <= next) {
+      range.setEnd(node, end - position);
+      return range;
+    }
+    position = next;
+  }
+  return null;
+}
+
+// The current selection as a highlight anchor (`startOffset`, `endOffset`,
+// `quote`, `prefix`, `suffix`), or null unless some text inside `container`
+// is selected. Whitespace at either end is left out.
+export function selectionAnchor(container, selection = window.getSelection()) {
+  if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null;
+
+  const text = container.textContent;
+  let start = offsetOf(container, range.startContainer, range.startOffset);
+  let end = offsetOf(container, range.endContainer, range.endOffset);
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (start === end) return null;
+
+  return {
+    startOffset: start,
+    endOffset: end,
+    quote: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH),
+  };
+}
+
+// Offset in `container`'s text of a collapsed selection (a click), or null
+export function caretOffset(container, selection = window.getSelection()) {
+  if (!container || !selection || selection.rangeCount === 0 || !selection.isCollapsed) return null;
+  if (!container.contains(selection.anchorNode)) return null;
+  return offsetOf(container, selection.anchorNode, selection.anchorOffset);
+}
+
+// Characters matching backwards from text[end - 1] and context[length - 1]
+function matchingBefore(text, end, context) {
+  let count = 0;
+  while (count < context.length && count < end && text[end - 1 - count] === context[context.length - 1 - count]) count++;
+  return count;
+}
+
+// Characters matching forwards from text[start] and context[0]
+function matchingAfter(text, start, context) {
+  let count = 0;
+  while (count < context.length && start + count < text.length && text[start + count] === context[count]) count++;
+  return count;
+}
+
+// Where an annotation's quote is in `text` now: at its saved offsets if the
+// text there is unchanged, or else at the occurrence of the quote with the
+// most matching context, closest to the saved offsets. Null for a note on
+// the whole lesson or a quote no longer in the text.
+export function locateAnnotation(text, annotation) {
+  const { start_offset: savedStart, quote, prefix = '', suffix = '' } = annotation;
+  if (quote == null) return null;
+  if (text.slice(savedStart, savedStart + quote.length) === quote) {
+    return { start: savedStart, end: savedStart + quote.length };
+  }
+
+  let best = null;
+  for (let at = text.indexOf(quote); at !== -1; at = text.indexOf(quote, at + 1)) {
+    const score = matchingBefore(text, at, prefix) + matchingAfter(text, at + quote.length, suffix);
+    const distance = Math.abs(at - savedStart);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start: at, score, distance };
+    }
+  }
+  return best && { start: best.start, end: best.start + quote.length };
+}
+
+// Draws `annotations` over the text of `containerRef` with the CSS Custom
+// Highlight API, which styles ranges without changing the DOM React renders.
+// Returns where each annotation was found, by id; ids of notes on the whole
+// lesson and of quotes no longer in the text are missing. In browsers
+// without the API nothing is drawn, but positions are still returned.
+export default function useAnnotationHighlights(containerRef, annotations) {
+  const [positions, setPositions] = useState({});
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const text = container.textContent;
+    const found = {};
+    const ranges = { [HIGHLIGHT]: [], [NOTE_HIGHLIGHT]: [] };
+
+    for (const annotation of annotations) {
+      const position = locateAnnotation(text, annotation);
+      const range = position && rangeOf(container, position.start, position.end);
+      if (!range) continue;
+      found[annotation.id] = position;
+      ranges[annotation.note ? NOTE_HIGHLIGHT : HIGHLIGHT].push(range);
+    }
+    setPositions(found);
+
+    if (!window.CSS?.highlights) return;
+    for (const [name, list] of Object.entries(ranges)) {
+      CSS.highlights.set(name, new Highlight(...list));
+    }
+    return () => {
+      CSS.highlights.delete(HIGHLIGHT);
+      CSS.highlights.delete(NOTE_HIGHLIGHT);
+    };
+  }, [containerRef, annotations]);
+
+  return positions;
+}
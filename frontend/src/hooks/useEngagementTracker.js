@@ -0,0 +1,83 @@
+import { useEffect, useRef } from 'react';
+import { progressAPI } from '../services/api';
+
+// Active time is reported in heartbeats of this many seconds
+const HEARTBEAT_SECONDS = 15;
+// Without any input for this long the reader is considered away
+const IDLE_SECONDS = 60;
+
+// Tracks how long a lesson is actively read and how far its content
+// (`contentRef`) has been scrolled, and reports both to the progress API.
+// Time only counts while the page is visible and the reader is not idle.
+// Whatever has not been sent yet is flushed when the page is hidden or the
+// lesson changes. `onProgress` receives the updated progress row.
+export default function useEngagementTracker(lessonId, contentRef, { enabled, onProgress }) {
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+
+  useEffect(() => {
+    if (!enabled || !lessonId) return;
+
+    let activeSeconds = 0;
+    let depth = 0;
+    let sentDepth = 0;
+    let lastInput = Date.now();
+
+    const measureDepth = () => {
+      const element = contentRef.current;
+      if (!element) return;
+      const rect = element.getBoundingClientRect();
+      if (rect.height === 0) return;
+      const seen = Math.round(((window.innerHeight - rect.top) / rect.height) * 100);
+      depth = Math.max(depth, Math.min(100, seen));
+    };
+
+    const flush = () => {
+      if (activeSeconds === 0 && depth <= sentDepth) return;
+      const event = { activeSeconds, scrollDepth: depth };
+      activeSeconds = 0;
+      sentDepth = depth;
+      progressAPI.recordEngagement(lessonId, event)
+        .then((response) => onProgressRef.current?.(response.data.progress))
+        .catch((error) => console.error('Failed to record engagement:', error));
+    };
+
+    const isActive = () =>
+      document.visibilityState === 'visible' && Date.now() - lastInput < IDLE_SECONDS * 1000;
+
+    const tick = setInterval(() => {
+      if (!isActive()) return;
+      measureDepth();
+      activeSeconds += 1;
+      if (activeSeconds >= HEARTBEAT_SECONDS) flush();
+    }, 1000);
+
+    const handleInput = () => {
+      lastInput = Date.now();
+    };
+    // Scroll events don't bubble; listening in the capture phase also
+    // catches scrolling inside the lesson's scroll container
+    const handleScroll = () => {
+      handleInput();
+      measureDepth();
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') flush();
+      else handleInput();
+    };
+
+    const inputEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    inputEvents.forEach((type) => window.addEventListener(type, handleInput, { passive: true }));
+    document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+    document.addEventListener('visibilitychange', handleVisibility);
+    measureDepth();
+
+    return () => {
+      clearInterval(tick);
+      inputEvents.forEach((type) => window.removeEventListener(type, handleInput));
+      document.removeEventListener('scroll', handleScroll, { capture: true });
+      document.removeEventListener('visibilitychange', handleVisibility);
+      flush();
+    };
+  }, [lessonId, enabled]);
+}
@@ -1,17 +1,49 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { categoryAPI, topicAPI, lessonAPI } from '../services/api';
 import {
-  Plus, ArrowLeft, CheckCircle, AlertCircle,
-  Layers, FileText, X, ChevronDown
+  categoryAPI, topicAPI, lessonAPI, exampleAPI, questionAPI, contentAPI
+} from '../services/api';
+import SortableList from '../components/content/SortableList';
+import TopicForm from '../components/content/TopicForm';
+import LessonForm from '../components/content/LessonForm';
+import ExampleForm from '../components/content/ExampleForm';
+import QuestionForm from '../components/content/QuestionForm';
+import LessonHistory from '../components/content/LessonHistory';
+import { selectClass } from '../components/content/formStyles';
+import {
+  Plus, ArrowLeft, CheckCircle, AlertCircle, Layers, FileText,
+  Code, HelpCircle, X, ChevronDown, FolderCog, History
 } from 'lucide-react';
 
-const difficultyOptions = [
-  { value: 'beginner', label: 'Beginner', color: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/20' },
-  { value: 'intermediate', label: 'Intermediate', color: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
-  { value: 'advanced', label: 'Advanced', color: 'text-orange-400 bg-orange-500/10 border-orange-500/20' },
-  { value: 'expert', label: 'Expert', color: 'text-red-400 bg-red-500/10 border-red-500/20' },
-];
+// Per content type: API client, response key, label and reorder type
+const contentTypes = {
+  topic: { api: topicAPI, key: 'topic', label: 'Topic', reorderType: 'topics' },
+  lesson: { api: lessonAPI, key: 'lesson', label: 'Lesson', reorderType: 'lessons' },
+  example: { api: exampleAPI, key: 'example', label: 'Code example', reorderType: 'code_examples' },
+  question: { api: questionAPI, key: 'question', label: 'Quiz question', reorderType: 'quiz_questions' },
+};
+
+function Column({ title, icon: Icon, onNew, newDisabled, children }) {
+  return (
+    <div className="bg-surface-900 rounded-xl border border-surface-700/50 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center gap-1.5 text-sm font-semibold text-white">
+          <Icon className="w-4 h-4 text-accent-400" />
+          {title}
+        </h2>
+        <button
+          onClick={onNew}
+          disabled={newDisabled}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-accent-400 hover:text-accent-300 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-3.5 h-3.5" />
+          New
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
 
 export default function AddTopic() {
   const navigate = useNavigate();
@@ -20,31 +52,17 @@ export default function AddTopic() {
   const [submitting, setSubmitting] = useState(false);
   const [success, setSuccess] = useState(null);
   const [error, setError] = useState(null);
-  const [activeTab, setActiveTab] = useState('topic'); // 'topic' or 'lesson'
-
-  // Topic form state
-  const [topicForm, setTopicForm] = useState({
-    category_id: '',
-    name: '',
-    description: '',
-    difficulty_level: 'beginner',
-    estimated_time: '',
-  });
-
-  // Lesson form state
-  const [lessonForm, setLessonForm] = useState({
-    topic_id: '',
-    title: '',
-    content: '',
-    summary: '',
-    difficulty_level: 'beginner',
-    estimated_time: '',
-    key_points: '',
-  });
-
-  // Topics for lesson form dropdown
+
+  const [categoryId, setCategoryId] = useState('');
   const [topics, setTopics] = useState([]);
-  const [topicsLoading, setTopicsLoading] = useState(false);
+  const [selectedTopic, setSelectedTopic] = useState(null);
+  const [lessons, setLessons] = useState([]);
+  const [selectedLesson, setSelectedLesson] = useState(null);
+  const [examples, setExamples] = useState([]);
+  const [questions, setQuestions] = useState([]);
+
+  // { type: 'topic' | 'lesson' | 'example' | 'question', item: null for new }
+  const [editor, setEditor] = useState(null);
 
   useEffect(() => {
     fetchCategories();
@@ -62,102 +80,155 @@ export default function AddTopic() {
     }
   };
 
-  const fetchTopicsForCategory = async (categorySlug) => {
-    if (!categorySlug) {
+  const fetchTopics = async (catId) => {
+    const category = categories.find(c => c.id === parseInt(catId));
+    if (!category) {
       setTopics([]);
       return;
     }
-    setTopicsLoading(true);
     try {
-      const response = await topicAPI.getAll({ category: categorySlug });
+      const response = await topicAPI.getAll({ category: category.slug, include: '' });
       setTopics(response.data.topics || []);
     } catch (err) {
       console.error('Failed to fetch topics:', err);
-    } finally {
-      setTopicsLoading(false);
+      setError('Failed to load topics');
     }
   };
 
-  const handleTopicSubmit = async (e) => {
-    e.preventDefault();
+  const fetchLessons = async (topic) => {
+    try {
+      const response = await topicAPI.getBySlug(topic.slug);
+      setLessons(response.data.topic.lessons || []);
+    } catch (err) {
+      console.error('Failed to fetch lessons:', err);
+      setError('Failed to load lessons');
+    }
+  };
+
+  const fetchLessonContent = async (lesson) => {
+    try {
+      const [examplesResponse, questionsResponse] = await Promise.all([
+        exampleAPI.getForLesson(lesson.id),
+        questionAPI.getForLesson(lesson.id),
+      ]);
+      setExamples(examplesResponse.data.examples);
+      setQuestions(questionsResponse.data.questions);
+    } catch (err) {
+      console.error('Failed to fetch lesson content:', err);
+      setError('Failed to load lesson content');
+    }
+  };
+
+  const selectCategory = (catId) => {
+    setCategoryId(catId);
+    selectTopic(null);
+    fetchTopics(catId);
+  };
+
+  const selectTopic = (topic) => {
+    setSelectedTopic(topic);
+    setLessons([]);
+    selectLesson(null);
+    if (topic) fetchLessons(topic);
+  };
+
+  const selectLesson = (lesson) => {
+    setSelectedLesson(lesson);
+    setExamples([]);
+    setQuestions([]);
+    setEditor(null);
+    if (lesson) fetchLessonContent(lesson);
+  };
+
+  // The topic's lesson list leaves out the content, so the editor loads the full lesson
+  const editLesson = async (lesson) => {
+    setError(null);
+    try {
+      const response = await lessonAPI.getBySlug(lesson.slug);
+      const full = response.data.lesson;
+      if (full.id !== lesson.id) throw new Error(`Another lesson has the slug "${lesson.slug}"`);
+      setEditor({ type: 'lesson', item: { ...lesson, content: full.content } });
+    } catch (err) {
+      console.error('Failed to fetch lesson:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to load lesson');
+    }
+  };
+
+  const refresh = (type) => {
+    if (type === 'topic') return fetchTopics(categoryId);
+    if (type === 'lesson') return fetchLessons(selectedTopic);
+    return fetchLessonContent(selectedLesson);
+  };
+
+  const handleSave = async (payload) => {
+    const { type, item } = editor;
+    const { api, key, label } = contentTypes[type];
     setSubmitting(true);
     setError(null);
     setSuccess(null);
 
     try {
-      const payload = {
-        ...topicForm,
-        category_id: parseInt(topicForm.category_id),
-        estimated_time: topicForm.estimated_time ? parseInt(topicForm.estimated_time) : null,
-      };
-
-      const response = await topicAPI.create(payload);
-      setSuccess(`Topic "${response.data.topic.name}" created successfully!`);
-      setTopicForm({
-        category_id: topicForm.category_id,
-        name: '',
-        description: '',
-        difficulty_level: 'beginner',
-        estimated_time: '',
-      });
+      const response = item ? await api.update(item.id, payload) : await api.create(payload);
+      const saved = response.data[key];
 
-      // Refresh topics list if on lesson tab
-      if (topicForm.category_id) {
-        const cat = categories.find(c => c.id === parseInt(topicForm.category_id));
-        if (cat) fetchTopicsForCategory(cat.slug);
-      }
+      // Keep the selection in sync with renamed or re-slugged items
+      if (type === 'topic' && selectedTopic?.id === saved.id) setSelectedTopic(saved);
+      if (type === 'lesson' && selectedLesson?.id === saved.id) setSelectedLesson(saved);
+
+      setSuccess(`${label} ${item ? 'updated' : 'created'} successfully!`);
+      setEditor(null);
+      await refresh(type);
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to create topic');
+      const data = err.response?.data;
+      setError(data?.error || data?.errors?.map(e => `${e.path}: ${e.msg}`).join(', ') || `Failed to save ${label.toLowerCase()}`);
     } finally {
       setSubmitting(false);
     }
   };
 
-  const handleLessonSubmit = async (e) => {
-    e.preventDefault();
-    setSubmitting(true);
+  const handleDelete = async (type, item) => {
+    const { api, label } = contentTypes[type];
+    const warning = type === 'topic' || type === 'lesson'
+      ? ' Everything inside it, including learner progress, will be deleted too.'
+      : '';
+    if (!window.confirm(`Delete this ${label.toLowerCase()}?${warning}`)) return;
+
     setError(null);
     setSuccess(null);
-
     try {
-      const keyPointsArray = lessonForm.key_points
-        ? lessonForm.key_points.split('\n').map(p => p.trim()).filter(Boolean)
-        : null;
-
-      const payload = {
-        ...lessonForm,
-        topic_id: parseInt(lessonForm.topic_id),
-        estimated_time: lessonForm.estimated_time ? parseInt(lessonForm.estimated_time) : null,
-        key_points: keyPointsArray,
-      };
-
-      const response = await lessonAPI.create(payload);
-      setSuccess(`Lesson "${response.data.lesson.title}" created successfully!`);
-      setLessonForm({
-        topic_id: lessonForm.topic_id,
-        title: '',
-        content: '',
-        summary: '',
-        difficulty_level: 'beginner',
-        estimated_time: '',
-        key_points: '',
-      });
+      await api.remove(item.id);
+      if (type === 'topic' && selectedTopic?.id === item.id) selectTopic(null);
+      if (type === 'lesson' && selectedLesson?.id === item.id) selectLesson(null);
+      if (editor?.item?.id === item.id && editor.type === type) setEditor(null);
+      setSuccess(`${label} deleted`);
+      await refresh(type);
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to create lesson');
-    } finally {
-      setSubmitting(false);
+      setError(err.response?.data?.error || `Failed to delete ${label.toLowerCase()}`);
     }
   };
 
-  // When category changes for lesson form, load topics
-  const handleLessonCategoryChange = (categoryId) => {
-    const cat = categories.find(c => c.id === parseInt(categoryId));
-    if (cat) {
-      fetchTopicsForCategory(cat.slug);
-    } else {
-      setTopics([]);
+  // A restored revision reloads the editor with the restored text
+  const handleRestored = async (lesson) => {
+    setEditor({ type: 'lesson', item: lesson });
+    if (selectedLesson?.id === lesson.id) setSelectedLesson(lesson);
+    setSuccess('Lesson restored successfully!');
+    await fetchLessons(selectedTopic);
+  };
+
+  // Show the new order right away and roll back if the server rejects it
+  const handleReorder = async (type, parentId, items, previous, setItems) => {
+    setItems(items);
+    setError(null);
+    try {
+      await contentAPI.reorder({
+        type: contentTypes[type].reorderType,
+        parentId,
+        ids: items.map(i => i.id),
+      });
+    } catch (err) {
+      setItems(previous);
+      setError(err.response?.data?.error || 'Failed to save the new order');
     }
-    setLessonForm(prev => ({ ...prev, topic_id: '' }));
   };
 
   if (loading) {
@@ -168,12 +239,48 @@ export default function AddTopic() {
     );
   }
 
-  const inputClass = 'w-full bg-surface-900 border border-surface-700/50 rounded-lg px-3.5 py-2.5 text-white text-sm placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors';
-  const selectClass = inputClass + ' appearance-none cursor-pointer';
-  const labelClass = 'block text-sm font-medium text-surface-300 mb-1.5';
+  const renderEditor = () => {
+    if (!editor) return null;
+    const { type, item } = editor;
+    const formKey = `${type}-${item?.id ?? 'new'}-${item?.updated_at ?? ''}`;
+    const formProps = {
+      submitting,
+      onSubmit: handleSave,
+      onCancel: () => setEditor(null),
+    };
+
+    return (
+      <div className="bg-surface-900 rounded-xl border border-accent-500/20 p-5 lg:p-6 mb-6 animate-fade-in">
+        <h2 className="text-sm font-semibold text-white mb-4">
+          {item ? `Edit ${contentTypes[type].label.toLowerCase()}` : `New ${contentTypes[type].label.toLowerCase()}`}
+        </h2>
+        {type === 'topic' && (
+          <TopicForm key={formKey} {...formProps} topic={item} categories={categories} categoryId={categoryId} />
+        )}
+        {type === 'lesson' && (
+          <LessonForm key={formKey} {...formProps} lesson={item} topics={topics} topicId={selectedTopic?.id} />
+        )}
+        {type === 'lesson' && item && (
+          <div className="mt-6 pt-5 border-t border-surface-700/50">
+            <h3 className="flex items-center gap-1.5 text-sm font-semibold text-white mb-3">
+              <History className="w-4 h-4 text-accent-400" />
+              History
+            </h3>
+            <LessonHistory lessonId={item.id} updatedAt={item.updated_at} onRestored={handleRestored} />
+          </div>
+        )}
+        {type === 'example' && (
+          <ExampleForm key={formKey} {...formProps} example={item} lessonId={selectedLesson?.id} />
+        )}
+        {type === 'question' && (
+          <QuestionForm key={formKey} {...formProps} question={item} lessonId={selectedLesson?.id} />
+        )}
+      </div>
+    );
+  };
 
   return (
-    <div className="max-w-2xl mx-auto animate-fade-in">
+    <div className="max-w-6xl mx-auto animate-fade-in">
       {/* Header */}
       <div className="mb-6">
         <button
@@ -184,43 +291,35 @@ export default function AddTopic() {
           Go Back
         </button>
 
-        <div className="flex items-center gap-3">
-          <div className="w-9 h-9 rounded-lg bg-accent-500/10 flex items-center justify-center">
-            <Plus className="w-4.5 h-4.5 text-accent-400" />
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="w-9 h-9 rounded-lg bg-accent-500/10 flex items-center justify-center">
+              <FolderCog className="w-4.5 h-4.5 text-accent-400" />
+            </div>
+            <div>
+              <h1 className="text-xl font-semibold text-white">Content Manager</h1>
+              <p className="text-surface-400 text-xs mt-0.5">
+                Create, edit and delete content. Drag items to change their order.
+              </p>
+            </div>
           </div>
-          <div>
-            <h1 className="text-xl font-semibold text-white">Add New Content</h1>
-            <p className="text-surface-400 text-xs mt-0.5">Contribute a new topic or lesson</p>
+
+          <div className="relative sm:w-64">
+            <select
+              value={categoryId}
+              onChange={(e) => selectCategory(e.target.value)}
+              className={selectClass}
+            >
+              <option value="">Select a category...</option>
+              {categories.map(cat => (
+                <option key={cat.id} value={cat.id}>{cat.name}</option>
+              ))}
+            </select>
+            <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
           </div>
         </div>
       </div>
 
-      {/* Tabs */}
-      <div className="flex gap-2 mb-6">
-        <button
-          onClick={() => { setActiveTab('topic'); setError(null); setSuccess(null); }}
-          className={`flex items-center gap-1.5 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-            activeTab === 'topic'
-              ? 'bg-accent-500/10 text-accent-400 border border-accent-500/20'
-              : 'bg-surface-900 text-surface-400 border border-surface-700/50 hover:text-surface-200'
-          }`}
-        >
-          <Layers className="w-4 h-4" />
-          Add Topic
-        </button>
-        <button
-          onClick={() => { setActiveTab('lesson'); setError(null); setSuccess(null); }}
-          className={`flex items-center gap-1.5 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-            activeTab === 'lesson'
-              ? 'bg-accent-500/10 text-accent-400 border border-accent-500/20'
-              : 'bg-surface-900 text-surface-400 border border-surface-700/50 hover:text-surface-200'
-          }`}
-        >
-          <FileText className="w-4 h-4" />
-          Add Lesson
-        </button>
-      </div>
-
       {/* Notifications */}
       {success && (
         <div className="mb-5 p-3.5 rounded-lg bg-emerald-500/8 border border-emerald-500/20 flex items-start gap-2.5 animate-fade-in">
@@ -242,258 +341,79 @@ export default function AddTopic() {
         </div>
       )}
 
-      {/* Topic Form */}
-      {activeTab === 'topic' && (
-        <form onSubmit={handleTopicSubmit} className="space-y-5 animate-fade-in">
-          <div className="bg-surface-900 rounded-xl border border-surface-700/50 p-5 lg:p-6 space-y-4">
-            <h2 className="text-sm font-semibold text-white mb-1">Topic Details</h2>
-
-            <div>
-              <label className={labelClass}>Category <span className="text-red-400">*</span></label>
-              <div className="relative">
-                <select
-                  value={topicForm.category_id}
-                  onChange={(e) => setTopicForm(prev => ({ ...prev, category_id: e.target.value }))}
-                  required
-                  className={selectClass}
-                >
-                  <option value="">Select a category...</option>
-                  {categories.map(cat => (
-                    <option key={cat.id} value={cat.id}>{cat.name}</option>
-                  ))}
-                </select>
-                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
-              </div>
-            </div>
-
-            <div>
-              <label className={labelClass}>Topic Name <span className="text-red-400">*</span></label>
-              <input
-                type="text"
-                value={topicForm.name}
-                onChange={(e) => setTopicForm(prev => ({ ...prev, name: e.target.value }))}
-                required
-                placeholder="e.g., React Performance Optimization"
-                className={inputClass}
-              />
-            </div>
-
-            <div>
-              <label className={labelClass}>Description</label>
-              <textarea
-                value={topicForm.description}
-                onChange={(e) => setTopicForm(prev => ({ ...prev, description: e.target.value }))}
-                rows={3}
-                placeholder="Brief description of what this topic covers..."
-                className={inputClass + ' resize-none'}
-              />
-            </div>
-
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <div>
-                <label className={labelClass}>Difficulty Level</label>
-                <div className="flex flex-wrap gap-1.5">
-                  {difficultyOptions.map(opt => (
-                    <button
-                      key={opt.value}
-                      type="button"
-                      onClick={() => setTopicForm(prev => ({ ...prev, difficulty_level: opt.value }))}
-                      className={`px-2.5 py-1 rounded text-[11px] font-medium border transition-colors ${
-                        topicForm.difficulty_level === opt.value
-                          ? opt.color
-                          : 'bg-surface-800 text-surface-500 border-surface-700/50 hover:text-surface-300'
-                      }`}
-                    >
-                      {opt.label}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
-              <div>
-                <label className={labelClass}>Estimated Time (min)</label>
-                <input
-                  type="number"
-                  value={topicForm.estimated_time}
-                  onChange={(e) => setTopicForm(prev => ({ ...prev, estimated_time: e.target.value }))}
-                  placeholder="e.g., 60"
-                  min="1"
-                  className={inputClass}
-                />
-              </div>
-            </div>
-          </div>
+      {renderEditor()}
 
-          <button
-            type="submit"
-            disabled={submitting}
-            className="w-full flex items-center justify-center gap-2 px-5 py-2.5 bg-accent-500 hover:bg-accent-600 disabled:opacity-50 text-white text-sm font-medium rounded-lg transition-colors"
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <Column
+          title="Topics"
+          icon={Layers}
+          onNew={() => setEditor({ type: 'topic', item: null })}
+          newDisabled={!categoryId}
+        >
+          <SortableList
+            items={topics}
+            selectedId={selectedTopic?.id}
+            onSelect={selectTopic}
+            onEdit={(topic) => setEditor({ type: 'topic', item: topic })}
+            onDelete={(topic) => handleDelete('topic', topic)}
+            onReorder={(items) => handleReorder('topic', parseInt(categoryId), items, topics, setTopics)}
+            renderLabel={(topic) => topic.name}
+            emptyText={categoryId ? 'No topics yet' : 'Select a category to see its topics'}
+          />
+        </Column>
+
+        <Column
+          title="Lessons"
+          icon={FileText}
+          onNew={() => setEditor({ type: 'lesson', item: null })}
+          newDisabled={!selectedTopic}
+        >
+          <SortableList
+            items={lessons}
+            selectedId={selectedLesson?.id}
+            onSelect={selectLesson}
+            onEdit={editLesson}
+            onDelete={(lesson) => handleDelete('lesson', lesson)}
+            onReorder={(items) => handleReorder('lesson', selectedTopic.id, items, lessons, setLessons)}
+            renderLabel={(lesson) => lesson.title}
+            emptyText={selectedTopic ? 'No lessons yet' : 'Select a topic to see its lessons'}
+          />
+        </Column>
+
+        <div className="space-y-4">
+          <Column
+            title="Code Examples"
+            icon={Code}
+            onNew={() => setEditor({ type: 'example', item: null })}
+            newDisabled={!selectedLesson}
           >
-            {submitting ? (
-              <>
-                <div className="w-3.5 h-3.5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                Creating...
-              </>
-            ) : (
-              <>
-                <Plus className="w-4 h-4" />
-                Create Topic
-              </>
-            )}
-          </button>
-        </form>
-      )}
-
-      {/* Lesson Form */}
-      {activeTab === 'lesson' && (
-        <form onSubmit={handleLessonSubmit} className="space-y-5 animate-fade-in">
-          <div className="bg-surface-900 rounded-xl border border-surface-700/50 p-5 lg:p-6 space-y-4">
-            <h2 className="text-sm font-semibold text-white mb-1">Lesson Details</h2>
-
-            <div>
-              <label className={labelClass}>Category <span className="text-red-400">*</span></label>
-              <div className="relative">
-                <select
-                  onChange={(e) => handleLessonCategoryChange(e.target.value)}
-                  required
-                  className={selectClass}
-                >
-                  <option value="">Select a category first...</option>
-                  {categories.map(cat => (
-                    <option key={cat.id} value={cat.id}>{cat.name}</option>
-                  ))}
-                </select>
-                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
-              </div>
-            </div>
-
-            <div>
-              <label className={labelClass}>Topic <span className="text-red-400">*</span></label>
-              <div className="relative">
-                <select
-                  value={lessonForm.topic_id}
-                  onChange={(e) => setLessonForm(prev => ({ ...prev, topic_id: e.target.value }))}
-                  required
-                  disabled={topicsLoading || topics.length === 0}
-                  className={selectClass + ' disabled:opacity-50 disabled:cursor-not-allowed'}
-                >
-                  <option value="">
-                    {topicsLoading ? 'Loading topics...' : topics.length === 0 ? 'Select a category first' : 'Select a topic...'}
-                  </option>
-                  {topics.map(topic => (
-                    <option key={topic.id} value={topic.id}>{topic.name}</option>
-                  ))}
-                </select>
-                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
-              </div>
-            </div>
-
-            <div>
-              <label className={labelClass}>Lesson Title <span className="text-red-400">*</span></label>
-              <input
-                type="text"
-                value={lessonForm.title}
-                onChange={(e) => setLessonForm(prev => ({ ...prev, title: e.target.value }))}
-                required
-                placeholder="e.g., Understanding React.memo and useMemo"
-                className={inputClass}
-              />
-            </div>
-
-            <div>
-              <label className={labelClass}>Summary</label>
-              <input
-                type="text"
-                value={lessonForm.summary}
-                onChange={(e) => setLessonForm(prev => ({ ...prev, summary: e.target.value }))}
-                placeholder="One-line summary of this lesson"
-                className={inputClass}
-              />
-            </div>
-
-            <div>
-              <label className={labelClass}>
-                Content <span className="text-red-400">*</span>
-                <span className="text-surface-500 font-normal ml-1.5">(Markdown supported)</span>
-              </label>
-              <textarea
-                value={lessonForm.content}
-                onChange={(e) => setLessonForm(prev => ({ ...prev, content: e.target.value }))}
-                required
-                rows={10}
-                placeholder="Write the lesson content here. Markdown is supported..."
-                className={inputClass + ' resize-y font-mono'}
-              />
-            </div>
-
-            <div>
-              <label className={labelClass}>
-                Key Points
-                <span className="text-surface-500 font-normal ml-1.5">(one per line)</span>
-              </label>
-              <textarea
-                value={lessonForm.key_points}
-                onChange={(e) => setLessonForm(prev => ({ ...prev, key_points: e.target.value }))}
-                rows={4}
-                placeholder={"Key takeaway point 1\nKey takeaway point 2\nKey takeaway point 3"}
-                className={inputClass + ' resize-none'}
-              />
-            </div>
-
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <div>
-                <label className={labelClass}>Difficulty Level</label>
-                <div className="flex flex-wrap gap-1.5">
-                  {difficultyOptions.map(opt => (
-                    <button
-                      key={opt.value}
-                      type="button"
-                      onClick={() => setLessonForm(prev => ({ ...prev, difficulty_level: opt.value }))}
-                      className={`px-2.5 py-1 rounded text-[11px] font-medium border transition-colors ${
-                        lessonForm.difficulty_level === opt.value
-                          ? opt.color
-                          : 'bg-surface-800 text-surface-500 border-surface-700/50 hover:text-surface-300'
-                      }`}
-                    >
-                      {opt.label}
-                    </button>
-                  ))}
-                </div>
-              </div>
-
-              <div>
-                <label className={labelClass}>Estimated Time (min)</label>
-                <input
-                  type="number"
-                  value={lessonForm.estimated_time}
-                  onChange={(e) => setLessonForm(prev => ({ ...prev, estimated_time: e.target.value }))}
-                  placeholder="e.g., 15"
-                  min="1"
-                  className={inputClass}
-                />
-              </div>
-            </div>
-          </div>
-
-          <button
-            type="submit"
-            disabled={submitting}
-            className="w-full flex items-center justify-center gap-2 px-5 py-2.5 bg-accent-500 hover:bg-accent-600 disabled:opacity-50 text-white text-sm font-medium rounded-lg transition-colors"
+            <SortableList
+              items={examples}
+              onEdit={(example) => setEditor({ type: 'example', item: example })}
+              onDelete={(example) => handleDelete('example', example)}
+              onReorder={(items) => handleReorder('example', selectedLesson.id, items, examples, setExamples)}
+              renderLabel={(example) => example.title}
+              emptyText={selectedLesson ? 'No code examples yet' : 'Select a lesson to see its examples'}
+            />
+          </Column>
+
+          <Column
+            title="Quiz Questions"
+            icon={HelpCircle}
+            onNew={() => setEditor({ type: 'question', item: null })}
+            newDisabled={!selectedLesson}
           >
-            {submitting ? (
-              <>
-                <div className="w-3.5 h-3.5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                Creating...
-              </>
-            ) : (
-              <>
-                <Plus className="w-4 h-4" />
-                Create Lesson
-              </>
-            )}
-          </button>
-        </form>
-      )}
+            <SortableList
+              items={questions}
+              onEdit={(question) => setEditor({ type: 'question', item: question })}
+              onDelete={(question) => handleDelete('question', question)}
+              onReorder={(items) => handleReorder('question', selectedLesson.id, items, questions, setQuestions)}
+              renderLabel={(question) => question.question_text}
+              emptyText={selectedLesson ? 'No quiz questions yet' : 'Select a lesson to see its questions'}
+            />
+          </Column>
+        </div>
+      </div>
     </div>
   );
 }
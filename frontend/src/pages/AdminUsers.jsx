@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { userAPI } from '../services/api';
+import { useAuthStore } from '../store/store';
+import { Users, AlertCircle, ChevronDown } from 'lucide-react';
+
+const roleOptions = ['learner', 'author', 'admin'];
+
+const roleStyles = {
+  learner: 'bg-surface-700 text-surface-300',
+  author: 'bg-accent-500/10 text-accent-400',
+  admin: 'bg-amber-500/10 text-amber-400',
+};
+
+export default function AdminUsers() {
+  const currentUser = useAuthStore((state) => state.user);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await userAPI.getAll();
+      setUsers(response.data.users);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRoleChange = async (userId, role) => {
+    setSavingId(userId);
+    setError(null);
+    try {
+      const response = await userAPI.updateRole(userId, role);
+      setUsers((prev) => prev.map((u) => (u.id === userId ? { ...u, ...response.data.user } : u)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update role');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="w-9 h-9 rounded-lg bg-accent-500/10 flex items-center justify-center">
+          <Users className="w-4.5 h-4.5 text-accent-400" />
+        </div>
+        <div>
+          <h1 className="text-xl font-semibold text-white">Users</h1>
+          <p className="text-surface-400 text-xs mt-0.5">Authors can add content, admins can also manage roles</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-5 p-3.5 rounded-lg bg-red-500/8 border border-red-500/20 flex items-start gap-2.5 animate-fade-in">
+          <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+          <p className="text-red-300 text-sm flex-1">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-surface-900 rounded-xl border border-surface-700/50 divide-y divide-surface-700/50">
+        {users.map((u) => (
+          <div key={u.id} className="flex items-center justify-between p-4">
+            <div>
+              <p className="text-sm font-medium text-white">
+                {u.username}
+                <span className={`ml-2 px-2 py-0.5 rounded text-[11px] font-medium ${roleStyles[u.role]}`}>
+                  {u.role}
+                </span>
+              </p>
+              <p className="text-xs text-surface-400 mt-0.5">{u.email}</p>
+            </div>
+            <div className="relative">
+              <select
+                value={u.role}
+                disabled={savingId === u.id || u.id === currentUser?.id}
+                onChange={(e) => handleRoleChange(u.id, e.target.value)}
+                className="bg-surface-800 border border-surface-700/50 rounded-lg pl-3 pr-8 py-1.5 text-white text-sm appearance-none cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {roleOptions.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <ChevronDown className="absolute right-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
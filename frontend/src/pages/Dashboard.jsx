@@ -2,15 +2,18 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { progressAPI } from '../services/api';
 import { useAuthStore } from '../store/store';
-import { BookOpen, Trophy, Clock, TrendingUp } from 'lucide-react';
+import ActivityHeatmap from '../components/ActivityHeatmap';
+import { BookOpen, Trophy, Clock, TrendingUp, Flame, Target } from 'lucide-react';
 
 export default function Dashboard() {
   const user = useAuthStore((state) => state.user);
   const [overview, setOverview] = useState(null);
+  const [activity, setActivity] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchOverview();
+    fetchActivity();
   }, []);
 
   const fetchOverview = async () => {
@@ -24,6 +27,16 @@ export default function Dashboard() {
     }
   };
 
+  // The last year of daily activity, with streaks and today's goal
+  const fetchActivity = async () => {
+    try {
+      const response = await progressAPI.getActivity();
+      setActivity(response.data);
+    } catch (error) {
+      console.error('Failed to fetch activity:', error);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-[400px]">
@@ -85,6 +98,59 @@ export default function Dashboard() {
         ))}
       </div>
 
+      {/* Streak and Activity */}
+      {activity && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-3 mb-8">
+          <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 space-y-5">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <Flame className={`w-5 h-5 ${activity.streak.current > 0 ? 'text-orange-400' : 'text-surface-600'}`} />
+                <span className="text-2xl font-semibold text-white">{activity.streak.current}</span>
+                <span className="text-sm text-surface-400">day streak</span>
+              </div>
+              <p className="text-xs text-surface-500">Longest: {activity.streak.longest} days</p>
+            </div>
+
+            <div>
+              <div className="flex items-center gap-2 mb-2">
+                <Target className="w-4 h-4 text-accent-400" />
+                <span className="text-sm font-medium text-surface-200">Today&apos;s goal</span>
+              </div>
+              {activity.goal.target ? (
+                <>
+                  <div className="w-full bg-surface-800 rounded-full h-2 mb-1.5">
+                    <div
+                      className={`h-2 rounded-full transition-all duration-500 ${activity.goal.met ? 'bg-emerald-500' : 'bg-accent-500'}`}
+                      style={{ width: `${Math.min(100, (activity.goal.progress / activity.goal.target) * 100)}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-surface-400">
+                    {activity.goal.progress} of {activity.goal.target} {activity.goal.type === 'lessons' ? 'lessons' : 'minutes'}
+                  </p>
+                </>
+              ) : (
+                <p className="text-xs text-surface-500">
+                  <Link to="/settings" className="text-accent-400 hover:text-accent-300">Set a daily goal</Link> to keep your streak going
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="lg:col-span-3 bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+            <div className="flex justify-between items-baseline mb-4">
+              <h2 className="text-lg font-semibold text-white">Activity</h2>
+              <span className="text-xs text-surface-500">{activity.timezone}</span>
+            </div>
+            <ActivityHeatmap
+              from={activity.from}
+              to={activity.to}
+              days={activity.days}
+              hasGoal={!!activity.goal.target}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Category Progress */}
       <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 mb-8">
         <h2 className="text-lg font-semibold text-white mb-5">Category Progress</h2>
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Mail, AlertCircle, CheckCircle } from 'lucide-react';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to send reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-20">
+      <div className="text-center mb-8">
+        <h1 className="text-2xl font-semibold text-white mb-1">Forgot Password</h1>
+        <p className="text-surface-400 text-sm">We&apos;ll email you a link to choose a new one</p>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        {sent ? (
+          <div className="flex items-start gap-2">
+            <CheckCircle className="w-4 h-4 text-emerald-400 flex-shrink-0 mt-0.5" />
+            <p className="text-surface-300 text-sm">
+              If an account exists for <span className="text-white">{email}</span>, a reset link is on its way.
+              The link expires in an hour.
+            </p>
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3 mb-5 flex items-start gap-2">
+                <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                <span className="text-red-400 text-sm">{error}</span>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-surface-300 mb-1.5">Email</label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500" />
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => { setEmail(e.target.value); setError(''); }}
+                    required
+                    className="w-full bg-surface-950 border border-surface-700/50 rounded-lg pl-10 pr-4 py-2.5 text-sm text-white placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors"
+                    placeholder="you@example.com"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-accent-500 hover:bg-accent-600 text-white py-2.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          </>
+        )}
+
+        <p className="text-center text-surface-400 text-sm mt-5">
+          Remembered it?{' '}
+          <Link to="/login" className="text-accent-400 hover:text-accent-300 font-medium">
+            Log in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { quizAPI } from '../services/api';
+import CodeEditor from '../components/CodeEditor';
+import QuestionInput, { emptyAnswer, formatAnswer, hasAnswer } from '../components/QuestionInput';
+import {
+  Timer, ChevronLeft, ChevronRight, Flag, CheckCircle, XCircle, ArrowLeft, Save,
+} from 'lucide-react';
+
+const formatClock = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+// Single-choice answers are saved as soon as they are picked; answers that
+// take several steps are drafted and saved with the Save Answer button
+const SAVED_ON_CHANGE = ['multiple_choice', 'true_false'];
+const DRAFTED_TYPES = ['multiple_select', 'ordering', 'fill_blank', 'short_answer'];
+
+export default function InterviewSession() {
+  const { sessionId } = useParams();
+
+  const [session, setSession] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [breakdown, setBreakdown] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [finishing, setFinishing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Absolute deadline derived from the server's remaining time
+  const deadlineRef = useRef(null);
+
+  useEffect(() => {
+    fetchSession();
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!session || session.status !== 'active') return undefined;
+
+    let interval;
+    const tick = () => {
+      const left = Math.max(0, Math.round((deadlineRef.current - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) {
+        clearInterval(interval);
+        handleFinish();
+      }
+    };
+
+    interval = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(interval);
+  }, [session?.status]);
+
+  const applySession = (data) => {
+    setSession(data.session);
+    setQuestions(data.questions || []);
+    setBreakdown(data.breakdown || []);
+    setAnswers(
+      (data.questions || []).reduce((acc, q) => {
+        if (q.user_answer !== null) acc[q.id] = q.user_answer;
+        return acc;
+      }, {})
+    );
+    deadlineRef.current = Date.now() + data.session.remaining_seconds * 1000;
+    setSecondsLeft(data.session.remaining_seconds);
+  };
+
+  const fetchSession = async () => {
+    setLoading(true);
+    try {
+      const response = await quizAPI.getSession(sessionId);
+      applySession(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load session');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAnswer = async (questionId, userAnswer) => {
+    setAnswers((prev) => ({ ...prev, [questionId]: userAnswer }));
+    try {
+      await quizAPI.answerSession(sessionId, { questionId, userAnswer });
+    } catch (err) {
+      if (err.response?.status === 409) {
+        fetchSession();
+        return;
+      }
+      console.error('Failed to save answer:', err);
+    }
+  };
+
+  const saveButton = (question) => (
+    <button
+      onClick={() => handleAnswer(question.id, drafts[question.id])}
+      disabled={drafts[question.id] === undefined || drafts[question.id] === answers[question.id] ||
+        !hasAnswer(question, drafts[question.id])}
+      className="mt-3 flex items-center gap-1.5 bg-accent-500 hover:bg-accent-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+    >
+      <Save className="w-3.5 h-3.5" />
+      {answers[question.id] !== undefined && drafts[question.id] === answers[question.id] ? 'Saved' : 'Save Answer'}
+    </button>
+  );
+
+  const handleFinish = async () => {
+    if (finishing) return;
+    setFinishing(true);
+    try {
+      const response = await quizAPI.finishSession(sessionId);
+      applySession(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to finish session');
+    } finally {
+      setFinishing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-surface-950 flex justify-center items-center">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  if (error || !session) {
+    return (
+      <div className="min-h-screen bg-surface-950 flex flex-col justify-center items-center gap-4">
+        <p className="text-red-400 text-sm">{error || 'Session not found'}</p>
+        <Link to="/interview" className="text-accent-400 hover:text-accent-300 text-sm">
+          Start a new session
+        </Link>
+      </div>
+    );
+  }
+
+  // ── Results ────────────────────────────────────────────────────────
+  if (session.status === 'finished') {
+    const percentage = session.max_score > 0 ? Math.round((session.score / session.max_score) * 100) : 0;
+
+    return (
+      <div className="min-h-screen bg-surface-950 overflow-y-auto">
+        <div className="max-w-3xl mx-auto px-4 py-10 animate-fade-in">
+          <Link
+            to="/interview"
+            className="inline-flex items-center gap-1 text-xs text-accent-400 hover:text-accent-300 mb-4 transition-colors"
+          >
+            <ArrowLeft className="w-3.5 h-3.5" />
+            New Session
+          </Link>
+
+          <h1 className="text-2xl font-semibold text-white mb-1">Session Results</h1>
+          <p className="text-surface-400 text-sm mb-8">
+            {session.category_name}
+            {session.difficulty_level && ` · ${session.difficulty_level}`}
+            {' · '}{Math.round(session.duration_seconds / 60)} minutes
+          </p>
+
+          <div className="grid grid-cols-3 gap-3 mb-8">
+            <div className="bg-surface-900 p-5 rounded-xl border border-surface-700/50">
+              <p className="text-surface-400 text-xs mb-1">Score</p>
+              <p className="text-2xl font-semibold text-white">{session.score}/{session.max_score}</p>
+            </div>
+            <div className="bg-surface-900 p-5 rounded-xl border border-surface-700/50">
+              <p className="text-surface-400 text-xs mb-1">Percentage</p>
+              <p className="text-2xl font-semibold text-white">{percentage}%</p>
+            </div>
+            <div className="bg-surface-900 p-5 rounded-xl border border-surface-700/50">
+              <p className="text-surface-400 text-xs mb-1">Answered</p>
+              <p className="text-2xl font-semibold text-white">
+                {questions.filter(q => q.user_answer !== null).length}/{questions.length}
+              </p>
+            </div>
+          </div>
+
+          <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 mb-8">
+            <h2 className="text-lg font-semibold text-white mb-5">By Topic</h2>
+            <div className="space-y-5">
+              {breakdown.map((topic) => (
+                <div key={topic.topic_id}>
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-sm font-medium text-surface-200">{topic.topic_name}</h3>
+                    <span className="text-xs text-surface-400">
+                      {topic.correct}/{topic.total_questions} correct &middot; {topic.points_earned}/{topic.max_points} pts
+                    </span>
+                  </div>
+                  <div className="w-full bg-surface-800 rounded-full h-2">
+                    <div
+                      className="bg-accent-500 h-2 rounded-full transition-all duration-500"
+                      style={{ width: `${topic.accuracy_percentage}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            {questions.map((question, index) => (
+              <div key={question.id} className="bg-surface-900 p-5 rounded-lg border border-surface-700/50">
+                <div className="flex items-start gap-2.5 mb-2">
+                  {question.is_correct ? (
+                    <CheckCircle className="w-4 h-4 text-emerald-400 flex-shrink-0 mt-0.5" />
+                  ) : (
+                    <XCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                  )}
+                  <h3 className="text-sm font-semibold text-white">
+                    Q{index + 1}: {question.question_text}
+                  </h3>
+                </div>
+                <p className="text-xs text-surface-500 mb-2 ml-6">
+                  {question.topic_name} &middot;{' '}
+                  <Link to={`/lesson/${question.lesson_slug}`} className="hover:text-accent-400 transition-colors">
+                    {question.lesson_title}
+                  </Link>
+                </p>
+                <div className="ml-6 text-sm space-y-1">
+                  {question.question_type === 'code_challenge' ? (
+                    <>
+                      <p className="text-surface-300">Your solution:</p>
+                      <pre className="text-xs text-surface-200 whitespace-pre-wrap">
+                        {question.user_answer ?? 'not answered'}
+                      </pre>
+                      {!question.is_correct && question.answer_revealed && (
+                        <>
+                          <p className="text-white">Reference solution:</p>
+                          <pre className="text-xs text-surface-200 whitespace-pre-wrap">{question.correct_answer}</pre>
+                        </>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-surface-300">Your answer: {formatAnswer(question.user_answer) ?? <em className="text-surface-500">not answered</em>}</p>
+                      {!question.is_correct && question.answer_revealed && (
+                        <p className="text-white">Correct answer: {question.correct_answer}</p>
+                      )}
+                    </>
+                  )}
+                  {question.explanation && (
+                    <p className="text-surface-400">{question.explanation}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // ── Running session ────────────────────────────────────────────────
+  const question = questions[currentIndex];
+  const answeredCount = Object.keys(answers).length;
+  const lowTime = secondsLeft <= 60;
+
+  return (
+    <div className="min-h-screen bg-surface-950 flex flex-col">
+      <header className="border-b border-surface-700/50 bg-surface-950/90">
+        <div className="max-w-4xl mx-auto px-4 h-14 flex items-center justify-between">
+          <div className="text-sm text-surface-300">
+            <span className="font-semibold text-white">{session.category_name}</span>
+            <span className="text-surface-500"> &middot; {answeredCount}/{questions.length} answered</span>
+          </div>
+          <div className={`flex items-center gap-1.5 font-mono text-lg ${lowTime ? 'text-red-400' : 'text-white'}`}>
+            <Timer className="w-4 h-4" />
+            {formatClock(secondsLeft)}
+          </div>
+          <button
+            onClick={handleFinish}
+            disabled={finishing}
+            className="flex items-center gap-1.5 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white px-4 py-1.5 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Flag className="w-4 h-4" />
+            {finishing ? 'Finishing...' : 'Finish'}
+          </button>
+        </div>
+      </header>
+
+      <main className="flex-1 max-w-4xl w-full mx-auto px-4 py-8">
+        <div className="flex flex-wrap gap-1.5 mb-6">
+          {questions.map((q, index) => (
+            <button
+              key={q.id}
+              onClick={() => setCurrentIndex(index)}
+              className={`w-8 h-8 rounded-lg text-xs font-mono border transition-colors ${
+                index === currentIndex
+                  ? 'bg-accent-500 text-white border-accent-500'
+                  : answers[q.id] !== undefined
+                  ? 'bg-accent-500/10 text-accent-300 border-accent-500/20'
+                  : 'bg-surface-900 text-surface-400 border-surface-700/50 hover:text-white'
+              }`}
+            >
+              {index + 1}
+            </button>
+          ))}
+        </div>
+
+        {question && (
+          <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 animate-fade-in">
+            <p className="text-xs text-surface-500 mb-3">{question.topic_name}</p>
+            <h2 className="text-base font-semibold text-white mb-5">
+              Q{currentIndex + 1}: {question.question_text}
+            </h2>
+
+            {question.question_type === 'code_challenge' && (
+              <div>
+                <CodeEditor
+                  value={drafts[question.id] ?? answers[question.id] ?? question.starter_code ?? ''}
+                  onChange={(code) => setDrafts((prev) => ({ ...prev, [question.id]: code }))}
+                  height={340}
+                />
+                {saveButton(question)}
+              </div>
+            )}
+
+            {SAVED_ON_CHANGE.includes(question.question_type) && (
+              <QuestionInput
+                question={question}
+                value={answers[question.id] ?? ''}
+                onChange={(answer) => handleAnswer(question.id, answer)}
+                inset
+              />
+            )}
+
+            {DRAFTED_TYPES.includes(question.question_type) && (
+              <div>
+                <QuestionInput
+                  question={question}
+                  value={drafts[question.id] ?? answers[question.id] ?? emptyAnswer(question)}
+                  onChange={(answer) => setDrafts((prev) => ({ ...prev, [question.id]: answer }))}
+                  inset
+                />
+                {saveButton(question)}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-between">
+          <button
+            onClick={() => setCurrentIndex(currentIndex - 1)}
+            disabled={currentIndex === 0}
+            className="flex items-center gap-2 px-4 py-2.5 bg-surface-900 hover:bg-surface-800 text-surface-300 hover:text-white rounded-lg transition-colors border border-surface-700/50 text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <ChevronLeft className="w-4 h-4" />
+            Previous
+          </button>
+          <button
+            onClick={() => setCurrentIndex(currentIndex + 1)}
+            disabled={currentIndex >= questions.length - 1}
+            className="flex items-center gap-2 px-4 py-2.5 bg-accent-500 hover:bg-accent-600 text-white rounded-lg transition-colors text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { categoryAPI } from '../services/api';
+import { useAuthStore } from '../store/store';
+import { ChevronLeft, CheckCircle, Lock, Target, Workflow } from 'lucide-react';
+
+const NODE_WIDTH = 208;
+const NODE_HEIGHT = 64;
+const COLUMN_GAP = 56;
+const ROW_GAP = 16;
+
+const nodeStyles = {
+  completed: 'bg-emerald-500/10 border-emerald-500/30 hover:border-emerald-400/60',
+  in_progress: 'bg-accent-500/10 border-accent-500/30 hover:border-accent-400/60',
+  ready: 'bg-surface-800 border-surface-500/60 hover:border-accent-400/60',
+  locked: 'bg-surface-900 border-surface-700/50 opacity-60 hover:opacity-100',
+  neutral: 'bg-surface-800 border-surface-700/60 hover:border-accent-400/60',
+};
+
+const legend = [
+  { key: 'completed', label: 'Completed' },
+  { key: 'in_progress', label: 'In progress' },
+  { key: 'ready', label: 'Ready to start' },
+  { key: 'locked', label: 'Prerequisites missing' },
+];
+
+// Lay the lessons that have prerequisite edges out in columns by depth.
+// Each column is ordered by the average row of its lessons' prerequisites
+// so that edges cross less; ties keep the API's learning order.
+function layoutGraph(nodes, edges) {
+  const linked = new Set(edges.flatMap((edge) => [edge.from, edge.to]));
+  const prerequisitesOf = new Map();
+  for (const edge of edges) {
+    prerequisitesOf.set(edge.to, [...(prerequisitesOf.get(edge.to) || []), edge.from]);
+  }
+
+  const columns = [];
+  for (const node of nodes) {
+    if (!linked.has(node.id)) continue;
+    (columns[node.depth] ||= []).push(node);
+  }
+
+  const row = new Map();
+  const averageRow = (node) => {
+    const rows = (prerequisitesOf.get(node.id) || []).map((id) => row.get(id));
+    return rows.reduce((sum, r) => sum + r, 0) / rows.length;
+  };
+
+  const positions = new Map();
+  columns.forEach((column, depth) => {
+    if (depth > 0) column.sort((a, b) => averageRow(a) - averageRow(b));
+    column.forEach((node, index) => {
+      row.set(node.id, index);
+      positions.set(node.id, {
+        x: depth * (NODE_WIDTH + COLUMN_GAP),
+        y: index * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  const tallest = Math.max(0, ...Array.from(columns, (column) => column?.length || 0));
+  return {
+    positions,
+    width: Math.max(0, columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP),
+    height: Math.max(0, tallest * (NODE_HEIGHT + ROW_GAP) - ROW_GAP),
+  };
+}
+
+export default function LearningPath() {
+  const { slug } = useParams();
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const [graph, setGraph] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    fetchGraph();
+  }, [slug, isAuthenticated]);
+
+  const fetchGraph = async () => {
+    setLoading(true);
+    try {
+      const response = await categoryAPI.getGraph(slug);
+      setGraph(response.data);
+    } catch (error) {
+      console.error('Failed to fetch learning path:', error);
+      setGraph(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  if (!graph) {
+    return (
+      <div className="text-center py-20">
+        <div className="w-16 h-16 mx-auto mb-5 rounded-xl bg-surface-900 flex items-center justify-center">
+          <Target className="w-8 h-8 text-surface-600" />
+        </div>
+        <h2 className="text-xl font-semibold text-white mb-2">Category Not Found</h2>
+        <Link
+          to="/categories"
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-surface-800 text-surface-300 rounded-lg hover:bg-surface-700 transition-colors border border-surface-700/50"
+        >
+          <ChevronLeft className="w-4 h-4" />
+          Browse Categories
+        </Link>
+      </div>
+    );
+  }
+
+  const { category, nodes, edges } = graph;
+  const { positions, width, height } = layoutGraph(nodes, edges);
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const unlinkedCount = nodes.filter((node) => !positions.has(node.id) && !node.external).length;
+  const hasExternal = nodes.some((node) => node.external);
+
+  const statusOf = (node) => {
+    if (!isAuthenticated) return 'neutral';
+    if (node.status === 'completed' || node.status === 'in_progress') return node.status;
+    const waiting = edges.some((edge) => edge.to === node.id && byId.get(edge.from).status !== 'completed');
+    return waiting ? 'locked' : 'ready';
+  };
+
+  const isHighlighted = (edge) => hovered === edge.from || hovered === edge.to;
+
+  return (
+    <div className="max-w-6xl mx-auto animate-fade-in">
+      <div className="mb-6">
+        <Link
+          to={`/topic/${category.slug}`}
+          className="inline-flex items-center gap-1 text-xs font-medium text-accent-400 hover:text-accent-300 uppercase tracking-wider mb-2 transition-colors"
+        >
+          <ChevronLeft className="w-3 h-3" />
+          {category.name}
+        </Link>
+        <h1 className="text-2xl font-semibold text-white mb-1">Learning Path</h1>
+        <p className="text-surface-400 text-sm">
+          Which lessons build on which. Start from the left; an arrow points from a lesson to the ones that need it.
+        </p>
+      </div>
+
+      {edges.length === 0 ? (
+        <div className="text-center py-16 rounded-xl bg-surface-900/50 border border-surface-700/30 border-dashed">
+          <Workflow className="w-10 h-10 text-surface-700 mx-auto mb-3" />
+          <p className="text-surface-500 text-sm font-medium">No prerequisites in this category yet</p>
+          <p className="text-surface-600 text-xs mt-1">Its lessons can be taken in any order</p>
+        </div>
+      ) : (
+        <>
+          {isAuthenticated && (
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-xs text-surface-400">
+              {legend.map(({ key, label }) => (
+                <span key={key} className="flex items-center gap-1.5">
+                  <span className={`w-3 h-3 rounded border ${nodeStyles[key]}`} />
+                  {label}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 overflow-x-auto sidebar-scroll">
+            <div className="relative" style={{ width, height }}>
+              <svg className="absolute inset-0 overflow-visible" width={width} height={height}>
+                <defs>
+                  <marker id="path-arrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M0,0 L8,4 L0,8 z" className="fill-surface-500" />
+                  </marker>
+                </defs>
+                {edges.map((edge) => {
+                  const from = positions.get(edge.from);
+                  const to = positions.get(edge.to);
+                  const x1 = from.x + NODE_WIDTH;
+                  const y1 = from.y + NODE_HEIGHT / 2;
+                  const x2 = to.x;
+                  const y2 = to.y + NODE_HEIGHT / 2;
+                  return (
+                    <path
+                      key={`${edge.from}-${edge.to}`}
+                      d={`M${x1},${y1} C${x1 + COLUMN_GAP / 2},${y1} ${x2 - COLUMN_GAP / 2},${y2} ${x2},${y2}`}
+                      fill="none"
+                      markerEnd="url(#path-arrow)"
+                      className={`transition-opacity ${
+                        isHighlighted(edge) ? 'stroke-accent-400' : 'stroke-surface-600'
+                      } ${hovered && !isHighlighted(edge) ? 'opacity-30' : ''}`}
+                      strokeWidth={isHighlighted(edge) ? 2 : 1.5}
+                    />
+                  );
+                })}
+              </svg>
+
+              {nodes.filter((node) => positions.has(node.id)).map((node) => {
+                const { x, y } = positions.get(node.id);
+                const status = statusOf(node);
+                return (
+                  <Link
+                    key={node.id}
+                    to={`/lesson/${node.slug}`}
+                    onMouseEnter={() => setHovered(node.id)}
+                    onMouseLeave={() => setHovered(null)}
+                    className={`absolute flex flex-col justify-center px-3 rounded-lg border transition-all ${nodeStyles[status]} ${
+                      node.external ? 'border-dashed' : ''
+                    }`}
+                    style={{ left: x, top: y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                    title={node.title}
+                  >
+                    <span className="flex items-start gap-1.5">
+                      {status === 'completed' && <CheckCircle className="w-3.5 h-3.5 text-emerald-400 flex-shrink-0 mt-0.5" />}
+                      {status === 'locked' && <Lock className="w-3 h-3 text-surface-500 flex-shrink-0 mt-0.5" />}
+                      <span className="text-xs font-medium text-surface-100 leading-snug line-clamp-2">{node.title}</span>
+                    </span>
+                    <span className="text-[10px] text-surface-500 truncate mt-0.5">
+                      {node.external ? `${node.category_name} / ${node.topic_name}` : node.topic_name}
+                    </span>
+                  </Link>
+                );
+              })}
+            </div>
+          </div>
+
+          {(unlinkedCount > 0 || hasExternal) && (
+            <p className="text-xs text-surface-500 mt-3">
+              {unlinkedCount > 0 &&
+                `${unlinkedCount} other lesson${unlinkedCount !== 1 ? 's' : ''} in this category can be taken in any order. `}
+              {hasExternal && 'Lessons with a dashed border are from other categories.'}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,20 @@
-import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import remarkGfm from 'remark-gfm';
-import { lessonAPI, topicAPI, categoryAPI, progressAPI, quizAPI } from '../services/api';
+import { lessonAPI, topicAPI, categoryAPI, progressAPI, quizAPI, bookmarkAPI, playlistAPI } from '../services/api';
 import { useAuthStore } from '../store/store';
+import CodeEditor from '../components/CodeEditor';
+import RunResults from '../components/RunResults';
+import useEngagementTracker from '../hooks/useEngagementTracker';
+import LessonAnnotations from '../components/LessonAnnotations';
+import AddToPlaylist from '../components/AddToPlaylist';
+import QuestionInput, { emptyAnswer, hasAnswer, resultLabel } from '../components/QuestionInput';
 import {
   Clock, BookOpen, Code, CheckCircle, ChevronLeft, ChevronRight,
-  Hash, Menu, X, Zap, Target,
+  Hash, Menu, X, Zap, Target, Play, Award, Bookmark, BookmarkCheck, ListVideo, AlertCircle, Workflow,
 } from 'lucide-react';
 
 const difficultyStyles = {
@@ -42,15 +48,26 @@ const difficultyOrder = ['beginner', 'intermediate', 'advanced', 'expert'];
 
 export default function LessonView() {
   const { slug } = useParams();
+  // Set when the lesson is opened from a playlist: `playlist` for the user's
+  // own, `shared` for a share link
+  const [searchParams] = useSearchParams();
+  const playlistId = searchParams.get('playlist');
+  const sharedToken = searchParams.get('shared');
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
 
   const [lesson, setLesson] = useState(null);
   const [codeExamples, setCodeExamples] = useState([]);
   const [quizQuestions, setQuizQuestions] = useState([]);
   const [navigation, setNavigation] = useState({});
+  const [prerequisites, setPrerequisites] = useState([]);
+  const [playlist, setPlaylist] = useState(null);
   const [activeTab, setActiveTab] = useState('content');
   const [quizAnswers, setQuizAnswers] = useState({});
   const [quizResults, setQuizResults] = useState({});
+  const [quizStatus, setQuizStatus] = useState({});
+  const [exampleCode, setExampleCode] = useState({});
+  const [codeRuns, setCodeRuns] = useState({});
+  const [runningKey, setRunningKey] = useState(null);
 
   const [category, setCategory] = useState(null);
   const [topics, setTopics] = useState([]);
@@ -61,11 +78,29 @@ export default function LessonView() {
     fetchLesson();
   }, [slug]);
 
+  // Reading time and scroll depth drive the lesson's progress
+  const contentRef = useRef(null);
+  useEngagementTracker(lesson?.id, contentRef, {
+    enabled: isAuthenticated,
+    onProgress: (progress) => setLesson((prev) => (
+      prev?.id === progress.lesson_id ? { ...prev, userProgress: progress } : prev
+    )),
+  });
+
+  // The playlist, refetched as the lesson's progress changes so its counts stay current
   useEffect(() => {
-    if (lesson && isAuthenticated) {
-      updateProgress('in_progress', 50);
+    if (!lesson || !((playlistId && isAuthenticated) || sharedToken)) {
+      setPlaylist(null);
+      return;
     }
-  }, [lesson]);
+    const request = playlistId ? playlistAPI.getById(playlistId) : playlistAPI.getShared(sharedToken);
+    request
+      .then((response) => setPlaylist(response.data.playlist))
+      .catch((error) => {
+        console.error('Failed to fetch playlist:', error);
+        setPlaylist(null);
+      });
+  }, [playlistId, sharedToken, lesson?.id, lesson?.userProgress?.status]);
 
   const fetchLesson = async () => {
     setLoading(true);
@@ -76,11 +111,13 @@ export default function LessonView() {
       setCodeExamples(response.data.codeExamples || []);
       setQuizQuestions(response.data.quizQuestions || []);
       setNavigation(response.data.navigation || {});
+      setPrerequisites(response.data.prerequisites || []);
+      if (isAuthenticated) fetchQuizStatus(fetchedLesson.id);
 
       if (fetchedLesson.category_slug) {
         const [catRes, topicsRes] = await Promise.all([
           categoryAPI.getAll(),
-          topicAPI.getAll({ category: fetchedLesson.category_slug }),
+          topicAPI.getAll({ category: fetchedLesson.category_slug, include: 'lessons' }),
         ]);
         const foundCat = catRes.data.categories.find(
           (c) => c.slug === fetchedLesson.category_slug
@@ -95,22 +132,29 @@ export default function LessonView() {
     }
   };
 
-  const updateProgress = async (status, percentage) => {
+  // Attempts left and revealed answers for each question, under the lesson's quiz policy
+  const fetchQuizStatus = async (lessonId) => {
+    try {
+      const response = await quizAPI.getLessonAttempts(lessonId);
+      setQuizStatus(Object.fromEntries(response.data.questions.map((q) => [q.questionId, q])));
+    } catch (error) {
+      console.error('Failed to fetch quiz attempts:', error);
+    }
+  };
+
+  const updateProgress = async (status) => {
     if (!isAuthenticated || !lesson) return;
     try {
-      await progressAPI.updateLesson(lesson.id, {
-        status,
-        progressPercentage: percentage,
-        timeSpent: 5,
-      });
+      await progressAPI.updateLesson(lesson.id, { status });
     } catch (error) {
       console.error('Failed to update progress:', error);
     }
   };
 
-  const handleQuizSubmit = async (questionId) => {
-    const userAnswer = quizAnswers[questionId];
-    if (!userAnswer) return;
+  const handleQuizSubmit = async (question) => {
+    const questionId = question.id;
+    const userAnswer = quizAnswers[questionId] ?? emptyAnswer(question);
+    if (!hasAnswer(question, userAnswer)) return;
     if (!isAuthenticated) {
       alert('Please login to submit quiz answers and track your progress!');
       return;
@@ -118,14 +162,90 @@ export default function LessonView() {
     try {
       const response = await quizAPI.submit({ questionId, userAnswer });
       setQuizResults({ ...quizResults, [questionId]: response.data });
+      setQuizStatus((prev) => ({ ...prev, [questionId]: response.data }));
+      if (response.data.mastery) {
+        setLesson((prev) => ({ ...prev, userProgress: response.data.mastery.progress }));
+      }
     } catch (error) {
+      if (error.response?.status === 403) {
+        setQuizStatus((prev) => ({ ...prev, [questionId]: error.response.data }));
+        return;
+      }
       console.error('Failed to submit quiz:', error);
       alert(error.response?.data?.error || 'Failed to submit quiz');
     }
   };
 
+  const retryQuestion = (questionId) => {
+    setQuizResults((prev) => {
+      const next = { ...prev };
+      delete next[questionId];
+      return next;
+    });
+  };
+
+  // The correct answer and explanation, when the lesson's quiz policy reveals them
+  const revealedAnswer = (question, outcome) => outcome.answerRevealed && (
+    <>
+      {!outcome.isCorrect && (
+        question.question_type === 'code_challenge' ? (
+          <div className="mt-3 mb-1.5">
+            <p className="text-white text-sm mb-1.5">Reference solution:</p>
+            <SyntaxHighlighter
+              language="javascript"
+              style={vscDarkPlus}
+              customStyle={{ margin: 0, background: '#111119' }}
+            >
+              {outcome.correctAnswer}
+            </SyntaxHighlighter>
+          </div>
+        ) : (
+          <p className="text-white text-sm mb-1.5">
+            Correct answer: {outcome.correctAnswer}
+          </p>
+        )
+      )}
+      {outcome.explanation && <p className="text-surface-300 text-sm">{outcome.explanation}</p>}
+    </>
+  );
+
+  const attemptsLeftLabel = (remaining) => `${remaining} attempt${remaining === 1 ? '' : 's'} left`;
+
+  // Run code without grading: visible tests for a challenge, console output for an example
+  const handleRunCode = async (key, code, questionId) => {
+    if (!isAuthenticated) {
+      alert('Please login to run code!');
+      return;
+    }
+    setRunningKey(key);
+    try {
+      const response = await quizAPI.run({ code, questionId });
+      setCodeRuns((prev) => ({ ...prev, [key]: response.data.run }));
+    } catch (error) {
+      console.error('Failed to run code:', error);
+      alert(error.response?.data?.error || 'Failed to run code');
+    } finally {
+      setRunningKey(null);
+    }
+  };
+
+  const toggleBookmark = async () => {
+    const bookmarked = !lesson.bookmarked;
+    setLesson((prev) => ({ ...prev, bookmarked }));
+    try {
+      if (bookmarked) {
+        await bookmarkAPI.add(lesson.id);
+      } else {
+        await bookmarkAPI.remove(lesson.id);
+      }
+    } catch (error) {
+      console.error('Failed to update bookmark:', error);
+      setLesson((prev) => ({ ...prev, bookmarked: !bookmarked }));
+    }
+  };
+
   const markAsComplete = async () => {
-    await updateProgress('completed', 100);
+    await updateProgress('completed');
     fetchLesson();
   };
 
@@ -161,6 +281,17 @@ export default function LessonView() {
     0
   );
 
+  // Prerequisites the user has not completed (all of them when logged out)
+  const pendingPrerequisites = prerequisites.filter((p) => p.status !== 'completed');
+
+  // Previous and next follow the playlist's order while the lesson is in it
+  const playlistIndex = playlist ? playlist.lessons.findIndex((l) => l.id === lesson.id) : -1;
+  const inPlaylist = playlistIndex !== -1;
+  const playlistLink = playlistId ? `/playlists/${playlistId}` : `/playlists/shared/${sharedToken}`;
+  const navigationQuery = !inPlaylist ? '' : playlistId ? `?playlist=${playlistId}` : `?shared=${sharedToken}`;
+  const previousLesson = inPlaylist ? playlist.lessons[playlistIndex - 1] : navigation.previous;
+  const nextLesson = inPlaylist ? playlist.lessons[playlistIndex + 1] : navigation.next;
+
   const tabClasses = (tab) =>
     `flex items-center gap-1.5 px-4 py-2.5 text-sm font-medium transition-colors ${
       activeTab === tab
@@ -382,9 +513,60 @@ export default function LessonView() {
                   {lesson.userProgress.status.replace('_', ' ')}
                 </span>
               )}
+              {lesson.userProgress?.status === 'in_progress' && (
+                <span className="text-surface-500 text-xs">{lesson.userProgress.progress_percentage}% read</span>
+              )}
+              {isAuthenticated && (
+                <div className="ml-auto flex items-center gap-1">
+                  <button
+                    onClick={toggleBookmark}
+                    title={lesson.bookmarked ? 'Remove bookmark' : 'Bookmark this lesson'}
+                    className={`flex items-center gap-1 px-2 py-1 rounded text-xs hover:bg-surface-800 transition-colors ${
+                      lesson.bookmarked ? 'text-amber-400' : 'text-surface-400 hover:text-white'
+                    }`}
+                  >
+                    {lesson.bookmarked ? <BookmarkCheck className="w-3.5 h-3.5" /> : <Bookmark className="w-3.5 h-3.5" />}
+                    {lesson.bookmarked ? 'Bookmarked' : 'Bookmark'}
+                  </button>
+                  <AddToPlaylist lessonId={lesson.id} />
+                </div>
+              )}
             </div>
           </div>
 
+          {/* Prerequisites */}
+          {pendingPrerequisites.length > 0 && (
+            <div className="mb-6 flex gap-3 px-4 py-3 rounded-lg bg-amber-500/5 border border-amber-500/20 text-sm">
+              <AlertCircle className="w-4 h-4 text-amber-400 flex-shrink-0 mt-0.5" />
+              <div className="min-w-0">
+                <p className="text-surface-300">
+                  {isAuthenticated ? 'You should first complete ' : 'This lesson builds on '}
+                  {pendingPrerequisites.map((prerequisite, index) => (
+                    <span key={prerequisite.id}>
+                      {index > 0 && (index === pendingPrerequisites.length - 1 ? ' and ' : ', ')}
+                      <Link
+                        to={`/lesson/${prerequisite.slug}`}
+                        className="font-medium text-amber-300 hover:text-amber-200 transition-colors"
+                      >
+                        {prerequisite.title}
+                      </Link>
+                      {prerequisite.topic_slug !== lesson.topic_slug && (
+                        <span className="text-surface-500"> ({prerequisite.topic_name})</span>
+                      )}
+                    </span>
+                  ))}
+                </p>
+                <Link
+                  to={`/categories/${lesson.category_slug}/path`}
+                  className="inline-flex items-center gap-1 mt-1 text-xs text-surface-500 hover:text-surface-300 transition-colors"
+                >
+                  <Workflow className="w-3 h-3" />
+                  See the learning path
+                </Link>
+              </div>
+            </div>
+          )}
+
           {/* Tabs */}
           <div className="bg-surface-900 rounded-xl border border-surface-700/50 overflow-hidden">
             <div className="flex border-b border-surface-700/50">
@@ -409,46 +591,49 @@ export default function LessonView() {
             <div className="p-6">
               {/* Content Tab */}
               {activeTab === 'content' && (
-                <div className="markdown-content">
-                  <ReactMarkdown
-                    remarkPlugins={[remarkGfm]}
-                    components={{
-                      code({ node, inline, className, children, ...props }) {
-                        const match = /language-(\w+)/.exec(className || '');
-                        return !inline && match ? (
-                          <SyntaxHighlighter
-                            style={vscDarkPlus}
-                            language={match[1]}
-                            PreTag="div"
-                            {...props}
-                          >
-                            {String(children).replace(/\n$/, '')}
-                          </SyntaxHighlighter>
-                        ) : (
-                          <code className="bg-surface-800 px-1.5 py-0.5 rounded text-sm text-accent-300" {...props}>
-                            {children}
-                          </code>
-                        );
-                      },
-                    }}
-                  >
-                    {lesson.content}
-                  </ReactMarkdown>
-
-                  {lesson.key_points && lesson.key_points.length > 0 && (
-                    <div className="mt-8 p-5 bg-accent-500/5 border border-accent-500/15 rounded-lg">
-                      <h3 className="text-base font-semibold text-white mb-3">Key Takeaways</h3>
-                      <ul className="space-y-2">
-                        {lesson.key_points.map((point, index) => (
-                          <li key={index} className="flex items-start text-surface-300 text-sm">
-                            <CheckCircle className="w-4 h-4 text-accent-400 mr-2 flex-shrink-0 mt-0.5" />
-                            <span>{point}</span>
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                  )}
-                </div>
+                <>
+                  <div ref={contentRef} className="markdown-content">
+                    <ReactMarkdown
+                      remarkPlugins={[remarkGfm]}
+                      components={{
+                        code({ node, inline, className, children, ...props }) {
+                          const match = /language-(\w+)/.exec(className || '');
+                          return !inline && match ? (
+                            <SyntaxHighlighter
+                              style={vscDarkPlus}
+                              language={match[1]}
+                              PreTag="div"
+                              {...props}
+                            >
+                              {String(children).replace(/\n$/, '')}
+                            </SyntaxHighlighter>
+                          ) : (
+                            <code className="bg-surface-800 px-1.5 py-0.5 rounded text-sm text-accent-300" {...props}>
+                              {children}
+                            </code>
+                          );
+                        },
+                      }}
+                    >
+                      {lesson.content}
+                    </ReactMarkdown>
+
+                    {lesson.key_points && lesson.key_points.length > 0 && (
+                      <div className="mt-8 p-5 bg-accent-500/5 border border-accent-500/15 rounded-lg">
+                        <h3 className="text-base font-semibold text-white mb-3">Key Takeaways</h3>
+                        <ul className="space-y-2">
+                          {lesson.key_points.map((point, index) => (
+                            <li key={index} className="flex items-start text-surface-300 text-sm">
+                              <CheckCircle className="w-4 h-4 text-accent-400 mr-2 flex-shrink-0 mt-0.5" />
+                              <span>{point}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                  {isAuthenticated && <LessonAnnotations lessonId={lesson.id} containerRef={contentRef} />}
+                </>
               )}
 
               {/* Code Tab */}
@@ -465,13 +650,32 @@ export default function LessonView() {
                           <p className="text-surface-400 mt-1.5 text-sm">{example.description}</p>
                         )}
                       </div>
-                      <SyntaxHighlighter
-                        language={example.language}
-                        style={vscDarkPlus}
-                        customStyle={{ margin: 0, borderRadius: 0, background: '#111119' }}
-                      >
-                        {example.code}
-                      </SyntaxHighlighter>
+                      {example.is_interactive && example.language === 'javascript' ? (
+                        <div className="p-4">
+                          <CodeEditor
+                            value={exampleCode[example.id] ?? example.code}
+                            onChange={(code) => setExampleCode({ ...exampleCode, [example.id]: code })}
+                            height={360}
+                          />
+                          <button
+                            onClick={() => handleRunCode(`example-${example.id}`, exampleCode[example.id] ?? example.code)}
+                            disabled={runningKey === `example-${example.id}`}
+                            className="mt-3 flex items-center gap-1.5 bg-surface-700 hover:bg-surface-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                          >
+                            <Play className="w-3.5 h-3.5" />
+                            {runningKey === `example-${example.id}` ? 'Running...' : 'Run'}
+                          </button>
+                          <RunResults run={codeRuns[`example-${example.id}`]} />
+                        </div>
+                      ) : (
+                        <SyntaxHighlighter
+                          language={example.language}
+                          style={vscDarkPlus}
+                          customStyle={{ margin: 0, borderRadius: 0, background: '#111119' }}
+                        >
+                          {example.code}
+                        </SyntaxHighlighter>
+                      )}
                       {example.explanation && (
                         <div className="p-4 border-t border-surface-700/50">
                           <p className="text-surface-300 text-sm">{example.explanation}</p>
@@ -485,6 +689,23 @@ export default function LessonView() {
               {/* Quiz Tab */}
               {activeTab === 'quiz' && (
                 <div className="space-y-5">
+                  {isAuthenticated && quizQuestions.length > 0 && (
+                    <div className={`flex items-center gap-2 px-4 py-3 rounded-lg text-sm border ${
+                      lesson.userProgress?.mastered_at
+                        ? 'bg-emerald-500/8 border-emerald-500/20 text-emerald-400'
+                        : 'bg-surface-800 border-surface-700/50 text-surface-300'
+                    }`}>
+                      <Award className="w-4 h-4 flex-shrink-0" />
+                      {lesson.userProgress?.mastered_at ? (
+                        <span>Mastered with a quiz score of {lesson.userProgress.quiz_score}%</span>
+                      ) : (
+                        <span>
+                          {lesson.userProgress?.quiz_score != null && `Quiz score ${lesson.userProgress.quiz_score}% · `}
+                          Score {lesson.mastery_threshold}% or more to master this lesson and complete it
+                        </span>
+                      )}
+                    </div>
+                  )}
                   {quizQuestions.map((question, index) => (
                     <div key={question.id} className="bg-surface-800 p-5 rounded-lg border border-surface-700/50">
                       <div className="flex items-start justify-between mb-3">
@@ -502,48 +723,71 @@ export default function LessonView() {
                         </span>
                       </div>
 
-                      {question.question_type === 'multiple_choice' && question.options && (
-                        <div className="space-y-1.5 mb-4">
-                          {question.options.map((option, optIndex) => (
-                            <label
-                              key={optIndex}
-                              className={`flex items-center p-2.5 rounded-lg cursor-pointer transition-colors border text-sm ${
-                                quizAnswers[question.id] === option
-                                  ? 'bg-accent-500/10 border-accent-500/20 text-white'
-                                  : 'bg-surface-900/50 border-surface-700/30 text-surface-300 hover:bg-surface-900 hover:border-surface-600/50'
-                              }`}
-                            >
-                              <input
-                                type="radio"
-                                name={`question-${question.id}`}
-                                value={option}
-                                checked={quizAnswers[question.id] === option}
-                                onChange={(e) =>
-                                  setQuizAnswers({ ...quizAnswers, [question.id]: e.target.value })
-                                }
-                                className="mr-2.5 accent-accent-500"
-                              />
-                              <span>{option}</span>
-                            </label>
-                          ))}
+                      {question.question_type !== 'code_challenge' && (
+                        <div className="mb-4">
+                          <QuestionInput
+                            question={question}
+                            value={quizAnswers[question.id] ?? emptyAnswer(question)}
+                            onChange={(answer) => setQuizAnswers({ ...quizAnswers, [question.id]: answer })}
+                            disabled={!!quizResults[question.id] || quizStatus[question.id]?.attemptsRemaining === 0}
+                          />
                         </div>
                       )}
 
-                      {!quizResults[question.id] ? (
-                        <div>
-                          <button
-                            onClick={() => handleQuizSubmit(question.id)}
-                            disabled={!quizAnswers[question.id]}
-                            className="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
-                          >
-                            Submit Answer
-                          </button>
-                          {!isAuthenticated && (
-                            <p className="text-amber-400 text-xs mt-2">
-                              Login to track your quiz progress!
-                            </p>
+                      {question.question_type === 'code_challenge' && (
+                        <div className="mb-4">
+                          <CodeEditor
+                            value={quizAnswers[question.id] ?? question.starter_code ?? ''}
+                            onChange={(code) => setQuizAnswers({ ...quizAnswers, [question.id]: code })}
+                            readOnly={!!quizResults[question.id] || quizStatus[question.id]?.attemptsRemaining === 0}
+                          />
+                          {!quizResults[question.id] && (
+                            <>
+                              <button
+                                onClick={() => handleRunCode(
+                                  `question-${question.id}`,
+                                  quizAnswers[question.id] ?? question.starter_code ?? '',
+                                  question.id
+                                )}
+                                disabled={runningKey === `question-${question.id}`}
+                                className="mt-3 flex items-center gap-1.5 bg-surface-700 hover:bg-surface-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                              >
+                                <Play className="w-3.5 h-3.5" />
+                                {runningKey === `question-${question.id}` ? 'Running...' : 'Run Tests'}
+                              </button>
+                              <RunResults run={codeRuns[`question-${question.id}`]} />
+                            </>
                           )}
                         </div>
+                      )}
+
+                      {!quizResults[question.id] ? (
+                        quizStatus[question.id]?.attemptsRemaining === 0 ? (
+                          <div className="p-4 rounded-lg bg-amber-500/8 border border-amber-500/20">
+                            <p className="text-sm font-medium text-amber-400 mb-1.5">No attempts left</p>
+                            {revealedAnswer(question, quizStatus[question.id])}
+                          </div>
+                        ) : (
+                          <div>
+                            <button
+                              onClick={() => handleQuizSubmit(question)}
+                              disabled={!hasAnswer(question, quizAnswers[question.id] ?? emptyAnswer(question))}
+                              className="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                            >
+                              Submit Answer
+                            </button>
+                            {quizStatus[question.id]?.attemptsRemaining != null && (
+                              <p className="text-surface-400 text-xs mt-2">
+                                {attemptsLeftLabel(quizStatus[question.id].attemptsRemaining)}
+                              </p>
+                            )}
+                            {!isAuthenticated && (
+                              <p className="text-amber-400 text-xs mt-2">
+                                Login to track your quiz progress!
+                              </p>
+                            )}
+                          </div>
+                        )
                       ) : (
                         <div className={`p-4 rounded-lg ${
                           quizResults[question.id].isCorrect
@@ -553,17 +797,25 @@ export default function LessonView() {
                           <p className={`text-sm font-medium mb-1.5 ${
                             quizResults[question.id].isCorrect ? 'text-emerald-400' : 'text-red-400'
                           }`}>
-                            {quizResults[question.id].isCorrect ? 'Correct!' : 'Incorrect'}
+                            {resultLabel(quizResults[question.id])}
                           </p>
-                          {!quizResults[question.id].isCorrect && (
-                            <p className="text-white text-sm mb-1.5">
-                              Correct answer: {quizResults[question.id].correctAnswer}
-                            </p>
+                          {quizResults[question.id].testResults && (
+                            <RunResults run={quizResults[question.id].testResults} />
                           )}
-                          <p className="text-surface-300 text-sm">{quizResults[question.id].explanation}</p>
+                          {revealedAnswer(question, quizResults[question.id])}
                           <p className="text-xs text-surface-400 mt-2">
                             Points: {quizResults[question.id].pointsEarned}
+                            {quizResults[question.id].attemptsRemaining != null &&
+                              ` · ${attemptsLeftLabel(quizResults[question.id].attemptsRemaining)}`}
                           </p>
+                          {!quizResults[question.id].isCorrect && quizResults[question.id].attemptsRemaining !== 0 && (
+                            <button
+                              onClick={() => retryQuestion(question.id)}
+                              className="mt-3 bg-surface-700 hover:bg-surface-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+                            >
+                              Try Again
+                            </button>
+                          )}
                         </div>
                       )}
                     </div>
@@ -586,25 +838,43 @@ export default function LessonView() {
             </div>
           )}
 
-          {/* Navigation */}
-          <div className="mt-6 pb-6 flex justify-between gap-3">
-            {navigation.previous ? (
+          {/* Navigation: through the playlist when the lesson was opened from one */}
+          {inPlaylist && (
+            <div className="mt-6 flex items-center justify-between gap-3 px-4 py-3 bg-surface-900 rounded-lg border border-accent-500/20 text-sm">
+              <Link to={playlistLink} className="flex items-center gap-2 min-w-0 text-surface-300 hover:text-white transition-colors">
+                <ListVideo className="w-4 h-4 text-accent-400 flex-shrink-0" />
+                <span className="truncate">{playlist.title}</span>
+                <span className="text-xs text-surface-500 flex-shrink-0">
+                  {playlistIndex + 1} of {playlist.lessons.length}
+                  {isAuthenticated && ` · ${playlist.completed_lessons} completed`}
+                </span>
+              </Link>
+              <Link
+                to={`/lesson/${slug}`}
+                className="text-xs text-surface-500 hover:text-surface-300 flex-shrink-0 transition-colors"
+              >
+                Leave playlist
+              </Link>
+            </div>
+          )}
+          <div className={`${inPlaylist ? 'mt-3' : 'mt-6'} pb-6 flex justify-between gap-3`}>
+            {previousLesson ? (
               <Link
-                to={`/lesson/${navigation.previous.slug}`}
+                to={`/lesson/${previousLesson.slug}${navigationQuery}`}
                 className="flex items-center gap-2 px-4 py-2.5 bg-surface-900 hover:bg-surface-800 text-surface-300 hover:text-white rounded-lg transition-colors border border-surface-700/50 text-sm"
               >
                 <ChevronLeft className="w-4 h-4" />
-                <span className="truncate max-w-[200px]">Previous: {navigation.previous.title}</span>
+                <span className="truncate max-w-[200px]">Previous: {previousLesson.title}</span>
               </Link>
             ) : (
               <div />
             )}
-            {navigation.next && (
+            {nextLesson && (
               <Link
-                to={`/lesson/${navigation.next.slug}`}
+                to={`/lesson/${nextLesson.slug}${navigationQuery}`}
                 className="flex items-center gap-2 px-4 py-2.5 bg-accent-500 hover:bg-accent-600 text-white rounded-lg transition-colors text-sm"
               >
-                <span className="truncate max-w-[200px]">Next: {navigation.next.title}</span>
+                <span className="truncate max-w-[200px]">Next: {nextLesson.title}</span>
                 <ChevronRight className="w-4 h-4" />
               </Link>
             )}
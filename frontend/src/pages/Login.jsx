@@ -24,7 +24,7 @@ export default function Login() {
 
     try {
       const response = await authAPI.login(formData);
-      login(response.data.user, response.data.token);
+      login(response.data.user, response.data.token, response.data.refreshToken);
       navigate('/dashboard');
     } catch (err) {
       setError(err.response?.data?.error || 'Login failed');
@@ -66,7 +66,12 @@ export default function Login() {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-surface-300 mb-1.5">Password</label>
+            <div className="flex items-center justify-between mb-1.5">
+              <label className="block text-sm font-medium text-surface-300">Password</label>
+              <Link to="/forgot-password" className="text-xs text-accent-400 hover:text-accent-300">
+                Forgot password?
+              </Link>
+            </div>
             <div className="relative">
               <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500" />
               <input
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { categoryAPI, quizAPI } from '../services/api';
+import { Timer, Play, AlertCircle, ChevronDown } from 'lucide-react';
+
+const difficultyOptions = [
+  { value: '', label: 'Any', color: 'text-accent-400 bg-accent-500/10 border-accent-500/20' },
+  { value: 'beginner', label: 'Beginner', color: 'text-emerald-400 bg-emerald-500/10 border-emerald-500/20' },
+  { value: 'intermediate', label: 'Intermediate', color: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
+  { value: 'advanced', label: 'Advanced', color: 'text-orange-400 bg-orange-500/10 border-orange-500/20' },
+  { value: 'expert', label: 'Expert', color: 'text-red-400 bg-red-500/10 border-red-500/20' },
+];
+
+const durationOptions = [15, 30, 45, 60];
+
+export default function MockInterview() {
+  const navigate = useNavigate();
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState({
+    category: '',
+    difficulty: '',
+    durationMinutes: 30,
+    questionCount: 15,
+  });
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategories(response.data.categories);
+    } catch (err) {
+      console.error('Failed to fetch categories:', err);
+      setError('Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setError(null);
+
+    try {
+      const response = await quizAPI.startSession({
+        category: form.category,
+        difficulty: form.difficulty || undefined,
+        durationMinutes: parseInt(form.durationMinutes),
+        questionCount: parseInt(form.questionCount),
+      });
+      navigate(`/interview/${response.data.session.id}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start session');
+      setStarting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full bg-surface-900 border border-surface-700/50 rounded-lg px-3.5 py-2.5 text-white text-sm placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors';
+  const labelClass = 'block text-sm font-medium text-surface-300 mb-1.5';
+
+  return (
+    <div className="max-w-2xl mx-auto animate-fade-in">
+      <div className="flex items-center gap-3 mb-6">
+        <div className="w-9 h-9 rounded-lg bg-accent-500/10 flex items-center justify-center">
+          <Timer className="w-4.5 h-4.5 text-accent-400" />
+        </div>
+        <div>
+          <h1 className="text-xl font-semibold text-white">Mock Interview</h1>
+          <p className="text-surface-400 text-xs mt-0.5">
+            A timed session with questions drawn from every topic in a category
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-5 p-3.5 rounded-lg bg-red-500/8 border border-red-500/20 flex items-start gap-2.5 animate-fade-in">
+          <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+          <p className="text-red-300 text-sm flex-1">{error}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleStart} className="space-y-5">
+        <div className="bg-surface-900 rounded-xl border border-surface-700/50 p-5 lg:p-6 space-y-4">
+          <div>
+            <label className={labelClass}>Category <span className="text-red-400">*</span></label>
+            <div className="relative">
+              <select
+                value={form.category}
+                onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                required
+                className={inputClass + ' appearance-none cursor-pointer'}
+              >
+                <option value="">Select a category...</option>
+                {categories.map(cat => (
+                  <option key={cat.id} value={cat.slug}>{cat.name}</option>
+                ))}
+              </select>
+              <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500 pointer-events-none" />
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Difficulty</label>
+            <div className="flex flex-wrap gap-1.5">
+              {difficultyOptions.map(opt => (
+                <button
+                  key={opt.value}
+                  type="button"
+                  onClick={() => setForm(prev => ({ ...prev, difficulty: opt.value }))}
+                  className={`px-2.5 py-1 rounded text-[11px] font-medium border transition-colors ${
+                    form.difficulty === opt.value
+                      ? opt.color
+                      : 'bg-surface-800 text-surface-500 border-surface-700/50 hover:text-surface-300'
+                  }`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Duration</label>
+              <div className="flex flex-wrap gap-1.5">
+                {durationOptions.map(minutes => (
+                  <button
+                    key={minutes}
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, durationMinutes: minutes }))}
+                    className={`px-2.5 py-1 rounded text-[11px] font-medium border transition-colors ${
+                      form.durationMinutes === minutes
+                        ? 'text-accent-400 bg-accent-500/10 border-accent-500/20'
+                        : 'bg-surface-800 text-surface-500 border-surface-700/50 hover:text-surface-300'
+                    }`}
+                  >
+                    {minutes} min
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Questions</label>
+              <input
+                type="number"
+                value={form.questionCount}
+                onChange={(e) => setForm(prev => ({ ...prev, questionCount: e.target.value }))}
+                min="1"
+                max="50"
+                className={inputClass}
+              />
+            </div>
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={starting}
+          className="w-full flex items-center justify-center gap-2 px-5 py-2.5 bg-accent-500 hover:bg-accent-600 disabled:opacity-50 text-white text-sm font-medium rounded-lg transition-colors"
+        >
+          <Play className="w-4 h-4" />
+          {starting ? 'Starting...' : 'Start Interview'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { annotationAPI } from '../services/api';
+import { AnnotationCard } from '../components/LessonAnnotations';
+import { StickyNote, Download, BookOpen, ChevronRight } from 'lucide-react';
+
+// Annotations in the order the API returns them, one group per lesson
+function groupByLesson(annotations) {
+  const groups = [];
+  for (const annotation of annotations) {
+    const last = groups.at(-1);
+    if (last?.lessonId === annotation.lesson_id) {
+      last.annotations.push(annotation);
+    } else {
+      groups.push({
+        lessonId: annotation.lesson_id,
+        title: annotation.lesson_title,
+        slug: annotation.lesson_slug,
+        path: [annotation.category_name, annotation.topic_name].filter(Boolean).join(' / '),
+        annotations: [annotation],
+      });
+    }
+  }
+  return groups;
+}
+
+export default function Notes() {
+  const [annotations, setAnnotations] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchAnnotations();
+  }, []);
+
+  const fetchAnnotations = async () => {
+    setLoading(true);
+    try {
+      const response = await annotationAPI.getAll();
+      setAnnotations(response.data.annotations || []);
+    } catch (error) {
+      console.error('Failed to fetch notes:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Returns whether the note was saved
+  const saveNote = async (id, note) => {
+    try {
+      const response = await annotationAPI.update(id, { note });
+      setAnnotations((prev) => prev.map((a) => (a.id === id ? { ...a, ...response.data.annotation } : a)));
+      return true;
+    } catch (error) {
+      console.error('Failed to update note:', error);
+      alert(error.response?.data?.error || 'Failed to update note');
+      return false;
+    }
+  };
+
+  const deleteAnnotation = async (id) => {
+    if (!window.confirm('Delete this highlight and its note?')) return;
+    try {
+      await annotationAPI.delete(id);
+      setAnnotations((prev) => prev.filter((a) => a.id !== id));
+    } catch (error) {
+      console.error('Failed to delete note:', error);
+      alert(error.response?.data?.error || 'Failed to delete note');
+    }
+  };
+
+  // Download every note as one Markdown file
+  const exportMarkdown = async () => {
+    setExporting(true);
+    try {
+      const response = await annotationAPI.export();
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'my-notes.md';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export notes:', error);
+      alert('Failed to export notes');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const groups = groupByLesson(annotations);
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      <div className="flex items-start justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-semibold text-white mb-1">My Notes</h1>
+          <p className="text-surface-400 text-sm">Your highlights and notes from every lesson</p>
+        </div>
+        <button
+          onClick={exportMarkdown}
+          disabled={exporting || annotations.length === 0}
+          className="flex items-center gap-1.5 px-3 py-2 text-sm bg-surface-800 text-surface-200 rounded-lg hover:bg-surface-700 transition-colors border border-surface-700/50 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          {exporting ? 'Exporting...' : 'Export Markdown'}
+        </button>
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="bg-surface-900 rounded-xl p-10 border border-surface-700/50 text-center">
+          <StickyNote className="w-10 h-10 text-surface-600 mx-auto mb-3" />
+          <p className="text-white font-medium mb-1">No notes yet</p>
+          <p className="text-surface-400 text-sm mb-5">Select text in any lesson to highlight it or add a note.</p>
+          <Link
+            to="/categories"
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-accent-500 text-white rounded-lg hover:bg-accent-600 transition-colors"
+          >
+            Browse Categories
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groups.map((group) => (
+            <div key={group.lessonId} className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+              <Link to={`/lesson/${group.slug}`} className="flex items-center justify-between gap-3 mb-4 group">
+                <div className="min-w-0">
+                  <p className="text-[11px] text-surface-500 mb-0.5">{group.path}</p>
+                  <h2 className="text-base font-semibold text-white group-hover:text-accent-300 transition-colors flex items-center gap-2">
+                    <BookOpen className="w-4 h-4 text-accent-400 flex-shrink-0" />
+                    <span className="truncate">{group.title}</span>
+                  </h2>
+                </div>
+                <ChevronRight className="w-4 h-4 text-surface-500 group-hover:text-accent-400 flex-shrink-0" />
+              </Link>
+              <div className="space-y-2">
+                {group.annotations.map((annotation) => (
+                  <AnnotationCard
+                    key={annotation.id}
+                    annotation={annotation}
+                    onSave={(note) => saveNote(annotation.id, note)}
+                    onDelete={() => deleteAnnotation(annotation.id)}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
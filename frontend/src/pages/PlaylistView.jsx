@@ -0,0 +1,349 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { playlistAPI } from '../services/api';
+import { useAuthStore } from '../store/store';
+import SortableList from '../components/content/SortableList';
+import {
+  ListVideo, Play, Share2, Copy, Link2, Trash2, Pencil, CheckCircle, Circle, ChevronLeft, Target,
+} from 'lucide-react';
+
+const statusIcon = (lesson) => (
+  lesson.userProgress?.status === 'completed'
+    ? <CheckCircle className="w-3.5 h-3.5 text-emerald-400 flex-shrink-0" />
+    : <Circle className={`w-3.5 h-3.5 flex-shrink-0 ${lesson.userProgress?.status === 'in_progress' ? 'text-amber-400' : 'text-surface-600'}`} />
+);
+
+// One playlist: the user's own at /playlists/:id, or anyone's shared one at
+// /playlists/shared/:token. Lessons open with the playlist in the URL so
+// LessonView can follow its order.
+export default function PlaylistView() {
+  const { id, token } = useParams();
+  const navigate = useNavigate();
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+
+  const [playlist, setPlaylist] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ title: '', description: '' });
+  const [copied, setCopied] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const isOwnView = !token;
+
+  useEffect(() => {
+    fetchPlaylist();
+  }, [id, token]);
+
+  const fetchPlaylist = async () => {
+    setLoading(true);
+    try {
+      const response = isOwnView ? await playlistAPI.getById(id) : await playlistAPI.getShared(token);
+      setPlaylist(response.data.playlist);
+    } catch (error) {
+      console.error('Failed to fetch playlist:', error);
+      setPlaylist(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Keep the progress from the last full fetch when an edit returns the playlist
+  const applyUpdate = (updated) => setPlaylist((prev) => ({ ...prev, ...updated }));
+
+  const lessonLink = (lesson) => `/lesson/${lesson.slug}?${isOwnView ? `playlist=${playlist.id}` : `shared=${token}`}`;
+
+  const shareUrl = playlist?.share_token && `${window.location.origin}/playlists/shared/${playlist.share_token}`;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await playlistAPI.update(playlist.id, {
+        title: form.title,
+        description: form.description || null,
+      });
+      applyUpdate(response.data.playlist);
+      setEditing(false);
+    } catch (error) {
+      console.error('Failed to update playlist:', error);
+      alert(error.response?.data?.error || 'Failed to update playlist');
+    }
+  };
+
+  const handleReorder = async (lessons) => {
+    const previous = playlist.lessons;
+    setPlaylist((prev) => ({ ...prev, lessons }));
+    try {
+      const response = await playlistAPI.setLessons(playlist.id, lessons.map((lesson) => lesson.id));
+      setPlaylist(response.data.playlist);
+    } catch (error) {
+      console.error('Failed to reorder playlist:', error);
+      setPlaylist((prev) => ({ ...prev, lessons: previous }));
+    }
+  };
+
+  const handleRemove = async (lesson) => {
+    try {
+      const response = await playlistAPI.removeLesson(playlist.id, lesson.id);
+      setPlaylist(response.data.playlist);
+    } catch (error) {
+      console.error('Failed to remove lesson:', error);
+      alert(error.response?.data?.error || 'Failed to remove lesson');
+    }
+  };
+
+  const toggleShare = async () => {
+    if (playlist.share_token && !window.confirm('Stop sharing? The current link will stop working.')) return;
+    try {
+      const response = playlist.share_token
+        ? await playlistAPI.unshare(playlist.id)
+        : await playlistAPI.share(playlist.id);
+      applyUpdate(response.data.playlist);
+    } catch (error) {
+      console.error('Failed to update share link:', error);
+      alert(error.response?.data?.error || 'Failed to update share link');
+    }
+  };
+
+  const copyShareUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the playlist "${playlist.title}"? Your progress in its lessons is kept.`)) return;
+    try {
+      await playlistAPI.delete(playlist.id);
+      navigate('/playlists');
+    } catch (error) {
+      console.error('Failed to delete playlist:', error);
+      alert(error.response?.data?.error || 'Failed to delete playlist');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      const response = await playlistAPI.copyShared(token);
+      navigate(`/playlists/${response.data.playlist.id}`);
+    } catch (error) {
+      console.error('Failed to copy playlist:', error);
+      alert(error.response?.data?.error || 'Failed to copy playlist');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!playlist) {
+    return (
+      <div className="text-center py-20">
+        <div className="w-16 h-16 mx-auto mb-5 rounded-xl bg-surface-900 flex items-center justify-center">
+          <Target className="w-8 h-8 text-surface-600" />
+        </div>
+        <h2 className="text-xl font-semibold text-white mb-2">Playlist Not Found</h2>
+        <p className="text-surface-400 text-sm">This playlist doesn&apos;t exist or is no longer shared.</p>
+      </div>
+    );
+  }
+
+  const nextLesson = playlist.lessons.find((lesson) => lesson.userProgress?.status !== 'completed') || playlist.lessons[0];
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      {isOwnView && (
+        <Link to="/playlists" className="inline-flex items-center gap-1 text-xs text-accent-400 hover:text-accent-300 mb-4 transition-colors">
+          <ChevronLeft className="w-3 h-3" />
+          Playlists
+        </Link>
+      )}
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 mb-6">
+        {editing ? (
+          <form onSubmit={handleSave} className="space-y-3">
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              maxLength={200}
+              required
+              className="w-full bg-surface-950 border border-surface-700/50 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-accent-500/50 transition-colors"
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              rows={2}
+              placeholder="What is this playlist for?"
+              className="w-full bg-surface-950 border border-surface-700/50 rounded-lg px-3 py-2 text-sm text-white placeholder:text-surface-500 focus:outline-none focus:border-accent-500/50 transition-colors resize-y"
+            />
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setEditing(false)} className="px-3 py-1.5 text-sm text-surface-400 hover:text-white transition-colors">
+                Cancel
+              </button>
+              <button type="submit" className="px-3 py-1.5 text-sm font-medium bg-accent-500 text-white rounded-lg hover:bg-accent-600 transition-colors">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <h1 className="text-xl font-semibold text-white flex items-center gap-2">
+                <ListVideo className="w-5 h-5 text-accent-400 flex-shrink-0" />
+                <span className="truncate">{playlist.title}</span>
+              </h1>
+              {playlist.owner_username && (
+                <p className="text-xs text-surface-500 mt-1">
+                  Shared by <Link to={`/u/${playlist.owner_username}`} className="text-accent-400 hover:text-accent-300">{playlist.owner_username}</Link>
+                </p>
+              )}
+              {playlist.description && (
+                <p className="text-surface-400 text-sm mt-2 whitespace-pre-wrap">{playlist.description}</p>
+              )}
+            </div>
+            {isOwnView && (
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => {
+                    setForm({ title: playlist.title, description: playlist.description || '' });
+                    setEditing(true);
+                  }}
+                  title="Edit playlist"
+                  className="p-1.5 rounded text-surface-500 hover:text-accent-400 transition-colors"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={handleDelete}
+                  title="Delete playlist"
+                  className="p-1.5 rounded text-surface-500 hover:text-red-400 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Progress */}
+        {isAuthenticated && (
+          <div className="mt-5">
+            <div className="flex justify-between text-xs mb-1.5">
+              <span className="text-surface-400">
+                {playlist.completed_lessons} of {playlist.lesson_count} lessons completed
+              </span>
+              <span className="text-white font-medium">{playlist.progress_percentage}%</span>
+            </div>
+            <div className="w-full bg-surface-700 rounded-full h-2">
+              <div
+                className="bg-accent-500 h-2 rounded-full transition-all duration-500"
+                style={{ width: `${playlist.progress_percentage}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 mt-5">
+          {nextLesson && (
+            <Link
+              to={lessonLink(nextLesson)}
+              className="flex items-center gap-1.5 px-4 py-2 text-sm font-medium bg-accent-500 text-white rounded-lg hover:bg-accent-600 transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              {playlist.completed_lessons > 0 ? 'Continue' : 'Start'}
+            </Link>
+          )}
+          {isOwnView && (
+            <button
+              onClick={toggleShare}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-surface-800 text-surface-200 rounded-lg hover:bg-surface-700 transition-colors border border-surface-700/50"
+            >
+              <Share2 className="w-4 h-4" />
+              {playlist.share_token ? 'Stop sharing' : 'Share'}
+            </button>
+          )}
+          {!isOwnView && isAuthenticated && !playlist.is_owner && (
+            <button
+              onClick={handleCopy}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-surface-800 text-surface-200 rounded-lg hover:bg-surface-700 transition-colors border border-surface-700/50"
+            >
+              <Copy className="w-4 h-4" />
+              Save a copy
+            </button>
+          )}
+          {!isOwnView && playlist.is_owner && (
+            <Link
+              to={`/playlists/${playlist.id}`}
+              className="px-3 py-2 text-sm text-accent-400 hover:text-accent-300 transition-colors"
+            >
+              Edit your playlist
+            </Link>
+          )}
+        </div>
+
+        {isOwnView && shareUrl && (
+          <div className="flex items-center gap-2 mt-3 p-2 bg-surface-950 rounded-lg border border-surface-700/50">
+            <Link2 className="w-4 h-4 text-surface-500 flex-shrink-0" />
+            <input
+              type="text"
+              readOnly
+              value={shareUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 bg-transparent text-xs text-surface-300 focus:outline-none"
+            />
+            <button
+              onClick={copyShareUrl}
+              className="px-2.5 py-1 text-xs bg-surface-800 text-surface-200 rounded hover:bg-surface-700 transition-colors"
+            >
+              {copied ? 'Copied' : 'Copy link'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Lessons */}
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-4">Lessons</h2>
+        {isOwnView ? (
+          <SortableList
+            items={playlist.lessons}
+            onSelect={(lesson) => navigate(lessonLink(lesson))}
+            onDelete={handleRemove}
+            onReorder={handleReorder}
+            renderLabel={(lesson) => (
+              <span className="flex items-center gap-2 min-w-0">
+                {statusIcon(lesson)}
+                <span className="truncate">{lesson.title}</span>
+                <span className="text-xs text-surface-500 truncate hidden sm:inline">{lesson.category_name} / {lesson.topic_name}</span>
+              </span>
+            )}
+            emptyText='No lessons yet. Use "Add to playlist" on any lesson page.'
+          />
+        ) : (
+          <ol className="space-y-1">
+            {playlist.lessons.map((lesson, index) => (
+              <li key={lesson.id}>
+                <Link
+                  to={lessonLink(lesson)}
+                  className="flex items-center gap-2 px-2 py-2 rounded-lg text-sm text-surface-300 hover:text-white hover:bg-surface-800 transition-colors"
+                >
+                  <span className="text-[11px] font-mono text-surface-600 w-5">{String(index + 1).padStart(2, '0')}</span>
+                  {statusIcon(lesson)}
+                  <span className="truncate">{lesson.title}</span>
+                  <span className="text-xs text-surface-500 truncate hidden sm:inline">{lesson.category_name} / {lesson.topic_name}</span>
+                </Link>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { bookmarkAPI, playlistAPI } from '../services/api';
+import { Bookmark, ListVideo, Plus, Link2, ChevronRight, X } from 'lucide-react';
+
+export default function Playlists() {
+  const navigate = useNavigate();
+  const [playlists, setPlaylists] = useState([]);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [title, setTitle] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [playlistsRes, bookmarksRes] = await Promise.all([
+        playlistAPI.getAll(),
+        bookmarkAPI.getAll(),
+      ]);
+      setPlaylists(playlistsRes.data.playlists || []);
+      setBookmarks(bookmarksRes.data.bookmarks || []);
+    } catch (error) {
+      console.error('Failed to fetch playlists:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    setCreating(true);
+    try {
+      const response = await playlistAPI.create({ title: title.trim() });
+      navigate(`/playlists/${response.data.playlist.id}`);
+    } catch (error) {
+      console.error('Failed to create playlist:', error);
+      alert(error.response?.data?.error || 'Failed to create playlist');
+      setCreating(false);
+    }
+  };
+
+  const removeBookmark = async (lessonId) => {
+    try {
+      await bookmarkAPI.remove(lessonId);
+      setBookmarks((prev) => prev.filter((b) => b.id !== lessonId));
+    } catch (error) {
+      console.error('Failed to remove bookmark:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-white mb-1">Playlists</h1>
+        <p className="text-surface-400 text-sm">
+          Group lessons from any category into your own study plans, and keep bookmarks for later
+        </p>
+      </div>
+
+      {/* Playlists */}
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 mb-6">
+        <h2 className="text-base font-semibold text-white mb-4 flex items-center gap-2">
+          <ListVideo className="w-4 h-4 text-accent-400" />
+          My Playlists
+        </h2>
+
+        <form onSubmit={handleCreate} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={200}
+            placeholder="New playlist, e.g. System design for Friday's interview"
+            className="flex-1 bg-surface-950 border border-surface-700/50 rounded-lg px-3 py-2 text-sm text-white placeholder:text-surface-500 focus:outline-none focus:border-accent-500/50 transition-colors"
+          />
+          <button
+            type="submit"
+            disabled={creating || !title.trim()}
+            className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium bg-accent-500 text-white rounded-lg hover:bg-accent-600 transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Create
+          </button>
+        </form>
+
+        {playlists.length === 0 ? (
+          <p className="text-surface-500 text-sm">
+            No playlists yet. Create one here or add a lesson to a new playlist from the lesson page.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {playlists.map((playlist) => (
+              <Link
+                key={playlist.id}
+                to={`/playlists/${playlist.id}`}
+                className="block p-4 bg-surface-800/50 hover:bg-surface-800 rounded-lg border border-surface-700/40 transition-colors group"
+              >
+                <div className="flex items-center justify-between gap-3 mb-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-white group-hover:text-accent-300 transition-colors truncate">
+                      {playlist.title}
+                    </p>
+                    <p className="text-xs text-surface-500 flex items-center gap-1.5">
+                      {playlist.completed_lessons} of {playlist.lesson_count} lessons completed
+                      {playlist.share_token && (
+                        <span className="flex items-center gap-0.5 text-accent-400">
+                          · <Link2 className="w-3 h-3" /> shared
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <ChevronRight className="w-4 h-4 text-surface-500 group-hover:text-accent-400 flex-shrink-0" />
+                </div>
+                <div className="w-full bg-surface-700 rounded-full h-1.5">
+                  <div
+                    className="bg-accent-500 h-1.5 rounded-full transition-all duration-500"
+                    style={{ width: `${playlist.progress_percentage}%` }}
+                  />
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Bookmarks */}
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-4 flex items-center gap-2">
+          <Bookmark className="w-4 h-4 text-amber-400" />
+          Bookmarks
+        </h2>
+
+        {bookmarks.length === 0 ? (
+          <p className="text-surface-500 text-sm">Bookmark lessons to find them here later.</p>
+        ) : (
+          <div className="space-y-1">
+            {bookmarks.map((lesson) => (
+              <div
+                key={lesson.id}
+                className="flex items-center justify-between gap-3 px-3 py-2.5 rounded-lg hover:bg-surface-800/60 transition-colors group"
+              >
+                <Link to={`/lesson/${lesson.slug}`} className="min-w-0 flex-1">
+                  <p className="text-sm text-surface-200 group-hover:text-white truncate">{lesson.title}</p>
+                  <p className="text-xs text-surface-500 truncate">
+                    {lesson.category_name} / {lesson.topic_name}
+                    {lesson.userProgress?.status === 'completed' && (
+                      <span className="text-emerald-400"> · completed</span>
+                    )}
+                  </p>
+                </Link>
+                <button
+                  onClick={() => removeBookmark(lesson.id)}
+                  title="Remove bookmark"
+                  className="p-1 rounded text-surface-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -66,6 +66,8 @@ export default function Progress() {
             const progressPercentage = parseFloat(category.progress_percentage) || 0;
             const completed = parseInt(category.completed_lessons) || 0;
             const total = parseInt(category.total_lessons) || 0;
+            const quizLessons = parseInt(category.quiz_lessons) || 0;
+            const mastered = parseInt(category.mastered_lessons) || 0;
 
             return (
               <div key={category.category_slug}>
@@ -74,6 +76,7 @@ export default function Progress() {
                     <h3 className="text-sm font-medium text-white">{category.category_name}</h3>
                     <p className="text-xs text-surface-500 mt-0.5">
                       {completed} of {total} lessons completed
+                      {quizLessons > 0 && ` · ${mastered} of ${quizLessons} quizzes mastered`}
                     </p>
                   </div>
                   <span className="text-sm font-semibold text-accent-400">
@@ -92,6 +95,49 @@ export default function Progress() {
         </div>
       </div>
 
+      {/* Topic Mastery */}
+      {overview?.topicMastery?.length > 0 && (
+        <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50 mb-6">
+          <h2 className="text-base font-semibold text-white mb-5">Topic Mastery</h2>
+          <div className="space-y-4">
+            {overview.topicMastery.map((topic) => {
+              const score = parseInt(topic.average_quiz_score) || 0;
+              const passed = score >= topic.mastery_threshold;
+
+              return (
+                <Link
+                  key={topic.topic_slug}
+                  to={`/topic/${topic.topic_slug}`}
+                  className="block"
+                >
+                  <div className="flex justify-between items-center mb-2">
+                    <div>
+                      <h3 className="text-sm font-medium text-white">{topic.topic_name}</h3>
+                      <p className="text-xs text-surface-500 mt-0.5">
+                        {topic.mastered_lessons} of {topic.quiz_lessons} lessons mastered · {topic.mastery_threshold}% to master
+                      </p>
+                    </div>
+                    <span className={`text-sm font-semibold ${passed ? 'text-emerald-400' : 'text-amber-400'}`}>
+                      {score}%
+                    </span>
+                  </div>
+                  <div className="relative w-full bg-surface-800 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full transition-all duration-500 ${passed ? 'bg-emerald-500' : 'bg-amber-500'}`}
+                      style={{ width: `${score}%` }}
+                    />
+                    <div
+                      className="absolute -top-0.5 h-3 w-0.5 bg-surface-400"
+                      style={{ left: `${topic.mastery_threshold}%` }}
+                    />
+                  </div>
+                </Link>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity */}
       <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
         <h2 className="text-base font-semibold text-white mb-4">Recent Activity</h2>
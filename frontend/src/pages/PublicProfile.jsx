@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuthStore } from '../store/store';
+import { profileAPI } from '../services/api';
+import Avatar from '../components/Avatar';
+import { Award, BookOpen, Target, Lock, Settings as SettingsIcon } from 'lucide-react';
+
+export default function PublicProfile() {
+  const { username } = useParams();
+  const currentUser = useAuthStore((state) => state.user);
+
+  const [profile, setProfile] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [username]);
+
+  const fetchProfile = async () => {
+    setLoading(true);
+    setNotFound(false);
+    try {
+      const response = await profileAPI.getPublic(username);
+      setProfile(response.data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        console.error('Failed to fetch profile:', error);
+      }
+      setProfile(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  if (notFound || !profile) {
+    return (
+      <div className="max-w-md mx-auto mt-20 text-center">
+        <Lock className="w-8 h-8 text-surface-600 mx-auto mb-3" />
+        <h1 className="text-lg font-semibold text-white mb-1">Profile not available</h1>
+        <p className="text-surface-400 text-sm">This user doesn&apos;t exist or keeps their profile private.</p>
+      </div>
+    );
+  }
+
+  const { user, completedTopics, stats } = profile;
+  const isOwnProfile = currentUser?.id === user.id;
+
+  const statCards = [
+    { icon: BookOpen, label: 'Lessons Completed', value: stats.lessonsCompleted, iconBg: 'bg-accent-500/10', iconColor: 'text-accent-400' },
+    { icon: Award, label: 'Topics Completed', value: stats.topicsCompleted, iconBg: 'bg-emerald-500/10', iconColor: 'text-emerald-400' },
+    {
+      icon: Target,
+      label: 'Quiz Accuracy',
+      value: stats.quizAccuracy === null ? '—' : `${stats.quizAccuracy}%`,
+      detail: stats.quizAttempts > 0 ? `${stats.quizCorrect} of ${stats.quizAttempts} answers correct` : 'No quiz answers yet',
+      iconBg: 'bg-blue-500/10',
+      iconColor: 'text-blue-400'
+    },
+  ];
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      <div className="flex items-start gap-5 mb-8">
+        <Avatar user={user} size="lg" />
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-3">
+            <h1 className="text-2xl font-semibold text-white truncate">{user.display_name || user.username}</h1>
+            {isOwnProfile && (
+              <Link to="/settings" className="flex items-center gap-1 text-xs text-surface-400 hover:text-white">
+                <SettingsIcon className="w-3.5 h-3.5" />
+                Edit
+              </Link>
+            )}
+          </div>
+          {user.display_name && <p className="text-surface-500 text-sm">@{user.username}</p>}
+          <p className="text-surface-500 text-xs mt-1">
+            Learning since {new Date(user.created_at).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+          </p>
+          {user.bio && <p className="text-surface-300 text-sm mt-3 whitespace-pre-line">{user.bio}</p>}
+          {isOwnProfile && !user.profile_public && (
+            <p className="flex items-center gap-1.5 text-amber-400 text-xs mt-3">
+              <Lock className="w-3.5 h-3.5" />
+              Your profile is private; only you can see this page.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-8">
+        {statCards.map(({ icon: Icon, label, value, detail, iconBg, iconColor }) => (
+          <div key={label} className="bg-surface-900 border border-surface-700/50 rounded-xl p-4">
+            <div className={`w-8 h-8 rounded-lg ${iconBg} flex items-center justify-center mb-3`}>
+              <Icon className={`w-4 h-4 ${iconColor}`} />
+            </div>
+            <p className="text-xs text-surface-400 mb-0.5">{label}</p>
+            <p className="text-2xl font-semibold text-white">{value}</p>
+            {detail && <p className="text-xs text-surface-500 mt-1">{detail}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-4">Completed Topics</h2>
+        {completedTopics.length === 0 ? (
+          <p className="text-surface-500 text-sm">No topics completed yet.</p>
+        ) : (
+          <ul className="divide-y divide-surface-800">
+            {completedTopics.map(topic => (
+              <li key={topic.slug} className="py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <Link to={`/topic/${topic.slug}`} className="text-sm font-medium text-white hover:text-accent-400">
+                    {topic.name}
+                  </Link>
+                  <p className="text-xs text-surface-500">
+                    {topic.category_name} &middot; {topic.lesson_count} lessons
+                  </p>
+                </div>
+                {topic.completed_at && (
+                  <span className="text-xs text-surface-500 flex-shrink-0">
+                    {new Date(topic.completed_at).toLocaleDateString()}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -45,7 +45,7 @@ export default function Register() {
         password: formData.password
       });
 
-      login(response.data.user, response.data.token);
+      login(response.data.user, response.data.token, response.data.refreshToken);
       navigate('/dashboard');
     } catch (err) {
       setError(err.response?.data?.error || 'Registration failed');
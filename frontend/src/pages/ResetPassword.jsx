@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Lock, AlertCircle, CheckCircle } from 'lucide-react';
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.resetPassword(token, formData.password);
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = "w-full bg-surface-950 border border-surface-700/50 rounded-lg pl-10 pr-4 py-2.5 text-sm text-white placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors";
+
+  return (
+    <div className="max-w-sm mx-auto mt-20">
+      <div className="text-center mb-8">
+        <h1 className="text-2xl font-semibold text-white mb-1">Choose a New Password</h1>
+        <p className="text-surface-400 text-sm">You&apos;ll be logged out on every device</p>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        {!token ? (
+          <p className="text-surface-300 text-sm">
+            This reset link is incomplete.{' '}
+            <Link to="/forgot-password" className="text-accent-400 hover:text-accent-300 font-medium">
+              Request a new one
+            </Link>
+          </p>
+        ) : done ? (
+          <div className="space-y-4">
+            <div className="flex items-start gap-2">
+              <CheckCircle className="w-4 h-4 text-emerald-400 flex-shrink-0 mt-0.5" />
+              <p className="text-surface-300 text-sm">Your password has been reset.</p>
+            </div>
+            <Link
+              to="/login"
+              className="block w-full text-center bg-accent-500 hover:bg-accent-600 text-white py-2.5 rounded-lg text-sm font-medium transition-colors"
+            >
+              Log in
+            </Link>
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3 mb-5 flex items-start gap-2">
+                <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                <span className="text-red-400 text-sm">
+                  {error}{' '}
+                  <Link to="/forgot-password" className="underline">Request a new link</Link>
+                </span>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-surface-300 mb-1.5">New password</label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500" />
+                  <input
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    className={inputClass}
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-surface-300 mb-1.5">Confirm password</label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-surface-500" />
+                  <input
+                    type="password"
+                    name="confirmPassword"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    required
+                    className={inputClass}
+                    placeholder="Repeat the password"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-accent-500 hover:bg-accent-600 text-white py-2.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : 'Reset password'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
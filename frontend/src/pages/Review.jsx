@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewAPI } from '../services/api';
+import CodeEditor from '../components/CodeEditor';
+import RunResults from '../components/RunResults';
+import QuestionInput, { emptyAnswer, hasAnswer, resultLabel } from '../components/QuestionInput';
+import { RotateCcw, CheckCircle, ChevronRight, CalendarClock } from 'lucide-react';
+
+const formatInterval = (days) => {
+  if (days <= 1) return 'tomorrow';
+  if (days < 30) return `in ${days} days`;
+  const months = Math.round(days / 30);
+  return `in ${months} month${months > 1 ? 's' : ''}`;
+};
+
+export default function Review() {
+  const [questions, setQuestions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [result, setResult] = useState(null);
+  const [reviewed, setReviewed] = useState({ total: 0, correct: 0 });
+  const [submitting, setSubmitting] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchDue();
+  }, []);
+
+  const fetchDue = async () => {
+    setLoading(true);
+    try {
+      const response = await reviewAPI.getDue();
+      setQuestions(response.data.questions || []);
+      setSummary(response.data.summary);
+      setCurrentIndex(0);
+      setAnswer(null);
+      setResult(null);
+    } catch (error) {
+      console.error('Failed to fetch review queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The answer being edited; null until the learner changes it
+  const answerFor = (question) => answer ?? (question.question_type === 'code_challenge' ? '' : emptyAnswer(question));
+
+  const handleSubmit = async () => {
+    const question = questions[currentIndex];
+    if (!question || !hasAnswer(question, answerFor(question))) return;
+    setSubmitting(true);
+    try {
+      const response = await reviewAPI.answer({ questionId: question.id, userAnswer: answerFor(question) });
+      setResult(response.data);
+      setReviewed((prev) => ({
+        total: prev.total + 1,
+        correct: prev.correct + (response.data.isCorrect ? 1 : 0),
+      }));
+    } catch (error) {
+      console.error('Failed to submit review:', error);
+      alert(error.response?.data?.error || 'Failed to submit answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleNext = () => {
+    if (currentIndex + 1 >= questions.length) {
+      fetchDue();
+      return;
+    }
+    setCurrentIndex(currentIndex + 1);
+    setAnswer(null);
+    setResult(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const question = questions[currentIndex];
+
+  return (
+    <div className="max-w-2xl mx-auto animate-fade-in">
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-white mb-1">Review</h1>
+        <p className="text-surface-400 text-sm">
+          Questions come back on a spaced-repetition schedule based on how you answered them
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-8">
+        <div className="bg-surface-900 p-4 rounded-xl border border-surface-700/50">
+          <p className="text-surface-400 text-xs mb-1">Due now</p>
+          <p className="text-2xl font-semibold text-white">{summary?.due_count || 0}</p>
+        </div>
+        <div className="bg-surface-900 p-4 rounded-xl border border-surface-700/50">
+          <p className="text-surface-400 text-xs mb-1">Reviewed this session</p>
+          <p className="text-2xl font-semibold text-white">{reviewed.total}</p>
+        </div>
+        <div className="bg-surface-900 p-4 rounded-xl border border-surface-700/50">
+          <p className="text-surface-400 text-xs mb-1">Cards tracked</p>
+          <p className="text-2xl font-semibold text-white">{summary?.total_cards || 0}</p>
+        </div>
+      </div>
+
+      {!question ? (
+        <div className="bg-surface-900 rounded-xl p-10 border border-surface-700/50 text-center">
+          <div className="w-14 h-14 mx-auto mb-4 rounded-xl bg-emerald-500/10 flex items-center justify-center">
+            <CheckCircle className="w-7 h-7 text-emerald-400" />
+          </div>
+          <h2 className="text-lg font-semibold text-white mb-2">You&apos;re all caught up</h2>
+          <p className="text-surface-400 text-sm mb-1">
+            {reviewed.total > 0
+              ? `You reviewed ${reviewed.total} question${reviewed.total > 1 ? 's' : ''} and got ${reviewed.correct} right.`
+              : 'Nothing is due for review right now.'}
+          </p>
+          {summary?.next_due_at && (
+            <p className="text-surface-500 text-xs flex items-center justify-center gap-1.5 mt-3">
+              <CalendarClock className="w-3.5 h-3.5" />
+              Next review due {new Date(summary.next_due_at).toLocaleString()}
+            </p>
+          )}
+          {parseInt(summary?.total_cards || 0) === 0 && (
+            <Link
+              to="/categories"
+              className="inline-flex items-center gap-1.5 mt-5 px-4 py-2 text-sm bg-accent-500 hover:bg-accent-600 text-white rounded-lg transition-colors"
+            >
+              Answer some quizzes to get started
+              <ChevronRight className="w-4 h-4" />
+            </Link>
+          )}
+        </div>
+      ) : (
+        <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+          <div className="flex items-center justify-between mb-4 text-xs text-surface-500">
+            <span>
+              {question.topic_name} &middot;{' '}
+              <Link to={`/lesson/${question.lesson_slug}`} className="hover:text-accent-400 transition-colors">
+                {question.lesson_title}
+              </Link>
+            </span>
+            <span>{currentIndex + 1} / {questions.length}</span>
+          </div>
+
+          <h2 className="text-base font-semibold text-white mb-4">{question.question_text}</h2>
+
+          {question.question_type === 'code_challenge' && (
+            <div className="mb-5">
+              <CodeEditor
+                value={answer || question.starter_code || ''}
+                onChange={setAnswer}
+                readOnly={!!result}
+              />
+            </div>
+          )}
+
+          {question.question_type !== 'code_challenge' && (
+            <div className="mb-5">
+              <QuestionInput
+                question={question}
+                value={answerFor(question)}
+                onChange={setAnswer}
+                disabled={!!result}
+                inset
+              />
+            </div>
+          )}
+
+          {!result ? (
+            <button
+              onClick={handleSubmit}
+              disabled={!hasAnswer(question, answerFor(question)) || submitting}
+              className="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Checking...' : 'Submit Answer'}
+            </button>
+          ) : (
+            <div>
+              <div className={`p-4 rounded-lg mb-4 ${
+                result.isCorrect
+                  ? 'bg-emerald-500/8 border border-emerald-500/20'
+                  : 'bg-red-500/8 border border-red-500/20'
+              }`}>
+                <p className={`text-sm font-medium mb-1.5 ${result.isCorrect ? 'text-emerald-400' : 'text-red-400'}`}>
+                  {resultLabel(result)}
+                </p>
+                {!result.isCorrect && result.answerRevealed && (
+                  question.question_type === 'code_challenge' ? (
+                    <pre className="text-xs text-surface-200 whitespace-pre-wrap">{result.correctAnswer}</pre>
+                  ) : (
+                    <p className="text-white text-sm mb-1.5">Correct answer: {result.correctAnswer}</p>
+                  )
+                )}
+                {result.testResults && <RunResults run={result.testResults} />}
+                {result.explanation && <p className="text-surface-300 text-sm mt-1.5">{result.explanation}</p>}
+                <p className="text-xs text-surface-400 mt-2 flex items-center gap-1.5">
+                  <RotateCcw className="w-3 h-3" />
+                  Next review {formatInterval(result.card.interval_days)}
+                </p>
+              </div>
+              <button
+                onClick={handleNext}
+                className="flex items-center gap-1.5 bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                <span>{currentIndex + 1 >= questions.length ? 'Finish' : 'Next Question'}</span>
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
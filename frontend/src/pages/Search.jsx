@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { searchAPI } from '../services/api';
+import { Search as SearchIcon, FileText, Code, HelpCircle, ChevronLeft, ChevronRight, ArrowRight } from 'lucide-react';
+
+const resultTypes = [
+  { value: 'lessons', label: 'Lessons', icon: FileText },
+  { value: 'examples', label: 'Code Examples', icon: Code },
+  { value: 'questions', label: 'Quiz Questions', icon: HelpCircle },
+];
+
+// Render a ts_headline snippet: <mark> tags become highlights, everything else stays text
+function Snippet({ text }) {
+  if (!text) return null;
+  const parts = text.split(/<mark>(.*?)<\/mark>/g);
+  return (
+    <p className="text-surface-400 text-sm leading-relaxed break-words">
+      {parts.map((part, index) =>
+        index % 2 === 1
+          ? <mark key={index} className="bg-accent-500/20 text-accent-200 rounded px-0.5">{part}</mark>
+          : <span key={index}>{part}</span>
+      )}
+    </p>
+  );
+}
+
+function ResultCard({ type, result }) {
+  const lessonSlug = type === 'lessons' ? result.slug : result.lesson_slug;
+  const title = type === 'questions' ? null : result.title;
+
+  return (
+    <Link
+      to={`/lesson/${lessonSlug}`}
+      className="block bg-surface-900 rounded-xl p-4 border border-surface-700/50 hover:border-accent-500/30 transition-colors"
+    >
+      <div className="flex items-center gap-2 text-xs text-surface-500 mb-1.5">
+        <span>{result.category_name}</span>
+        <span>&middot;</span>
+        <span>{result.topic_name}</span>
+        {type !== 'lessons' && (
+          <>
+            <span>&middot;</span>
+            <span>{result.lesson_title}</span>
+          </>
+        )}
+        {type === 'examples' && (
+          <span className="ml-auto px-1.5 py-0.5 rounded bg-surface-800 text-surface-400 font-mono">{result.language}</span>
+        )}
+        {type === 'questions' && result.difficulty && (
+          <span className="ml-auto px-1.5 py-0.5 rounded bg-surface-800 text-surface-400">{result.difficulty}</span>
+        )}
+      </div>
+      {title && <h3 className="text-white text-sm font-semibold mb-1">{title}</h3>}
+      <Snippet text={result.snippet} />
+    </Link>
+  );
+}
+
+export default function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const type = searchParams.get('type') || 'all';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const [data, setData] = useState(null);
+  const [totals, setTotals] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (q.trim()) {
+      fetchResults();
+    } else {
+      setData(null);
+    }
+  }, [q, type, page]);
+
+  const fetchResults = async () => {
+    setLoading(true);
+    try {
+      const response = await searchAPI.search({ q, type, page: type === 'all' ? undefined : page });
+      setData(response.data);
+      setTotals(prev => ({
+        ...(type === 'all' ? {} : prev),
+        ...Object.fromEntries(
+          resultTypes
+            .filter(t => response.data[t.value])
+            .map(t => [t.value, response.data[t.value].pagination.total])
+        ),
+      }));
+    } catch (error) {
+      console.error('Search failed:', error);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateParams = (changes) => {
+    const next = { q, type, page, ...changes };
+    setSearchParams({
+      q: next.q,
+      ...(next.type !== 'all' && { type: next.type }),
+      ...(next.page > 1 && { page: String(next.page) }),
+    });
+  };
+
+  const tabClass = (active) => `flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+    active
+      ? 'bg-accent-500/10 text-accent-400 border border-accent-500/20'
+      : 'bg-surface-900 text-surface-400 border border-surface-700/50 hover:text-surface-200'
+  }`;
+
+  const shownTypes = type === 'all' ? resultTypes : resultTypes.filter(t => t.value === type);
+  const noResults = data && shownTypes.every(t => (data[t.value]?.results.length || 0) === 0);
+
+  return (
+    <div className="max-w-3xl mx-auto animate-fade-in">
+      <div className="mb-6">
+        <h1 className="text-2xl font-semibold text-white mb-1">Search</h1>
+        <p className="text-surface-400 text-sm">
+          {q ? <>Results for &ldquo;{q}&rdquo;</> : 'Search lessons, code examples and quiz questions from the bar above'}
+        </p>
+      </div>
+
+      {q && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          <button onClick={() => updateParams({ type: 'all', page: 1 })} className={tabClass(type === 'all')}>
+            All
+          </button>
+          {resultTypes.map(t => (
+            <button key={t.value} onClick={() => updateParams({ type: t.value, page: 1 })} className={tabClass(type === t.value)}>
+              <t.icon className="w-4 h-4" />
+              {t.label}
+              {totals[t.value] !== undefined && (
+                <span className="text-xs text-surface-500">{totals[t.value]}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center min-h-[200px]">
+          <div className="spinner" />
+        </div>
+      ) : noResults ? (
+        <div className="bg-surface-900 rounded-xl p-10 border border-surface-700/50 text-center">
+          <SearchIcon className="w-8 h-8 text-surface-600 mx-auto mb-3" />
+          <p className="text-surface-400 text-sm">
+            Nothing matched. Try fewer words, or use <span className="font-mono">&quot;quotes&quot;</span> for an exact phrase.
+          </p>
+        </div>
+      ) : data && (
+        <div className="space-y-8">
+          {shownTypes.map(t => {
+            const section = data[t.value];
+            if (!section || section.results.length === 0) return null;
+            return (
+              <section key={t.value}>
+                {type === 'all' && (
+                  <div className="flex items-center justify-between mb-3">
+                    <h2 className="flex items-center gap-1.5 text-sm font-semibold text-white">
+                      <t.icon className="w-4 h-4 text-accent-400" />
+                      {t.label}
+                    </h2>
+                    {section.pagination.total > section.results.length && (
+                      <button
+                        onClick={() => updateParams({ type: t.value, page: 1 })}
+                        className="flex items-center gap-1 text-xs text-accent-400 hover:text-accent-300"
+                      >
+                        See all {section.pagination.total}
+                        <ArrowRight className="w-3.5 h-3.5" />
+                      </button>
+                    )}
+                  </div>
+                )}
+                <div className="space-y-2">
+                  {section.results.map(result => (
+                    <ResultCard key={result.id} type={t.value} result={result} />
+                  ))}
+                </div>
+                {type !== 'all' && section.pagination.totalPages > 1 && (
+                  <div className="flex items-center justify-between mt-5 text-sm">
+                    <button
+                      onClick={() => updateParams({ page: page - 1 })}
+                      disabled={page <= 1}
+                      className="flex items-center gap-1 text-surface-400 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+                    >
+                      <ChevronLeft className="w-4 h-4" />
+                      Previous
+                    </button>
+                    <span className="text-surface-500 text-xs">
+                      Page {page} of {section.pagination.totalPages}
+                    </span>
+                    <button
+                      onClick={() => updateParams({ page: page + 1 })}
+                      disabled={page >= section.pagination.totalPages}
+                      className="flex items-center gap-1 text-surface-400 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+                    >
+                      Next
+                      <ChevronRight className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
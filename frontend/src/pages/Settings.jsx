@@ -0,0 +1,410 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthStore } from '../store/store';
+import { profileAPI } from '../services/api';
+import Avatar from '../components/Avatar';
+import { AlertCircle, CheckCircle, Upload, Trash2, ExternalLink } from 'lucide-react';
+
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const inputClass = 'w-full bg-surface-950 border border-surface-700/50 rounded-lg px-3.5 py-2.5 text-sm text-white placeholder:text-surface-600 focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20 transition-colors';
+const labelClass = 'block text-sm font-medium text-surface-300 mb-1.5';
+const buttonClass = 'bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50';
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timezones = Intl.supportedValuesOf?.('timeZone') || [browserTimezone];
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || fallback;
+
+function Notice({ notice }) {
+  if (!notice) return null;
+  const success = notice.type === 'success';
+  const Icon = success ? CheckCircle : AlertCircle;
+  return (
+    <div className={`rounded-lg p-3 mb-4 flex items-start gap-2 border ${
+      success ? 'bg-emerald-500/10 border-emerald-500/20' : 'bg-red-500/10 border-red-500/20'
+    }`}>
+      <Icon className={`w-4 h-4 flex-shrink-0 mt-0.5 ${success ? 'text-emerald-400' : 'text-red-400'}`} />
+      <span className={`text-sm ${success ? 'text-emerald-300' : 'text-red-400'}`}>{notice.text}</span>
+    </div>
+  );
+}
+
+export default function Settings() {
+  const updateUser = useAuthStore((state) => state.updateUser);
+  const setTokens = useAuthStore((state) => state.setTokens);
+
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ display_name: '', bio: '', profile_public: true });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [goal, setGoal] = useState({ timezone: 'UTC', daily_goal_type: 'minutes', daily_goal_target: '' });
+  const [profileNotice, setProfileNotice] = useState(null);
+  const [goalNotice, setGoalNotice] = useState(null);
+  const [passwordNotice, setPasswordNotice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [savingGoal, setSavingGoal] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [changingPassword, setChangingPassword] = useState(false);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const applyProfile = (user) => {
+    setProfile(user);
+    setForm({
+      display_name: user.display_name || '',
+      bio: user.bio || '',
+      profile_public: user.profile_public,
+    });
+    setGoal({
+      timezone: user.timezone,
+      daily_goal_type: user.daily_goal_type,
+      daily_goal_target: user.daily_goal_target ?? '',
+    });
+    updateUser(user);
+  };
+
+  const fetchProfile = async () => {
+    try {
+      const response = await profileAPI.getMe();
+      applyProfile(response.data.user);
+    } catch (error) {
+      console.error('Failed to fetch profile:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setProfileNotice(null);
+    try {
+      const response = await profileAPI.update(form);
+      applyProfile(response.data.user);
+      setProfileNotice({ type: 'success', text: 'Profile saved' });
+    } catch (err) {
+      setProfileNotice({ type: 'error', text: errorMessage(err, 'Failed to save profile') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGoalSave = async (e) => {
+    e.preventDefault();
+    setSavingGoal(true);
+    setGoalNotice(null);
+    try {
+      const response = await profileAPI.update({
+        ...goal,
+        daily_goal_target: goal.daily_goal_target ? parseInt(goal.daily_goal_target) : null,
+      });
+      applyProfile(response.data.user);
+      setGoalNotice({ type: 'success', text: 'Learning goal saved' });
+    } catch (err) {
+      setGoalNotice({ type: 'error', text: errorMessage(err, 'Failed to save learning goal') });
+    } finally {
+      setSavingGoal(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    // Same limits as the server, checked early to skip a pointless upload
+    if (!AVATAR_TYPES.includes(file.type)) {
+      setProfileNotice({ type: 'error', text: 'Avatar must be a PNG, JPEG, GIF or WebP image' });
+      return;
+    }
+    if (file.size > MAX_AVATAR_BYTES) {
+      setProfileNotice({ type: 'error', text: 'Avatar must be 2 MB or smaller' });
+      return;
+    }
+
+    setUploading(true);
+    setProfileNotice(null);
+    try {
+      const response = await profileAPI.uploadAvatar(file);
+      applyProfile(response.data.user);
+    } catch (err) {
+      setProfileNotice({ type: 'error', text: errorMessage(err, 'Failed to upload avatar') });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleAvatarRemove = async () => {
+    setUploading(true);
+    try {
+      const response = await profileAPI.removeAvatar();
+      applyProfile(response.data.user);
+    } catch (err) {
+      setProfileNotice({ type: 'error', text: errorMessage(err, 'Failed to remove avatar') });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handlePasswordChange = async (e) => {
+    e.preventDefault();
+    setPasswordNotice(null);
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordNotice({ type: 'error', text: 'Passwords do not match' });
+      return;
+    }
+
+    setChangingPassword(true);
+    try {
+      const response = await profileAPI.changePassword(passwords.currentPassword, passwords.newPassword);
+      setTokens(response.data.token, response.data.refreshToken);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordNotice({ type: 'success', text: 'Password changed. Other devices have been logged out.' });
+    } catch (err) {
+      setPasswordNotice({ type: 'error', text: errorMessage(err, 'Failed to change password') });
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const handlePasswordInput = (e) => {
+    setPasswords({ ...passwords, [e.target.name]: e.target.value });
+    setPasswordNotice(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return <p className="text-surface-400 text-sm text-center">Could not load your profile.</p>;
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto animate-fade-in space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-xl font-semibold text-white">Profile Settings</h1>
+        <Link
+          to={`/u/${profile.username}`}
+          className="flex items-center gap-1.5 text-sm text-accent-400 hover:text-accent-300"
+        >
+          View public profile
+          <ExternalLink className="w-3.5 h-3.5" />
+        </Link>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-5">Profile</h2>
+        <Notice notice={profileNotice} />
+
+        <div className="flex items-center gap-4 mb-6">
+          <Avatar user={profile} size="lg" />
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => fileInput.current.click()}
+                disabled={uploading}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-surface-800 hover:bg-surface-700 text-surface-200 rounded-lg text-sm transition-colors disabled:opacity-50"
+              >
+                <Upload className="w-3.5 h-3.5" />
+                {uploading ? 'Uploading...' : 'Upload avatar'}
+              </button>
+              {profile.profile_picture && (
+                <button
+                  type="button"
+                  onClick={handleAvatarRemove}
+                  disabled={uploading}
+                  className="flex items-center gap-1.5 px-3 py-1.5 text-surface-400 hover:text-red-400 rounded-lg text-sm transition-colors disabled:opacity-50"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                  Remove
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-surface-500">PNG, JPEG, GIF or WebP, up to 2 MB</p>
+            <input
+              ref={fileInput}
+              type="file"
+              accept={AVATAR_TYPES.join(',')}
+              onChange={handleAvatarChange}
+              className="hidden"
+            />
+          </div>
+        </div>
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <div>
+            <label className={labelClass}>Display name</label>
+            <input
+              type="text"
+              value={form.display_name}
+              onChange={(e) => setForm({ ...form, display_name: e.target.value })}
+              maxLength={100}
+              className={inputClass}
+              placeholder={profile.username}
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Bio</label>
+            <textarea
+              value={form.bio}
+              onChange={(e) => setForm({ ...form, bio: e.target.value })}
+              maxLength={1000}
+              rows={4}
+              className={inputClass}
+              placeholder="A few words about yourself"
+            />
+          </div>
+
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.profile_public}
+              onChange={(e) => setForm({ ...form, profile_public: e.target.checked })}
+              className="mt-0.5 accent-accent-500"
+            />
+            <span>
+              <span className="block text-sm text-surface-200">Public profile</span>
+              <span className="block text-xs text-surface-500">
+                Anyone can see your completed topics and quiz accuracy at /u/{profile.username}
+              </span>
+            </span>
+          </label>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className={buttonClass}>
+              {saving ? 'Saving...' : 'Save profile'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-5">Learning Goal</h2>
+        <Notice notice={goalNotice} />
+
+        <form onSubmit={handleGoalSave} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Daily goal</label>
+              <input
+                type="number"
+                value={goal.daily_goal_target}
+                onChange={(e) => setGoal({ ...goal, daily_goal_target: e.target.value })}
+                min={1}
+                max={1440}
+                className={inputClass}
+                placeholder="No goal"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Counted in</label>
+              <select
+                value={goal.daily_goal_type}
+                onChange={(e) => setGoal({ ...goal, daily_goal_type: e.target.value })}
+                className={inputClass}
+              >
+                <option value="minutes">Minutes of reading</option>
+                <option value="lessons">Lessons completed</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Time zone</label>
+            <select
+              value={goal.timezone}
+              onChange={(e) => setGoal({ ...goal, timezone: e.target.value })}
+              className={inputClass}
+            >
+              {[...new Set([goal.timezone, 'UTC', ...timezones])].map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+            <p className="text-xs text-surface-500 mt-1.5">
+              Days and streaks start at midnight in this time zone.
+              {goal.timezone !== browserTimezone && (
+                <button
+                  type="button"
+                  onClick={() => setGoal({ ...goal, timezone: browserTimezone })}
+                  className="ml-1 text-accent-400 hover:text-accent-300"
+                >
+                  Use {browserTimezone}
+                </button>
+              )}
+            </p>
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={savingGoal} className={buttonClass}>
+              {savingGoal ? 'Saving...' : 'Save goal'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        <h2 className="text-base font-semibold text-white mb-5">Change Password</h2>
+        <Notice notice={passwordNotice} />
+
+        <form onSubmit={handlePasswordChange} className="space-y-4">
+          <div>
+            <label className={labelClass}>Current password</label>
+            <input
+              type="password"
+              name="currentPassword"
+              value={passwords.currentPassword}
+              onChange={handlePasswordInput}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>New password</label>
+              <input
+                type="password"
+                name="newPassword"
+                value={passwords.newPassword}
+                onChange={handlePasswordInput}
+                required
+                minLength={6}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Confirm new password</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={passwords.confirmPassword}
+                onChange={handlePasswordInput}
+                required
+                minLength={6}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={changingPassword} className={buttonClass}>
+              {changingPassword ? 'Saving...' : 'Change password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,7 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import { topicAPI, categoryAPI } from '../services/api';
 import {
   Clock, BookOpen, CheckCircle, ArrowRight,
-  ChevronLeft, Hash, Target, Menu, X, Zap
+  ChevronLeft, Hash, Target, Menu, X, Zap, Workflow
 } from 'lucide-react';
 
 const difficultyStyles = {
@@ -170,6 +170,13 @@ export default function TopicView() {
               {totalLessons} lessons
             </span>
           </div>
+          <Link
+            to={`/categories/${category.slug}/path`}
+            className="inline-flex items-center gap-1.5 mt-3 text-xs text-surface-400 hover:text-accent-300 transition-colors"
+          >
+            <Workflow className="w-3.5 h-3.5" />
+            Learning path
+          </Link>
         </div>
 
         {/* Topic Navigation */}
@@ -0,0 +1,101 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuthStore } from '../store/store';
+import { authAPI } from '../services/api';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  const [resent, setResent] = useState(false);
+
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const user = useAuthStore((state) => state.user);
+  const updateUser = useAuthStore((state) => state.updateUser);
+
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+    verify();
+  }, [token]);
+
+  const verify = async () => {
+    try {
+      const response = await authAPI.verifyEmail(token);
+      if (user?.id === response.data.user.id) {
+        updateUser({ email_verified_at: response.data.user.email_verified_at });
+      }
+      setStatus('verified');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to verify email');
+      setStatus('error');
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      await authAPI.resendVerification();
+      setResent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-20">
+      <div className="text-center mb-8">
+        <h1 className="text-2xl font-semibold text-white mb-1">Verify Email</h1>
+      </div>
+
+      <div className="bg-surface-900 rounded-xl p-6 border border-surface-700/50">
+        {status === 'verifying' && (
+          <div className="flex justify-center">
+            <div className="spinner" />
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="space-y-4">
+            <div className="flex items-start gap-2">
+              <CheckCircle className="w-4 h-4 text-emerald-400 flex-shrink-0 mt-0.5" />
+              <p className="text-surface-300 text-sm">Your email address is confirmed. Thanks!</p>
+            </div>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="block w-full text-center bg-accent-500 hover:bg-accent-600 text-white py-2.5 rounded-lg text-sm font-medium transition-colors"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="space-y-4">
+            <div className="bg-red-500/10 border border-red-500/20 rounded-lg p-3 flex items-start gap-2">
+              <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+              <span className="text-red-400 text-sm">{error}</span>
+            </div>
+            {isAuthenticated && !user?.email_verified_at && (
+              resent ? (
+                <p className="text-surface-400 text-sm text-center">A new link is on its way.</p>
+              ) : (
+                <button
+                  onClick={handleResend}
+                  className="w-full bg-accent-500 hover:bg-accent-600 text-white py-2.5 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Send a new link
+                </button>
+              )
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
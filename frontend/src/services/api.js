@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { useAuthStore } from '../store/store';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -18,16 +19,94 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle errors
+// Reuse GET responses the server says are unchanged: send back the ETag of
+// the last response for the same URL and user, and on 304 Not Modified
+// answer with that response's data
+const etagCache = new Map();
+const ETAG_CACHE_SIZE = 100;
+
+const etagCacheKey = (config) => `${localStorage.getItem('token') || ''} ${api.getUri(config)}`;
+
+api.interceptors.request.use((config) => {
+  if (config.method === 'get') {
+    const cached = etagCache.get(etagCacheKey(config));
+    if (cached) {
+      config.headers['If-None-Match'] = cached.etag;
+      config.validateStatus = (status) => (status >= 200 && status < 300) || status === 304;
+    }
+  }
+  return config;
+});
+
+api.interceptors.response.use((response) => {
+  if (response.config.method !== 'get') {
+    return response;
+  }
+  const key = etagCacheKey(response.config);
+  if (response.status === 304 && etagCache.has(key)) {
+    return { ...response, status: 200, data: etagCache.get(key).data };
+  }
+  const etag = response.headers.etag;
+  if (etag) {
+    etagCache.delete(key);
+    etagCache.set(key, { etag, data: response.data });
+    if (etagCache.size > ETAG_CACHE_SIZE) {
+      etagCache.delete(etagCache.keys().next().value);
+    }
+  }
+  return response;
+});
+
+// Auth routes whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// One refresh at a time: concurrent 401s wait for the same new token
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('Not logged in');
+  }
+
+  try {
+    // Plain axios so the refresh call itself skips these interceptors
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    useAuthStore.getState().setTokens(response.data.token, response.data.refreshToken);
+    return response.data.token;
+  } catch (error) {
+    // Another tab may have rotated the refresh token first; use what it stored
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return localStorage.getItem('token');
+    }
+    throw error;
+  }
+};
+
+// Handle errors: on 401, refresh the access token and replay the request once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const request = error.config;
+
+    if (error.response?.status !== 401 || !request || request._retried || NO_REFRESH_URLS.includes(request.url)) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+
+    try {
+      refreshPromise = refreshPromise || refreshTokens().finally(() => {
+        refreshPromise = null;
+      });
+      const token = await refreshPromise;
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch {
+      useAuthStore.getState().logout();
       window.location.href = '/login';
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -36,12 +115,42 @@ export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
   getMe: () => api.get('/auth/me'),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+};
+
+// Users API (admin)
+export const userAPI = {
+  getAll: () => api.get('/users'),
+  updateRole: (userId, role) => api.patch(`/users/${userId}/role`, { role }),
+};
+
+// Profile API
+export const profileAPI = {
+  getMe: () => api.get('/users/me'),
+  update: (data) => api.patch('/users/me', data),
+  changePassword: (currentPassword, newPassword) =>
+    api.post('/users/me/password', { currentPassword, newPassword }),
+  // The image is sent as the raw request body
+  uploadAvatar: (file) => api.put('/users/me/avatar', file, { headers: { 'Content-Type': file.type } }),
+  removeAvatar: () => api.delete('/users/me/avatar'),
+  getPublic: (username) => api.get(`/users/${encodeURIComponent(username)}/profile`),
 };
 
+// Uploaded files are served by the API server, outside /api
+export const uploadUrl = (path) => path && path.startsWith('/uploads/')
+  ? API_BASE_URL.replace(/\/api\/?$/, '') + path
+  : path;
+
 // Categories API
 export const categoryAPI = {
   getAll: () => api.get('/categories'),
   getBySlug: (slug) => api.get(`/categories/${slug}`),
+  getGraph: (slug) => api.get(`/categories/${slug}/graph`),
 };
 
 // Topics API
@@ -49,6 +158,8 @@ export const topicAPI = {
   getAll: (params) => api.get('/topics', { params }),
   getBySlug: (slug) => api.get(`/topics/${slug}`),
   create: (data) => api.post('/topics', data),
+  update: (id, data) => api.patch(`/topics/${id}`, data),
+  remove: (id) => api.delete(`/topics/${id}`),
 };
 
 // Lessons API
@@ -56,6 +167,37 @@ export const lessonAPI = {
   getBySlug: (slug) => api.get(`/lessons/${slug}`),
   search: (params) => api.get('/lessons/search', { params }),
   create: (data) => api.post('/lessons', data),
+  update: (id, data) => api.patch(`/lessons/${id}`, data),
+  remove: (id) => api.delete(`/lessons/${id}`),
+  getRevisions: (id) => api.get(`/lessons/${id}/revisions`),
+  diffRevisions: (id, from, to) => api.get(`/lessons/${id}/revisions/diff`, { params: { from, to } }),
+  restoreRevision: (id, revisionNumber) => api.post(`/lessons/${id}/revisions/${revisionNumber}/restore`),
+};
+
+// Code Examples API (authors)
+export const exampleAPI = {
+  getForLesson: (lessonId) => api.get('/examples', { params: { lessonId } }),
+  create: (data) => api.post('/examples', data),
+  update: (id, data) => api.patch(`/examples/${id}`, data),
+  remove: (id) => api.delete(`/examples/${id}`),
+};
+
+// Quiz Questions API (authors)
+export const questionAPI = {
+  getForLesson: (lessonId) => api.get('/questions', { params: { lessonId } }),
+  create: (data) => api.post('/questions', data),
+  update: (id, data) => api.patch(`/questions/${id}`, data),
+  remove: (id) => api.delete(`/questions/${id}`),
+};
+
+// Content API (authors)
+export const contentAPI = {
+  reorder: (data) => api.post('/content/reorder', data),
+};
+
+// Search API
+export const searchAPI = {
+  search: (params) => api.get('/search', { params }),
 };
 
 // Progress API
@@ -63,13 +205,58 @@ export const progressAPI = {
   getOverview: () => api.get('/progress/overview'),
   getForLesson: (lessonId) => api.get(`/progress/lesson/${lessonId}`),
   updateLesson: (lessonId, data) => api.post(`/progress/lesson/${lessonId}`, data),
+  recordEngagement: (lessonId, data) => api.post(`/progress/lesson/${lessonId}/engagement`, data),
+  getActivity: (params) => api.get('/progress/activity', { params }),
 };
 
 // Quiz API
 export const quizAPI = {
   submit: (data) => api.post('/quiz/submit', data),
+  run: (data) => api.post('/quiz/run', data),
   getStats: () => api.get('/quiz/stats'),
   getLessonAttempts: (lessonId) => api.get(`/quiz/lesson/${lessonId}`),
+  startSession: (data) => api.post('/quiz/sessions', data),
+  getSession: (sessionId) => api.get(`/quiz/sessions/${sessionId}`),
+  answerSession: (sessionId, data) => api.post(`/quiz/sessions/${sessionId}/answer`, data),
+  finishSession: (sessionId) => api.post(`/quiz/sessions/${sessionId}/finish`),
+};
+
+// Review API
+export const reviewAPI = {
+  getDue: (params) => api.get('/review/due', { params }),
+  answer: (data) => api.post('/review/answer', data),
+};
+
+// Bookmarks API
+export const bookmarkAPI = {
+  getAll: () => api.get('/bookmarks'),
+  add: (lessonId) => api.put(`/bookmarks/${lessonId}`),
+  remove: (lessonId) => api.delete(`/bookmarks/${lessonId}`),
+};
+
+// Playlists API
+export const playlistAPI = {
+  getAll: () => api.get('/playlists'),
+  getById: (id) => api.get(`/playlists/${id}`),
+  getShared: (token) => api.get(`/playlists/shared/${token}`),
+  copyShared: (token) => api.post(`/playlists/shared/${token}/copy`),
+  create: (data) => api.post('/playlists', data),
+  update: (id, data) => api.patch(`/playlists/${id}`, data),
+  delete: (id) => api.delete(`/playlists/${id}`),
+  setLessons: (id, lessonIds) => api.put(`/playlists/${id}/lessons`, { lessonIds }),
+  addLesson: (id, lessonId) => api.post(`/playlists/${id}/lessons`, { lessonId }),
+  removeLesson: (id, lessonId) => api.delete(`/playlists/${id}/lessons/${lessonId}`),
+  share: (id) => api.post(`/playlists/${id}/share`),
+  unshare: (id) => api.delete(`/playlists/${id}/share`),
+};
+
+// Annotations API (highlights and notes)
+export const annotationAPI = {
+  getAll: (params) => api.get('/annotations', { params }),
+  export: (params) => api.get('/annotations/export', { params, responseType: 'blob' }),
+  create: (data) => api.post('/annotations', data),
+  update: (id, data) => api.patch(`/annotations/${id}`, data),
+  delete: (id) => api.delete(`/annotations/${id}`),
 };
 
 export default api;
@@ -3,24 +3,39 @@ import { persist } from 'zustand/middleware';
 
 export const useAuthStore = create(
   persist(
-    (set) => ({
+    (set, get) => ({
       user: null,
       token: null,
       isAuthenticated: false,
       
-      login: (user, token) => {
+      login: (user, token, refreshToken) => {
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         set({ user, token, isAuthenticated: true });
       },
+
+      // Called after the API client refreshes an expired access token
+      setTokens: (token, refreshToken) => {
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        set({ token });
+      },
       
       logout: () => {
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         set({ user: null, token: null, isAuthenticated: false });
       },
       
       updateUser: (userData) => {
         set((state) => ({ user: { ...state.user, ...userData } }));
       },
+
+      hasRole: (minimumRole) => {
+        const roles = ['learner', 'author', 'admin'];
+        const role = get().user?.role || 'learner';
+        return roles.indexOf(role) >= roles.indexOf(minimumRole);
+      },
     }),
     {
       name: 'auth-storage',